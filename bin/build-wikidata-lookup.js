@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+// Builds an offline Wikidata lookup file from a full JSON dump (latest-all.json[.gz]), keeping only
+// items that are an instance of (P31) one of the chosen classes. The result is what kb
+// --wikidata-lookup and the web app's ?wikidata-lookup= read. Prints a JSON summary on stdout.
+
+import { parseArgs } from 'node:util';
+import { createReadStream } from 'node:fs';
+import { writeFile } from 'node:fs/promises';
+import { createInterface } from 'node:readline';
+import { createGunzip } from 'node:zlib';
+import { resolve } from 'node:path';
+
+import { LOOKUP_FORMAT, LOOKUP_VERSION, compactWikidataEntity } from '../js/wikidata-offline-client.js';
+
+const USAGE = `Usage: build-wikidata-lookup --class <QID>... --out <file.json> <dump.json[.gz] | ->
+
+  --class <QID>           Keep items that are an instance of this class (repeatable),
+                          e.g. --class Q515 --class Q6256 --class Q5
+  --out <file.json>       Lookup file to write
+  --language <code>       Language of labels, descriptions and aliases (default: en)
+  --limit <n>             Stop after keeping n items
+
+Read a .bz2 dump from stdin: bzcat latest-all.json.bz2 | build-wikidata-lookup ... -
+Class labels (what "instance of" resolves to) are found in a second pass over the dump
+when they come before the items that use them; stdin input gets only one pass.
+`;
+
+const OPTIONS = {
+    class: { type: 'string', multiple: true, default: [] },
+    out: { type: 'string' },
+    language: { type: 'string', default: 'en' },
+    limit: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Keep stdout for the JSON summary
+console.log = (...args) => console.error(...args);
+
+// Each dump line is one entity followed by a comma, between a leading "[" and a closing "]"
+async function* readDumpLines(input) {
+    let stream = input === '-' ? process.stdin : createReadStream(input);
+    if (input.endsWith('.gz')) stream = stream.pipe(createGunzip());
+
+    for await (const line of createInterface({ input: stream, crlfDelay: Infinity })) {
+        const trimmed = line.trim().replace(/,$/, '');
+        if (trimmed && trimmed !== '[' && trimmed !== ']') yield trimmed;
+    }
+}
+
+// Dump lines start with {"type":"item","id":"Q42",... so the ID can be read without parsing the line
+function peekId(line) {
+    return line.slice(0, 200).match(/"id":"([QP]\d+)"/)?.[1] || null;
+}
+
+async function build(input, options) {
+    const classes = new Set(options.class);
+    const language = options.language;
+    const limit = Number(options.limit) || Infinity;
+    // Cheap test before parsing: every kept item mentions one of the classes by ID
+    const classMarkers = [...classes].map(id => `"id":"${id}"`);
+
+    const entities = {};
+    const labels = {};
+    const referenced = new Set(classes);
+    let scanned = 0;
+    let kept = 0;
+
+    const labelOf = entity => entity.labels?.[language]?.value;
+
+    for await (const line of readDumpLines(input)) {
+        scanned++;
+        if (scanned % 1000000 === 0) console.error(`${scanned} entities scanned, ${kept} kept`);
+
+        const id = peekId(line);
+        const mayMatch = classMarkers.some(marker => line.includes(marker));
+        if (!mayMatch && !(id && referenced.has(id) && !labels[id])) continue;
+
+        const entity = JSON.parse(line);
+        if (referenced.has(entity.id) && labelOf(entity)) labels[entity.id] = labelOf(entity);
+
+        const record = compactWikidataEntity(entity, language);
+        if (entity.type !== 'item' || !record.instanceOf.some(classId => classes.has(classId))) continue;
+
+        entities[entity.id] = record;
+        if (record.label) labels[entity.id] = record.label;
+        record.instanceOf.forEach(classId => referenced.add(classId));
+        kept++;
+        if (kept >= limit) break;
+    }
+
+    // Classes met before the items that use them are picked up by reading the dump again
+    let missing = [...referenced].filter(id => !labels[id]);
+    if (missing.length > 0 && input !== '-') {
+        const wanted = new Set(missing);
+        for await (const line of readDumpLines(input)) {
+            const id = peekId(line);
+            if (!id || !wanted.has(id)) continue;
+            const label = labelOf(JSON.parse(line));
+            if (label) labels[id] = label;
+            wanted.delete(id);
+            if (wanted.size === 0) break;
+        }
+        missing = [...referenced].filter(id => !labels[id]);
+    }
+
+    return { entities, labels, scanned, kept, missing };
+}
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const { values: options, positionals: [input] } = parsed;
+    if (options.help) {
+        process.stdout.write(USAGE);
+        return 0;
+    }
+    if (!input || !options.out || options.class.length === 0) {
+        process.stderr.write(USAGE);
+        return 2;
+    }
+
+    try {
+        const { entities, labels, scanned, kept, missing } = await build(input, options);
+        const lookup = {
+            format: LOOKUP_FORMAT,
+            version: LOOKUP_VERSION,
+            language: options.language,
+            classes: options.class,
+            source: input === '-' ? 'stdin' : resolve(input),
+            createdAt: new Date().toISOString(),
+            entities,
+            labels
+        };
+        await writeFile(options.out, JSON.stringify(lookup));
+
+        process.stdout.write(`${JSON.stringify({
+            ok: true,
+            out: resolve(options.out),
+            scanned,
+            kept,
+            labels: Object.keys(labels).length,
+            unlabelledClasses: missing
+        }, null, 2)}\n`);
+        return 0;
+    } catch (error) {
+        console.error(error);
+        process.stdout.write(`${JSON.stringify({ ok: false, error: error.message }, null, 2)}\n`);
+        return 1;
+    }
+}
+
+process.exitCode = await main();
@@ -0,0 +1,524 @@
+#!/usr/bin/env node
+// kb: headless import, export and deduplication using the same pipeline as the web app.
+// Every command prints a JSON summary on stdout; logs go to stderr.
+
+import { parseArgs } from 'node:util';
+import { readFile, writeFile } from 'node:fs/promises';
+import * as fs from 'node:fs';
+import { basename, resolve } from 'node:path';
+import { webcrypto } from 'node:crypto';
+
+import { CSVParser } from '../js/csv-parser.js';
+import { ColumnMapper } from '../js/column-mapper.js';
+import { DateTimeProcessor } from '../js/datetime-processor.js';
+import { WikidataService } from '../js/wikidata-service.js';
+import { WikidataClient } from '../js/wikidata-client.js';
+import { parseLookupText } from '../js/wikidata-offline-client.js';
+import { EntityProcessor } from '../js/entity-processor.js';
+import { FirebaseService } from '../js/firebase-service.js';
+import { DeduplicationService } from '../js/deduplication-service.js';
+import { ImportPipeline } from '../js/import-pipeline.js';
+import { ImportReport } from '../js/import-report.js';
+import { ImportBatchService } from '../js/import-batch-service.js';
+import { FirestoreStorage } from '../js/firestore-storage.js';
+import { JsonFileStorage } from '../js/json-file-storage.js';
+import { findStatementHolders, parsePeriod } from '../js/entity-statements.js';
+import { RelationshipService } from '../js/relationship-service.js';
+import { getRelationshipType } from '../js/relationship-types.js';
+import { CrossReferenceService } from '../js/cross-reference-service.js';
+import { getEventAction, getActionCategory } from '../js/action-normalizer.js';
+import { DEFAULT_TIME_ZONE, isValidTimeZone } from '../js/time-zones.js';
+import { EventSearchIndex } from '../js/event-search.js';
+
+const USAGE = `Usage: kb <command> [options]
+
+Commands:
+  import <file.csv>...    Import one or more CSV files
+  export                  Export all entities and events as JSON
+  dedupe                  Merge entities that share a Wikidata ID
+  migrate                 Link events saved before entity references to their entities by ID
+  statements <target>     Who held a dated statement about a Wikidata ID or entity name,
+                          e.g. kb statements "Acme" --field member_of --during 2024
+  relationships [<entity>]
+                          List typed relationships, all or those of one entity (ID or name)
+  actions                 Count events by action category (CAMEO root code) and normalized action
+  search <query>          Search events by words, "phrases", fields and dates, e.g.
+                          kb search 'actor:China action:invested after:2024-01 "data centre"'
+
+Storage:
+  --store <path>          Local JSON store (default: kb-data.json)
+  --emulator <host:port>  Use the Firestore emulator instead (default: $FIRESTORE_EMULATOR_HOST)
+  --project <id>          Firebase project ID for the emulator (default: knowledge-base-db)
+
+Import options:
+  --mapping <file.json>   Column mapping (field -> CSV header, or a saved mapping profile);
+                          guessed from the headers when omitted
+  --dry-run               Validate only; nothing is written
+  --timezone <IANA zone>  Zone for times that state none, e.g. Asia/Qatar (default: UTC);
+                          a Time Zone column or a known location takes precedence
+  --no-wikidata           Skip Wikidata lookups
+  --wikidata-url <url>    Wikidata API endpoint, e.g. the mock server's
+                          http://localhost:8089/w/api.php (default: wikidata.org)
+  --wikidata-lookup <file>
+                          Enrich offline from a lookup file built by
+                          build-wikidata-lookup (or a Wikidata dump slice)
+  --report <path>         Write the full import reports as JSON
+
+Export options:
+  --out <path>            Output file (default: knowledge-base-export-<date>.json)
+
+Dedupe options:
+  --dry-run               Only report what would be merged
+
+Statements options:
+  --field <name>          Only this field: employer, positions_held, residences or member_of
+  --during <period>       Only statements that held in a period: 2024, 2024-03, 2019..2021
+
+Relationships options:
+  --derive                First add the relationships stored entities' Wikidata fields imply
+                          (spouse, employer, member_of, ...); imports do this themselves
+
+Actions options:
+  --code <code>           Only events in this category, e.g. 04, listed with their actors and targets
+
+Search options:
+  --timezone <IANA zone>  Zone in which after: and before: apply to events with times (default: UTC)
+`;
+
+const OPTIONS = {
+    store: { type: 'string' },
+    emulator: { type: 'string' },
+    project: { type: 'string', default: 'knowledge-base-db' },
+    mapping: { type: 'string' },
+    timezone: { type: 'string', default: DEFAULT_TIME_ZONE },
+    'dry-run': { type: 'boolean', default: false },
+    'no-wikidata': { type: 'boolean', default: false },
+    'wikidata-url': { type: 'string' },
+    'wikidata-lookup': { type: 'string' },
+    report: { type: 'string' },
+    out: { type: 'string' },
+    field: { type: 'string' },
+    during: { type: 'string' },
+    derive: { type: 'boolean', default: false },
+    code: { type: 'string' },
+    help: { type: 'boolean', short: 'h', default: false }
+};
+
+// Keep stdout for the JSON summary; the shared modules log freely
+console.log = console.info = console.debug = (...args) => console.error(...args);
+
+// Web Crypto is global from Node 19; ImportBatchService hashes files with it
+if (!globalThis.crypto) {
+    globalThis.crypto = webcrypto;
+}
+
+function printSummary(summary) {
+    process.stdout.write(`${JSON.stringify(summary, null, 2)}\n`);
+}
+
+async function openStorage(options) {
+    const emulator = options.emulator || (options.store ? null : process.env.FIRESTORE_EMULATOR_HOST);
+
+    if (emulator) {
+        const [host, port] = emulator.split(':');
+        const [{ initializeApp }, firestore] = await Promise.all([
+            import('firebase/app'),
+            import('firebase/firestore')
+        ]);
+        const db = firestore.getFirestore(initializeApp({ projectId: options.project }));
+        firestore.connectFirestoreEmulator(db, host, Number(port));
+        return {
+            storage: new FirestoreStorage(db, firestore),
+            description: { type: 'firestore-emulator', host: emulator, project: options.project }
+        };
+    }
+
+    const filePath = resolve(options.store || 'kb-data.json');
+    return {
+        storage: await new JsonFileStorage(filePath).open(),
+        description: { type: 'json', path: filePath }
+    };
+}
+
+// File-backed Blob so large CSVs are streamed; Node 18 has no openAsBlob and reads the file whole
+async function openFile(filePath) {
+    if (typeof fs.openAsBlob === 'function') {
+        return fs.openAsBlob(filePath);
+    }
+    return new Blob([await readFile(filePath)]);
+}
+
+async function loadMapping(mappingPath) {
+    if (!mappingPath) return null;
+    const json = JSON.parse(await readFile(mappingPath, 'utf8'));
+    // Accept either a bare mapping or a profile exported from the mapping wizard
+    return json.mapping || json;
+}
+
+async function runImport(files, options, storage) {
+    if (files.length === 0) {
+        throw new Error('kb import needs at least one CSV file');
+    }
+
+    if (!isValidTimeZone(options.timezone)) {
+        throw new Error(`Unknown time zone: ${options.timezone}; use an IANA name such as Europe/London`);
+    }
+
+    const dryRun = options['dry-run'];
+    const timeZone = options.timezone;
+    const firebaseService = new FirebaseService(storage);
+    const csvParser = new CSVParser();
+    const columnMapper = new ColumnMapper(null);
+    const dateTimeProcessor = new DateTimeProcessor();
+    const wikidataService = new WikidataService({
+        enabled: !options['no-wikidata'],
+        client: options['wikidata-url'] ? new WikidataClient({ apiUrl: options['wikidata-url'] }) : null,
+        lookup: options['wikidata-lookup'] ? { data: parseLookupText(await readFile(options['wikidata-lookup'], 'utf8')) } : null
+    });
+    const entityProcessor = new EntityProcessor(wikidataService, firebaseService, dateTimeProcessor);
+    const importPipeline = new ImportPipeline({ csvParser, dateTimeProcessor, entityProcessor, duplicateChecker: firebaseService });
+    const importBatchService = new ImportBatchService(firebaseService);
+    const relationshipService = new RelationshipService(storage);
+    const mappingOverride = await loadMapping(options.mapping);
+
+    entityProcessor.setProcessedEntities(await firebaseService.loadExistingData());
+
+    const results = [];
+    const reports = [];
+
+    for (const filePath of files) {
+        const fileName = basename(filePath);
+        let importBatch = null;
+
+        try {
+            const file = await openFile(filePath);
+            const { headers } = await csvParser.previewRows(file, 1);
+            const mapping = mappingOverride || columnMapper.suggestMapping(headers);
+            const mappingErrors = columnMapper.validateMapping(mapping, headers);
+            if (mappingErrors.length > 0) {
+                throw new Error(`Column mapping is incomplete: ${mappingErrors.join('; ')}`);
+            }
+
+            const report = new ImportReport({ fileName, mapping, dryRun });
+            if (!dryRun) {
+                importBatch = await importBatchService.startBatch({ source: 'csv', fileName, file, mapping, timeZone });
+            }
+
+            const { processedRows, skippedDuplicates } = await importPipeline.run(
+                columnMapper.mapRows(csvParser.streamRows(file), mapping),
+                { dryRun, report, importBatchId: importBatch?.id || null, timeZone, pauseBetweenBatches: 0 }
+            );
+            report.complete();
+            reports.push(report.toJSON());
+
+            let proposedMatches = 0;
+            let derivedRelationships = 0;
+            if (!dryRun) {
+                const changes = entityProcessor.getDirtyChanges();
+                proposedMatches = changes.matchReviews.length;
+                if (changes.count > 0) {
+                    await firebaseService.saveBatch(changes.entities, changes.events, changes.matchReviews);
+                    entityProcessor.markClean(changes);
+                }
+                const derived = await relationshipService.deriveFromWikidata(entityProcessor.getAllEntities(), { importBatchId: importBatch.id });
+                derivedRelationships = derived.length;
+                await importBatchService.completeBatch(importBatch, {
+                    rowCount: processedRows,
+                    eventCount: report.acceptedRows,
+                    rejectedRowCount: report.rejectedRows.length,
+                    duplicateRowCount: skippedDuplicates
+                });
+            }
+
+            results.push({
+                file: filePath,
+                ok: true,
+                importBatchId: importBatch?.id || null,
+                processedRows,
+                skippedDuplicates,
+                proposedMatches,
+                derivedRelationships,
+                summary: report.getSummary()
+            });
+        } catch (error) {
+            console.error(`Import of ${filePath} failed:`, error);
+            if (importBatch) {
+                await importBatchService.failBatch(importBatch, error);
+            }
+            // Drop this file's unsaved changes so they are not written with the next file
+            entityProcessor.setProcessedEntities(await firebaseService.loadExistingData());
+            results.push({ file: filePath, ok: false, importBatchId: importBatch?.id || null, error: error.message });
+        } finally {
+            await storage.flush?.();
+        }
+    }
+
+    if (options.report) {
+        await writeFile(options.report, JSON.stringify(reports, null, 2));
+    }
+
+    return {
+        ok: results.every(result => result.ok),
+        dryRun,
+        timeZone,
+        files: results,
+        totals: results.reduce((totals, result) => {
+            if (!result.summary) return totals;
+            Object.entries(result.summary).forEach(([key, value]) => {
+                totals[key] = (totals[key] || 0) + value;
+            });
+            return totals;
+        }, {}),
+        report: options.report || null
+    };
+}
+
+async function runExport(options, storage) {
+    const allData = await new FirebaseService(storage).exportAllData();
+
+    // Same layout as the web app's "Export Knowledge Base" download
+    const exportData = {
+        metadata: {
+            exportDate: new Date().toISOString(),
+            version: '1.0',
+            totalEntities: Object.values(allData.entities).reduce((sum, collection) => sum + collection.length, 0),
+            totalEvents: allData.events.length,
+            collections: Object.keys(allData.entities)
+        },
+        entities: allData.entities,
+        events: allData.events,
+        relationships: allData.relationships
+    };
+
+    const out = options.out || `knowledge-base-export-${new Date().toISOString().split('T')[0]}.json`;
+    await writeFile(out, JSON.stringify(exportData, null, 2));
+
+    return { ok: true, out: resolve(out), ...exportData.metadata };
+}
+
+async function runDedupe(options, storage) {
+    const deduplicationService = new DeduplicationService(storage);
+
+    if (options['dry-run']) {
+        const preview = await deduplicationService.getDeduplicationPreview();
+        return { ok: true, dryRun: true, ...preview };
+    }
+
+    const result = await deduplicationService.runDeduplication();
+    await storage.flush?.();
+    return { ok: true, dryRun: false, ...result };
+}
+
+// The web app runs this on load; stores only ever touched by the CLI need it run once by hand
+async function runMigrate(options, storage) {
+    const firebaseService = new FirebaseService(storage);
+    const entityProcessor = new EntityProcessor(new WikidataService({ enabled: false }), firebaseService, new DateTimeProcessor());
+
+    entityProcessor.setProcessedEntities(await firebaseService.loadExistingData());
+    const migratedEvents = entityProcessor.migrateEventReferences();
+    const normalizedActions = entityProcessor.migrateEventActions();
+
+    const changes = entityProcessor.getDirtyChanges();
+    if (changes.count > 0) {
+        await firebaseService.saveBatch(changes.entities, changes.events, changes.matchReviews);
+        await storage.flush?.();
+    }
+
+    return { ok: true, migratedEvents, normalizedActions };
+}
+
+// Answers questions like "who was a member of X during 2024" from the statements stored on entities
+async function runStatements(positionals, options, storage) {
+    const [target] = positionals;
+    if (!target) {
+        throw new Error('kb statements needs a Wikidata ID or an entity name');
+    }
+
+    const period = options.during ? parsePeriod(options.during) : null;
+    if (options.during && !period) {
+        throw new Error(`Cannot read the period "${options.during}"; use e.g. 2024, 2024-03 or 2019..2021`);
+    }
+
+    const data = await new FirebaseService(storage).loadExistingData();
+    const entities = ['people', 'organizations', 'places', 'unknown'].flatMap(collection => data[collection] || []);
+
+    // A name also matches statements pointing at the Wikidata IDs of entities with that name
+    const name = target.toLowerCase();
+    const targets = [target, ...entities
+        .filter(entity => entity.wikidata_id && [entity.name, ...(entity.aliases || [])].some(alias => String(alias).toLowerCase() === name))
+        .map(entity => entity.wikidata_id)];
+
+    const holders = findStatementHolders(entities, targets, { field: options.field || null, period });
+    return {
+        ok: true,
+        target,
+        field: options.field || null,
+        during: options.during || null,
+        count: holders.length,
+        holders: holders.map(({ entity, statement }) => ({
+            id: entity.id,
+            name: entity.name,
+            type: entity.type,
+            ...statement
+        }))
+    };
+}
+
+// Lists stored relationships, each read from its source: "Dana employee of Example Holdings"
+async function runRelationships(positionals, options, storage) {
+    const [target] = positionals;
+    const relationshipService = new RelationshipService(storage);
+    const data = await new FirebaseService(storage).loadExistingData();
+    const entities = ['people', 'organizations', 'places', 'unknown'].flatMap(collection => data[collection] || []);
+
+    let derived = 0;
+    if (options.derive) {
+        derived = (await relationshipService.deriveFromWikidata(entities)).length;
+        await storage.flush?.();
+    }
+
+    let entity = null;
+    if (target) {
+        const name = target.toLowerCase();
+        entity = entities.find(candidate => candidate.id === target || candidate.wikidata_id === target)
+            || entities.find(candidate => [candidate.name, ...(candidate.aliases || [])].some(alias => String(alias).toLowerCase() === name));
+        if (!entity) {
+            throw new Error(`No entity with the ID or name "${target}"`);
+        }
+    }
+
+    const relationships = entity ? await relationshipService.loadForEntity(entity.id) : await relationshipService.loadAll();
+    const entitiesById = new Map(entities.map(candidate => [candidate.id, candidate]));
+    const describeEntity = id => ({ id, name: entitiesById.get(id)?.name || null });
+
+    return {
+        ok: true,
+        entity: entity ? describeEntity(entity.id) : null,
+        derived,
+        count: relationships.length,
+        relationships: relationships.map(relationship => ({
+            id: relationship.firestoreId,
+            type: relationship.type,
+            label: getRelationshipType(relationship.type)?.label || relationship.type,
+            source: describeEntity(relationship.sourceId),
+            target: describeEntity(relationship.targetId),
+            origin: relationship.origin,
+            field: relationship.field,
+            start: relationship.start,
+            end: relationship.end
+        }))
+    };
+}
+
+// Action statistics over all events; events saved before normalization are normalized on the fly
+async function runActions(options, storage) {
+    if (options.code && !getActionCategory(options.code)) {
+        throw new Error(`Unknown action category: ${options.code}`);
+    }
+
+    const { events } = await new FirebaseService(storage).loadExistingData();
+    const selected = options.code
+        ? events.filter(event => getEventAction(event).code === options.code)
+        : events;
+    const stats = new CrossReferenceService(storage);
+
+    return {
+        ok: true,
+        code: options.code || null,
+        count: selected.length,
+        ...stats.getActionCategoryStats(selected),
+        actions: stats.getActionTypeStats(selected),
+        ...(options.code && {
+            events: selected.map(event => ({
+                id: event.id,
+                actor: event.actor,
+                action: event.action,
+                target: event.target,
+                lemma: getEventAction(event).lemma
+            }))
+        })
+    };
+}
+
+// Event search with the web app's query syntax; matches are listed best first
+async function runSearch(positionals, options, storage) {
+    const query = positionals.join(' ').trim();
+    if (!query) {
+        throw new Error('kb search needs a query, e.g. kb search \'actor:China "data centre"\'');
+    }
+    if (!isValidTimeZone(options.timezone)) {
+        throw new Error(`Unknown time zone: ${options.timezone}; use an IANA name such as Europe/London`);
+    }
+
+    const data = await new FirebaseService(storage).loadExistingData();
+    const entities = ['people', 'organizations', 'places', 'unknown'].flatMap(collection => data[collection] || []);
+    const { results, errors } = new EventSearchIndex(data.events, entities).search(query, { timeZone: options.timezone });
+    if (errors.length > 0) {
+        throw new Error(errors.join('; '));
+    }
+
+    return {
+        ok: true,
+        query,
+        count: results.length,
+        events: results.map(({ event, score }) => ({
+            id: event.id,
+            score,
+            date: event.edtf || event.startDate || event.dateReceived,
+            sentence: event.sentence,
+            actor: event.actor,
+            action: event.action,
+            target: event.target,
+            sources: event.sources
+        }))
+    };
+}
+
+const COMMANDS = {
+    import: (positionals, options, storage) => runImport(positionals, options, storage),
+    export: (positionals, options, storage) => runExport(options, storage),
+    dedupe: (positionals, options, storage) => runDedupe(options, storage),
+    migrate: (positionals, options, storage) => runMigrate(options, storage),
+    statements: (positionals, options, storage) => runStatements(positionals, options, storage),
+    relationships: (positionals, options, storage) => runRelationships(positionals, options, storage),
+    actions: (positionals, options, storage) => runActions(options, storage),
+    search: (positionals, options, storage) => runSearch(positionals, options, storage)
+};
+
+async function main() {
+    let parsed;
+    try {
+        parsed = parseArgs({ options: OPTIONS, allowPositionals: true });
+    } catch (error) {
+        process.stderr.write(`${error.message}\n\n${USAGE}`);
+        return 2;
+    }
+
+    const [command, ...positionals] = parsed.positionals;
+    if (parsed.values.help || !command) {
+        process.stderr.write(USAGE);
+        return parsed.values.help ? 0 : 2;
+    }
+    if (!COMMANDS[command]) {
+        process.stderr.write(`Unknown command: ${command}\n\n${USAGE}`);
+        return 2;
+    }
+
+    let storage = null;
+    try {
+        const opened = await openStorage(parsed.values);
+        storage = opened.storage;
+
+        const summary = await COMMANDS[command](positionals, parsed.values, storage);
+        printSummary({ command, store: opened.description, ...summary });
+        return summary.ok ? 0 : 1;
+    } catch (error) {
+        console.error(error);
+        printSummary({ command, ok: false, error: error.message });
+        return 1;
+    } finally {
+        await storage?.close?.();
+    }
+}
+
+process.exitCode = await main();
@@ -0,0 +1,154 @@
+#!/usr/bin/env node
+// Local stand-in for the Wikidata API (wbsearchentities and wbgetentities) serving items from a
+// fixture file, so imports can be run offline and the client's batching, rate limiting and
+// retries can be exercised. Point kb at it with --wikidata-url http://localhost:<port>/w/api.php
+
+import { createServer } from 'node:http';
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+
+const USAGE = `Usage: wikidata-mock-server [options]
+
+  --port <n>              Port to listen on; 0 picks a free one (default: 8089)
+  --fixtures <file.json>  Items to serve, shaped like a wbgetentities response
+                          (default: bin/fixtures/wikidata-mock.json)
+  --throttle-every <n>    Answer every n-th request with HTTP 429
+  --unavailable-every <n> Answer every n-th request with HTTP 503
+  --maxlag-every <n>      Answer every n-th request with a maxlag error
+  --retry-after <s>       Retry-After sent with throttled, unavailable and maxlag answers (default: 1)
+
+GET /stats returns request counts; GET /stats?reset=1 also resets them.
+`;
+
+const MAX_IDS_PER_REQUEST = 50;
+
+const { values: options } = parseArgs({
+    options: {
+        port: { type: 'string', default: '8089' },
+        fixtures: { type: 'string', default: new URL('./fixtures/wikidata-mock.json', import.meta.url).pathname },
+        'throttle-every': { type: 'string' },
+        'unavailable-every': { type: 'string' },
+        'maxlag-every': { type: 'string' },
+        'retry-after': { type: 'string', default: '1' },
+        help: { type: 'boolean', short: 'h', default: false }
+    }
+});
+
+if (options.help) {
+    process.stdout.write(USAGE);
+    process.exit(0);
+}
+
+const { entities } = JSON.parse(await readFile(options.fixtures, 'utf8'));
+Object.entries(entities).forEach(([id, entity]) => {
+    entity.id = id;
+    entity.type = 'item';
+});
+
+const throttleEvery = Number(options['throttle-every']) || 0;
+const unavailableEvery = Number(options['unavailable-every']) || 0;
+const maxlagEvery = Number(options['maxlag-every']) || 0;
+const stats = { requests: 0, searches: 0, entityRequests: 0, entitiesServed: 0, throttled: 0, unavailable: 0, maxlagged: 0 };
+
+function sendJson(response, status, body, headers = {}) {
+    response.writeHead(status, {
+        'Content-Type': 'application/json; charset=utf-8',
+        'Access-Control-Allow-Origin': '*',
+        'Access-Control-Expose-Headers': 'Retry-After',
+        ...headers
+    });
+    response.end(JSON.stringify(body));
+}
+
+function searchEntities(params) {
+    const search = (params.get('search') || '').toLowerCase();
+    const limit = Number(params.get('limit')) || 7;
+
+    const results = Object.values(entities)
+        .filter(entity => {
+            const names = [entity.labels?.en?.value, ...(entity.aliases?.en || []).map(alias => alias.value)];
+            return names.some(name => name && name.toLowerCase().startsWith(search));
+        })
+        .slice(0, limit)
+        .map(entity => ({
+            id: entity.id,
+            label: entity.labels?.en?.value || entity.id,
+            description: entity.descriptions?.en?.value || ''
+        }));
+
+    return { searchinfo: { search: params.get('search') }, search: results, success: 1 };
+}
+
+function getEntities(params) {
+    const ids = (params.get('ids') || '').split('|').filter(Boolean);
+    if (ids.length > MAX_IDS_PER_REQUEST) {
+        return { error: { code: 'toomanyvalues', info: `Too many values supplied for parameter "ids". The limit is ${MAX_IDS_PER_REQUEST}.` } };
+    }
+
+    const props = params.get('props');
+    const result = {};
+    ids.forEach(id => {
+        const entity = entities[id];
+        if (!entity) {
+            result[id] = { id, missing: '' };
+        } else if (props === 'labels') {
+            result[id] = { id, type: entity.type, labels: entity.labels || {} };
+        } else {
+            result[id] = entity;
+        }
+    });
+    stats.entitiesServed += ids.length;
+
+    return { entities: result, success: 1 };
+}
+
+const server = createServer((request, response) => {
+    const url = new URL(request.url, `http://${request.headers.host}`);
+
+    if (url.pathname === '/stats') {
+        sendJson(response, 200, { ...stats });
+        if (url.searchParams.has('reset')) {
+            Object.keys(stats).forEach(key => { stats[key] = 0; });
+        }
+        return;
+    }
+    if (url.pathname !== '/w/api.php') {
+        sendJson(response, 404, { error: { code: 'notfound', info: `No such path: ${url.pathname}` } });
+        return;
+    }
+
+    stats.requests++;
+    const action = url.searchParams.get('action');
+    console.error(`${stats.requests} ${action} ${url.searchParams.get('search') || url.searchParams.get('ids') || ''}`);
+
+    const retryHeaders = { 'Retry-After': options['retry-after'] };
+    if (throttleEvery && stats.requests % throttleEvery === 0) {
+        stats.throttled++;
+        sendJson(response, 429, { error: { code: 'ratelimited', info: 'Too many requests' } }, retryHeaders);
+        return;
+    }
+    if (unavailableEvery && stats.requests % unavailableEvery === 0) {
+        stats.unavailable++;
+        sendJson(response, 503, { error: { code: 'unavailable', info: 'Service temporarily unavailable' } }, retryHeaders);
+        return;
+    }
+    if (maxlagEvery && stats.requests % maxlagEvery === 0 && url.searchParams.has('maxlag')) {
+        stats.maxlagged++;
+        sendJson(response, 200, { error: { code: 'maxlag', info: 'Waiting for a database server: 6 seconds lagged.', lag: 6 } }, retryHeaders);
+        return;
+    }
+
+    if (action === 'wbsearchentities') {
+        stats.searches++;
+        sendJson(response, 200, searchEntities(url.searchParams));
+    } else if (action === 'wbgetentities') {
+        stats.entityRequests++;
+        sendJson(response, 200, getEntities(url.searchParams));
+    } else {
+        sendJson(response, 200, { error: { code: 'badvalue', info: `Unsupported action: ${action}` } });
+    }
+});
+
+server.listen(Number(options.port), () => {
+    console.error(`Mock Wikidata API on http://localhost:${server.address().port}/w/api.php (${Object.keys(entities).length} items)`);
+});
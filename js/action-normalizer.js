@@ -0,0 +1,334 @@
+// Action normalization. Free-text actions ("Attended", "paid a state visit", "was supported by")
+// are reduced to a lemma phrase ("attend", "pay state visit", "support"), passive voice is
+// detected so the import can swap actor and target, and each action is placed in a taxonomy of
+// event categories. The default taxonomy is the 20 CAMEO root codes, each with a Goldstein-style
+// score from -10 (most conflictual) to +10 (most cooperative) and a quad class. Edit the list, or
+// pass another one with the same shape, to change how actions are classified.
+
+export const QUAD_CLASSES = {
+    1: 'Verbal cooperation',
+    2: 'Material cooperation',
+    3: 'Verbal conflict',
+    4: 'Material conflict'
+};
+
+// verbs are matched against the action's lemmas; phrases (lemmatized, matched whole words) win over verbs
+export const ACTION_TAXONOMY = [
+    { code: '01', label: 'Make public statement', score: 0, quadClass: 1,
+        verbs: ['say', 'state', 'announce', 'declare', 'claim', 'comment', 'report', 'publish', 'post', 'tweet', 'speak', 'write', 'acknowledge', 'admit', 'reveal', 'confirm', 'deny', 'describe', 'predict',
+            'forecast', 'affirm', 'reaffirm', 'emphasize', 'stress', 'address', 'brief', 'outline', 'unveil'],
+        phrases: ['press conference', 'public statement', 'deliver statement'] },
+    { code: '02', label: 'Appeal', score: 3, quadClass: 1,
+        verbs: ['appeal', 'urge', 'request', 'ask', 'petition', 'plead', 'invite', 'encourage', 'press'],
+        phrases: ['call for', 'call on', 'call upon'] },
+    { code: '03', label: 'Express intent to cooperate', score: 4, quadClass: 1,
+        verbs: ['promise', 'pledge', 'offer', 'propose', 'vow', 'commit', 'plan', 'intend'] },
+    { code: '04', label: 'Consult', score: 1, quadClass: 1,
+        verbs: ['meet', 'visit', 'attend', 'host', 'consult', 'discuss', 'talk', 'negotiate', 'confer', 'call', 'phone', 'interview', 'travel', 'tour',
+            'mediate', 'arrive', 'depart', 'accompany', 'preside'],
+        phrases: ['state visit', 'official visit', 'sit down with', 'arrival', 'hold talk', 'inspection tour', 'shake hand'] },
+    { code: '05', label: 'Engage in diplomatic cooperation', score: 3.5, quadClass: 1,
+        verbs: ['praise', 'endorse', 'support', 'thank', 'welcome', 'recognize', 'apologize', 'forgive', 'congratulate', 'sign', 'agree', 'ally', 'back', 'defend', 'commend', 'honor', 'award', 'nominate', 'appoint', 'elect', 'join',
+            'hail', 'appreciate'],
+        phrases: ['express support'] },
+    { code: '06', label: 'Engage in material cooperation', score: 6, quadClass: 2,
+        verbs: ['cooperate', 'collaborate', 'partner', 'trade', 'invest', 'share', 'exchange', 'hire', 'employ', 'buy', 'sell', 'acquire', 'merge', 'train', 'contract',
+            'purchase', 'launch', 'open', 'expand', 'develop', 'establish', 'introduce'] },
+    { code: '07', label: 'Provide aid', score: 7, quadClass: 2,
+        verbs: ['aid', 'help', 'donate', 'fund', 'finance', 'assist', 'rescue', 'supply', 'provide', 'give', 'grant', 'sponsor', 'shelter', 'lend', 'evacuate',
+            'subsidize', 'subsidise'] },
+    { code: '08', label: 'Yield', score: 5, quadClass: 2,
+        verbs: ['yield', 'release', 'free', 'concede', 'surrender', 'resign', 'retreat', 'withdraw', 'ease', 'lift', 'comply', 'allow', 'pardon', 'cede', 'disarm'],
+        phrases: ['step down', 'back down'] },
+    { code: '09', label: 'Investigate', score: -2, quadClass: 3,
+        verbs: ['investigate', 'probe', 'inspect', 'examine', 'audit', 'interrogate', 'subpoena', 'scrutinize'] },
+    { code: '10', label: 'Demand', score: -5, quadClass: 3,
+        verbs: ['demand', 'insist', 'require', 'order'] },
+    { code: '11', label: 'Disapprove', score: -2, quadClass: 3,
+        verbs: ['criticize', 'condemn', 'denounce', 'blame', 'accuse', 'oppose', 'complain', 'object', 'sue', 'fault', 'rebuke', 'slam',
+            'challenge', 'insult', 'mock', 'deride', 'blast'],
+        phrases: ['lawsuit', 'file suit'] },
+    { code: '12', label: 'Reject', score: -4, quadClass: 3,
+        verbs: ['reject', 'refuse', 'veto', 'decline', 'dismiss', 'rebuff', 'block', 'overrule'] },
+    { code: '13', label: 'Threaten', score: -6, quadClass: 3,
+        verbs: ['threaten', 'warn', 'menace', 'intimidate'],
+        phrases: ['ultimatum'] },
+    { code: '14', label: 'Protest', score: -6.5, quadClass: 4,
+        verbs: ['protest', 'demonstrate', 'rally', 'march', 'strike', 'picket', 'boycott', 'riot'],
+        phrases: ['hunger strike', 'sit in'] },
+    { code: '15', label: 'Exhibit force posture', score: -7.2, quadClass: 4,
+        verbs: ['mobilize', 'deploy', 'patrol', 'fortify', 'advance'],
+        phrases: ['military exercise', 'state of emergency', 'mass troop'] },
+    { code: '16', label: 'Reduce relations', score: -4, quadClass: 4,
+        verbs: ['sanction', 'expel', 'suspend', 'cut', 'sever', 'embargo', 'halt', 'freeze', 'downgrade', 'recall', 'terminate'],
+        phrases: ['break off', 'break tie'] },
+    { code: '17', label: 'Coerce', score: -7, quadClass: 4,
+        verbs: ['arrest', 'detain', 'seize', 'confiscate', 'ban', 'censor', 'deport', 'raid', 'jail', 'imprison', 'charge', 'indict', 'prosecute', 'sentence', 'convict', 'fine'],
+        phrases: ['impose curfew'] },
+    { code: '18', label: 'Assault', score: -9, quadClass: 4,
+        verbs: ['attack', 'assault', 'kill', 'murder', 'assassinate', 'beat', 'torture', 'kidnap', 'abduct', 'hijack', 'bomb', 'stab', 'shoot', 'injure', 'wound'] },
+    { code: '19', label: 'Fight', score: -10, quadClass: 4,
+        verbs: ['fight', 'invade', 'shell', 'bombard', 'occupy', 'clash', 'battle', 'retake'],
+        phrases: ['air strike', 'airstrike', 'missile strike', 'open fire'] },
+    { code: '20', label: 'Use unconventional mass violence', score: -10, quadClass: 4,
+        verbs: ['massacre'],
+        phrases: ['ethnic cleansing', 'genocide', 'chemical weapon', 'mass killing'] }
+];
+
+// Raise when normalizeAction reads actions differently, so stored lemmas and codes are recomputed
+const NORMALIZER_VERSION = 2;
+
+// Changes whenever the taxonomy or the normalizer does, so events normalized under an older one
+// are normalized again
+export const ACTION_TAXONOMY_SIGNATURE = taxonomySignature(ACTION_TAXONOMY);
+
+export function taxonomySignature(taxonomy) {
+    const text = JSON.stringify([NORMALIZER_VERSION, ...taxonomy.map(({ code, score, verbs, phrases }) => [code, score, verbs, phrases || []])]);
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+}
+
+const IRREGULAR_FORMS = {
+    paid: 'pay', met: 'meet', held: 'hold', made: 'make', gave: 'give', given: 'give', sent: 'send',
+    went: 'go', gone: 'go', took: 'take', taken: 'take', spoke: 'speak', spoken: 'speak', told: 'tell',
+    said: 'say', threw: 'throw', thrown: 'throw', fought: 'fight', struck: 'strike', brought: 'bring',
+    bought: 'buy', sold: 'sell', left: 'leave', won: 'win', lost: 'lose', began: 'begin', begun: 'begin',
+    led: 'lead', sought: 'seek', caught: 'catch', built: 'build', shot: 'shoot', beaten: 'beat',
+    stole: 'steal', stolen: 'steal', chose: 'choose', chosen: 'choose', saw: 'see', seen: 'see',
+    wrote: 'write', written: 'write', ran: 'run', kept: 'keep', spent: 'spend', fled: 'flee',
+    froze: 'freeze', frozen: 'freeze', broke: 'break', broken: 'break', withdrew: 'withdraw',
+    withdrawn: 'withdraw', overthrew: 'overthrow', overthrown: 'overthrow', forbade: 'forbid',
+    forbidden: 'forbid', forgave: 'forgive', forgiven: 'forgive', hid: 'hide', hidden: 'hide',
+    became: 'become', came: 'come', got: 'get', gotten: 'get', found: 'find', heard: 'hear',
+    stood: 'stand', sat: 'sit', fell: 'fall', fallen: 'fall', lent: 'lend', swore: 'swear',
+    sworn: 'swear', drove: 'drive', driven: 'drive', rose: 'rise', risen: 'rise', slew: 'slay',
+    slain: 'slay', undertook: 'undertake', undertaken: 'undertake', oversaw: 'oversee', overseen: 'oversee',
+    shook: 'shake', shaken: 'shake', bound: 'bind', hung: 'hang', sank: 'sink', sunk: 'sink',
+    retook: 'retake', retaken: 'retake'
+};
+
+// Common verbs outside the taxonomy, so their "-ed" / "-ing" forms get the right stem ("scored" ->
+// "score", not "scor"; "added" -> "add", not "ad")
+const OTHER_VERBS = [
+    'add', 'celebrate', 'close', 'consider', 'continue', 'create', 'decide', 'elevate', 'eliminate',
+    'face', 'fail', 'focus', 'force', 'improve', 'increase', 'issue', 'note', 'orchestrate', 'pause',
+    'please', 'produce', 'prove', 'receive', 'reduce', 'remove', 'replace', 'resolve', 'score', 'secure',
+    'struggle', 'subside', 'substitute', 'use'
+];
+
+const BE_FORMS = new Set(['is', 'are', 'was', 'were', 'be', 'been', 'being', "'s", "'re"]);
+const HAVE_FORMS = new Set(['has', 'have', 'had']);
+const MODALS = new Set(['will', 'would', 'shall', 'should', 'may', 'might', 'can', 'could', 'must', 'did', 'does', 'do']);
+// "is expected to", "is likely to": what follows is the action
+const RAISING_WORDS = new Set(['expected', 'likely', 'unlikely', 'set', 'due', 'going', 'about']);
+const NEGATIONS = new Set(['not', "n't", 'never']);
+const ARTICLES = new Set(['a', 'an', 'the']);
+// A word after one of these starts another verb phrase: "stole the ball and scored"
+const COORDINATORS = new Set(['and', 'or', 'then']);
+// Play-by-play from games ("blocked three shots", "hit a game-winning shot") is not an event the
+// taxonomy describes, whatever its verb
+const GAME_TERMS = new Set(['shot', 'rebound', 'three-pointer', 'triple-double', 'double-double', 'ball', 'dunk', 'touchdown', 'free-throw']);
+const PREPOSITIONS = new Set(['by', 'to', 'with', 'against', 'on', 'at', 'in', 'of', 'for', 'from', 'into', 'over', 'about', 'upon']);
+// Words ending in "ly" that are not adverbs
+const NOT_ADVERBS = new Set(['ally', 'rally', 'apply', 'supply', 'reply', 'rely', 'fly', 'comply', 'multiply', 'imply']);
+
+// Lookup tables for a taxonomy, built once per taxonomy list
+const taxonomyIndexes = new WeakMap();
+
+function getTaxonomyIndex(taxonomy) {
+    if (!taxonomyIndexes.has(taxonomy)) {
+        const verbs = new Map();
+        const phrases = [];
+        taxonomy.forEach(category => {
+            category.verbs.forEach(verb => { if (!verbs.has(verb)) verbs.set(verb, category); });
+            (category.phrases || []).forEach(phrase => phrases.push({ words: phrase.split(' '), category }));
+        });
+        // Longer phrases first, so "hunger strike" wins over a bare "strike"
+        phrases.sort((a, b) => b.words.length - a.words.length);
+        const knownVerbs = new Set([...verbs.keys(), ...Object.values(IRREGULAR_FORMS), ...OTHER_VERBS]);
+        taxonomyIndexes.set(taxonomy, { verbs, phrases, knownVerbs, byCode: new Map(taxonomy.map(category => [category.code, category])) });
+    }
+    return taxonomyIndexes.get(taxonomy);
+}
+
+function undouble(stem) {
+    return /([b-df-hj-km-np-tv-z])\1$/.test(stem) && !/(ll|ss|zz|ff)$/.test(stem) ? stem.slice(0, -1) : stem;
+}
+
+// The stem of an unknown "-ed" / "-ing" word: "stopped" -> "stop", "used" -> "use", "opened" -> "open"
+function guessStem(stem) {
+    if (undouble(stem) !== stem) return undouble(stem);
+    if (/([vzuc]|[^aeiou][aiou][sgkl])$/.test(stem)) return `${stem}e`;
+    return stem;
+}
+
+// Base form of an inflected verb (or plural noun). Taxonomy verbs decide between candidate stems
+// ("used" -> "use", "stopped" -> "stop"); unknown words fall back to simple suffix rules.
+export function lemmatizeWord(word, taxonomy = ACTION_TAXONOMY) {
+    const lower = word.toLowerCase();
+    if (IRREGULAR_FORMS[lower]) return IRREGULAR_FORMS[lower];
+
+    const { knownVerbs } = getTaxonomyIndex(taxonomy);
+    if (knownVerbs.has(lower)) return lower;
+
+    const candidates = [];
+    if (/[^aeiou]ie[sd]$/.test(lower)) candidates.push(`${lower.slice(0, -3)}y`);
+    if (/ed$/.test(lower) || (/ing$/.test(lower) && lower.length > 5)) {
+        const stem = lower.slice(0, lower.endsWith('ed') ? -2 : -3);
+        // British spelling doubles a final l: "travelled", "patrolled"
+        candidates.push(guessStem(stem), undouble(stem), stem, `${stem}e`, stem.replace(/ll$/, 'l'));
+    } else if (/(ss|sh|ch|x|z)es$/.test(lower)) {
+        candidates.push(lower.slice(0, -2));
+    } else if (/[^su]s$/.test(lower)) {
+        candidates.push(lower.slice(0, -1));
+    }
+
+    return candidates.find(candidate => knownVerbs.has(candidate)) || candidates[0] || lower;
+}
+
+// Singular of a plural noun ("ties" -> "tie", "weapons" -> "weapon"), for matching phrases
+function singularize(word) {
+    if (/[^aeiou]ies$/.test(word) && word.length > 4) return `${word.slice(0, -3)}y`;
+    if (/(ss|sh|ch|x|z)es$/.test(word)) return word.slice(0, -2);
+    if (/[a-z][^su'\d]s$/.test(word)) return word.slice(0, -1);
+    return word;
+}
+
+// Words with their digits and apostrophes ("76ers", "China's"); curly apostrophes become straight
+function tokenize(text) {
+    return String(text || '')
+        .replace(/[\u2018\u2019]/g, "'")
+        .replace(/n't\b/gi, " n't")
+        .split(/[^\p{L}\p{N}'-]+/u)
+        .filter(Boolean);
+}
+
+function isParticiple(word) {
+    const lower = word.toLowerCase();
+    return /(ed|en)$/.test(lower) || Object.prototype.hasOwnProperty.call(IRREGULAR_FORMS, lower);
+}
+
+// { text, lemma, verb, passive, negated, activeText, code, label, score, quadClass } for one action.
+// lemma is the whole action in base form without articles or trailing prepositions; code is null
+// when nothing in the taxonomy matches.
+export function normalizeAction(text, taxonomy = ACTION_TAXONOMY) {
+    const result = {
+        text: String(text || ''),
+        lemma: '',
+        verb: '',
+        passive: false,
+        negated: false,
+        activeText: String(text || '').trim(),
+        code: null,
+        label: null,
+        score: null,
+        quadClass: null
+    };
+
+    let tokens = tokenize(text);
+    let afterBe = false;
+    let negated = false;
+
+    // Strip auxiliaries, modals, negation and adverbs in front of the main verb
+    for (;;) {
+        const first = tokens[0]?.toLowerCase();
+        if (!first) break;
+        if (NEGATIONS.has(first)) {
+            negated = true;
+        } else if (BE_FORMS.has(first)) {
+            afterBe = true;
+        } else if (HAVE_FORMS.has(first) || MODALS.has(first)) {
+            // "has met" stays active; only a form of "be" makes it passive
+        } else if (RAISING_WORDS.has(first) && tokens[1]?.toLowerCase() === 'to' && tokens.length > 2) {
+            tokens = tokens.slice(1);
+        } else if (first.endsWith('ly') && !NOT_ADVERBS.has(first) && tokens.length > 1) {
+            // "reportedly attacked"
+        } else {
+            break;
+        }
+        tokens = tokens.slice(1);
+    }
+    if (tokens.length === 0) return result;
+
+    // Passive with its agent, "was supported by": the event's target did the supporting.
+    // Without "by" ("was arrested", "is expected to attend") the actor stays the actor.
+    const main = tokens[0].toLowerCase();
+    const byIndex = tokens.findIndex((token, index) => index > 0 && token.toLowerCase() === 'by');
+    const passive = afterBe && !main.endsWith('ing') && isParticiple(main) && byIndex !== -1;
+    if (passive) tokens = tokens.slice(0, byIndex);
+
+    // Only words in verb position are reduced to a base form and looked up as verbs; the rest are
+    // kept as written, so "shot" in "hit a game-winning shot" stays a noun
+    const verbPositions = new Set([0]);
+    tokens.forEach((token, index) => {
+        if (index > 0 && COORDINATORS.has(tokens[index - 1].toLowerCase())) verbPositions.add(index);
+    });
+    const lemmas = tokens.map((token, index) =>
+        (verbPositions.has(index) ? lemmatizeWord(token, taxonomy) : token.toLowerCase()));
+    const positions = lemmas.map((lemma, index) => index).filter(index => !ARTICLES.has(lemmas[index]));
+    const words = positions.map(index => lemmas[index]);
+    const content = [...words];
+    while (content.length > 1 && PREPOSITIONS.has(content[content.length - 1])) content.pop();
+    // Phrases are matched with nouns in the singular: "broke ties" -> "break tie"
+    const phraseWords = positions.map(index => (verbPositions.has(index) ? lemmas[index] : singularize(lemmas[index])));
+
+    result.verb = lemmas[0];
+    result.lemma = [...(negated ? ['not'] : []), ...content].join(' ');
+    result.passive = passive;
+    result.negated = negated;
+    if (passive) result.activeText = tokens.join(' ');
+
+    // A negated action did not happen, so it is not classified
+    if (negated) return result;
+    if (phraseWords.some(word => GAME_TERMS.has(word))) return result;
+
+    const index = getTaxonomyIndex(taxonomy);
+    const category = index.phrases.find(phrase =>
+        phraseWords.some((_, start) => phrase.words.every((word, offset) => phraseWords[start + offset] === word)))?.category
+        || [...verbPositions].map(position => index.verbs.get(lemmas[position])).find(Boolean)
+        || null;
+    if (category) {
+        Object.assign(result, { code: category.code, label: category.label, score: category.score, quadClass: category.quadClass });
+    }
+    return result;
+}
+
+export function getActionCategory(code, taxonomy = ACTION_TAXONOMY) {
+    return getTaxonomyIndex(taxonomy).byCode.get(code) || null;
+}
+
+// The normalized fields stored on events
+export function getEventActionFields(normalized, signature = ACTION_TAXONOMY_SIGNATURE) {
+    return {
+        actionLemma: normalized.lemma,
+        actionCode: normalized.code,
+        actionScore: normalized.score,
+        actionTaxonomy: signature
+    };
+}
+
+// { lemma, code, label, score, quadClass } for an event, from its stored fields or, for events
+// saved before normalization, from its action text
+export function getEventAction(event, taxonomy = ACTION_TAXONOMY) {
+    if (event.actionLemma !== undefined) {
+        const category = event.actionCode ? getActionCategory(event.actionCode, taxonomy) : null;
+        return {
+            lemma: event.actionLemma || event.action,
+            code: event.actionCode || null,
+            label: category?.label || null,
+            score: event.actionScore ?? category?.score ?? null,
+            quadClass: category?.quadClass || null
+        };
+    }
+    const { lemma, code, label, score, quadClass } = normalizeAction(event.action, taxonomy);
+    return { lemma: lemma || event.action, code, label, score, quadClass };
+}
+
+// "04 Consult"
+export function formatActionCategory(code, taxonomy = ACTION_TAXONOMY) {
+    const category = getActionCategory(code, taxonomy);
+    return category ? `${category.code} ${category.label}` : 'Unclassified';
+}
@@ -0,0 +1,157 @@
+// Column mapping between CSV headers and the canonical import fields
+
+export const CANONICAL_FIELDS = [
+    { key: 'Actor', label: 'Actor', required: true, synonyms: ['actor', 'actors', 'subject', 'subj', 'agent', 'source entity', 'who'] },
+    { key: 'Action', label: 'Action', required: true, synonyms: ['action', 'actions', 'predicate', 'pred', 'verb', 'relation', 'event type'] },
+    { key: 'Target', label: 'Target', required: false, synonyms: ['target', 'targets', 'object', 'obj', 'patient', 'recipient', 'target entity'] },
+    { key: 'Sentence', label: 'Sentence', required: false, synonyms: ['sentence', 'text', 'description', 'summary', 'context', 'snippet', 'quote'] },
+    { key: 'Date Received', label: 'Date Received', required: true, synonyms: ['date received', 'received', 'received at', 'published at', 'published', 'publish date', 'publication date', 'ingested at', 'reported at', 'report date'] },
+    { key: 'Locations', label: 'Locations', required: false, synonyms: ['locations', 'location', 'place', 'places', 'where', 'geo'] },
+    { key: 'Datetimes', label: 'Datetimes', required: false, synonyms: ['datetimes', 'datetime', 'date time', 'event date', 'event time', 'when', 'occurred at', 'date', 'time'] },
+    { key: 'Sources', label: 'Sources', required: false, synonyms: ['sources', 'source', 'url', 'urls', 'link', 'links', 'reference', 'references', 'citation'] },
+    { key: 'Time Zone', label: 'Time Zone', required: false, synonyms: ['time zone', 'timezone', 'tz', 'zone', 'tzid', 'iana time zone'] }
+];
+
+const PROFILES_STORAGE_KEY = 'kb_column_mapping_profiles';
+
+export class ColumnMapper {
+    constructor(storage = (typeof localStorage !== 'undefined' ? localStorage : null)) {
+        this.storage = storage;
+        this.fields = CANONICAL_FIELDS;
+    }
+
+    // Normalize a header for comparison: lowercase, unify separators, drop punctuation
+    normalizeHeader(header) {
+        return String(header || '')
+            .replace(/([a-z])([A-Z])/g, '$1 $2')
+            .toLowerCase()
+            .replace(/[_\-.]+/g, ' ')
+            .replace(/[^a-z0-9 ]/g, '')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    // Suggest a mapping of canonical field key -> source header (or '' when nothing fits)
+    suggestMapping(headers) {
+        const mapping = {};
+        const used = new Set();
+        const normalized = headers.map(header => ({ header, norm: this.normalizeHeader(header) }));
+
+        // Exact synonym matches first so that e.g. "date" doesn't steal "Date Received"
+        for (const field of this.fields) {
+            const match = normalized.find(h => !used.has(h.header) && field.synonyms.includes(h.norm));
+            if (match) {
+                mapping[field.key] = match.header;
+                used.add(match.header);
+            }
+        }
+
+        // Then partial matches on whole words for the fields still unmapped
+        for (const field of this.fields) {
+            if (mapping[field.key]) continue;
+
+            const match = normalized.find(h => !used.has(h.header) && field.synonyms.some(synonym =>
+                synonym.length > 3 && (` ${h.norm} `.includes(` ${synonym} `) || ` ${synonym} `.includes(` ${h.norm} `))
+            ));
+            if (match) {
+                mapping[field.key] = match.header;
+                used.add(match.header);
+            }
+        }
+
+        return Object.fromEntries(this.fields.map(field => [field.key, mapping[field.key] || '']));
+    }
+
+    // Return a list of problems with a mapping; empty when it can be used for import
+    validateMapping(mapping, headers = null) {
+        const errors = [];
+
+        this.fields.forEach(field => {
+            const header = mapping[field.key];
+            if (field.required && !header) {
+                errors.push(`${field.label} must be mapped to a column`);
+            } else if (header && headers && !headers.includes(header)) {
+                errors.push(`Column "${header}" for ${field.label} is not in this file`);
+            }
+        });
+
+        return errors;
+    }
+
+    // Translate a parsed row into a row keyed by canonical field names
+    applyMapping(row, mapping) {
+        const mapped = {};
+        this.fields.forEach(field => {
+            const header = mapping[field.key];
+            mapped[field.key] = header ? (row[header] ?? '') : '';
+        });
+        return mapped;
+    }
+
+    // Wrap a row source (array or async iterable) so it yields canonical rows
+    async *mapRows(rowSource, mapping) {
+        for await (const row of rowSource) {
+            yield this.applyMapping(row, mapping);
+        }
+    }
+
+    // Header signature used to recognise a feed we have seen before
+    getHeaderSignature(headers) {
+        return headers.map(header => this.normalizeHeader(header)).sort().join('|');
+    }
+
+    // Saved mapping profiles
+    loadProfiles() {
+        if (!this.storage) return {};
+
+        try {
+            return JSON.parse(this.storage.getItem(PROFILES_STORAGE_KEY)) || {};
+        } catch (error) {
+            console.warn('Could not read column mapping profiles:', error);
+            return {};
+        }
+    }
+
+    saveProfile(name, mapping, headers = []) {
+        const profileName = String(name || '').trim();
+        if (!profileName) {
+            throw new Error('Mapping profile name is required');
+        }
+
+        const profiles = this.loadProfiles();
+        profiles[profileName] = {
+            name: profileName,
+            mapping: { ...mapping },
+            headerSignature: this.getHeaderSignature(headers),
+            updatedAt: new Date().toISOString()
+        };
+        this.persistProfiles(profiles);
+        return profiles[profileName];
+    }
+
+    deleteProfile(name) {
+        const profiles = this.loadProfiles();
+        delete profiles[name];
+        this.persistProfiles(profiles);
+    }
+
+    getProfile(name) {
+        return this.loadProfiles()[name] || null;
+    }
+
+    // Find the saved profile whose headers match this file exactly, if any
+    findProfileForHeaders(headers) {
+        const signature = this.getHeaderSignature(headers);
+        return Object.values(this.loadProfiles()).find(profile => profile.headerSignature === signature) || null;
+    }
+
+    persistProfiles(profiles) {
+        if (!this.storage) return;
+
+        try {
+            this.storage.setItem(PROFILES_STORAGE_KEY, JSON.stringify(profiles));
+        } catch (error) {
+            console.error('Could not save column mapping profiles:', error);
+        }
+    }
+}
@@ -1,18 +1,19 @@
 // Cross-reference optimization service for efficient entity relationship queries
 
-import { db } from './config.js';
-import { collection, getDocs, query, where, orderBy, limit } from 'https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js';
+import { storage as defaultStorage } from './storage.js';
+import { EVENT_ENTITY_FIELDS, getEventEntityIds } from './event-references.js';
+import { getEventAction } from './action-normalizer.js';
 
 export class CrossReferenceService {
-    constructor() {
-        this.db = db;
+    constructor(storage = defaultStorage) {
+        this.storage = storage;
         this.relationshipCache = new Map();
         this.entityConnectionCache = new Map();
     }
 
     // Get entities that frequently appear together
-    async getRelatedEntities(entityName, maxResults = 10) {
-        const cacheKey = `related_${entityName}_${maxResults}`;
+    async getRelatedEntities(entityId, maxResults = 10) {
+        const cacheKey = `related_${entityId}_${maxResults}`;
         
         if (this.relationshipCache.has(cacheKey)) {
             return this.relationshipCache.get(cacheKey);
@@ -20,21 +21,21 @@ export class CrossReferenceService {
 
         try {
             // Query events where this entity appears as actor
-            const actorEvents = await this.getEventsForEntity(entityName, 'actor');
+            const actorEvents = await this.getEventsForEntity(entityId, 'actor');
             
             // Query events where this entity appears as target
-            const targetEvents = await this.getEventsForEntity(entityName, 'target');
+            const targetEvents = await this.getEventsForEntity(entityId, 'target');
             
-            // Combine and analyze co-occurrences
-            const allEvents = [...actorEvents, ...targetEvents];
-            const coOccurrences = this.analyzeCoOccurrences(entityName, allEvents);
+            // Combine (an entity can be both actor and target of one event) and analyze co-occurrences
+            const allEvents = [...new Map([...actorEvents, ...targetEvents].map(event => [event.id, event])).values()];
+            const coOccurrences = this.analyzeCoOccurrences(entityId, allEvents);
             
             // Sort by frequency and return top results
             const sortedRelated = Object.entries(coOccurrences)
                 .sort(([,a], [,b]) => b.count - a.count)
                 .slice(0, maxResults)
-                .map(([name, data]) => ({
-                    name,
+                .map(([id, data]) => ({
+                    id,
                     connectionCount: data.count,
                     relationshipTypes: data.types,
                     lastInteraction: data.lastDate
@@ -50,74 +51,42 @@ export class CrossReferenceService {
         }
     }
 
-    async getEventsForEntity(entityName, role) {
+    async getEventsForEntity(entityId, role) {
         try {
-            const q = query(
-                collection(this.db, 'events'),
-                where(role, '==', entityName),
-                orderBy('dateReceived', 'desc'),
-                limit(100) // Limit for performance
-            );
-            
-            const snapshot = await getDocs(q);
-            const events = [];
-            
-            snapshot.forEach(doc => {
-                events.push(doc.data());
+            const { docs } = await this.storage.query('events', {
+                where: [[EVENT_ENTITY_FIELDS[role], 'array-contains', entityId]],
+                orderBy: [['dateReceived', 'desc']],
+                limit: 100 // Limit for performance
             });
             
-            return events;
+            return docs.map(doc => doc.data);
         } catch (error) {
-            console.error(`Error getting events for ${role} ${entityName}:`, error);
+            console.error(`Error getting events for ${role} ${entityId}:`, error);
             return [];
         }
     }
 
-    analyzeCoOccurrences(targetEntity, events) {
+    analyzeCoOccurrences(targetEntityId, events) {
         const coOccurrences = {};
         
         events.forEach(event => {
-            const entities = new Set();
-            
-            // Extract all entities from the event
-            if (event.actor && event.actor !== targetEntity) {
-                const actors = event.actor.split(',').map(a => a.trim());
-                actors.forEach(actor => entities.add(actor));
-            }
-            
-            if (event.target && event.target.trim() !== '' && event.target !== targetEntity) {
-                const targets = event.target.split(',').map(t => t.trim());
-                targets.forEach(target => {
-                    if (target.length > 0) {
-                        entities.add(target);
-                    }
-                });
-            }
-            
-            if (event.locations) {
-                const locations = Array.isArray(event.locations) 
-                    ? event.locations 
-                    : event.locations.split(',').map(l => l.trim());
-                locations.forEach(location => entities.add(location));
-            }
-            
-            // Count co-occurrences
-            entities.forEach(entityName => {
-                if (entityName !== targetEntity && entityName.length > 0) {
-                    if (!coOccurrences[entityName]) {
-                        coOccurrences[entityName] = {
+            // Count co-occurrences with every other entity the event references
+            getEventEntityIds(event).forEach(entityId => {
+                if (entityId !== targetEntityId) {
+                    if (!coOccurrences[entityId]) {
+                        coOccurrences[entityId] = {
                             count: 0,
                             types: new Set(),
                             lastDate: null
                         };
                     }
                     
-                    coOccurrences[entityName].count++;
-                    coOccurrences[entityName].types.add(event.action);
+                    coOccurrences[entityId].count++;
+                    coOccurrences[entityId].types.add(event.action);
                     
                     const eventDate = new Date(event.dateReceived);
-                    if (!coOccurrences[entityName].lastDate || eventDate > coOccurrences[entityName].lastDate) {
-                        coOccurrences[entityName].lastDate = eventDate;
+                    if (!coOccurrences[entityId].lastDate || eventDate > coOccurrences[entityId].lastDate) {
+                        coOccurrences[entityId].lastDate = eventDate;
                     }
                 }
             });
@@ -141,23 +110,18 @@ export class CrossReferenceService {
 
         try {
             // Get the entity document
-            const entityQuery = query(
-                collection(this.db, entityType),
-                where('id', '==', entityId)
-            );
-            
-            const entitySnapshot = await getDocs(entityQuery);
-            if (entitySnapshot.empty) {
+            const { docs } = await this.storage.query(entityType, {
+                where: [['id', '==', entityId]],
+                limit: 1
+            });
+            if (docs.length === 0) {
                 return null;
             }
             
-            const entity = entitySnapshot.docs[0].data();
-            const entityName = entity.name;
-            
             // Get all events involving this entity
             const [actorEvents, targetEvents] = await Promise.all([
-                this.getEventsForEntity(entityName, 'actor'),
-                this.getEventsForEntity(entityName, 'target')
+                this.getEventsForEntity(entityId, 'actor'),
+                this.getEventsForEntity(entityId, 'target')
             ]);
             
             const allEvents = [...actorEvents, ...targetEvents];
@@ -168,8 +132,9 @@ export class CrossReferenceService {
                 asActor: actorEvents.length,
                 asTarget: targetEvents.length,
                 actionTypes: this.getActionTypeStats(allEvents),
+                actionCategories: this.getActionCategoryStats(allEvents),
                 timelineStats: this.getTimelineStats(allEvents),
-                topRelatedEntities: await this.getRelatedEntities(entityName, 5)
+                topRelatedEntities: await this.getRelatedEntities(entityId, 5)
             };
             
             // Cache the result
@@ -182,17 +147,46 @@ export class CrossReferenceService {
         }
     }
 
+    // Counts by normalized action, so "Attended" and "attends" count together
     getActionTypeStats(events) {
-        const actionCounts = {};
+        const actionCounts = new Map();
         
         events.forEach(event => {
-            const action = event.action;
-            actionCounts[action] = (actionCounts[action] || 0) + 1;
+            const { lemma, code, label } = getEventAction(event);
+            const entry = actionCounts.get(lemma) || { action: lemma, code, label, count: 0 };
+            entry.count++;
+            actionCounts.set(lemma, entry);
         });
         
-        return Object.entries(actionCounts)
-            .sort(([,a], [,b]) => b - a)
-            .map(([action, count]) => ({ action, count }));
+        return [...actionCounts.values()].sort((a, b) => b.count - a.count);
+    }
+
+    // Counts by taxonomy category, with the average cooperation/conflict score of classified events
+    // and the share of events no category matched, so gaps in the taxonomy show up
+    getActionCategoryStats(events) {
+        const categories = new Map();
+        let scored = 0;
+        let scoreTotal = 0;
+
+        events.forEach(event => {
+            const { code, label, score } = getEventAction(event);
+            const key = code || 'unclassified';
+            const entry = categories.get(key) || { code, label: label || 'Unclassified', count: 0 };
+            entry.count++;
+            categories.set(key, entry);
+            if (typeof score === 'number') {
+                scored++;
+                scoreTotal += score;
+            }
+        });
+
+        const unclassified = categories.get('unclassified')?.count || 0;
+        return {
+            categories: [...categories.values()].sort((a, b) => b.count - a.count),
+            averageScore: scored > 0 ? scoreTotal / scored : null,
+            unclassified,
+            unclassifiedShare: events.length > 0 ? Math.round((unclassified / events.length) * 1000) / 1000 : null
+        };
     }
 
     getTimelineStats(events) {
@@ -1,78 +1,201 @@
 // CSV parsing and file handling functionality
 
-export class CSVParser {
-    constructor() {
-        this.rawData = null;
+// Incremental RFC 4180 tokenizer. Text is pushed in arbitrary chunks and complete
+// records are handed to onRecord, so quoted fields may span newlines and chunk
+// boundaries. Handles CRLF/LF/CR line endings, a leading BOM and "" escapes.
+export class CSVStreamTokenizer {
+    constructor(onRecord) {
+        this.onRecord = onRecord;
+        this.field = '';
+        this.record = [];
+        this.inQuotes = false;
+        this.afterQuote = false; // Just closed a quoted section; a second quote is an escape
+        this.skipLineFeed = false; // Previous char was \r, so a following \n is part of the same break
+        this.started = false;
     }
 
-    async parseFile(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = (e) => {
-                try {
-                    const csv = e.target.result;
-                    const rows = this.parseCSV(csv);
-                    this.rawData = rows;
-                    resolve(rows);
-                } catch (error) {
-                    reject(error);
+    push(text) {
+        if (!text) return;
+
+        let i = 0;
+        if (!this.started) {
+            this.started = true;
+            if (text.charCodeAt(0) === 0xFEFF) i = 1; // Strip byte order mark
+        }
+
+        for (; i < text.length; i++) {
+            const char = text[i];
+
+            if (this.skipLineFeed) {
+                this.skipLineFeed = false;
+                if (char === '\n') continue;
+            }
+
+            if (this.inQuotes) {
+                if (char === '"') {
+                    this.inQuotes = false;
+                    this.afterQuote = true;
+                } else {
+                    this.field += char;
                 }
-            };
-            reader.onerror = () => reject(new Error('Failed to read file'));
-            reader.readAsText(file);
-        });
-    }
+                continue;
+            }
 
-    parseCSV(csv) {
-        const lines = csv.split('\n');
-        const headers = this.parseCSVLine(lines[0]);
-        const rows = [];
+            if (char === '"') {
+                if (this.afterQuote) {
+                    // Escaped quote inside a quoted field
+                    this.field += '"';
+                    this.inQuotes = true;
+                    this.afterQuote = false;
+                } else if (this.field.trim() === '') {
+                    this.field = '';
+                    this.inQuotes = true;
+                } else {
+                    // Stray quote in an unquoted field - keep it literally
+                    this.field += char;
+                }
+                continue;
+            }
+
+            this.afterQuote = false;
 
-        for (let i = 1; i < lines.length; i++) {
-            const line = lines[i].trim();
-            if (line) {
-                const values = this.parseCSVLine(line);
-                const row = {};
-                headers.forEach((header, index) => {
-                    row[header] = values[index] || '';
-                });
-                rows.push(row);
+            if (char === ',') {
+                this.endField();
+            } else if (char === '\r') {
+                this.endRecord();
+                this.skipLineFeed = true;
+            } else if (char === '\n') {
+                this.endRecord();
+            } else {
+                this.field += char;
             }
         }
+    }
+
+    end() {
+        if (this.inQuotes) {
+            console.warn('CSV ended inside a quoted field; keeping the partial value');
+        }
+        if (this.field !== '' || this.record.length > 0) {
+            this.endRecord();
+        }
+        this.inQuotes = false;
+        this.afterQuote = false;
+    }
+
+    endField() {
+        this.record.push(this.field);
+        this.field = '';
+    }
+
+    endRecord() {
+        this.endField();
+        const record = this.record;
+        this.record = [];
+        this.afterQuote = false;
+
+        // Skip blank lines
+        if (record.length === 1 && record[0].trim() === '') return;
+
+        this.onRecord(record);
+    }
+}
 
+export class CSVParser {
+    constructor() {
+        this.rawData = null;
+        this.headers = [];
+        this.chunkSize = 1024 * 1024; // Read files 1 MB at a time
+        this.bytesRead = 0;
+        this.totalBytes = 0;
+    }
+
+    // Read the whole file into memory. Prefer streamRows() for large files.
+    async parseFile(file) {
+        const rows = [];
+        for await (const row of this.streamRows(file)) {
+            rows.push(row);
+        }
+        this.rawData = rows;
         return rows;
     }
 
-    parseCSVLine(line) {
-        const result = [];
-        let current = '';
-        let inQuotes = false;
-        let i = 0;
+    // Stream rows from a File/Blob, reading it in chunks. Rows are yielded as soon
+    // as they are complete, so processing can start before the file is fully read.
+    async *streamRows(file, options = {}) {
+        const chunkSize = options.chunkSize || this.chunkSize;
+        const decoder = new TextDecoder('utf-8');
+        const pending = [];
+        let headers = null;
+
+        const tokenizer = new CSVStreamTokenizer(record => {
+            if (!headers) {
+                headers = record.map(header => header.trim());
+                this.headers = headers;
+                return;
+            }
+            pending.push(this.recordToRow(headers, record));
+        });
 
-        while (i < line.length) {
-            const char = line[i];
-            const nextChar = line[i + 1];
+        this.headers = [];
+        this.bytesRead = 0;
+        this.totalBytes = file.size;
 
-            if (char === '"' && !inQuotes) {
-                inQuotes = true;
-            } else if (char === '"' && inQuotes) {
-                if (nextChar === '"') {
-                    current += '"';
-                    i++; // Skip next quote
-                } else {
-                    inQuotes = false;
+        try {
+            for (let offset = 0; offset < file.size; offset += chunkSize) {
+                const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+                this.bytesRead = Math.min(offset + chunkSize, file.size);
+                tokenizer.push(decoder.decode(buffer, { stream: true }));
+
+                while (pending.length > 0) {
+                    yield pending.shift();
                 }
-            } else if (char === ',' && !inQuotes) {
-                result.push(current.trim());
-                current = '';
-            } else {
-                current += char;
             }
-            i++;
+
+            tokenizer.push(decoder.decode());
+            tokenizer.end();
+            while (pending.length > 0) {
+                yield pending.shift();
+            }
+        } catch (error) {
+            throw new Error('Failed to read file: ' + error.message);
+        }
+    }
+
+    // Read just the headers and the first few rows, for previewing before import
+    async previewRows(file, limit = 5) {
+        const rows = [];
+        for await (const row of this.streamRows(file, { chunkSize: 64 * 1024 })) {
+            rows.push(row);
+            if (rows.length >= limit) break;
         }
+        return { headers: [...this.headers], rows };
+    }
 
-        result.push(current.trim());
-        return result;
+    // Fraction of the current file that has been read (0-1)
+    getProgress() {
+        return this.totalBytes > 0 ? this.bytesRead / this.totalBytes : 0;
+    }
+
+    parseCSV(csv) {
+        const records = [];
+        const tokenizer = new CSVStreamTokenizer(record => records.push(record));
+        tokenizer.push(csv);
+        tokenizer.end();
+
+        if (records.length === 0) return [];
+
+        const headers = records[0].map(header => header.trim());
+        this.headers = headers;
+        return records.slice(1).map(record => this.recordToRow(headers, record));
+    }
+
+    recordToRow(headers, record) {
+        const row = {};
+        headers.forEach((header, index) => {
+            row[header] = record[index] !== undefined ? record[index].trim() : '';
+        });
+        return row;
     }
 
     parseEntities(entityString) {
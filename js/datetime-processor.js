@@ -1,389 +1,699 @@
-// Date and time processing utilities with duration support
+// Date and time processing utilities with duration support. Datetime text is read by a small
+// grammar: a range is two points joined by "to", "through", "until", a dash or an ISO 8601 "/",
+// or "since X"; a point is an ISO or written date, a quarter, a season, "week of X", a relative
+// expression ("yesterday", "Tuesday night", "3 weeks ago") or "early", "mid" or "late" any of those.
+// Every result keeps the interval the text names (startDate..endDate) and an uncertainty window
+// (earliestDate..latestDate) the event falls in; the two differ for approximate expressions such
+// as "mid-September 2024", "around May 5" or "recently". Relative expressions are read in the
+// row's time zone (see time-zones.js), so "Tuesday night" means the same instant wherever the
+// import runs. EDTF strings ("2023~", "2024-05?", "../2025-02") are read as they are, and every
+// result carries its EDTF form (see edtf.js).
 
-export class DateTimeProcessor {
-    constructor() {
-        this.timeMap = {
-            'morning': 8,
-            'afternoon': 14,
-            'evening': 18,
-            'night': 22
-        };
-        
-        // Month name mappings
-        this.monthMap = {
-            'january': 0, 'jan': 0,
-            'february': 1, 'feb': 1,
-            'march': 2, 'mar': 2,
-            'april': 3, 'apr': 3,
-            'may': 4,
-            'june': 5, 'jun': 5,
-            'july': 6, 'jul': 6,
-            'august': 7, 'aug': 7,
-            'september': 8, 'sep': 8, 'sept': 8,
-            'october': 9, 'oct': 9,
-            'november': 10, 'nov': 10,
-            'december': 11, 'dec': 11
-        };
+import { DEFAULT_TIME_ZONE, getZonedParts, getDisplayTimeZone, getTimeZoneOffset, toWallClock, fromWallClock } from './time-zones.js';
+import { parseEDTF, toEDTF } from './edtf.js';
+
+const MONTHS = {
+    january: 0, jan: 0,
+    february: 1, feb: 1,
+    march: 2, mar: 2,
+    april: 3, apr: 3,
+    may: 4,
+    june: 5, jun: 5,
+    july: 6, jul: 6,
+    august: 7, aug: 7,
+    september: 8, sept: 8, sep: 8,
+    october: 9, oct: 9,
+    november: 10, nov: 10,
+    december: 11, dec: 11
+};
+const MONTH = `(${Object.keys(MONTHS).join('|')})\\.?`;
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const WEEKDAY = `(${WEEKDAYS.join('|')})`;
+
+// Hours [from, to) of each part of the day; night runs into the next morning
+const TIMES_OF_DAY = {
+    morning: [6, 12],
+    afternoon: [12, 18],
+    evening: [18, 22],
+    night: [22, 28]
+};
+
+// First month of each meteorological season (northern hemisphere); winter runs into the next year
+const SEASONS = { spring: 2, summer: 5, autumn: 8, fall: 8, winter: 11 };
+
+const NUMBER_WORDS = {
+    a: 1, an: 1, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6,
+    seven: 7, eight: 8, nine: 9, ten: 10, eleven: 11, twelve: 12
+};
+const COUNT = `(\\d+|${Object.keys(NUMBER_WORDS).join('|')})`;
+
+// Vague counts as [fewest, most]
+const VAGUE_COUNTS = { 'a couple of': [2, 3], 'couple of': [2, 3], 'a few': [2, 5], few: [2, 5], several: [3, 7] };
+
+// Range separators, tried in this order; a bare hyphen only splits when both sides parse
+const RANGE_SEPARATORS = [
+    /\s+(?:to|through|thru|until|till)\s+/g,
+    /\s*[–—]\s*/g,
+    /\s+-\s+/g,
+    /(?<!\b(?:early|mid|late))-/g
+];
+
+const GRANULARITY_ORDER = ['instant', 'day', 'week', 'month', 'quarter', 'season', 'year'];
+
+function toCount(word) {
+    return NUMBER_WORDS[word] ?? parseInt(word, 10);
+}
+
+// The grammar works on wall-clock times held in Date's UTC fields ("floating" dates), so calendar
+// arithmetic never sees the zone of the machine it runs on; results are converted to instants in
+// the row's zone at the end
+function wallClock(year, month = 0, day = 1, hours = 0, minutes = 0, seconds = 0, ms = 0) {
+    const date = new Date(Date.UTC(2000, 0, 1, hours, minutes, seconds, ms));
+    // setUTCFullYear keeps years below 100 as written, unlike Date.UTC
+    date.setUTCFullYear(year, month, day);
+    return date;
+}
+
+function endOfDay(date) {
+    const end = new Date(date);
+    end.setUTCHours(23, 59, 59, 999);
+    return end;
+}
+
+function startOfDay(date) {
+    const start = new Date(date);
+    start.setUTCHours(0, 0, 0, 0);
+    return start;
+}
+
+function addDays(date, days) {
+    const result = new Date(date);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result;
+}
+
+// Keeps the day of the month where it exists: January 31 plus a month is February 28 or 29
+function addMonths(date, months) {
+    const result = new Date(date);
+    const day = result.getUTCDate();
+    result.setUTCDate(1);
+    result.setUTCMonth(result.getUTCMonth() + months);
+    result.setUTCDate(Math.min(day, wallClock(result.getUTCFullYear(), result.getUTCMonth() + 1, 0).getUTCDate()));
+    return result;
+}
+
+// Moves a date by a number of granularity units (quarters and seasons are three months)
+function shift(date, granularity, amount) {
+    const result = new Date(date);
+    switch (granularity) {
+        case 'year': return addMonths(result, 12 * amount);
+        case 'quarter':
+        case 'season': return addMonths(result, 3 * amount);
+        case 'month': return addMonths(result, amount);
+        case 'week': result.setUTCDate(result.getUTCDate() + 7 * amount); break;
+        case 'day': result.setUTCDate(result.getUTCDate() + amount); break;
+        default: result.setUTCHours(result.getUTCHours() + amount);
     }
+    return result;
+}
+
+// An open period ("before March 2025") has no earliest or latest bound
+function period(start, end, granularity, { approximate = false, earliest = start, latest = end, openStart = false, openEnd = false } = {}) {
+    return { start, end, granularity, approximate, earliest, latest, openStart, openEnd };
+}
+
+function dayPeriod(year, month, day) {
+    const start = wallClock(year, month, day);
+    // Reject rollovers like February 30
+    if (start.getUTCMonth() !== ((month % 12) + 12) % 12 || start.getUTCDate() !== day) return null;
+    return period(start, endOfDay(start), 'day');
+}
+
+function monthPeriod(year, month) {
+    return period(wallClock(year, month, 1), endOfDay(wallClock(year, month + 1, 0)), 'month');
+}
+
+function quarterPeriod(year, quarter) {
+    return period(wallClock(year, (quarter - 1) * 3, 1), endOfDay(wallClock(year, quarter * 3, 0)), 'quarter');
+}
+
+function yearPeriod(year) {
+    return period(wallClock(year, 0, 1), endOfDay(wallClock(year, 11, 31)), 'year');
+}
+
+// Monday to Sunday around the date
+function weekPeriod(date) {
+    const start = startOfDay(date);
+    start.setUTCDate(start.getUTCDate() - ((start.getUTCDay() + 6) % 7));
+    return period(start, endOfDay(addDays(start, 6)), 'week');
+}
 
+// Seasons are the meteorological three months; the window adds a month either side because
+// astronomical seasons (and the other hemisphere) start elsewhere
+function seasonPeriod(year, season) {
+    const firstMonth = SEASONS[season];
+    const start = wallClock(year, firstMonth, 1);
+    const end = endOfDay(wallClock(year, firstMonth + 3, 0));
+    return period(start, end, 'season', {
+        approximate: true,
+        earliest: wallClock(year, firstMonth - 1, 1),
+        latest: endOfDay(wallClock(year, firstMonth + 4, 0))
+    });
+}
+
+// The first, middle or last third of a period, counted in months for years, quarters and
+// seasons, in days for months and weeks and in hours for days. The window stays the whole period.
+function partOf(base, part) {
+    const unit = ['year', 'quarter', 'season'].includes(base.granularity) ? 'month'
+        : base.granularity === 'day' ? 'instant' : 'day';
+    const unitStarts = [];
+    for (let date = new Date(base.start); date <= base.end; date = shift(date, unit, 1)) {
+        unitStarts.push(date);
+    }
+
+    const count = unitStarts.length;
+    const [from, to] = { early: [0, Math.floor(count / 3)], mid: [Math.floor(count / 3), Math.floor(2 * count / 3)], late: [Math.floor(2 * count / 3), count] }[part];
+    if (from >= to) return null;
+
+    const start = unitStarts[from];
+    const end = to < count ? new Date(unitStarts[to].getTime() - 1) : base.end;
+    return period(start, end, base.granularity, { approximate: true, earliest: base.earliest, latest: base.latest });
+}
+
+// "around May 5": the window widens by one unit of the date's granularity on each side
+function around(base) {
+    return period(base.start, base.end, base.granularity, {
+        approximate: true,
+        earliest: shift(base.earliest, base.granularity, -1),
+        latest: shift(base.latest, base.granularity, 1)
+    });
+}
+
+// A month (and day) written without a year is the latest one not after the reference date
+function inferYear(reference, month, day = 1) {
+    const year = reference.getUTCFullYear();
+    return wallClock(year, month, day) > endOfDay(reference) ? year - 1 : year;
+}
+
+// The most recent weekday on or before the reference date: "Tuesday" in a report received on a
+// Tuesday is that day
+function recentWeekday(reference, dayIndex) {
+    return addDays(reference, -((reference.getUTCDay() - dayIndex + 7) % 7));
+}
+
+// The most recent weekday before the reference date; the same weekday means a week earlier
+function previousWeekday(reference, dayIndex) {
+    let difference = reference.getUTCDay() - dayIndex;
+    if (difference <= 0) difference += 7;
+    return addDays(reference, -difference);
+}
+
+function timeOfDayPeriod(date, timeOfDay) {
+    const [from, to] = TIMES_OF_DAY[timeOfDay];
+    const start = startOfDay(date);
+    start.setUTCHours(from);
+    const end = startOfDay(date);
+    end.setUTCHours(to, 0, 0, -1);
+    return period(start, end, 'day');
+}
+
+function normalizeText(text) {
+    return String(text)
+        .toLowerCase()
+        .replace(/,(?=\S)/g, ', ')
+        .replace(/\s+/g, ' ')
+        .replace(/[.,;]+$/, '')
+        .trim();
+}
+
+export class DateTimeProcessor {
     // New method that processes datetime with duration support
-    processDateTimeWithDuration(datetimeString, dateReceived) {
+    processDateTimeWithDuration(datetimeString, dateReceived, timeZone = DEFAULT_TIME_ZONE) {
         if (!datetimeString || datetimeString.trim() === '') {
             const receivedDate = new Date(dateReceived);
+            const valid = !isNaN(receivedDate.getTime());
             return {
                 startDate: receivedDate,
                 endDate: receivedDate,
+                earliestDate: receivedDate,
+                latestDate: receivedDate,
+                approximate: false,
                 duration: 'instant',
                 granularity: 'instant',
-                originalString: datetimeString
+                edtf: valid ? toEDTF({ start: toWallClock(receivedDate, timeZone), granularity: 'instant' }, getTimeZoneOffset(receivedDate, timeZone)) : null,
+                timeZone,
+                originalString: datetimeString,
+                parsed: true
             };
         }
 
-        const result = this.parseDateTimeRange(datetimeString, dateReceived);
-        return result;
+        return this.parseDateTimeRange(datetimeString, dateReceived, timeZone);
     }
 
-    // Enhanced method to parse date ranges and determine duration
-    parseDateTimeRange(datetimeString, dateReceived) {
-        const receivedDate = new Date(dateReceived);
-        const cleanString = datetimeString.toLowerCase().trim();
-        
-        // Check for explicit date ranges (e.g., "Jan 2024 - Mar 2024", "2023-2024")
-        const rangeMatch = cleanString.match(/(.+?)\s*[-–—to]\s*(.+)/);
-        if (rangeMatch) {
-            const startStr = rangeMatch[1].trim();
-            const endStr = rangeMatch[2].trim();
-            const startResult = this.parseSingleDateTime(startStr, dateReceived);
-            const endResult = this.parseSingleDateTime(endStr, dateReceived);
-            
-            if (startResult && endResult) {
-                return {
-                    startDate: startResult.date,
-                    endDate: endResult.date,
-                    duration: this.calculateDuration(startResult.date, endResult.date),
-                    granularity: this.determineGranularity(startResult.granularity, endResult.granularity),
-                    originalString: datetimeString
-                };
-            }
-        }
-        
-        // Parse single datetime
-        const singleResult = this.parseSingleDateTime(cleanString, dateReceived);
-        if (singleResult) {
-            const { date, granularity } = singleResult;
-            const endDate = this.calculateEndDateFromGranularity(date, granularity);
-            
+    // Parse datetime text into { startDate, endDate, earliestDate, latestDate, approximate,
+    // duration, granularity, edtf, timeZone, originalString, parsed }, reading dates and relative
+    // expressions in the given zone. Open ends ("before March 2025") leave earliestDate or
+    // latestDate null. Text the grammar cannot read keeps the received date with parsed: false.
+    parseDateTimeRange(datetimeString, dateReceived, timeZone = DEFAULT_TIME_ZONE) {
+        const received = new Date(dateReceived);
+        const text = normalizeText(datetimeString);
+        const reference = isNaN(received.getTime()) ? null : toWallClock(received, timeZone);
+        const result = parseEDTF(datetimeString) || (reference
+            && (this.parsePoint(text, reference, timeZone) || this.parseRange(text, reference, timeZone) || this.parseNative(datetimeString, timeZone)));
+
+        if (!result) {
+            console.warn('Could not parse datetime string:', datetimeString);
             return {
-                startDate: date,
-                endDate: endDate,
-                duration: this.calculateDuration(date, endDate),
-                granularity: granularity,
-                originalString: datetimeString
+                startDate: received,
+                endDate: received,
+                earliestDate: received,
+                latestDate: received,
+                approximate: true,
+                duration: 'instant',
+                granularity: 'instant',
+                edtf: null,
+                timeZone,
+                originalString: datetimeString,
+                parsed: false
             };
         }
-        
-        // Fallback to original method
-        const fallbackDate = this.processDateTime(datetimeString, dateReceived);
+
+        const [startDate, endDate, earliestDate, latestDate] = [result.start, result.end, result.earliest, result.latest]
+            .map(date => date && fromWallClock(date, timeZone));
         return {
-            startDate: fallbackDate,
-            endDate: fallbackDate,
-            duration: 'instant',
-            granularity: 'instant',
-            originalString: datetimeString
+            startDate,
+            endDate,
+            earliestDate,
+            latestDate,
+            // Uncertain EDTF dates ("2024-05?") get the same window as approximate ones
+            approximate: result.approximate || Boolean(result.uncertain),
+            duration: this.calculateDuration(startDate, endDate),
+            granularity: result.granularity,
+            edtf: result.edtf || toEDTF(result, getTimeZoneOffset(startDate, timeZone)),
+            timeZone,
+            originalString: datetimeString,
+            parsed: true
         };
     }
 
-    // Parse a single datetime string and determine its granularity
-    parseSingleDateTime(datetimeString, dateReceived) {
-        const receivedDate = new Date(dateReceived);
-        const cleanString = datetimeString.toLowerCase().trim();
-        
-        // Year only (e.g., "2023", "2024")
-        const yearMatch = cleanString.match(/^(\d{4})$/);
-        if (yearMatch) {
-            const year = parseInt(yearMatch[1]);
-            return {
-                date: new Date(year, 0, 1), // January 1st
-                granularity: 'year'
-            };
+    // "X to Y", "X–Y", "X/Y" (ISO 8601), "between X and Y", "since X", "before X", "after X",
+    // "July 21-23, 2024"
+    parseRange(text, reference, timeZone) {
+        // Open ranges keep the unit next to the bound as start..end: "before March 2025" is
+        // February 2025 with no earliest date
+        const open = text.match(/^(before|prior to|by|no later than|after|later than|no earlier than) (.+)$/);
+        if (open) {
+            const bound = this.parsePoint(open[2], reference, timeZone);
+            if (!bound) return null;
+            const unit = bound.granularity === 'instant' ? 'day' : bound.granularity;
+            if (['after', 'later than', 'no earlier than'].includes(open[1])) {
+                const start = new Date(bound.end.getTime() + 1);
+                const end = new Date(shift(start, unit, 1).getTime() - 1);
+                return period(start, end, bound.granularity, { latest: null, openEnd: true });
+            }
+            const end = new Date(bound.start.getTime() - 1);
+            return period(shift(bound.start, unit, -1), end, bound.granularity, { earliest: null, openStart: true });
         }
-        
-        // Month and year (e.g., "May 2024", "January 2023")
-        const monthYearMatch = cleanString.match(/^(january|february|march|april|may|june|july|august|september|october|november|december|jan|feb|mar|apr|may|jun|jul|aug|sep|sept|oct|nov|dec)\s+(\d{4})$/);
-        if (monthYearMatch) {
-            const monthName = monthYearMatch[1];
-            const year = parseInt(monthYearMatch[2]);
-            const month = this.monthMap[monthName];
-            return {
-                date: new Date(year, month, 1),
-                granularity: 'month'
-            };
+
+        const since = text.match(/^(?:since|starting|starting from|beginning) (.+)$/);
+        if (since) {
+            const start = this.parsePoint(since[1], reference, timeZone);
+            if (!start || start.start > reference) return null;
+            return this.joinPeriods(start, period(reference, endOfDay(reference), 'day'));
         }
-        
-        // Quarter (e.g., "Q1 2024", "Q3 2023")
-        const quarterMatch = cleanString.match(/^q([1-4])\s+(\d{4})$/);
-        if (quarterMatch) {
-            const quarter = parseInt(quarterMatch[1]);
-            const year = parseInt(quarterMatch[2]);
-            const month = (quarter - 1) * 3; // Q1=0, Q2=3, Q3=6, Q4=9
-            return {
-                date: new Date(year, month, 1),
-                granularity: 'quarter'
-            };
+
+        const dayRange = text.match(new RegExp(`^${MONTH} (\\d{1,2})(?:st|nd|rd|th)?\\s*(?:-|–|—|to|through|until)\\s*(\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?$`))
+            || text.match(new RegExp(`^(\\d{1,2})(?:st|nd|rd|th)?\\s*(?:-|–|—|to|through|until)\\s*(\\d{1,2})(?:st|nd|rd|th)? ${MONTH}(?:,? (\\d{4}))?$`));
+        if (dayRange) {
+            const monthFirst = isNaN(parseInt(dayRange[1], 10));
+            const month = MONTHS[monthFirst ? dayRange[1] : dayRange[3]];
+            const [firstDay, lastDay] = monthFirst ? [dayRange[2], dayRange[3]] : [dayRange[1], dayRange[2]];
+            const year = dayRange[4] ? parseInt(dayRange[4], 10) : inferYear(reference, month, parseInt(firstDay, 10));
+            const first = dayPeriod(year, month, parseInt(firstDay, 10));
+            const last = dayPeriod(year, month, parseInt(lastDay, 10));
+            return first && last && first.start <= last.start ? this.joinPeriods(first, last) : null;
         }
-        
-        // Specific date (e.g., "2024-05-15", "May 15, 2024")
-        const specificDate = new Date(datetimeString);
-        if (!isNaN(specificDate.getTime()) && datetimeString.match(/\d{4}[-/]\d{1,2}[-/]\d{1,2}/)) {
-            return {
-                date: specificDate,
-                granularity: 'day'
-            };
+
+        const body = text.replace(/^(?:from|between) /, '');
+        const separators = text.startsWith('between ') ? [/ and /g, ...RANGE_SEPARATORS] : RANGE_SEPARATORS;
+
+        // ISO 8601 interval; a single slash can also be a date like 2024/07
+        const interval = body.match(/^([^/\s]+)\/([^/\s]+)$/);
+        if (interval) {
+            const start = this.parsePoint(interval[1], reference, timeZone);
+            const end = this.parsePoint(interval[2], reference, timeZone);
+            if (start && end && start.start <= end.end) return this.joinPeriods(start, end);
         }
-        
-        // Fall back to original processing
-        const originalResult = this.processDateTime(datetimeString, dateReceived);
-        if (originalResult) {
-            return {
-                date: originalResult,
-                granularity: 'day'
-            };
+
+        for (const separator of separators) {
+            for (const match of body.matchAll(separator)) {
+                const left = body.slice(0, match.index).trim();
+                const right = body.slice(match.index + match[0].length).trim();
+                if (!left || !right) continue;
+
+                const range = this.parseRangeParts(left, right, reference, timeZone);
+                if (range) return range;
+            }
         }
-        
         return null;
     }
 
-    processDateTime(datetimeString, dateReceived) {
-        if (!datetimeString || datetimeString.trim() === '') {
-            return dateReceived;
-        }
+    // Both halves of a range; a start without a year ("Jan - Mar 2024") takes the end's year
+    parseRangeParts(left, right, reference, timeZone) {
+        const end = this.parsePoint(right, reference, timeZone);
+        if (!end) return null;
 
-        const receivedDate = new Date(dateReceived);
-        if (isNaN(receivedDate.getTime())) {
-            console.warn('Invalid dateReceived:', dateReceived);
-            return null;
+        const endYear = right.match(/\b(\d{4})\b/)?.[1];
+        if (endYear && !/\b\d{4}\b/.test(left)) {
+            let start = this.parsePoint(`${left} ${endYear}`, reference, timeZone);
+            // "December to February 2025" starts the year before
+            if (start && start.start > end.start) start = this.parsePoint(`${left} ${endYear - 1}`, reference, timeZone);
+            if (start && start.start <= end.start) return this.joinPeriods(start, end);
         }
 
-        const datetimeLower = datetimeString.toLowerCase().trim();
+        const start = this.parsePoint(left, reference, timeZone);
+        return start && start.start <= end.end ? this.joinPeriods(start, end) : null;
+    }
+
+    joinPeriods(start, end) {
+        return period(start.start, end.end, this.determineGranularity(start.granularity, end.granularity), {
+            approximate: start.approximate || end.approximate,
+            earliest: start.earliest,
+            latest: end.latest
+        });
+    }
 
-        // Try to parse as absolute date first
-        const absoluteDate = new Date(datetimeString);
-        if (!isNaN(absoluteDate.getTime()) && datetimeString.match(/\d{4}[-/]\d{1,2}[-/]\d{1,2}/)) {
-            return absoluteDate;
+    // A single date, period or relative expression as { start, end, earliest, latest, granularity, approximate }
+    parsePoint(text, reference, timeZone) {
+        text = text.trim().replace(/^(?:on|in|during) /, '');
+        if (!text) return null;
+
+        const approximate = text.match(/^(?:around|about|approximately|approx\.?|roughly|circa|ca\.|c\.|~)\s*(.+)$/);
+        if (approximate) {
+            const base = this.parsePoint(approximate[1], reference, timeZone);
+            return base && around(base);
+        }
+
+        const modifier = text.match(/^(early|mid|late|the (?:beginning|start|middle|end) of|(?:beginning|start|middle|end) of)[-\s]+(.+)$/);
+        if (modifier) {
+            const base = this.parsePoint(modifier[2], reference, timeZone);
+            const word = modifier[1].replace(/^the /, '').replace(/ of$/, '');
+            const part = { early: 'early', beginning: 'early', start: 'early', mid: 'mid', middle: 'mid', late: 'late', end: 'late' }[word];
+            return base && partOf(base, part);
         }
 
-        // Handle relative dates
-        const targetDate = new Date(receivedDate);
+        const weekOf = text.match(/^(?:the )?week of (.+)$/);
+        if (weekOf) {
+            const base = this.parsePoint(weekOf[1], reference, timeZone);
+            return base && weekPeriod(base.start);
+        }
 
-        // Yesterday, today, tomorrow
-        if (datetimeLower === 'yesterday') {
-            targetDate.setDate(targetDate.getDate() - 1);
-            return targetDate;
+        // "October 7 2023, two-year", "July 21, 2024 for three days"
+        const lasting = text.match(new RegExp(`^(.+?),? (?:for )?${COUNT}[-\\s](day|week|month|year)s?(?:[-\\s]long)?$`));
+        if (lasting) {
+            const base = this.parsePoint(lasting[1], reference, timeZone);
+            if (!base) return null;
+            const end = new Date(shift(base.start, lasting[3], toCount(lasting[2])).getTime() - 1);
+            return period(base.start, end, this.determineGranularity(base.granularity, lasting[3]), {
+                approximate: base.approximate,
+                earliest: base.earliest,
+                latest: end
+            });
         }
-        if (datetimeLower === 'today') {
-            return targetDate;
+
+        return this.parseAbsolute(text, reference, timeZone) || this.parseRelative(text, reference, timeZone);
+    }
+
+    // ISO and written calendar dates, quarters and seasons
+    parseAbsolute(text, reference, timeZone) {
+        let match;
+
+        // ISO date and time; a time with its own offset is moved into the row's zone
+        if ((match = text.match(/^(\d{4})-(\d{2})-(\d{2})[t ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?(z|[+-]\d{2}:?\d{2})?$/))) {
+            const date = match[7]
+                ? toWallClock(new Date(text.toUpperCase().replace(' ', 'T')), timeZone)
+                : wallClock(+match[1], match[2] - 1, +match[3], +match[4], +match[5], +(match[6] || 0));
+            return isNaN(date.getTime()) ? null : period(date, date, 'instant');
         }
-        if (datetimeLower === 'tomorrow') {
-            targetDate.setDate(targetDate.getDate() + 1);
-            return targetDate;
+
+        if ((match = text.match(/^(\d{4})[-/.](\d{1,2})[-/.](\d{1,2})$/))) {
+            return dayPeriod(+match[1], match[2] - 1, +match[3]);
         }
 
-        // X days ago
-        const daysAgoMatch = datetimeLower.match(/(\d+)\s+days?\s+ago/);
-        if (daysAgoMatch) {
-            const daysAgo = parseInt(daysAgoMatch[1]);
-            targetDate.setDate(targetDate.getDate() - daysAgo);
-            return targetDate;
+        // US order unless the first number cannot be a month
+        if ((match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+            const [month, day] = +match[1] > 12 ? [+match[2], +match[1]] : [+match[1], +match[2]];
+            return dayPeriod(+match[3], month - 1, day);
         }
 
-        // X hours ago
-        const hoursAgoMatch = datetimeLower.match(/(\d+)\s+hours?\s+ago/);
-        if (hoursAgoMatch) {
-            const hoursAgo = parseInt(hoursAgoMatch[1]);
-            targetDate.setHours(targetDate.getHours() - hoursAgo);
-            return targetDate;
+        if ((match = text.match(/^(\d{4})[-/](\d{1,2})$/)) && +match[2] >= 1 && +match[2] <= 12) {
+            return monthPeriod(+match[1], match[2] - 1);
         }
 
-        // X minutes ago
-        const minutesAgoMatch = datetimeLower.match(/(\d+)\s+minutes?\s+ago/);
-        if (minutesAgoMatch) {
-            const minutesAgo = parseInt(minutesAgoMatch[1]);
-            targetDate.setMinutes(targetDate.getMinutes() - minutesAgo);
-            return targetDate;
+        if ((match = text.match(/^(\d{4})$/))) {
+            return yearPeriod(+match[1]);
         }
 
-        // This morning/afternoon/evening/night
-        const thisTimeMatch = datetimeLower.match(/this\s+(morning|afternoon|evening|night)/);
-        if (thisTimeMatch) {
-            const timeOfDay = thisTimeMatch[1];
-            targetDate.setHours(this.timeMap[timeOfDay], 0, 0, 0);
-            return targetDate;
+        if ((match = text.match(/^q([1-4]) (?:of )?(\d{4})$/) || text.match(/^(\d{4})[-\s]?q([1-4])$/))) {
+            const [quarter, year] = match[1].length === 4 ? [match[2], match[1]] : [match[1], match[2]];
+            return quarterPeriod(+year, +quarter);
         }
 
-        // Last night/evening/morning
-        const lastTimeMatch = datetimeLower.match(/last\s+(night|evening|morning)/);
-        if (lastTimeMatch) {
-            const timeOfDay = lastTimeMatch[1];
-            targetDate.setDate(targetDate.getDate() - 1);
-            const hour = timeOfDay === 'morning' ? 8 : (timeOfDay === 'evening' ? 18 : 22);
-            targetDate.setHours(hour, 0, 0, 0);
-            return targetDate;
+        if ((match = text.match(/^(?:the )?(spring|summer|autumn|fall|winter)(?: of)?(?:,? (\d{4}))?$/))) {
+            const season = match[1];
+            const year = match[2] ? +match[2] : inferYear(reference, SEASONS[season]);
+            return seasonPeriod(year, season);
         }
 
-        // Earlier today, later today
-        if (datetimeLower === 'earlier today') {
-            targetDate.setHours(targetDate.getHours() - 2);
-            return targetDate;
+        if ((match = text.match(new RegExp(`^(?:${WEEKDAY},? )?${MONTH} (\\d{1,2})(?:st|nd|rd|th)?(?:,? (\\d{4}))?$`)))) {
+            const month = MONTHS[match[2]];
+            const year = match[4] ? +match[4] : inferYear(reference, month, +match[3]);
+            return dayPeriod(year, month, +match[3]);
         }
-        if (datetimeLower === 'later today') {
-            targetDate.setHours(targetDate.getHours() + 2);
-            return targetDate;
+
+        if ((match = text.match(new RegExp(`^(?:${WEEKDAY},? )?(?:the )?(\\d{1,2})(?:st|nd|rd|th)? (?:of )?${MONTH}(?:,? (\\d{4}))?$`)))) {
+            const month = MONTHS[match[3]];
+            const year = match[4] ? +match[4] : inferYear(reference, month, +match[2]);
+            return dayPeriod(year, month, +match[2]);
         }
 
-        // This week, last week
-        if (datetimeLower === 'this week') {
-            const dayOfWeek = targetDate.getDay();
-            const daysFromMonday = dayOfWeek === 0 ? 6 : dayOfWeek - 1;
-            targetDate.setDate(targetDate.getDate() - daysFromMonday);
-            return targetDate;
+        if ((match = text.match(new RegExp(`^${MONTH}(?: of)?(?:,? (\\d{4}))?$`)))) {
+            const month = MONTHS[match[1]];
+            return monthPeriod(match[2] ? +match[2] : inferYear(reference, month), month);
         }
-        if (datetimeLower === 'last week') {
-            const dayOfWeek = targetDate.getDay();
-            const daysFromLastMonday = dayOfWeek === 0 ? 13 : dayOfWeek + 6;
-            targetDate.setDate(targetDate.getDate() - daysFromLastMonday);
-            return targetDate;
+
+        return null;
+    }
+
+    // Expressions read against the date received: "yesterday", "Tuesday night", "3 weeks ago"
+    parseRelative(text, reference, timeZone) {
+        let match;
+        const today = period(startOfDay(reference), endOfDay(reference), 'day');
+        text = text.replace(/^the (week|month|quarter|year)$/, 'this $1');
+
+        if (['today', 'now', 'present', 'the present', 'date'].includes(text)) return today;
+        if (text === 'yesterday') return period(startOfDay(addDays(reference, -1)), endOfDay(addDays(reference, -1)), 'day');
+        if (text === 'tomorrow') return period(startOfDay(addDays(reference, 1)), endOfDay(addDays(reference, 1)), 'day');
+        if (text === 'tonight') return timeOfDayPeriod(reference, 'night');
+        if (text === 'earlier today') return period(today.start, reference, 'day', { approximate: true });
+        if (text === 'later today') return period(reference, today.end, 'day', { approximate: true });
+
+        // "recently" and friends: a window ending on the date received
+        const recent = { recently: 30, lately: 30, 'in recent days': 7, 'recent days': 7, 'in recent weeks': 30, 'recent weeks': 30, 'in recent months': 180, 'recent months': 180 }[text];
+        if (recent) return period(startOfDay(addDays(reference, -recent)), today.end, 'day', { approximate: true });
+
+        if ((match = text.match(/^(this|last|next|earlier this) (week|month|quarter|year)$/))) {
+            const offset = { this: 0, last: -1, next: 1, 'earlier this': 0 }[match[1]];
+            const date = shift(reference, match[2], offset);
+            const base = match[2] === 'week' ? weekPeriod(date)
+                : match[2] === 'month' ? monthPeriod(date.getUTCFullYear(), date.getUTCMonth())
+                : match[2] === 'quarter' ? quarterPeriod(date.getUTCFullYear(), Math.floor(date.getUTCMonth() / 3) + 1)
+                : yearPeriod(date.getUTCFullYear());
+            return match[1] === 'earlier this' ? period(base.start, today.end, base.granularity, { approximate: true }) : base;
         }
 
-        // Day of week + time of day (e.g., "Tuesday night", "Wednesday evening")
-        const dayTimeMatch = datetimeLower.match(/(monday|tuesday|wednesday|thursday|friday|saturday|sunday)\s+(morning|afternoon|evening|night)/);
-        if (dayTimeMatch) {
-            const dayName = dayTimeMatch[1];
-            const timeOfDay = dayTimeMatch[2];
-            
-            const dayIndex = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'].indexOf(dayName);
-            const currentDay = targetDate.getDay();
-            
-            // Find the most recent occurrence of this day
-            let dayDifference = currentDay - dayIndex;
-            if (dayDifference <= 0) {
-                dayDifference += 7; // Go to previous week
+        if ((match = text.match(new RegExp(`^${COUNT} (minute|hour|day|week|month|year)s? ago$`)))) {
+            const unit = match[2];
+            const count = toCount(match[1]);
+            if (unit === 'minute' || unit === 'hour') {
+                const date = new Date(reference.getTime() - count * (unit === 'minute' ? 60000 : 3600000));
+                return period(date, date, 'instant');
             }
-            
-            targetDate.setDate(targetDate.getDate() - dayDifference);
-            targetDate.setHours(this.timeMap[timeOfDay], 0, 0, 0);
-            
-            return targetDate;
+            return this.periodAround(shift(reference, unit, -count), unit);
+        }
+
+        if ((match = text.match(/^(a couple of|couple of|a few|few|several) (day|week|month|year)s ago$/))) {
+            const [fewest, most] = VAGUE_COUNTS[match[1]];
+            const unit = match[2];
+            const start = this.periodAround(shift(reference, unit, -most), unit).start;
+            const end = this.periodAround(shift(reference, unit, -fewest), unit).end;
+            return period(start, end, unit === 'day' ? 'day' : unit, { approximate: true });
+        }
+
+        // "the 9th of this month", "the 9th"
+        if ((match = text.match(/^(?:the )?(\d{1,2})(?:st|nd|rd|th)(?: of (this|last|next) month)?$/))) {
+            const month = reference.getUTCMonth() + ({ last: -1, next: 1 }[match[2]] || 0);
+            return dayPeriod(reference.getUTCFullYear(), month, +match[1]);
+        }
+
+        // "Tuesday, last week", "Tuesday of last week", "last week Tuesday"
+        if ((match = text.match(new RegExp(`^${WEEKDAY},? (?:of )?(this|last|next) week$`)) || text.match(new RegExp(`^(this|last|next) week,? ${WEEKDAY}$`)))) {
+            const [day, which] = WEEKDAYS.includes(match[1]) ? [match[1], match[2]] : [match[2], match[1]];
+            const week = weekPeriod(shift(reference, 'week', { this: 0, last: -1, next: 1 }[which]));
+            const date = addDays(week.start, (WEEKDAYS.indexOf(day) + 6) % 7);
+            return period(date, endOfDay(date), 'day');
+        }
+
+        // Parts of a day: "this morning", "last night", "yesterday afternoon", "Tuesday night"
+        if ((match = text.match(/^(.+?) (morning|afternoon|evening|night)$/) || text.match(/^(morning|afternoon|evening|night) of (.+)$/))) {
+            const [dayText, timeOfDay] = TIMES_OF_DAY[match[1]] ? [match[2], match[1]] : [match[1], match[2]];
+            const dayOffset = { this: 0, last: -1 }[dayText];
+            if (dayOffset !== undefined) return timeOfDayPeriod(addDays(reference, dayOffset), timeOfDay);
+            const day = this.parsePoint(dayText, reference, timeZone);
+            if (!day || day.granularity !== 'day') return null;
+            const part = timeOfDayPeriod(day.start, timeOfDay);
+            // "Friday evening" received on a Friday before the evening is last Friday's
+            return WEEKDAYS.includes(dayText) && part.start > reference
+                ? timeOfDayPeriod(addDays(day.start, -7), timeOfDay)
+                : part;
+        }
+
+        // "Monday", "last Monday", "next Monday"
+        if ((match = text.match(new RegExp(`^(?:(last|next|this past|past) )?${WEEKDAY}$`)))) {
+            const dayIndex = WEEKDAYS.indexOf(match[2]);
+            const date = match[1] === 'next'
+                ? addDays(reference, ((dayIndex - reference.getUTCDay() + 6) % 7) + 1)
+                : match[1] ? previousWeekday(reference, dayIndex) : recentWeekday(reference, dayIndex);
+            return period(startOfDay(date), endOfDay(date), 'day');
         }
 
-        // If we can't parse it, try one more time as a regular date
-        const fallbackDate = new Date(datetimeString);
-        if (!isNaN(fallbackDate.getTime())) {
-            return fallbackDate;
+        // Clock times, on a date or today: "3pm", "July 21, 2024 at 14:30"
+        if ((match = text.match(/^(?:(.+?),? (?:at )?)?(\d{1,2})(?::(\d{2}))? ?([ap])\.?m\.?$/) || text.match(/^(?:(.+?),? (?:at )?)?(\d{1,2}):(\d{2})()$/))) {
+            const day = match[1] ? this.parsePoint(match[1], reference, timeZone) : today;
+            let hours = +match[2];
+            if (!day || day.granularity !== 'day' || hours > 23 || +(match[3] || 0) > 59) return null;
+            if (match[4] === 'p' && hours < 12) hours += 12;
+            if (match[4] === 'a' && hours === 12) hours = 0;
+            const date = new Date(day.start);
+            date.setUTCHours(hours, +(match[3] || 0), 0, 0);
+            return period(date, date, 'instant');
         }
 
-        console.warn('Could not parse datetime string:', datetimeString);
         return null;
     }
 
-    formatDate(date) {
+    // The day, week, month or year containing a date
+    periodAround(date, unit) {
+        switch (unit) {
+            case 'week': return weekPeriod(date);
+            case 'month': return monthPeriod(date.getUTCFullYear(), date.getUTCMonth());
+            case 'year': return yearPeriod(date.getUTCFullYear());
+            default: return period(startOfDay(date), endOfDay(date), 'day');
+        }
+    }
+
+    // Last resort for timestamps Date reads itself ("Sun, 21 Jul 2024 10:00:00 GMT"); only with a
+    // year and a time, since Date rolls impossible dates like February 30 over silently
+    parseNative(datetimeString, timeZone) {
+        if (!/\b\d{4}\b/.test(datetimeString) || !/\d:\d{2}/.test(datetimeString)) return null;
+        const date = new Date(datetimeString);
+        if (isNaN(date.getTime())) return null;
+        const wall = toWallClock(date, timeZone);
+        return period(wall, wall, 'instant');
+    }
+
+    // The start of a datetime expression, or null when it cannot be read
+    processDateTime(datetimeString, dateReceived, timeZone = DEFAULT_TIME_ZONE) {
+        if (!datetimeString || datetimeString.trim() === '') {
+            return dateReceived;
+        }
+
+        const result = this.parseDateTimeRange(datetimeString, dateReceived, timeZone);
+        return result.parsed ? result.startDate : null;
+    }
+
+    formatDate(date, timeZone = getDisplayTimeZone()) {
         if (!date || isNaN(date.getTime())) return 'Invalid Date';
-        return date.toLocaleDateString() + ' ' + date.toLocaleTimeString();
+        return date.toLocaleDateString(undefined, { timeZone }) + ' ' + date.toLocaleTimeString(undefined, { timeZone, timeZoneName: 'short' });
     }
 
     isSameDay(date1, date2) {
         if (!date1 || !date2) return false;
-        
+
         const d1 = new Date(date1);
         const d2 = new Date(date2);
-        
+
         return d1.getFullYear() === d2.getFullYear() &&
                d1.getMonth() === d2.getMonth() &&
                d1.getDate() === d2.getDate();
     }
 
-    // Calculate end date based on granularity
-    calculateEndDateFromGranularity(startDate, granularity) {
-        const endDate = new Date(startDate);
-        
-        switch (granularity) {
-            case 'year':
-                endDate.setFullYear(endDate.getFullYear() + 1);
-                endDate.setDate(endDate.getDate() - 1); // Last day of year
-                break;
-            case 'quarter':
-                endDate.setMonth(endDate.getMonth() + 3);
-                endDate.setDate(endDate.getDate() - 1); // Last day of quarter
-                break;
-            case 'month':
-                endDate.setMonth(endDate.getMonth() + 1);
-                endDate.setDate(endDate.getDate() - 1); // Last day of month
-                break;
-            case 'day':
-                endDate.setHours(23, 59, 59, 999); // End of day
-                break;
-            default:
-                return startDate; // Instant
-        }
-        
-        return endDate;
-    }
-
     // Calculate duration between two dates
     calculateDuration(startDate, endDate) {
         const diffMs = endDate.getTime() - startDate.getTime();
         const diffDays = Math.ceil(diffMs / (1000 * 60 * 60 * 24));
-        
+
         if (diffDays <= 1) return 'instant';
         if (diffDays <= 7) return 'days';
         if (diffDays <= 31) return 'weeks';
-        if (diffDays <= 365) return 'months';
+        if (diffDays <= 366) return 'months';
         return 'years';
     }
 
     // Determine combined granularity for ranges
     determineGranularity(startGranularity, endGranularity) {
-        const granularityOrder = ['instant', 'day', 'month', 'quarter', 'year'];
-        const startIndex = granularityOrder.indexOf(startGranularity);
-        const endIndex = granularityOrder.indexOf(endGranularity);
-        
+        const startIndex = GRANULARITY_ORDER.indexOf(startGranularity);
+        const endIndex = GRANULARITY_ORDER.indexOf(endGranularity);
+
         // Return the broader granularity
-        return granularityOrder[Math.max(startIndex, endIndex)];
+        return GRANULARITY_ORDER[Math.max(startIndex, endIndex, 0)];
     }
 
-    // Format duration for display
-    formatDuration(durationInfo) {
-        const { startDate, endDate, duration, granularity } = durationInfo;
-        
-        if (duration === 'instant') {
-            return this.formatDate(startDate);
-        }
-        
-        const startFormatted = this.formatDateByGranularity(startDate, granularity);
-        const endFormatted = this.formatDateByGranularity(endDate, granularity);
-        
+    // Format duration for display. Times show in the display zone; dates, months and years
+    // show as they were read, in the event's own zone, so "2024-07-21" stays July 21 everywhere.
+    formatDuration(durationInfo, timeZone = getDisplayTimeZone()) {
+        const { startDate, endDate, duration, granularity, approximate } = durationInfo;
+        const prefix = approximate ? 'c. ' : '';
+
+        if (duration === 'instant' && granularity === 'instant') {
+            return prefix + this.formatDate(startDate, timeZone);
+        }
+
+        const calendarZone = durationInfo.timeZone || timeZone;
+        const startFormatted = this.formatDateByGranularity(startDate, granularity, calendarZone);
+        const endFormatted = this.formatDateByGranularity(endDate, granularity, calendarZone);
+
         if (startFormatted === endFormatted) {
-            return startFormatted;
+            return prefix + startFormatted;
         }
-        
-        return `${startFormatted} - ${endFormatted}`;
+
+        return `${prefix}${startFormatted} - ${endFormatted}`;
     }
 
-    // Format date based on granularity
-    formatDateByGranularity(date, granularity) {
+    // Format date based on granularity, reading its calendar fields in the given zone
+    formatDateByGranularity(date, granularity, timeZone = getDisplayTimeZone()) {
         if (!date || isNaN(date.getTime())) return 'Invalid Date';
-        
+        const { year, month } = getZonedParts(date, timeZone);
+
         switch (granularity) {
             case 'year':
-                return date.getFullYear().toString();
+                return year.toString();
+            case 'season': {
+                const season = ['Winter', 'Winter', 'Spring', 'Spring', 'Spring', 'Summer', 'Summer', 'Summer', 'Autumn', 'Autumn', 'Autumn', 'Winter'][month];
+                return `${season} ${year}`;
+            }
             case 'quarter':
-                const quarter = Math.floor(date.getMonth() / 3) + 1;
-                return `Q${quarter} ${date.getFullYear()}`;
+                const quarter = Math.floor(month / 3) + 1;
+                return `Q${quarter} ${year}`;
             case 'month':
-                return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+                return date.toLocaleDateString('en-US', { month: 'long', year: 'numeric', timeZone });
+            case 'week':
+                return `Week of ${date.toLocaleDateString(undefined, { timeZone })}`;
             case 'day':
-                return date.toLocaleDateString();
+                return date.toLocaleDateString(undefined, { timeZone });
             default:
-                return this.formatDate(date);
+                return this.formatDate(date, timeZone);
         }
     }
 
@@ -392,8 +702,10 @@ export class DateTimeProcessor {
         const levels = {
             'instant': 0,
             'day': 1,
+            'week': 1,
             'month': 2,
             'quarter': 2,
+            'season': 2,
             'year': 3
         };
         return levels[granularity] || 0;
@@ -1,11 +1,13 @@
-// Deduplication service for managing duplicate entities in Firebase
+// Deduplication service for managing duplicate entities in the database
 
-import { db } from './config.js';
-import { collection, doc, getDocs, updateDoc, deleteDoc, query, where, orderBy } from 'https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js';
+import { storage as defaultStorage } from './storage.js';
+import { EVENT_ENTITY_FIELDS, replaceEntityReference } from './event-references.js';
+import { RelationshipService } from './relationship-service.js';
 
 export class DeduplicationService {
-    constructor() {
-        this.db = db;
+    constructor(storage = defaultStorage) {
+        this.storage = storage;
+        this.relationshipService = new RelationshipService(storage);
         this.collections = ['people', 'organizations', 'places', 'unknown'];
     }
 
@@ -41,18 +43,15 @@ export class DeduplicationService {
         try {
             // Use indexed query to only get entities with Wikidata IDs
             // This is much more efficient than scanning all documents
-            const q = query(
-                collection(this.db, collectionName),
-                where('wikidata_id', '!=', null),
-                orderBy('wikidata_id'),
-                orderBy('name')
-            );
+            const { docs } = await this.storage.query(collectionName, {
+                where: [['wikidata_id', '!=', null]],
+                orderBy: [['wikidata_id'], ['name']]
+            });
             
-            const snapshot = await getDocs(q);
             const wikidataGroups = new Map();
             
-            snapshot.forEach(doc => {
-                const data = doc.data();
+            docs.forEach(doc => {
+                const data = doc.data;
                 const wikidataId = data.wikidata_id;
                 
                 if (!wikidataGroups.has(wikidataId)) {
@@ -139,17 +138,23 @@ export class DeduplicationService {
             delete updateData.firestoreId;
             delete updateData.firestoreCollection;
 
-            // Update the keep entity in Firebase
-            const keepEntityRef = doc(this.db, collectionName, keepEntity.firestoreId);
-            await updateDoc(keepEntityRef, updateData);
+            // Update the keep entity in the database
+            await this.storage.updateDocument(collectionName, keepEntity.firestoreId, updateData);
 
             // Update events to reference the keep entity instead of duplicates
             await this.updateEventsForMergedEntity(keepEntity, duplicateEntities);
 
+            // Move the duplicates' relationships to the keep entity
+            for (const duplicate of duplicateEntities) {
+                const operations = await this.relationshipService.getMergeOperations(duplicate.id, keepEntity.id);
+                if (operations.length > 0) {
+                    await this.storage.commitBatch(operations);
+                }
+            }
+
             // Delete duplicate entities
             for (const duplicate of duplicateEntities) {
-                const duplicateRef = doc(this.db, collectionName, duplicate.firestoreId);
-                await deleteDoc(duplicateRef);
+                await this.storage.deleteDocument(collectionName, duplicate.firestoreId);
             }
 
             return duplicateEntities.length;
@@ -163,67 +168,36 @@ export class DeduplicationService {
     async updateEventsForMergedEntity(keepEntity, duplicateEntities) {
         try {
             // Get all events
-            const eventsSnapshot = await getDocs(collection(this.db, 'events'));
+            const eventDocs = await this.storage.getAll('events');
             const eventsToUpdate = [];
 
-            eventsSnapshot.forEach(doc => {
-                const event = doc.data();
+            eventDocs.forEach(doc => {
+                const updatedEvent = { ...doc.data };
                 let needsUpdate = false;
-                let updatedEvent = { ...event };
 
-                // Check if any duplicate entity names appear in the event
+                // Point references to any duplicate at the keep entity. The event text keeps
+                // the source names; the keep entity carries them as aliases.
                 for (const duplicate of duplicateEntities) {
-                    // Update actor field
-                    if (event.actor && event.actor.includes(duplicate.name)) {
-                        updatedEvent.actor = updatedEvent.actor.replace(
-                            new RegExp(`\\b${duplicate.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g'),
-                            keepEntity.name
-                        );
-                        needsUpdate = true;
-                    }
-
-                    // Update target field
-                    if (event.target && event.target.includes(duplicate.name)) {
-                        updatedEvent.target = updatedEvent.target.replace(
-                            new RegExp(`\\b${duplicate.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g'),
-                            keepEntity.name
-                        );
-                        needsUpdate = true;
-                    }
-
-                    // Update locations if it's an array
-                    if (Array.isArray(event.locations)) {
-                        const updatedLocations = event.locations.map(location => 
-                            location === duplicate.name ? keepEntity.name : location
-                        );
-                        if (JSON.stringify(updatedLocations) !== JSON.stringify(event.locations)) {
-                            updatedEvent.locations = updatedLocations;
-                            needsUpdate = true;
-                        }
-                    }
-
-                    // Update sentence field
-                    if (event.sentence && event.sentence.includes(duplicate.name)) {
-                        updatedEvent.sentence = updatedEvent.sentence.replace(
-                            new RegExp(`\\b${duplicate.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`, 'g'),
-                            keepEntity.name
-                        );
+                    if (replaceEntityReference(updatedEvent, duplicate.id, keepEntity.id)) {
                         needsUpdate = true;
                     }
                 }
 
                 if (needsUpdate) {
+                    const referenceUpdates = {};
+                    Object.values(EVENT_ENTITY_FIELDS).forEach(field => {
+                        referenceUpdates[field] = updatedEvent[field];
+                    });
                     eventsToUpdate.push({
                         id: doc.id,
-                        data: updatedEvent
+                        data: referenceUpdates
                     });
                 }
             });
 
             // Update all events that reference the merged entities
             for (const eventUpdate of eventsToUpdate) {
-                const eventRef = doc(this.db, 'events', eventUpdate.id);
-                await updateDoc(eventRef, eventUpdate.data);
+                await this.storage.updateDocument('events', eventUpdate.id, eventUpdate.data);
             }
 
         } catch (error) {
@@ -0,0 +1,310 @@
+// Extended Date/Time Format (EDTF, ISO 8601-2) Level 1: reading, writing and describing the
+// strings events keep in their edtf field, e.g. "2023~" (about 2023), "2024-05?" (May 2024,
+// uncertain), "../2025-02" (up to February 2025), "201X" (the 2010s) or "2001-21" (spring 2001).
+// Dates here are floating wall-clock times held in Date's UTC fields, as in datetime-processor.js;
+// the caller places them in a time zone. Date-times are Level 0 and left to DateTimeProcessor.
+
+// Season codes; seasons are the meteorological three months, as DateTimeProcessor reads them,
+// and winter runs into the next year
+const SEASONS = {
+    21: { name: 'Spring', firstMonth: 2 },
+    22: { name: 'Summer', firstMonth: 5 },
+    23: { name: 'Autumn', firstMonth: 8 },
+    24: { name: 'Winter', firstMonth: 11 }
+};
+
+const QUALIFIERS = {
+    '': { approximate: false, uncertain: false },
+    '?': { approximate: false, uncertain: true },
+    '~': { approximate: true, uncertain: false },
+    '%': { approximate: true, uncertain: true }
+};
+
+const GRANULARITY_ORDER = ['instant', 'day', 'week', 'month', 'quarter', 'season', 'year'];
+
+// Units an interval endpoint can be written in, coarsest first, for each granularity
+const ENDPOINT_UNITS = {
+    year: ['year', 'month', 'day'],
+    season: ['season', 'month', 'day'],
+    quarter: ['month', 'day'],
+    month: ['month', 'day'],
+    week: ['day'],
+    day: ['day'],
+    instant: ['day']
+};
+
+// Level 0 and 1 dates: 2024, 2024-05, 2024-05-03, 201X, 20XX, 2004-XX, 1985-04-XX, 1985-XX-XX,
+// 2001-21 and Y170000002, each optionally qualified
+const DATE_PATTERN = /^(?:Y(-?\d{5,})|(-?\d{4})|(\d{3}X|\d{2}XX))(?:-(\d{2}|XX)(?:-(\d{2}|XX))?)?([?~%]?)$/;
+
+// Date's range is about 275,000 years either side of 1970
+const MAX_YEAR = 275000;
+
+function floating(year, month = 0, day = 1) {
+    const date = new Date(0);
+    // setUTCFullYear keeps years below 100 as written, unlike Date.UTC
+    date.setUTCFullYear(year, month, day);
+    return date;
+}
+
+function lastMoment(nextStart) {
+    return new Date(nextStart.getTime() - 1);
+}
+
+function unitStart(date, unit) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    switch (unit) {
+        case 'year': return floating(year);
+        case 'season': return floating(year, month - ((month + 1) % 3));
+        case 'month': return floating(year, month);
+        default: return floating(year, month, date.getUTCDate());
+    }
+}
+
+function shiftUnit(date, unit, amount) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    const day = date.getUTCDate();
+    switch (unit) {
+        case 'year': return floating(year + amount, month, day);
+        case 'season': return floating(year, month + 3 * amount, day);
+        case 'month': return floating(year, month + amount, day);
+        default: return floating(year, month, day + amount);
+    }
+}
+
+function granularityUnit(granularity) {
+    return granularity === 'season' || granularity === 'year' || granularity === 'month' ? granularity : 'day';
+}
+
+function broaderGranularity(a, b) {
+    return GRANULARITY_ORDER[Math.max(GRANULARITY_ORDER.indexOf(a), GRANULARITY_ORDER.indexOf(b), 0)];
+}
+
+function pad(value, length = 2) {
+    const text = String(Math.abs(value)).padStart(length, '0');
+    return value < 0 ? `-${text}` : text;
+}
+
+function formatYear(year) {
+    return Math.abs(year) > 9999 ? `Y${year}` : pad(year, 4);
+}
+
+// One date as { start, end, earliest, latest, granularity, approximate, uncertain }, or null
+function parseDate(text) {
+    const match = text.match(DATE_PATTERN);
+    if (!match) return null;
+
+    const [, longYear, plainYear, unspecifiedYear, monthText, dayText, qualifier] = match;
+    const { approximate, uncertain } = QUALIFIERS[qualifier];
+    // Long years and years with unspecified digits stand alone at Level 1
+    if ((longYear || unspecifiedYear) && monthText) return null;
+    if (monthText === 'XX' && dayText && dayText !== 'XX') return null;
+
+    let start;
+    let end;
+    let granularity;
+    if (unspecifiedYear) {
+        const digits = unspecifiedYear.indexOf('X');
+        const span = 10 ** (4 - digits);
+        const first = parseInt(unspecifiedYear.slice(0, digits), 10) * span;
+        start = floating(first);
+        end = lastMoment(floating(first + span));
+        granularity = 'year';
+    } else {
+        const year = parseInt(longYear || plainYear, 10);
+        if (Math.abs(year) > MAX_YEAR) return null;
+        const month = monthText && monthText !== 'XX' ? parseInt(monthText, 10) : null;
+
+        if (month !== null && SEASONS[month]) {
+            if (dayText) return null;
+            start = floating(year, SEASONS[month].firstMonth);
+            end = lastMoment(floating(year, SEASONS[month].firstMonth + 3));
+            granularity = 'season';
+        } else if (month !== null && (month < 1 || month > 12)) {
+            return null;
+        } else if (month === null) {
+            start = floating(year);
+            end = lastMoment(floating(year + 1));
+            granularity = 'year';
+        } else if (!dayText || dayText === 'XX') {
+            start = floating(year, month - 1);
+            end = lastMoment(floating(year, month));
+            granularity = 'month';
+        } else {
+            const day = parseInt(dayText, 10);
+            start = floating(year, month - 1, day);
+            // Reject rollovers like February 30
+            if (start.getUTCMonth() !== month - 1) return null;
+            end = lastMoment(floating(year, month - 1, day + 1));
+            granularity = 'day';
+        }
+    }
+
+    // Qualified dates may be off by one unit either way
+    const unit = granularityUnit(granularity);
+    const qualified = approximate || uncertain;
+    return {
+        start,
+        end,
+        earliest: qualified ? shiftUnit(unitStart(start, unit), unit, -1) : start,
+        latest: qualified ? lastMoment(shiftUnit(unitStart(end, unit), unit, 2)) : end,
+        granularity,
+        approximate,
+        uncertain
+    };
+}
+
+// Reads an EDTF Level 0 or 1 date or interval into { start, end, earliest, latest, granularity,
+// approximate, uncertain, openStart, openEnd, edtf }, or null when the text is not one. An open
+// ("..") or unknown ("") end keeps the known end's period as start..end and leaves earliest or
+// latest null.
+export function parseEDTF(text) {
+    const value = String(text ?? '').trim().toUpperCase();
+    if (!value || /\s/.test(value)) return null;
+
+    const parts = value.split('/');
+    if (parts.length === 1) {
+        const date = parseDate(value);
+        return date && { ...date, openStart: false, openEnd: false, edtf: value };
+    }
+    if (parts.length !== 2) return null;
+
+    const [first, last] = parts.map(part => (part === '..' || part === '' ? null : parseDate(part)));
+    if ((!first && !['..', ''].includes(parts[0])) || (!last && !['..', ''].includes(parts[1]))) return null;
+    if (!first && !last) return null;
+    if (first && last && first.start > last.end) return null;
+
+    if (!first) {
+        return { ...last, earliest: null, openStart: true, openEnd: false, edtf: value };
+    }
+    if (!last) {
+        return { ...first, latest: null, openStart: false, openEnd: true, edtf: value };
+    }
+    return {
+        start: first.start,
+        end: last.end,
+        earliest: first.earliest,
+        latest: last.latest,
+        granularity: broaderGranularity(first.granularity, last.granularity),
+        approximate: first.approximate || last.approximate,
+        uncertain: first.uncertain || last.uncertain,
+        openStart: false,
+        openEnd: false,
+        edtf: value
+    };
+}
+
+function isUnitBoundary(date, unit, side) {
+    const boundary = side === 'start' ? date : new Date(date.getTime() + 1);
+    if (boundary.getUTCHours() || boundary.getUTCMinutes() || boundary.getUTCSeconds() || boundary.getUTCMilliseconds()) return false;
+    if (unit === 'day') return true;
+    if (boundary.getUTCDate() !== 1) return false;
+    if (unit === 'month') return true;
+    if (unit === 'season') return boundary.getUTCMonth() % 3 === 2;
+    return boundary.getUTCMonth() === 0;
+}
+
+function formatInUnit(date, unit, side) {
+    const year = date.getUTCFullYear();
+    const month = date.getUTCMonth();
+    switch (unit) {
+        case 'year':
+            return formatYear(year);
+        case 'season': {
+            const [code, season] = Object.entries(SEASONS).find(([, { firstMonth }]) => (month - firstMonth + 12) % 12 < 3);
+            // A winter ending in February is the previous year's
+            const seasonYear = side === 'end' && season.firstMonth > month ? year - 1 : year;
+            return `${formatYear(seasonYear)}-${code}`;
+        }
+        case 'month':
+            return `${formatYear(year)}-${pad(month + 1)}`;
+        default:
+            return `${formatYear(year)}-${pad(month + 1)}-${pad(date.getUTCDate())}`;
+    }
+}
+
+// The coarsest unit, no coarser than the granularity allows, the date starts or ends
+function endpointUnit(date, granularity, side) {
+    const units = ENDPOINT_UNITS[granularity] || ['day'];
+    return units.find(unit => isUnitBoundary(date, unit, side)) || 'day';
+}
+
+function formatOffset(minutes) {
+    if (!minutes) return 'Z';
+    const sign = minutes < 0 ? '-' : '+';
+    return `${sign}${pad(Math.floor(Math.abs(minutes) / 60))}:${pad(Math.abs(minutes) % 60)}`;
+}
+
+// Writes a period (floating dates, as above) as EDTF. Instants become date-times with the given
+// UTC offset in minutes; both ends of an interval are written in the same unit, so
+// "2023 to March 2024" is "2023-01/2024-03".
+export function toEDTF({ start, end = start, granularity, approximate = false, uncertain = false, openStart = false, openEnd = false }, offsetMinutes = 0) {
+    if (granularity === 'instant' && !openStart && !openEnd && start.getTime() === end.getTime()) {
+        const date = formatInUnit(start, 'day');
+        return `${date}T${pad(start.getUTCHours())}:${pad(start.getUTCMinutes())}:${pad(start.getUTCSeconds())}${formatOffset(offsetMinutes)}`;
+    }
+
+    const qualifier = Object.keys(QUALIFIERS).find(key => QUALIFIERS[key].approximate === approximate && QUALIFIERS[key].uncertain === uncertain);
+    const units = ENDPOINT_UNITS[granularity] || ['day'];
+    const startUnit = endpointUnit(start, granularity, 'start');
+    const endUnit = endpointUnit(end, granularity, 'end');
+    const unit = units[Math.max(units.indexOf(startUnit), units.indexOf(endUnit))];
+
+    const first = openStart ? '..' : formatInUnit(start, unit, 'start') + qualifier;
+    const last = openEnd ? '..' : formatInUnit(end, unit, 'end') + qualifier;
+    return first === last ? first : `${first}/${last}`;
+}
+
+function describeDate(text) {
+    const match = text.match(DATE_PATTERN);
+    if (!match) return text;
+
+    const [, longYear, plainYear, unspecifiedYear, monthText, dayText, qualifier] = match;
+    const { approximate, uncertain } = QUALIFIERS[qualifier];
+    let description;
+    if (unspecifiedYear) {
+        description = `${unspecifiedYear.replace(/X/g, '0')}s`;
+    } else {
+        const year = parseInt(longYear || plainYear, 10);
+        const yearText = year > 0 ? String(year) : `${1 - year} BCE`;
+        const month = monthText && monthText !== 'XX' ? parseInt(monthText, 10) : null;
+        if (month !== null && !SEASONS[month] && (month < 1 || month > 12)) return text;
+        const monthName = month ? floating(2000, month - 1).toLocaleDateString('en-US', { month: 'long', timeZone: 'UTC' }) : null;
+
+        if (month === null) {
+            description = monthText ? `${yearText} (month unknown)` : yearText;
+        } else if (SEASONS[month]) {
+            description = `${SEASONS[month].name} ${yearText}`;
+        } else if (!dayText) {
+            description = `${monthName} ${yearText}`;
+        } else if (dayText === 'XX') {
+            description = `${monthName} ${yearText} (day unknown)`;
+        } else {
+            description = `${monthName} ${parseInt(dayText, 10)}, ${yearText}`;
+        }
+    }
+    return `${approximate ? 'c. ' : ''}${description}${uncertain ? '?' : ''}`;
+}
+
+// Reads an EDTF string out in words: "c. 2023", "May 2024?", "up to February 2025",
+// "2010s", "Spring 2001 – Autumn 2001". Date-times are shown in the given zone.
+export function describeEDTF(edtf, { timeZone = 'UTC' } = {}) {
+    const value = String(edtf ?? '').trim();
+    if (!value) return '';
+    if (value.includes('T')) {
+        const date = new Date(value);
+        return isNaN(date.getTime()) ? value : date.toLocaleString(undefined, { timeZone, timeZoneName: 'short' });
+    }
+    // Text that is not valid EDTF ("2024-13", "2024-02-30") is shown as it is
+    if (!parseEDTF(value)) return value;
+
+    const parts = value.split('/');
+    if (parts.length !== 2) return describeDate(value);
+
+    const [first, last] = parts;
+    if (first === '..') return `up to ${describeDate(last)}`;
+    if (last === '..') return `${describeDate(first)} onward`;
+    return `${first ? describeDate(first) : 'unknown'} – ${last ? describeDate(last) : 'unknown'}`;
+}
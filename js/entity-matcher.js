@@ -0,0 +1,231 @@
+// Scored candidate matching for entity resolution. Combines string similarity, acronyms,
+// alias overlap, shared Wikidata IDs and shared co-occurring entities into one score.
+
+import { LRUCache } from './lru-cache.js';
+import { getEventEntityIds, eventReferencesEntity } from './event-references.js';
+
+// At or above autoLink a name is linked to the candidate without asking;
+// at or above review the proposed link goes to the review queue
+export const MATCH_THRESHOLDS = {
+    autoLink: 0.9,
+    review: 0.5
+};
+
+const STOP_WORDS = new Set(['the', 'of', 'and', 'for', 'in', 'on', 'at', 'a', 'an']);
+const LEGAL_SUFFIXES = new Set([
+    'inc', 'incorporated', 'corp', 'corporation', 'co', 'company', 'ltd', 'limited',
+    'llc', 'plc', 'sa', 'ag', 'gmbh', 'holdings', 'group'
+]);
+
+const CORE_NAME_SCORE = 0.95;        // Same name once legal suffixes are dropped
+const SHARED_ALIAS_SCORE = 0.9;
+const ACRONYM_SCORE = 0.8;
+const MIN_EDIT_SIMILARITY = 0.85;    // Below this, spelling differences usually mean different names
+const CONFLICTING_WIKIDATA_CAP = 0.3; // Two different Wikidata items are almost never the same entity
+const CO_OCCURRENCE_BOOST = 0.05;    // Per co-occurring entity the two share
+const MAX_CO_OCCURRENCE_BOOST = 0.15;
+const MIN_SCORE_FOR_BOOST = 0.4;     // Context can tip a plausible match, not create one
+
+export function normalizeName(name) {
+    return String(name || '')
+        .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’]s\b/g, '')
+        .replace(/&/g, ' and ')
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+}
+
+export function levenshteinDistance(a, b) {
+    if (a === b) return 0;
+    if (a.length === 0) return b.length;
+    if (b.length === 0) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+export class EntityMatcher {
+    constructor(thresholds = MATCH_THRESHOLDS) {
+        this.thresholds = thresholds;
+        this.nameCache = new LRUCache(5000, 5); // 5000 names, 5MB max
+    }
+
+    // Tokens of a name, with and without legal suffixes, cached because every
+    // lookup walks all known entity names
+    analyzeName(name) {
+        if (this.nameCache.has(name)) {
+            return this.nameCache.get(name);
+        }
+
+        const normalized = normalizeName(name);
+        const tokens = normalized.split(' ').filter(token => token && !STOP_WORDS.has(token));
+        const withoutSuffixes = tokens.filter(token => !LEGAL_SUFFIXES.has(token));
+        const core = withoutSuffixes.length > 0 ? withoutSuffixes : tokens;
+        const compact = String(name || '').replace(/[.\s]/g, '');
+
+        const analysis = {
+            name,
+            normalized,
+            tokens,
+            core,
+            coreText: core.join(' '),
+            // "SMIC", "U.S.", "NATO": a short all-capitals name may abbreviate a longer one
+            acronym: /^[A-Z][A-Z0-9&]{1,7}$/.test(compact) ? compact.replace(/&/g, '').toLowerCase() : null
+        };
+        this.nameCache.set(name, analysis);
+        return analysis;
+    }
+
+    getEntityNames(entity) {
+        return [...new Set([entity.name, ...(entity.aliases || [])].filter(Boolean))];
+    }
+
+    // Inverse document frequency of each core token across the candidate entities, so
+    // a shared distinctive word ("Unicom") counts for more than a common one ("China")
+    buildTokenWeights(entities) {
+        const documentFrequency = new Map();
+        entities.forEach(entity => {
+            const entityTokens = new Set();
+            this.getEntityNames(entity).forEach(name => {
+                this.analyzeName(name).core.forEach(token => entityTokens.add(token));
+            });
+            entityTokens.forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+        });
+
+        const total = Math.max(entities.length, 1);
+        return token => Math.log(1 + total / (documentFrequency.get(token) || 1));
+    }
+
+    isAcronymOf(short, long) {
+        if (!short.acronym || long.tokens.length < 2) return false;
+        const initials = tokens => tokens.map(token => token[0]).join('');
+        return short.acronym === initials(long.tokens) || short.acronym === initials(long.core);
+    }
+
+    // Best evidence that two names refer to the same thing, as { score, reason }
+    compareNames(query, candidate, tokenWeight) {
+        if (query.normalized === candidate.normalized) {
+            return { score: 1, reason: `same name as "${candidate.name}"` };
+        }
+        if (query.coreText && query.coreText === candidate.coreText) {
+            return { score: CORE_NAME_SCORE, reason: `same name as "${candidate.name}" apart from legal suffixes` };
+        }
+        if (this.isAcronymOf(query, candidate) || this.isAcronymOf(candidate, query)) {
+            return { score: ACRONYM_SCORE, reason: `acronym of "${query.acronym ? candidate.name : query.name}"` };
+        }
+
+        let best = { score: 0, reason: null };
+
+        const longest = Math.max(query.coreText.length, candidate.coreText.length);
+        if (longest > 0 && Math.abs(query.coreText.length - candidate.coreText.length) <= longest * (1 - MIN_EDIT_SIMILARITY)) {
+            const similarity = 1 - levenshteinDistance(query.coreText, candidate.coreText) / longest;
+            if (similarity >= MIN_EDIT_SIMILARITY) {
+                best = { score: similarity, reason: `similar spelling to "${candidate.name}"` };
+            }
+        }
+
+        const queryTokens = new Set(query.core);
+        const candidateTokens = new Set(candidate.core);
+        const shared = [...queryTokens].filter(token => candidateTokens.has(token));
+        if (shared.length > 0) {
+            const union = new Set([...queryTokens, ...candidateTokens]);
+            const sharedWeight = shared.reduce((sum, token) => sum + tokenWeight(token), 0);
+            const unionWeight = [...union].reduce((sum, token) => sum + tokenWeight(token), 0);
+            const overlap = sharedWeight / unionWeight;
+            if (overlap > best.score) {
+                best = { score: overlap, reason: `shares "${shared.join(' ')}" with "${candidate.name}"` };
+            }
+        }
+
+        return best;
+    }
+
+    // IDs of the entities that appear in events together with the given entity
+    getCoOccurringIds(entity, events) {
+        const ids = new Set();
+        events.forEach(event => {
+            if (eventReferencesEntity(event, entity.id)) {
+                getEventEntityIds(event).forEach(id => ids.add(id));
+            }
+        });
+        ids.delete(entity.id);
+        return ids;
+    }
+
+    // Score every entity against a name and return those worth linking or reviewing, best first.
+    // The context describes what else is known about the name: its Wikidata ID and aliases (once looked
+    // up) and the IDs of the entities mentioned alongside it.
+    findCandidates(name, entities, { aliases = [], wikidataId = null, coEntityIds = [], events = [], excludeIds = [] } = {}, limit = 5) {
+        const tokenWeight = this.buildTokenWeights(entities);
+        const queries = [
+            { analysis: this.analyzeName(name), isAlias: false },
+            ...aliases.filter(alias => alias && alias !== name).map(alias => ({ analysis: this.analyzeName(alias), isAlias: true }))
+        ];
+        const excluded = new Set(excludeIds);
+        const context = new Set(coEntityIds);
+
+        const candidates = [];
+        entities.forEach(entity => {
+            if (excluded.has(entity.id)) return;
+
+            let best = { score: 0, reason: null };
+            this.getEntityNames(entity).forEach(candidateName => {
+                const candidate = this.analyzeName(candidateName);
+                queries.forEach(({ analysis, isAlias }) => {
+                    let result = this.compareNames(analysis, candidate, tokenWeight);
+                    if (isAlias && result.score === 1) {
+                        result = { score: SHARED_ALIAS_SCORE, reason: `shared alias "${analysis.name}"` };
+                    } else if (isAlias) {
+                        // Looser alias resemblances are too weak to count
+                        return;
+                    }
+                    if (result.score > best.score) best = result;
+                });
+            });
+
+            const reasons = best.reason ? [best.reason] : [];
+            let score = best.score;
+
+            if (wikidataId && entity.wikidata_id) {
+                if (wikidataId === entity.wikidata_id) {
+                    score = 1;
+                    reasons.unshift(`same Wikidata ID (${wikidataId})`);
+                } else {
+                    score = Math.min(score, CONFLICTING_WIKIDATA_CAP);
+                }
+            }
+
+            if (score < MIN_SCORE_FOR_BOOST) return;
+            candidates.push({ entity, score, reasons });
+        });
+
+        // Co-occurrence needs an event scan, so only the plausible candidates get it
+        if (context.size > 0) {
+            candidates.forEach(candidate => {
+                const sharedIds = [...this.getCoOccurringIds(candidate.entity, events)].filter(id => context.has(id));
+                if (sharedIds.length === 0) return;
+                candidate.score += Math.min(MAX_CO_OCCURRENCE_BOOST, sharedIds.length * CO_OCCURRENCE_BOOST);
+                candidate.reasons.push(`${sharedIds.length} co-occurring ${sharedIds.length === 1 ? 'entity' : 'entities'} in common`);
+            });
+        }
+
+        return candidates
+            .map(candidate => ({ ...candidate, score: Math.round(Math.min(1, candidate.score) * 100) / 100 }))
+            .filter(candidate => candidate.score >= this.thresholds.review)
+            .sort((a, b) => b.score - a.score)
+            .slice(0, limit);
+    }
+
+    isAutoLink(candidate) {
+        return Boolean(candidate) && candidate.score >= this.thresholds.autoLink;
+    }
+}
@@ -2,7 +2,15 @@
 
 import { LRUCache } from './lru-cache.js';
 import { errorHandler } from './error-handler.js';
-import { loadingManager } from './loading-manager.js';
+import { EVENT_ENTITY_FIELDS, hasEntityReferences } from './event-references.js';
+import { EntityMatcher } from './entity-matcher.js';
+import { extractMappedFields, emptyMappedFields } from './wikidata-properties.js';
+import { normalizeAction, getEventActionFields, ACTION_TAXONOMY_SIGNATURE } from './action-normalizer.js';
+
+// The same key for (A, B) and (B, A)
+function matchReviewKey(entityId, candidateId) {
+    return [String(entityId), String(candidateId)].sort().join('__');
+}
 
 export class EntityProcessor {
     constructor(wikidataService, firebaseService, dateTimeProcessor) {
@@ -17,6 +25,16 @@ export class EntityProcessor {
             events: []
         };
         
+        // Entities and events created or modified since the last save
+        this.dirtyEntities = new Set();
+        this.dirtyEvents = new Set();
+        
+        // Scored fuzzy matching; medium-confidence links wait here until saved to the review queue
+        this.entityMatcher = new EntityMatcher();
+        this.pendingMatchReviews = [];
+        this.openMatchReviews = new Map();
+        this.entityCreations = new Map();
+        
         // Enhanced caching systems with memory management
         this.entityCache = new LRUCache(500, 10); // 500 items, 10MB max
         this.wikidataCache = new LRUCache(1000, 20); // 1000 items, 20MB max
@@ -29,14 +47,21 @@ export class EntityProcessor {
 
     async processEntity(entityName, role, event) {
         
-        // First check if entity exists in current session
-        let entity = this.findExistingEntity(entityName);
+        // First check if entity exists in current session, then for a confident fuzzy match
+        let entity = this.findExistingEntity(entityName) || this.linkFuzzyMatch(entityName, event);
         
         if (!entity) {
             // Always create new entity during ingest - deduplication happens separately
-            entity = await this.createNewEntity(entityName, role);
+            entity = await this.createOnce(entityName, async () => {
+                const created = await this.createNewEntity(entityName, role, event);
+                created.createdByBatch = event.importBatchId || null;
+                this.markEntityDirty(created);
+                return this.resolveNewEntity(created, event);
+            });
         }
         
+        this.linkEventEntity(event, role, entity);
+        
         // Add connection if it doesn't already exist
         if (!this.connectionExists(entity, event, role)) {
             const connection = {
@@ -49,11 +74,14 @@ export class EntityProcessor {
                     locations: event.locations || []
                 },
                 timestamp: event.dateReceived,
-                sentence: event.sentence
+                sentence: event.sentence,
+                importBatchId: event.importBatchId || null
             };
             
             if (!entity.connections) entity.connections = [];
             entity.connections.push(connection);
+            this.recordImportBatch(entity, event.importBatchId);
+            this.markEntityDirty(entity);
             
             // Update denormalized connection count
             entity.connectionCount = (entity.connectionCount || 0) + 1;
@@ -63,81 +91,15 @@ export class EntityProcessor {
     }
 
     async processLocationEntity(locationName, event) {
-        let entity = this.findExistingEntity(locationName);
+        let entity = this.findExistingEntity(locationName) || this.linkFuzzyMatch(locationName, event);
         
         if (!entity) {
             // Always create new entity during ingest - deduplication happens separately
-            let wikidataInfo = null;
-            
-            // Check Wikidata cache first, but don't use null cache hits for locations either
-            const cachedLocationData = this.wikidataCache.get(locationName);
-            if (cachedLocationData !== undefined && cachedLocationData !== null) { // Only use successful cache hits
-                wikidataInfo = cachedLocationData;
-            } else {
-                if (cachedLocationData === null) {
-                }
-                try {
-                    // Add timeout wrapper for location Wikidata calls
-                    wikidataInfo = await Promise.race([
-                        this.wikidataService.searchWikidata(locationName),
-                        new Promise((_, reject) => 
-                            setTimeout(() => reject(new Error('Location Wikidata search timeout')), 8000)
-                        )
-                    ]);
-                    // Cache the result for future use
-                    this.wikidataCache.set(locationName, wikidataInfo);
-                } catch (error) {
-                    if (error.message === 'Location Wikidata search timeout') {
-                        console.warn(`Location Wikidata search timeout for: ${locationName}`);
-                    } else {
-                        console.warn('EntityProcessor: Wikidata search failed for location', locationName, error);
-                    }
-                    // Cache null results to avoid repeated failed API calls
-                    this.wikidataCache.set(locationName, null);
-                    wikidataInfo = null;
-                }
-            }
-            
-            // Extract Wikidata fields for location
-            const wikidataFields = this.extractWikidataFields(wikidataInfo);
-            
-            // Merge aliases properly for locations too
-            const mergedAliases = [locationName];
-            if (wikidataFields.aliases && Array.isArray(wikidataFields.aliases)) {
-                wikidataFields.aliases.forEach(alias => {
-                    if (!mergedAliases.includes(alias)) {
-                        mergedAliases.push(alias);
-                    }
-                });
-            }
-
-            entity = {
-                id: `place_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-                name: locationName,
-                type: 'place',
-                category: this.classifyLocation(locationName, wikidataInfo),
-                wikidata_id: wikidataInfo?.id || null,
-                description: wikidataInfo?.description || '',
-                connections: [],
-                coordinates: wikidataInfo?.coordinates || null,
-                // Always include these fields for places too
-                educated_at: [],
-                residences: [],
-                member_of: [],
-                languages_spoken: [],
-                employer: [],
-                occupation: [],
-                spouse: [],
-                children: [],
-                parents: [],
-                siblings: [],
-                ...wikidataFields,
-                aliases: mergedAliases // Put aliases last to ensure proper merging
-            };
-            
-            this.processedEntities.places.push(entity);
+            entity = await this.createOnce(locationName, () => this.createLocationEntity(locationName, event));
         }
         
+        this.linkEventEntity(event, 'location', entity);
+        
         // Add connection
         if (!this.connectionExists(entity, event, 'location')) {
             const connection = {
@@ -150,11 +112,14 @@ export class EntityProcessor {
                     locations: event.locations || []
                 },
                 timestamp: event.dateReceived,
-                sentence: event.sentence
+                sentence: event.sentence,
+                importBatchId: event.importBatchId || null
             };
             
             if (!entity.connections) entity.connections = [];
             entity.connections.push(connection);
+            this.recordImportBatch(entity, event.importBatchId);
+            this.markEntityDirty(entity);
             
             // Update denormalized connection count
             entity.connectionCount = (entity.connectionCount || 0) + 1;
@@ -163,7 +128,89 @@ export class EntityProcessor {
         return entity;
     }
 
-    async createNewEntity(entityName, role) {
+    async createLocationEntity(locationName, event) {
+        let wikidataInfo = null;
+        
+        // Check Wikidata cache first, but don't use null cache hits for locations either
+        const cachedLocationData = this.wikidataCache.get(locationName);
+        if (cachedLocationData !== undefined && cachedLocationData !== null) { // Only use successful cache hits
+            wikidataInfo = cachedLocationData;
+        } else {
+            try {
+                // The Wikidata client applies its own per-request timeouts and retries, and
+                // rate-limited lookups may queue, so there is no overall deadline here
+                wikidataInfo = await this.wikidataService.searchWikidata(locationName, this.getWikidataContext(locationName, 'location', event));
+                // Cache the result for future use
+                this.wikidataCache.set(locationName, wikidataInfo);
+            } catch (error) {
+                console.warn('EntityProcessor: Wikidata search failed for location', locationName, error);
+                // Cache null results to avoid repeated failed API calls
+                this.wikidataCache.set(locationName, null);
+                wikidataInfo = null;
+            }
+        }
+        
+        // Extract Wikidata fields for location
+        const wikidataFields = this.extractWikidataFields(wikidataInfo, 'place');
+        
+        // Merge aliases properly for locations too
+        const mergedAliases = [locationName];
+        if (wikidataFields.aliases && Array.isArray(wikidataFields.aliases)) {
+            wikidataFields.aliases.forEach(alias => {
+                if (!mergedAliases.includes(alias)) {
+                    mergedAliases.push(alias);
+                }
+            });
+        }
+
+        const entity = {
+            id: `place_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            name: locationName,
+            type: 'place',
+            category: this.classifyLocation(locationName, wikidataInfo),
+            wikidata_id: wikidataInfo?.id || null,
+            // The chosen candidate's score and the runners-up, so a wrong link can be corrected later
+            wikidata_match: wikidataInfo?.match || null,
+            wikidata_retrieved_at: wikidataInfo?.retrievedAt || null,
+            description: wikidataInfo?.description || '',
+            connections: [],
+            coordinates: wikidataInfo?.coordinates || null,
+            createdByBatch: event.importBatchId || null,
+            // Always include the list fields places get, even if empty
+            ...emptyMappedFields('place'),
+            ...wikidataFields,
+            aliases: mergedAliases // Put aliases last to ensure proper merging
+        };
+        
+        this.processedEntities.places.push(entity);
+        this.markEntityDirty(entity);
+        return this.resolveNewEntity(entity, event);
+    }
+
+    // Rows are processed concurrently, so two of them can try to create the same new entity at once;
+    // the later one waits for the first instead of creating a duplicate
+    createOnce(name, create) {
+        const key = name.toLowerCase();
+        if (!this.entityCreations.has(key)) {
+            this.entityCreations.set(key, create().finally(() => this.entityCreations.delete(key)));
+        }
+        return this.entityCreations.get(key);
+    }
+
+    // What the row says about a name, so Wikidata can tell "Lebanon" the country from Lebanon, Tennessee
+    getWikidataContext(name, role, event) {
+        const expectedType = role === 'location' ? 'place' : this.determineEntityType(name, null, role);
+        return {
+            sentence: event?.sentence || '',
+            locations: (event?.locations || [])
+                .map(location => (typeof location === 'string' ? location : location?.name))
+                .filter(location => location && location !== name),
+            role,
+            expectedType: expectedType === 'unknown' ? null : expectedType
+        };
+    }
+
+    async createNewEntity(entityName, role, event = null) {
         let wikidataInfo = null;
         
         
@@ -174,29 +221,20 @@ export class EntityProcessor {
         } else {
             
             try {
-                // Add timeout wrapper for Wikidata calls
-                wikidataInfo = await Promise.race([
-                    errorHandler.withErrorHandling(
-                        () => this.wikidataService.searchWikidata(entityName),
-                        { operation: 'wikidata_search', entityName }
-                    ),
-                    new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error('Wikidata search timeout')), 8000) // 8 second timeout
-                    )
-                ]);
+                // No overall deadline: the Wikidata client times out and retries each request itself
+                wikidataInfo = await errorHandler.withErrorHandling(
+                    () => this.wikidataService.searchWikidata(entityName, this.getWikidataContext(entityName, role, event)),
+                    { operation: 'wikidata_search', entityName }
+                );
                 
                 // Cache the result for future use
                 this.wikidataCache.set(entityName, wikidataInfo);
             } catch (error) {
-                if (error.message === 'Wikidata search timeout') {
-                    console.warn(`Wikidata search timeout for entity: ${entityName}`);
-                } else {
-                    errorHandler.handleError(error, { 
-                        operation: 'wikidata_search', 
-                        entityName,
-                        severity: errorHandler.constructor.Severity.LOW 
-                    });
-                }
+                errorHandler.handleError(error, { 
+                    operation: 'wikidata_search', 
+                    entityName,
+                    severity: errorHandler.constructor.Severity.LOW 
+                });
                 // Cache null results to avoid repeated failed API calls
                 this.wikidataCache.set(entityName, null);
                 wikidataInfo = null;
@@ -206,8 +244,9 @@ export class EntityProcessor {
         // Check memory usage periodically
         this.checkMemoryUsage();
         
-        // Extract Wikidata fields first
-        const wikidataFields = this.extractWikidataFields(wikidataInfo);
+        // Extract the Wikidata fields that apply to this type of entity
+        const type = this.determineEntityType(entityName, wikidataInfo, role);
+        const wikidataFields = this.extractWikidataFields(wikidataInfo, type);
         
         // Merge aliases properly - combine entity name with Wikidata aliases
         const mergedAliases = [entityName];
@@ -223,21 +262,14 @@ export class EntityProcessor {
         const entity = {
             id: `entity_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
             name: entityName,
-            type: this.determineEntityType(entityName, wikidataInfo, role),
+            type,
             wikidata_id: wikidataInfo?.id || null,
+            wikidata_match: wikidataInfo?.match || null,
+            wikidata_retrieved_at: wikidataInfo?.retrievedAt || null,
             description: wikidataInfo?.description || '',
             connections: [],
-            // Always include these fields, even if empty, so they appear in Firebase
-            educated_at: [],
-            residences: [],
-            member_of: [],
-            languages_spoken: [],
-            employer: [],
-            occupation: [],
-            spouse: [],
-            children: [],
-            parents: [],
-            siblings: [],
+            // Always include the list fields for this type, even if empty, so they appear in Firebase
+            ...emptyMappedFields(type),
             ...wikidataFields, // This will override the empty arrays if Wikidata has data
             aliases: mergedAliases // Put aliases last to ensure proper merging
         };
@@ -258,6 +290,156 @@ export class EntityProcessor {
         return entity;
     }
 
+    // Replace the in-memory graph with data loaded from the database; nothing is dirty afterwards
+    setProcessedEntities(data) {
+        this.processedEntities = {
+            people: data.people || [],
+            organizations: data.organizations || [],
+            places: data.places || [],
+            unknown: data.unknown || [],
+            events: data.events || []
+        };
+        this.dirtyEntities.clear();
+        this.dirtyEvents.clear();
+        this.pendingMatchReviews = [];
+        this.openMatchReviews = new Map();
+        (data.matchReviews || []).forEach(review => this.trackMatchReview(review));
+    }
+
+    addEvent(event) {
+        this.processedEntities.events.push(event);
+        this.markEventDirty(event);
+    }
+
+    markEntityDirty(entity) {
+        this.dirtyEntities.add(entity);
+    }
+
+    markEventDirty(event) {
+        this.dirtyEvents.add(event);
+    }
+
+    // Only the entities and events that need writing, grouped by collection
+    getDirtyChanges() {
+        const entities = {};
+        ['people', 'organizations', 'places', 'unknown'].forEach(collectionName => {
+            entities[collectionName] = this.processedEntities[collectionName].filter(entity => this.dirtyEntities.has(entity));
+        });
+        const events = this.processedEntities.events.filter(event => this.dirtyEvents.has(event));
+        const matchReviews = [...this.pendingMatchReviews];
+        const count = events.length + matchReviews.length + Object.values(entities).reduce((sum, list) => sum + list.length, 0);
+
+        return { entities, events, matchReviews, count };
+    }
+
+    // Apply unsaved changes (from a checkpoint or the import worker) on top of the loaded data and mark them dirty
+    restoreDirtyChanges(changes) {
+        Object.entries(changes.entities || {}).forEach(([collectionName, entities]) => {
+            const list = this.processedEntities[collectionName];
+            entities.forEach(entity => {
+                const index = list.findIndex(existing => existing.id === entity.id ||
+                    (entity.firestoreId && existing.firestoreId === entity.firestoreId));
+                if (index !== -1) {
+                    this.dirtyEntities.delete(list[index]);
+                    list[index] = entity;
+                } else {
+                    list.push(entity);
+                }
+                this.markEntityDirty(entity);
+            });
+        });
+
+        (changes.events || []).forEach(event => {
+            const index = this.processedEntities.events.findIndex(existing => existing.id === event.id);
+            if (index !== -1) {
+                this.dirtyEvents.delete(this.processedEntities.events[index]);
+                this.processedEntities.events[index] = event;
+            } else {
+                this.processedEntities.events.push(event);
+            }
+            this.markEventDirty(event);
+        });
+
+        (changes.matchReviews || []).forEach(review => {
+            if (this.trackMatchReview(review)) this.pendingMatchReviews.push(review);
+        });
+    }
+
+    // Clear the dirty flags for the documents that were just saved
+    markClean(changes) {
+        Object.values(changes.entities).forEach(list => list.forEach(entity => this.dirtyEntities.delete(entity)));
+        changes.events.forEach(event => this.dirtyEvents.delete(event));
+        const saved = new Set(changes.matchReviews || []);
+        this.pendingMatchReviews = this.pendingMatchReviews.filter(review => !saved.has(review));
+    }
+
+    // Reference the entity from the event by ID (actorIds / targetIds / locationIds)
+    linkEventEntity(event, role, entity) {
+        const field = EVENT_ENTITY_FIELDS[role];
+        if (!event[field]) event[field] = [];
+        if (!event[field].includes(entity.id)) {
+            event[field].push(entity.id);
+            this.markEventDirty(event);
+        }
+    }
+
+    // One-time migration for events saved before entity references existed: resolve their
+    // actor, target and location names to entity IDs by exact name or alias. Returns the number migrated.
+    migrateEventReferences() {
+        let migrated = 0;
+
+        this.processedEntities.events.forEach(event => {
+            if (hasEntityReferences(event)) return;
+
+            const locationNames = Array.isArray(event.locations)
+                ? event.locations.map(location => typeof location === 'string' ? location : location?.name)
+                : this.parseEntities(event.locations || '');
+            const mentions = {
+                actor: this.parseEntities(event.actor || ''),
+                target: this.parseEntities(event.target || ''),
+                location: locationNames.filter(Boolean)
+            };
+
+            Object.entries(mentions).forEach(([role, names]) => {
+                event[EVENT_ENTITY_FIELDS[role]] = [];
+                names.forEach(name => {
+                    const entity = this.findExistingEntity(name);
+                    if (entity) this.linkEventEntity(event, role, entity);
+                });
+            });
+
+            this.markEventDirty(event);
+            migrated++;
+        });
+
+        return migrated;
+    }
+
+    // Events saved before action normalization, or under an older taxonomy, get their action
+    // lemma and category recomputed. Actor and target are left as they are. Returns the number updated.
+    migrateEventActions() {
+        let migrated = 0;
+
+        this.processedEntities.events.forEach(event => {
+            if (event.actionTaxonomy === ACTION_TAXONOMY_SIGNATURE || !event.action) return;
+
+            Object.assign(event, getEventActionFields(normalizeAction(event.action)));
+            this.markEventDirty(event);
+            migrated++;
+        });
+
+        return migrated;
+    }
+
+    // Track which import batches touched an entity so a batch can be rolled back
+    recordImportBatch(entity, importBatchId) {
+        if (!importBatchId) return;
+        if (!entity.importBatchIds) entity.importBatchIds = [];
+        if (!entity.importBatchIds.includes(importBatchId)) {
+            entity.importBatchIds.push(importBatchId);
+        }
+    }
+
     findExistingEntity(name) {
         const allEntities = [
             ...this.processedEntities.people,
@@ -304,6 +486,145 @@ export class EntityProcessor {
         return match || null;
     }
 
+    getAllEntities() {
+        return [
+            ...this.processedEntities.people,
+            ...this.processedEntities.organizations,
+            ...this.processedEntities.places,
+            ...this.processedEntities.unknown
+        ];
+    }
+
+    findEntityById(id) {
+        return this.getAllEntities().find(entity => entity.id === id) || null;
+    }
+
+    // IDs of the already-known entities mentioned in the same event, as context for matching
+    getEventContextIds(event, excludeName) {
+        const locationNames = (event.locations || []).map(location => typeof location === 'string' ? location : location?.name);
+        const names = [...this.parseEntities(event.actor || ''), ...this.parseEntities(event.target || ''), ...locationNames]
+            .filter(name => name && name !== excludeName);
+
+        return [...new Set(names
+            .map(name => this.findExistingEntity(name))
+            .filter(entity => entity)
+            .map(entity => entity.id))];
+    }
+
+    // Best fuzzy candidate for a name, considering the event it appears in
+    findFuzzyMatch(name, event = null) {
+        const [best] = this.entityMatcher.findCandidates(name, this.getAllEntities(), {
+            coEntityIds: event ? this.getEventContextIds(event, name) : [],
+            events: this.processedEntities.events
+        }, 1);
+        return this.entityMatcher.isAutoLink(best) ? best : null;
+    }
+
+    // Link a name to an entity the matcher is confident about, remembering the name as an alias
+    linkFuzzyMatch(name, event) {
+        const match = this.findFuzzyMatch(name, event);
+        if (!match) return null;
+
+        const entity = match.entity;
+        if (!entity.aliases) entity.aliases = [];
+        if (!entity.aliases.includes(name)) {
+            entity.aliases.push(name);
+            this.markEntityDirty(entity);
+        }
+        return entity;
+    }
+
+    // Match a newly created entity again now that its Wikidata details are known: a confident
+    // match (a shared Wikidata ID, say) absorbs it and is returned instead; weaker candidates
+    // go to the review queue and the new entity stays
+    resolveNewEntity(entity, event) {
+        const candidates = this.entityMatcher.findCandidates(entity.name, this.getAllEntities(), {
+            aliases: entity.aliases || [],
+            wikidataId: entity.wikidata_id,
+            coEntityIds: this.getEventContextIds(event, entity.name),
+            events: this.processedEntities.events,
+            excludeIds: [entity.id]
+        }, 3);
+
+        if (this.entityMatcher.isAutoLink(candidates[0])) {
+            return this.absorbNewEntity(entity, candidates[0].entity);
+        }
+        this.proposeMatches(entity, event, candidates);
+        return entity;
+    }
+
+    // Drop an entity created during this import in favour of an existing one, which keeps its
+    // names as aliases and its Wikidata link if it had none
+    absorbNewEntity(entity, target) {
+        ['people', 'organizations', 'places', 'unknown'].forEach(collection => {
+            const list = this.processedEntities[collection];
+            const index = list.indexOf(entity);
+            if (index !== -1) list.splice(index, 1);
+        });
+        this.dirtyEntities.delete(entity);
+
+        if (!target.aliases) target.aliases = [];
+        [entity.name, ...(entity.aliases || [])].forEach(alias => {
+            if (alias && alias !== target.name && !target.aliases.includes(alias)) {
+                target.aliases.push(alias);
+            }
+        });
+        if (!target.wikidata_id && entity.wikidata_id) {
+            target.wikidata_id = entity.wikidata_id;
+            target.wikidata_match = entity.wikidata_match;
+            target.wikidata_retrieved_at = entity.wikidata_retrieved_at;
+            if (!target.description) target.description = entity.description;
+        }
+        this.markEntityDirty(target);
+        return target;
+    }
+
+    // Saved and queued reviews still waiting for a decision, keyed on their pair of entities
+    // whichever way round it was proposed; returns false when the pair already has one
+    trackMatchReview(review) {
+        if (review.status !== 'pending' && review.status !== 'deferred') return false;
+        const key = matchReviewKey(review.entityId, review.candidateId);
+        if (this.openMatchReviews.has(key)) return false;
+        this.openMatchReviews.set(key, review);
+        return true;
+    }
+
+    // An accepted or rejected review no longer holds back a new proposal for its pair
+    closeMatchReview(review) {
+        const key = matchReviewKey(review.entityId, review.candidateId);
+        if (this.openMatchReviews.get(key)?.id === review.id) this.openMatchReviews.delete(key);
+    }
+
+    getOpenMatchReviews() {
+        return [...this.openMatchReviews.values()];
+    }
+
+    // Queue medium-confidence candidates (below the auto-link threshold) for a newly created
+    // entity so an analyst can accept, reject or defer each link. A pair with an open review is
+    // not queued again, and the review ID comes from the pair so a repeat proposal saved later
+    // replaces the earlier document rather than adding a second one
+    proposeMatches(entity, event, candidates) {
+        candidates.forEach(({ entity: candidate, score, reasons }) => {
+            const review = {
+                id: `review_${matchReviewKey(entity.id, candidate.id)}`,
+                entityId: entity.id,
+                entityName: entity.name,
+                entityType: entity.type,
+                candidateId: candidate.id,
+                candidateName: candidate.name,
+                candidateType: candidate.type,
+                score,
+                reasons,
+                sentence: event.sentence || '',
+                importBatchId: event.importBatchId || null,
+                status: 'pending',
+                createdAt: new Date(),
+                reviewedAt: null
+            };
+            if (this.trackMatchReview(review)) this.pendingMatchReviews.push(review);
+        });
+    }
+
     ensureEntityInProcessedList(entity) {
         const entityType = entity.type || entity.category;
         let targetList;
@@ -709,55 +1030,9 @@ export class EntityProcessor {
         return 'place';
     }
 
-    extractWikidataFields(wikidataInfo) {
-        if (!wikidataInfo) return {};
-        
-        const fields = {};
-        
-        // Basic fields
-        if (wikidataInfo.occupation && wikidataInfo.occupation.length > 0) fields.occupation = wikidataInfo.occupation;
-        if (wikidataInfo.dateOfBirth) fields.dateOfBirth = wikidataInfo.dateOfBirth;
-        if (wikidataInfo.country) fields.country = wikidataInfo.country;
-        if (wikidataInfo.founded) fields.founded = wikidataInfo.founded;
-        if (wikidataInfo.instance_of) fields.instance_of = wikidataInfo.instance_of;
-        
-        // Enhanced fields that were being fetched but not saved - include even if empty to show in Firebase
-        if (wikidataInfo.hasOwnProperty('aliases')) {
-            fields.aliases = Array.isArray(wikidataInfo.aliases) ? wikidataInfo.aliases : [];
-        }
-        if (wikidataInfo.hasOwnProperty('educated_at')) {
-            fields.educated_at = Array.isArray(wikidataInfo.educated_at) ? wikidataInfo.educated_at : [];
-        }
-        if (wikidataInfo.hasOwnProperty('residences')) {
-            fields.residences = Array.isArray(wikidataInfo.residences) ? wikidataInfo.residences : [];
-        }
-        if (wikidataInfo.hasOwnProperty('member_of')) {
-            fields.member_of = Array.isArray(wikidataInfo.member_of) ? wikidataInfo.member_of : [];
-        }
-        if (wikidataInfo.hasOwnProperty('languages_spoken')) {
-            fields.languages_spoken = Array.isArray(wikidataInfo.languages_spoken) ? wikidataInfo.languages_spoken : [];
-        }
-        if (wikidataInfo.hasOwnProperty('employer')) {
-            fields.employer = Array.isArray(wikidataInfo.employer) ? wikidataInfo.employer : [];
-        }
-        if (wikidataInfo.coordinates) fields.coordinates = wikidataInfo.coordinates;
-        if (wikidataInfo.population) fields.population = wikidataInfo.population;
-        
-        // Family relations - include even if empty to show in Firebase
-        if (wikidataInfo.hasOwnProperty('spouse')) {
-            fields.spouse = Array.isArray(wikidataInfo.spouse) ? wikidataInfo.spouse : [];
-        }
-        if (wikidataInfo.hasOwnProperty('children')) {
-            fields.children = Array.isArray(wikidataInfo.children) ? wikidataInfo.children : [];
-        }
-        if (wikidataInfo.hasOwnProperty('parents')) {
-            fields.parents = Array.isArray(wikidataInfo.parents) ? wikidataInfo.parents : [];
-        }
-        if (wikidataInfo.hasOwnProperty('siblings')) {
-            fields.siblings = Array.isArray(wikidataInfo.siblings) ? wikidataInfo.siblings : [];
-        }
-        
-        return fields;
+    // Wikidata fields for an entity of the given type, as set out in WIKIDATA_PROPERTY_MAPPING
+    extractWikidataFields(wikidataInfo, entityType = null) {
+        return extractMappedFields(wikidataInfo, entityType);
     }
 
     extractLocationFields(wikidataInfo) {
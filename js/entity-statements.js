@@ -0,0 +1,117 @@
+// Time-bounded statements: attributes such as employer, position held, residence and membership
+// that hold between a start (Wikidata qualifier P580) and an end (P582). Entities keep them in
+// `statements` as { field, property, value, valueId, start, end, ended }, where start and end are
+// partial ISO dates ('2015', '2015-03' or '2015-03-04') and a missing start or end is open.
+// `statement_ids` lists the statements' Wikidata values so holders can be queried by ID.
+
+// Wikidata time precisions: 9 = year, 10 = month, 11 = day; anything coarser is kept as a year
+export function parseWikidataTime(value) {
+    if (!value?.time) return null;
+    const match = value.time.match(/^([+-]?)(\d+)-(\d\d)-(\d\d)/);
+    if (!match) return null;
+
+    const [, sign, year, month, day] = match;
+    const yearText = `${sign === '-' ? '-' : ''}${year.replace(/^0+(?=\d{4})/, '')}`;
+    if (value.precision >= 11 && day !== '00') return `${yearText}-${month}-${day}`;
+    if (value.precision >= 10 && month !== '00') return `${yearText}-${month}`;
+    return yearText;
+}
+
+function partialDateParts(partial) {
+    const match = String(partial).match(/^(-?\d+)(?:-(\d\d))?(?:-(\d\d))?$/);
+    if (!match) return null;
+    return { year: Number(match[1]), month: match[2] ? Number(match[2]) : null, day: match[3] ? Number(match[3]) : null };
+}
+
+// setUTCFullYear keeps years below 100 as they are, unlike Date.UTC
+function utcTime(year, monthIndex, day) {
+    const date = new Date(0);
+    date.setUTCFullYear(year, monthIndex, day);
+    return date.getTime();
+}
+
+// First and last millisecond a partial date covers
+export function getPartialDateStart(partial) {
+    const parts = partialDateParts(partial);
+    if (!parts) return null;
+    return utcTime(parts.year, (parts.month || 1) - 1, parts.day || 1);
+}
+
+export function getPartialDateEnd(partial) {
+    const parts = partialDateParts(partial);
+    if (!parts) return null;
+    if (parts.day) return utcTime(parts.year, parts.month - 1, parts.day + 1) - 1;
+    if (parts.month) return utcTime(parts.year, parts.month, 1) - 1;
+    return utcTime(parts.year + 1, 0, 1) - 1;
+}
+
+// "2024", "2024-03", "2019..2021" or "2019.." as { from, to } in milliseconds; null if unreadable
+export function parsePeriod(text) {
+    const [fromText, toText = fromText] = String(text || '').trim().split('..').map(part => part.trim());
+    const from = fromText ? getPartialDateStart(fromText) : -Infinity;
+    const to = toText ? getPartialDateEnd(toText) : Infinity;
+    if (from === null || to === null || (!fromText && !toText)) return null;
+    return { from, to };
+}
+
+// Whether a statement held at any time in the period. An end that Wikidata says exists but does
+// not date is treated as open, since the statement may have lasted into the period.
+export function statementOverlaps(statement, period) {
+    if (!period) return true;
+    const start = statement.start ? getPartialDateStart(statement.start) : -Infinity;
+    const end = statement.end ? getPartialDateEnd(statement.end) : Infinity;
+    return start <= period.to && end >= period.from;
+}
+
+export function isCurrentStatement(statement) {
+    return !statement.end && !statement.ended;
+}
+
+// "2015 – 2019", "2015 – present", "? – 2019"
+export function formatStatementPeriod(statement) {
+    const end = statement.end || (statement.ended ? '?' : 'present');
+    if (!statement.start && !statement.end && !statement.ended) return 'dates unknown';
+    return `${statement.start || '?'} – ${end}`;
+}
+
+export function formatStatement(statement) {
+    return `${statement.value} (${formatStatementPeriod(statement)})`;
+}
+
+// Statements of one field (or all), earliest first; undated starts sort first
+export function getStatements(entity, field = null) {
+    return (entity?.statements || [])
+        .filter(statement => !field || statement.field === field)
+        .slice()
+        .sort((a, b) => (getPartialDateStart(a.start) ?? -Infinity) - (getPartialDateStart(b.start) ?? -Infinity));
+}
+
+export function getStatementIds(statements) {
+    return [...new Set((statements || []).map(statement => statement.valueId).filter(Boolean))];
+}
+
+// Does a statement point at the target, given as a Wikidata ID or a name?
+function statementMatches(statement, target) {
+    if (/^Q\d+$/.test(target)) return statement.valueId === target;
+    return String(statement.value || '').toLowerCase() === target.toLowerCase();
+}
+
+// Who held a statement about the target during a period, e.g. who was a member of X in 2024:
+// findStatementHolders(entities, 'Q123', { field: 'member_of', period: parsePeriod('2024') }).
+// Returns [{ entity, statement }], earliest statement first.
+export function findStatementHolders(entities, target, { field = null, period = null } = {}) {
+    const targets = (Array.isArray(target) ? target : [target]).filter(Boolean).map(String);
+    const results = [];
+
+    entities.forEach(entity => {
+        (entity.statements || []).forEach(statement => {
+            if (field && statement.field !== field) return;
+            if (!targets.some(value => statementMatches(statement, value))) return;
+            if (!statementOverlaps(statement, period)) return;
+            results.push({ entity, statement });
+        });
+    });
+
+    return results.sort((a, b) =>
+        (getPartialDateStart(a.statement.start) ?? -Infinity) - (getPartialDateStart(b.statement.start) ?? -Infinity));
+}
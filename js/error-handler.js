@@ -136,6 +136,11 @@ export class ErrorHandler {
         });
     }
 
+    // The status element, or null when there is no DOM (e.g. inside the import worker)
+    getStatusElement() {
+        return typeof document !== 'undefined' ? document.getElementById('statusMessage') : null;
+    }
+
     showUserNotification(errorInfo, blocking = false) {
         if (this.isShowingError && !blocking) {
             return; // Don't spam user with multiple notifications
@@ -143,7 +148,7 @@ export class ErrorHandler {
 
         this.isShowingError = true;
         
-        const statusDiv = document.getElementById('statusMessage');
+        const statusDiv = this.getStatusElement();
         if (statusDiv) {
             statusDiv.textContent = errorInfo.userMessage;
             statusDiv.className = `status-message status-error ${errorInfo.severity}`;
@@ -163,7 +168,7 @@ export class ErrorHandler {
     }
 
     showCriticalError(errorInfo) {
-        const statusDiv = document.getElementById('statusMessage');
+        const statusDiv = this.getStatusElement();
         if (statusDiv) {
             statusDiv.innerHTML = `
                 <div class="critical-error">
@@ -223,7 +228,7 @@ export class ErrorHandler {
     // Clear error history
     clearErrors() {
         this.errorQueue = [];
-        const statusDiv = document.getElementById('statusMessage');
+        const statusDiv = this.getStatusElement();
         if (statusDiv) {
             statusDiv.style.display = 'none';
         }
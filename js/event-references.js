@@ -0,0 +1,50 @@
+// Entity references on events: actorIds, targetIds and locationIds hold the IDs of the
+// entities an event involves, so lookups never depend on matching names inside strings
+
+export const EVENT_ENTITY_FIELDS = {
+    actor: 'actorIds',
+    target: 'targetIds',
+    location: 'locationIds'
+};
+
+// Every entity ID an event references, without duplicates
+export function getEventEntityIds(event) {
+    return [...new Set(Object.values(EVENT_ENTITY_FIELDS).flatMap(field => event[field] || []))];
+}
+
+// The entity's role in the event ('actor', 'target' or 'location'), or null if it is not referenced
+export function getEventRole(event, entityId) {
+    return Object.keys(EVENT_ENTITY_FIELDS).find(role => (event[EVENT_ENTITY_FIELDS[role]] || []).includes(entityId)) || null;
+}
+
+export function eventReferencesEntity(event, entityId) {
+    return getEventRole(event, entityId) !== null;
+}
+
+// Connections per entity ID across events: one for each role an entity plays in an event
+export function countEntityConnections(events) {
+    const counts = new Map();
+    events.forEach(event => {
+        Object.values(EVENT_ENTITY_FIELDS).forEach(field => {
+            (event[field] || []).forEach(id => counts.set(id, (counts.get(id) || 0) + 1));
+        });
+    });
+    return counts;
+}
+
+// Events saved before references existed lack the fields and need migrating
+export function hasEntityReferences(event) {
+    return Object.values(EVENT_ENTITY_FIELDS).every(field => Array.isArray(event[field]));
+}
+
+// Point every reference to one entity at another, e.g. after a merge. Returns true if the event changed.
+export function replaceEntityReference(event, fromId, toId) {
+    let changed = false;
+    Object.values(EVENT_ENTITY_FIELDS).forEach(field => {
+        const ids = event[field];
+        if (!Array.isArray(ids) || !ids.includes(fromId)) return;
+        event[field] = [...new Set(ids.map(id => id === fromId ? toId : id))];
+        changed = true;
+    });
+    return changed;
+}
@@ -0,0 +1,197 @@
+// Full-text and fielded search over events. An inverted index maps the words of each event's
+// sentence, action, entity names and sources to the events containing them. Queries combine bare
+// words and "quoted phrases" (all must match) with field filters and dates, e.g.
+//   actor:China action:invested after:2024-01 source:reuters.com "data centre"
+// Words are compared lowercased, without accents and with common English endings removed, so
+// "invested" finds "invests" and "Zürich" finds "Zurich".
+
+import { getEventAction } from './action-normalizer.js';
+import { EVENT_ENTITY_FIELDS } from './event-references.js';
+import { DEFAULT_TIME_ZONE } from './time-zones.js';
+import { eventInTimeRange } from './time-range.js';
+
+// Indexed fields with their weight in the ranking
+const SEARCH_FIELDS = {
+    sentence: 3,
+    action: 2,
+    actor: 2,
+    target: 2,
+    location: 1,
+    source: 1
+};
+
+// Query prefixes and the fields they search
+const FIELD_PREFIXES = {
+    text: ['sentence'],
+    sentence: ['sentence'],
+    action: ['action'],
+    actor: ['actor'],
+    target: ['target'],
+    location: ['location'],
+    place: ['location'],
+    entity: ['actor', 'target', 'location'],
+    source: ['source']
+};
+
+const DATE_PREFIXES = ['after', 'before'];
+const QUERY_PATTERN = /(\w+):"([^"]*)"?|(\w+):(\S+)|"([^"]*)"?|(\S+)/g;
+const WORD_PATTERN = /[\p{L}\p{N}]+/gu;
+const SUFFIXES = ['ing', 'ed', 'es', 's'];
+const DAY = 24 * 60 * 60 * 1000;
+
+function normalize(text) {
+    return String(text ?? '').toLowerCase().normalize('NFKD').replace(/[\u0300-\u036f]/g, '');
+}
+
+// Strips one common ending from longer words: "invested", "investing", "invests" -> "invest"
+export function stem(word) {
+    const suffix = SUFFIXES.find(ending => word.length - ending.length >= 4 && word.endsWith(ending));
+    return suffix ? word.slice(0, -suffix.length) : word;
+}
+
+export function tokenize(text) {
+    return (normalize(text).match(WORD_PATTERN) || []).map(stem);
+}
+
+// "2024", "2024-01" or "2024-01-15" as the first day of that period ("2024-01-01"), or null
+function periodStart(value) {
+    const match = String(value).match(/^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?$/);
+    if (!match) return null;
+    const [, year, month = '01', day = '01'] = match;
+    const date = new Date(`${year}-${month}-${day}T00:00:00Z`);
+    return isNaN(date.getTime()) || date.getUTCDate() !== Number(day) ? null : `${year}-${month}-${day}`;
+}
+
+function dayBefore(day) {
+    return new Date(new Date(`${day}T00:00:00Z`).getTime() - DAY).toISOString().slice(0, 10);
+}
+
+// { clauses: [{ fields, tokens, text }], range: { from, to } | null, errors: [] }. Every clause
+// must match; a clause without fields matches in any field. after: includes the period it names,
+// before: stops at its start.
+export function parseSearchQuery(query) {
+    const clauses = [];
+    const errors = [];
+    let from = null;
+    let to = null;
+
+    for (const match of String(query || '').matchAll(QUERY_PATTERN)) {
+        const [whole, quotedPrefix, quotedValue, prefix, value, phrase, word] = match;
+        const key = (quotedPrefix || prefix || '').toLowerCase();
+        const fieldValue = quotedPrefix ? quotedValue : value;
+
+        if (DATE_PREFIXES.includes(key)) {
+            const day = periodStart(fieldValue);
+            if (!day) {
+                errors.push(`Cannot read the date in "${whole}"; use e.g. 2024, 2024-01 or 2024-01-15`);
+            } else if (key === 'after') {
+                from = day;
+            } else {
+                to = dayBefore(day);
+            }
+            continue;
+        }
+
+        const fields = FIELD_PREFIXES[key] || null;
+        // Unknown prefixes ("note:x", URLs) are searched as plain text
+        const text = fields ? fieldValue : (phrase ?? word ?? whole);
+        const tokens = tokenize(text);
+        if (tokens.length > 0) clauses.push({ fields, tokens, text });
+    }
+
+    return { clauses, range: from || to ? { from, to } : null, errors };
+}
+
+// Escapes text for HTML and wraps the words whose stems are in terms in <mark>
+export function highlightTerms(text, terms) {
+    const escape = value => value.replace(/[&<>"']/g, char => `&#${char.charCodeAt(0)};`);
+    const source = String(text ?? '');
+    let html = '';
+    let last = 0;
+    for (const match of source.matchAll(WORD_PATTERN)) {
+        if (!terms.has(stem(normalize(match[0])))) continue;
+        html += `${escape(source.slice(last, match.index))}<mark>${escape(match[0])}</mark>`;
+        last = match.index + match[0].length;
+    }
+    return html + escape(source.slice(last));
+}
+
+export class EventSearchIndex {
+    constructor(events = [], entities = []) {
+        this.entitiesById = new Map(entities.map(entity => [entity.id, entity]));
+        this.documents = [];
+        this.postings = new Map();
+        events.forEach(event => this.add(event));
+    }
+
+    add(event) {
+        const action = getEventAction(event);
+        const entityNames = field => (event[EVENT_ENTITY_FIELDS[field]] || [])
+            .map(id => this.entitiesById.get(id))
+            .filter(Boolean)
+            .flatMap(entity => [entity.name, ...(entity.aliases || [])]);
+        const locationNames = (Array.isArray(event.locations) ? event.locations : [event.locations])
+            .map(location => (typeof location === 'string' ? location : location?.name));
+
+        const values = {
+            sentence: [event.sentence],
+            action: [event.action, event.originalAction, action.lemma, action.label],
+            actor: [event.actor, ...entityNames('actor')],
+            target: [event.target, ...entityNames('target')],
+            location: [...locationNames, ...entityNames('location')],
+            source: Array.isArray(event.sources) ? event.sources : [event.sources]
+        };
+
+        // Each field is kept as " word word | word " so phrases match whole words within one value
+        const document = { event, fields: {} };
+        const index = this.documents.length;
+        Object.entries(values).forEach(([field, texts]) => {
+            const tokenLists = texts.filter(Boolean).map(tokenize).filter(tokens => tokens.length > 0);
+            document.fields[field] = ` ${tokenLists.map(tokens => tokens.join(' ')).join(' | ')} `;
+            tokenLists.flat().forEach(token => {
+                if (!this.postings.has(token)) this.postings.set(token, new Set());
+                this.postings.get(token).add(index);
+            });
+        });
+        this.documents.push(document);
+    }
+
+    // Matching events, best first: { results: [{ event, score }], terms, range, errors }. terms
+    // holds the stems to highlight in sentences; range is the query's after:/before: dates.
+    search(query, { timeZone = DEFAULT_TIME_ZONE } = {}) {
+        const { clauses, range, errors } = parseSearchQuery(query);
+        const terms = new Set(clauses
+            .filter(clause => !clause.fields || clause.fields.includes('sentence'))
+            .flatMap(clause => clause.tokens));
+        if (clauses.length === 0 && !range) {
+            return { results: [], terms, range, errors };
+        }
+
+        // Candidates hold every word of every clause; the clauses then check fields and word order
+        let candidates = null;
+        clauses.flatMap(clause => clause.tokens).forEach(token => {
+            const posting = this.postings.get(token) || new Set();
+            candidates = candidates ? new Set([...candidates].filter(index => posting.has(index))) : new Set(posting);
+        });
+        const indices = candidates ? [...candidates] : this.documents.map((document, index) => index);
+
+        const results = [];
+        indices.forEach(index => {
+            const document = this.documents[index];
+            let score = 0;
+            const matched = clauses.every(clause => {
+                const phrase = ` ${clause.tokens.join(' ')} `;
+                const fields = (clause.fields || Object.keys(SEARCH_FIELDS)).filter(field => document.fields[field].includes(phrase));
+                fields.forEach(field => { score += SEARCH_FIELDS[field]; });
+                return fields.length > 0;
+            });
+            if (matched && eventInTimeRange(document.event, range, timeZone)) {
+                results.push({ event: document.event, score });
+            }
+        });
+
+        const time = event => new Date(event.startDate || event.dateReceived || 0).getTime() || 0;
+        results.sort((a, b) => b.score - a.score || time(b.event) - time(a.event));
+        return { results, terms, range, errors };
+    }
+}
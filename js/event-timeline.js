@@ -0,0 +1,255 @@
+// Zoomable duration timeline (Gantt view) of events, drawn with d3, which the page loads
+// globally. Each event is a bar from its start to its end in a lane (a role, an action category);
+// events that overlap in a lane stack in rows. The uncertainty window either side of a bar fades
+// out, running to the edge for open dates. Dragging selects a range, which is reported so the
+// page can filter its other views. Dates are floating wall-clock dates (see toWallClock in
+// time-zones.js) drawn on a UTC scale.
+
+const ROW_HEIGHT = 12;
+const ROW_GAP = 4;
+const LANE_GAP = 10;
+const LABEL_WIDTH = 150;
+const AXIS_HEIGHT = 24;
+const RIGHT_MARGIN = 12;
+const MIN_BAR_WIDTH = 3;
+const DAY = 24 * 60 * 60 * 1000;
+const MAX_LABEL_LENGTH = 20;
+
+// Puts each item in the first row where it overlaps nothing; returns the number of rows
+export function assignRows(items) {
+    const rowEnds = [];
+    [...items].sort((a, b) => a.start - b.start).forEach(item => {
+        let row = rowEnds.findIndex(end => end < item.start);
+        if (row === -1) row = rowEnds.length;
+        rowEnds[row] = item.end;
+        item.row = row;
+    });
+    return rowEnds.length;
+}
+
+// Whether an item's start..end overlaps a { start, end } range
+export function overlapsRange(item, range) {
+    return !range || (item.start <= range.end && item.end >= range.start);
+}
+
+function truncate(label) {
+    return label.length > MAX_LABEL_LENGTH ? `${label.slice(0, MAX_LABEL_LENGTH - 1)}…` : label;
+}
+
+export class EventTimeline {
+    constructor(container, { onRangeChange = () => {} } = {}) {
+        this.container = container;
+        this.onRangeChange = onRangeChange;
+        this.range = null;
+        this.transform = d3.zoomIdentity;
+    }
+
+    // items: [{ id, lane, start, end, earliest, latest, granularity, label }], where a null earliest
+    // or latest is an open end; lanes: [{ key, label, color }] in drawing order
+    render(items, lanes) {
+        this.container.innerHTML = '';
+        this.items = items.map(item => ({ ...item }));
+        if (this.items.length === 0) {
+            this.container.innerHTML = '<div class="event-timeline-empty">No dated events</div>';
+            return;
+        }
+
+        let top = 0;
+        this.lanes = lanes
+            .map(lane => ({ ...lane, items: this.items.filter(item => item.lane === lane.key) }))
+            .filter(lane => lane.items.length > 0)
+            .map(lane => {
+                const rows = assignRows(lane.items);
+                const laneTop = top;
+                lane.items.forEach(item => {
+                    item.y = laneTop + item.row * (ROW_HEIGHT + ROW_GAP);
+                    item.color = lane.color;
+                });
+                top += rows * (ROW_HEIGHT + ROW_GAP) + LANE_GAP;
+                return { ...lane, top: laneTop, height: rows * (ROW_HEIGHT + ROW_GAP) };
+            });
+
+        const width = Math.max(this.container.clientWidth, LABEL_WIDTH + 200);
+        this.plotHeight = top;
+        this.plotLeft = LABEL_WIDTH;
+        this.plotRight = width - RIGHT_MARGIN;
+
+        // Fit the known dates; open ends do not stretch the domain
+        const times = this.items.flatMap(item => [item.earliest || item.start, item.latest || item.end]);
+        const [min, max] = d3.extent(times);
+        const padding = Math.max((max - min) * 0.05, DAY);
+        this.baseScale = d3.scaleUtc()
+            .domain([new Date(min.getTime() - padding), new Date(max.getTime() + padding)])
+            .range([this.plotLeft, this.plotRight]);
+        this.x = this.transform.rescaleX(this.baseScale);
+
+        const svg = d3.select(this.container)
+            .append('svg')
+            .attr('class', 'event-timeline-svg')
+            .attr('width', width)
+            .attr('height', this.plotHeight + AXIS_HEIGHT);
+        this.svg = svg;
+
+        this.addDefinitions(svg, width);
+
+        const laneGroups = svg.append('g')
+            .selectAll('g')
+            .data(this.lanes)
+            .join('g')
+            .attr('class', 'event-timeline-lane');
+        laneGroups.append('rect')
+            .attr('x', 0)
+            .attr('y', d => d.top - LANE_GAP / 2)
+            .attr('width', width)
+            .attr('height', d => d.height + LANE_GAP)
+            .attr('class', (d, i) => (i % 2 ? 'event-timeline-lane-band odd' : 'event-timeline-lane-band'));
+        laneGroups.append('text')
+            .attr('class', 'event-timeline-lane-label')
+            .attr('x', 6)
+            .attr('y', d => d.top + d.height / 2)
+            .attr('dominant-baseline', 'middle')
+            .text(d => `${truncate(d.label)} (${d.items.length})`)
+            .append('title')
+            .text(d => d.label);
+
+        const plot = svg.append('g').attr('clip-path', 'url(#eventTimelineClip)');
+        this.itemGroups = plot.selectAll('g')
+            .data(this.items, d => d.id)
+            .join('g')
+            .attr('class', d => `event-timeline-item granularity-${d.granularity || 'day'}`);
+        this.itemGroups.append('rect')
+            .attr('class', 'event-timeline-fade before')
+            .attr('mask', 'url(#eventTimelineFadeIn)');
+        this.itemGroups.append('rect')
+            .attr('class', 'event-timeline-fade after')
+            .attr('mask', 'url(#eventTimelineFadeOut)');
+        this.itemGroups.append('rect')
+            .attr('class', 'event-timeline-bar')
+            .attr('rx', 2);
+        this.itemGroups.selectAll('rect')
+            .attr('y', d => d.y)
+            .attr('height', ROW_HEIGHT)
+            .attr('fill', d => d.color);
+
+        this.axisGroup = svg.append('g')
+            .attr('class', 'event-timeline-axis')
+            .attr('transform', `translate(0,${this.plotHeight})`);
+
+        // Drag selects a range; the wheel zooms and a shift-drag pans
+        this.brush = d3.brushX()
+            .extent([[this.plotLeft, 0], [this.plotRight, this.plotHeight]])
+            .filter(event => !event.shiftKey && !event.button)
+            .on('end', event => {
+                if (!event.sourceEvent) return;
+                this.setRange(event.selection ? { start: this.x.invert(event.selection[0]), end: this.x.invert(event.selection[1]) } : null);
+            });
+        this.brushGroup = svg.append('g').attr('class', 'event-timeline-brush').call(this.brush);
+
+        this.zoom = d3.zoom()
+            .scaleExtent([1, 5000])
+            .extent([[this.plotLeft, 0], [this.plotRight, this.plotHeight]])
+            .translateExtent([[this.plotLeft, 0], [this.plotRight, this.plotHeight]])
+            .filter(event => event.type === 'wheel' || (event.type === 'mousedown' && event.shiftKey) || event.type.startsWith('touch'))
+            .on('zoom', event => {
+                this.transform = event.transform;
+                this.x = this.transform.rescaleX(this.baseScale);
+                this.redraw();
+            });
+        svg.call(this.zoom).on('dblclick.zoom', null);
+
+        // The brush covers the bars, so hovering is tracked on the whole chart
+        this.tooltip = d3.select(this.container)
+            .append('div')
+            .attr('class', 'event-timeline-tooltip')
+            .style('display', 'none');
+        svg.on('mousemove', event => this.showTooltip(event))
+            .on('mouseleave', () => this.tooltip.style('display', 'none'));
+
+        // Redrawing (another lane choice) keeps the zoom
+        svg.call(this.zoom.transform, this.transform);
+        this.redraw();
+    }
+
+    showTooltip(event) {
+        const [px, py] = d3.pointer(event, this.svg.node());
+        const item = this.items.find(d => py >= d.y && py < d.y + ROW_HEIGHT
+            && px >= this.x(d.start) - 2 && px <= this.x(d.start) + Math.max(MIN_BAR_WIDTH, this.x(d.end) - this.x(d.start)) + 2);
+        if (!item) {
+            this.tooltip.style('display', 'none');
+            return;
+        }
+        this.tooltip
+            .style('display', null)
+            .style('left', `${px + 12}px`)
+            .style('top', `${py + 12}px`)
+            .text(item.label);
+    }
+
+    addDefinitions(svg, width) {
+        const defs = svg.append('defs');
+        defs.append('clipPath')
+            .attr('id', 'eventTimelineClip')
+            .append('rect')
+            .attr('x', this.plotLeft)
+            .attr('y', 0)
+            .attr('width', width - this.plotLeft - RIGHT_MARGIN)
+            .attr('height', this.plotHeight);
+
+        // Masks that fade an uncertainty window towards its outer end
+        [['eventTimelineFadeIn', 0, 0.45], ['eventTimelineFadeOut', 0.45, 0]].forEach(([id, from, to]) => {
+            const gradient = defs.append('linearGradient').attr('id', `${id}Gradient`);
+            gradient.append('stop').attr('offset', 0).attr('stop-color', 'white').attr('stop-opacity', from);
+            gradient.append('stop').attr('offset', 1).attr('stop-color', 'white').attr('stop-opacity', to);
+            defs.append('mask')
+                .attr('id', id)
+                .attr('maskContentUnits', 'objectBoundingBox')
+                .append('rect')
+                .attr('width', 1)
+                .attr('height', 1)
+                .attr('fill', `url(#${id}Gradient)`);
+        });
+    }
+
+    redraw() {
+        const x = this.x;
+        const barStart = d => x(d.start);
+        const barWidth = d => Math.max(MIN_BAR_WIDTH, x(d.end) - x(d.start));
+
+        this.itemGroups.select('.event-timeline-bar')
+            .attr('x', barStart)
+            .attr('width', barWidth);
+        this.itemGroups.select('.before')
+            .attr('x', d => (d.earliest ? x(d.earliest) : this.plotLeft))
+            .attr('width', d => Math.max(0, barStart(d) - (d.earliest ? x(d.earliest) : this.plotLeft)));
+        this.itemGroups.select('.after')
+            .attr('x', d => barStart(d) + barWidth(d))
+            .attr('width', d => Math.max(0, (d.latest ? x(d.latest) : this.plotRight) - barStart(d) - barWidth(d)));
+
+        this.axisGroup.call(d3.axisBottom(x).ticks(Math.max(2, Math.floor((this.plotRight - this.plotLeft) / 90))));
+        this.moveBrush();
+    }
+
+    // Keep the brush on the selected dates as the scale changes
+    moveBrush() {
+        if (!this.brushGroup) return;
+        const selection = this.range
+            ? [Math.max(this.plotLeft, this.x(this.range.start)), Math.min(this.plotRight, this.x(this.range.end))]
+            : null;
+        this.brushGroup.call(this.brush.move, selection && selection[1] > selection[0] ? selection : null);
+    }
+
+    setRange(range) {
+        this.range = range;
+        this.onRangeChange(range);
+    }
+
+    clearRange() {
+        this.range = null;
+        this.moveBrush();
+        this.onRangeChange(null);
+    }
+
+    resetZoom() {
+        if (this.svg) this.svg.call(this.zoom.transform, d3.zoomIdentity);
+    }
+}
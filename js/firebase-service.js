@@ -1,11 +1,10 @@
-// Firebase database operations
+// Database operations, backed by whichever storage backend was selected at startup
 
-import { db } from './config.js';
-import { collection, addDoc, updateDoc, doc, getDocs, getDoc, query, where, writeBatch, limit, startAfter, orderBy, deleteDoc } from 'https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js';
+import { storage as defaultStorage } from './storage.js';
 
 export class FirebaseService {
-    constructor() {
-        this.db = db;
+    constructor(storage = defaultStorage) {
+        this.storage = storage;
     }
 
     async saveOrUpdateEntity(entity, collectionName) {
@@ -13,13 +12,12 @@ export class FirebaseService {
             const sanitizedEntity = this.sanitizeDataForFirebase(entity);
             
             if (entity.firestoreId) {
-                const entityRef = doc(this.db, collectionName, entity.firestoreId);
                 const updateData = { ...sanitizedEntity };
                 delete updateData.firestoreId;
                 delete updateData.firestoreCollection;
-                await updateDoc(entityRef, updateData);
+                await this.storage.updateDocument(collectionName, entity.firestoreId, updateData);
             } else {
-                await addDoc(collection(this.db, collectionName), sanitizedEntity);
+                await this.storage.addDocument(collectionName, sanitizedEntity);
             }
         } catch (error) {
             throw error;
@@ -29,7 +27,7 @@ export class FirebaseService {
     async saveEvent(event) {
         try {
             const sanitizedEvent = this.sanitizeDataForFirebase(event);
-            await addDoc(collection(this.db, 'events'), sanitizedEvent);
+            await this.storage.addDocument('events', sanitizedEvent);
         } catch (error) {
             throw error;
         }
@@ -43,28 +41,26 @@ export class FirebaseService {
                 // Try each search variation
                 for (const variation of searchVariations) {
                     // Search by name
-                    const nameQuery = query(collection(this.db, collectionName), where('name', '==', variation));
-                    const nameSnapshot = await getDocs(nameQuery);
+                    const nameResult = await this.storage.query(collectionName, { where: [['name', '==', variation]], limit: 1 });
                     
-                    if (!nameSnapshot.empty) {
-                        const doc = nameSnapshot.docs[0];
+                    if (nameResult.docs.length > 0) {
+                        const doc = nameResult.docs[0];
                         return {
                             firestoreId: doc.id,
                             firestoreCollection: collectionName,
-                            ...doc.data()
+                            ...doc.data
                         };
                     }
                     
                     // Search by aliases
-                    const aliasQuery = query(collection(this.db, collectionName), where('aliases', 'array-contains', variation));
-                    const aliasSnapshot = await getDocs(aliasQuery);
+                    const aliasResult = await this.storage.query(collectionName, { where: [['aliases', 'array-contains', variation]], limit: 1 });
                     
-                    if (!aliasSnapshot.empty) {
-                        const doc = aliasSnapshot.docs[0];
+                    if (aliasResult.docs.length > 0) {
+                        const doc = aliasResult.docs[0];
                         return {
                             firestoreId: doc.id,
                             firestoreCollection: collectionName,
-                            ...doc.data()
+                            ...doc.data
                         };
                     }
                 }
@@ -78,16 +74,16 @@ export class FirebaseService {
 
     async findDuplicateEvent(newEvent) {
         try {
-            const eventsQuery = query(
-                collection(this.db, 'events'),
-                where('actor', '==', newEvent.actor),
-                where('action', '==', newEvent.action),
-                where('target', '==', newEvent.target)
-            );
-            const eventsSnapshot = await getDocs(eventsQuery);
+            const { docs } = await this.storage.query('events', {
+                where: [
+                    ['actor', '==', newEvent.actor],
+                    ['action', '==', newEvent.action],
+                    ['target', '==', newEvent.target]
+                ]
+            });
             
-            for (const doc of eventsSnapshot.docs) {
-                const existingEvent = doc.data();
+            for (const doc of docs) {
+                const existingEvent = doc.data;
                 if (this.eventsAreDuplicate(existingEvent, newEvent)) {
                     return { firestoreId: doc.id, ...existingEvent };
                 }
@@ -134,6 +130,11 @@ export class FirebaseService {
             return data;
         }
         
+        // Keep Firestore Timestamps loaded from the database as they are
+        if (typeof data.toDate === 'function') {
+            return data;
+        }
+        
         if (Array.isArray(data)) {
             return data.map(item => this.sanitizeDataForFirebase(item));
         }
@@ -149,86 +150,66 @@ export class FirebaseService {
         return data;
     }
 
-    async saveBatch(entities, events) {
+    // Write only the given entities and events. Documents that already have a
+    // firestoreId are updated in place; new documents are created.
+    async saveBatch(entities, events, matchReviews = []) {
         try {
-            const batch = writeBatch(this.db);
-            let operationCount = 0;
-            const maxBatchSize = 500; // Firestore batch limit
-            const batches = [];
-
-            // Helper function to create a new batch when needed
-            const createNewBatch = () => {
-                if (operationCount > 0) {
-                    batches.push(currentBatch);
+            const operations = [];
+            const newDocuments = [];
+
+            const writeDocument = (item, collectionName) => {
+                const sanitizedItem = this.sanitizeDataForFirebase(item);
+                delete sanitizedItem.firestoreId;
+                delete sanitizedItem.firestoreCollection;
+
+                if (item.firestoreId) {
+                    // Update existing document in place
+                    operations.push({ type: 'update', collection: item.firestoreCollection || collectionName, id: item.firestoreId, data: sanitizedItem });
+                } else {
+                    // Add new document under a freshly generated ID
+                    const id = this.storage.newDocumentId(collectionName);
+                    newDocuments.push({ item, collectionName, id, index: operations.length });
+                    operations.push({ type: 'set', collection: collectionName, id, data: sanitizedItem });
                 }
-                const newBatch = writeBatch(this.db);
-                return newBatch;
             };
 
-            let currentBatch = batch;
-
             // Add entities to batch
             for (const [collectionName, entityList] of Object.entries(entities)) {
                 for (const entity of entityList) {
-                    if (operationCount >= maxBatchSize) {
-                        currentBatch = createNewBatch();
-                        operationCount = 0;
-                    }
-
-                    const sanitizedEntity = this.sanitizeDataForFirebase(entity);
-                    
-                    if (entity.firestoreId && entity.firestoreCollection) {
-                        // Update existing entity - only if it was loaded from Firebase
-                        const entityRef = doc(this.db, collectionName, entity.firestoreId);
-                        const updateData = { ...sanitizedEntity };
-                        delete updateData.firestoreId;
-                        delete updateData.firestoreCollection;
-                        currentBatch.update(entityRef, updateData);
-                    } else {
-                        // Add new entity - generate new document reference
-                        const entityRef = doc(collection(this.db, collectionName));
-                        currentBatch.set(entityRef, sanitizedEntity);
-                        
-                        // Set the firestoreId for future reference
-                        entity.firestoreId = entityRef.id;
-                        entity.firestoreCollection = collectionName;
-                    }
-                    operationCount++;
+                    writeDocument(entity, collectionName);
                 }
             }
 
             // Add events to batch
             for (const event of events) {
-                if (operationCount >= maxBatchSize) {
-                    currentBatch = createNewBatch();
-                    operationCount = 0;
-                }
-
-                const sanitizedEvent = this.sanitizeDataForFirebase(event);
-                const eventRef = doc(collection(this.db, 'events'));
-                currentBatch.set(eventRef, sanitizedEvent);
-                operationCount++;
+                writeDocument(event, 'events');
             }
 
-            // Add the final batch if it has operations
-            if (operationCount > 0) {
-                batches.push(currentBatch);
+            // Proposed entity links for the review queue are only ever created here, under their own IDs
+            for (const review of matchReviews) {
+                operations.push({ type: 'set', collection: 'matchReviews', id: review.id, data: this.sanitizeDataForFirebase(review) });
             }
 
-            // Execute all batches
-            try {
-                const commitPromises = batches.map((b, index) => {
-                    return b.commit().catch((error) => {
-                        throw error;
-                    });
+            // Remember document IDs only once they exist, so a failed save is retried as an insert
+            const rememberCreated = writtenCount => newDocuments
+                .filter(({ index }) => index < writtenCount)
+                .forEach(({ item, collectionName, id }) => {
+                    item.firestoreId = id;
+                    item.firestoreCollection = collectionName;
                 });
-                
-                await Promise.all(commitPromises);
-            } catch (batchError) {
-                throw batchError;
+
+            // The backend splits the operations into as many commits as it needs; when a later
+            // commit fails, the documents created by the earlier ones are updated on the retry
+            let batchCount;
+            try {
+                ({ batchCount } = await this.storage.commitBatch(operations));
+            } catch (error) {
+                rememberCreated(error.writtenCount || 0);
+                throw error;
             }
+            rememberCreated(operations.length);
             
-            return { success: true, batchCount: batches.length };
+            return { success: true, batchCount, created: newDocuments.length };
         } catch (error) {
             throw error;
         }
@@ -247,22 +228,21 @@ export class FirebaseService {
 
             // Load all collections in parallel for better performance
             const loadPromises = collections.map(async (collectionName) => {
-                const snapshot = await getDocs(collection(this.db, collectionName));
-                const items = [];
-                snapshot.forEach(doc => {
-                    items.push({
-                        firestoreId: doc.id,
-                        firestoreCollection: collectionName,
-                        ...doc.data()
-                    });
-                });
+                const docs = await this.storage.getAll(collectionName);
+                const items = docs.map(doc => ({
+                    firestoreId: doc.id,
+                    firestoreCollection: collectionName,
+                    ...doc.data
+                }));
                 return { collectionName, items };
             });
 
-            const results = await Promise.all(loadPromises);
+            const [results, matchReviews] = await Promise.all([Promise.all(loadPromises), this.loadMatchReviews()]);
             results.forEach(({ collectionName, items }) => {
                 data[collectionName] = items;
             });
+            // Open reviews keep an import from proposing the same pair again
+            data.matchReviews = matchReviews.filter(review => review.status === 'pending' || review.status === 'deferred');
 
             return data;
         } catch (error) {
@@ -276,39 +256,24 @@ export class FirebaseService {
         }
     }
 
+    // lastDoc is the opaque cursor returned with the previous page
     async loadEntitiesPaginated(collectionName, pageSize = 100, lastDoc = null) {
         try {
-            let q = query(
-                collection(this.db, collectionName),
-                orderBy('name'),
-                limit(pageSize)
-            );
-
-            if (lastDoc) {
-                q = query(
-                    collection(this.db, collectionName),
-                    orderBy('name'),
-                    startAfter(lastDoc),
-                    limit(pageSize)
-                );
-            }
-
-            const snapshot = await getDocs(q);
-            const entities = [];
-            let lastDocument = null;
-
-            snapshot.forEach(doc => {
-                entities.push({
-                    firestoreId: doc.id,
-                    firestoreCollection: collectionName,
-                    ...doc.data()
-                });
-                lastDocument = doc;
+            const { docs, cursor } = await this.storage.query(collectionName, {
+                orderBy: [['name']],
+                startAfter: lastDoc,
+                limit: pageSize
             });
 
+            const entities = docs.map(doc => ({
+                firestoreId: doc.id,
+                firestoreCollection: collectionName,
+                ...doc.data
+            }));
+
             return {
                 entities,
-                lastDoc: lastDocument,
+                lastDoc: cursor,
                 hasMore: entities.length === pageSize
             };
         } catch (error) {
@@ -318,42 +283,26 @@ export class FirebaseService {
 
     async loadEventsPaginated(pageSize = 100, lastDoc = null, filters = {}) {
         try {
-            let q = query(
-                collection(this.db, 'events'),
-                orderBy('dateReceived', 'desc'),
-                limit(pageSize)
-            );
-
             // Add filters if provided
-            if (filters.actor) {
-                q = query(q, where('actor', '==', filters.actor));
-            }
-            if (filters.target) {
-                q = query(q, where('target', '==', filters.target));
-            }
-            if (filters.action) {
-                q = query(q, where('action', '==', filters.action));
-            }
-
-            if (lastDoc) {
-                q = query(q, startAfter(lastDoc));
-            }
-
-            const snapshot = await getDocs(q);
-            const events = [];
-            let lastDocument = null;
-
-            snapshot.forEach(doc => {
-                events.push({
-                    firestoreId: doc.id,
-                    ...doc.data()
-                });
-                lastDocument = doc;
+            const where = ['actor', 'target', 'action', 'actionCode', 'actionLemma']
+                .filter(field => filters[field])
+                .map(field => [field, '==', filters[field]]);
+
+            const { docs, cursor } = await this.storage.query('events', {
+                where,
+                orderBy: [['dateReceived', 'desc']],
+                startAfter: lastDoc,
+                limit: pageSize
             });
 
+            const events = docs.map(doc => ({
+                firestoreId: doc.id,
+                ...doc.data
+            }));
+
             return {
                 events,
-                lastDoc: lastDocument,
+                lastDoc: cursor,
                 hasMore: events.length === pageSize
             };
         } catch (error) {
@@ -366,29 +315,34 @@ export class FirebaseService {
             const collections = ['people', 'organizations', 'places', 'unknown'];
             const exportData = {
                 entities: {},
-                events: []
+                events: [],
+                relationships: []
             };
 
             // Load all entity collections
             for (const collectionName of collections) {
-                const collectionRef = collection(this.db, collectionName);
-                const snapshot = await getDocs(collectionRef);
+                const docs = await this.storage.getAll(collectionName);
                 
-                exportData.entities[collectionName] = snapshot.docs.map(doc => ({
+                exportData.entities[collectionName] = docs.map(doc => ({
                     id: doc.id,
                     firestoreId: doc.id,
-                    ...doc.data()
+                    ...doc.data
                 }));
             }
 
             // Load all events
-            const eventsRef = collection(this.db, 'events');
-            const eventsSnapshot = await getDocs(eventsRef);
+            const eventDocs = await this.storage.getAll('events');
             
-            exportData.events = eventsSnapshot.docs.map(doc => ({
+            exportData.events = eventDocs.map(doc => ({
                 id: doc.id,
                 firestoreId: doc.id,
-                ...doc.data()
+                ...doc.data
+            }));
+
+            const relationshipDocs = await this.storage.getAll('relationships');
+            exportData.relationships = relationshipDocs.map(doc => ({
+                firestoreId: doc.id,
+                ...doc.data
             }));
             
             return exportData;
@@ -400,14 +354,13 @@ export class FirebaseService {
 
     async getEntityById(entityId, collectionName) {
         try {
-            const docRef = doc(this.db, collectionName, entityId);
-            const docSnap = await getDoc(docRef);
+            const document = await this.storage.getDocument(collectionName, entityId);
             
-            if (docSnap.exists()) {
+            if (document) {
                 const entityData = {
-                    id: docSnap.id,
-                    firestoreId: docSnap.id,
-                    ...docSnap.data()
+                    id: document.id,
+                    firestoreId: document.id,
+                    ...document.data
                 };
                 return entityData;
             } else {
@@ -420,56 +373,167 @@ export class FirebaseService {
 
     async loadAllEvents() {
         try {
-            const eventsRef = collection(this.db, 'events');
-            const snapshot = await getDocs(eventsRef);
+            const docs = await this.storage.getAll('events');
             
-            return snapshot.docs.map(doc => ({
+            return docs.map(doc => ({
                 id: doc.id,
                 firestoreId: doc.id,
-                ...doc.data()
+                ...doc.data
             }));
         } catch (error) {
             throw error;
         }
     }
 
-    async mergeEntities(draggedEntityId, draggedEntityType, targetEntityId, targetEntityType, updatedTargetEntity, eventUpdates) {
+    async mergeEntities(draggedEntityId, draggedEntityType, targetEntityId, targetEntityType, updatedTargetEntity, eventUpdates, relationshipOperations = []) {
         try {
-            const batch = writeBatch(this.db);
+            const operations = [];
             
             // 1. Update the target entity with new aliases
-            const targetDocRef = doc(this.db, targetEntityType, targetEntityId);
             const { id, firestoreId, ...targetEntityData } = updatedTargetEntity;
-            batch.update(targetDocRef, targetEntityData);
+            operations.push({ type: 'update', collection: targetEntityType, id: targetEntityId, data: targetEntityData });
             
             // 2. Update all events
-            eventUpdates.forEach((event, index) => {
-                try {
-                    // Use firestoreId for Firebase document reference, fallback to id
-                    const eventId = event.firestoreId || event.id;
-                    const eventDocRef = doc(this.db, 'events', eventId);
-                    const { id, firestoreId, ...eventData } = event;
-                    batch.update(eventDocRef, eventData);
-                } catch (eventError) {
-                    throw eventError;
-                }
+            eventUpdates.forEach(event => {
+                // Use firestoreId for the document reference, fallback to id
+                const eventId = event.firestoreId || event.id;
+                const { id, firestoreId, ...eventData } = event;
+                operations.push({ type: 'update', collection: 'events', id: eventId, data: eventData });
             });
             
-            // 3. Delete the dragged entity
-            const draggedDocRef = doc(this.db, draggedEntityType, draggedEntityId);
-            batch.delete(draggedDocRef);
+            // 3. Move the dragged entity's relationships to the target
+            operations.push(...relationshipOperations);
+            
+            // 4. Delete the dragged entity
+            operations.push({ type: 'delete', collection: draggedEntityType, id: draggedEntityId });
             
             // Execute the batch
-            await batch.commit();
+            await this.storage.commitBatch(operations);
             
         } catch (error) {
             throw error;
         }
     }
 
+    async saveImportBatch(batch) {
+        try {
+            await this.storage.setDocument('imports', batch.id, this.sanitizeDataForFirebase(batch));
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    async updateImportBatch(batchId, updates) {
+        try {
+            await this.storage.updateDocument('imports', batchId, this.sanitizeDataForFirebase(updates));
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    async loadImportBatches() {
+        try {
+            const docs = await this.storage.getAll('imports');
+            return docs.map(doc => ({
+                firestoreId: doc.id,
+                ...doc.data
+            }));
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    async loadMatchReviews() {
+        try {
+            const docs = await this.storage.getAll('matchReviews');
+            return docs.map(doc => ({
+                firestoreId: doc.id,
+                ...doc.data
+            }));
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    async updateMatchReview(reviewId, updates) {
+        try {
+            await this.storage.updateDocument('matchReviews', reviewId, this.sanitizeDataForFirebase(updates));
+        } catch (error) {
+            throw error;
+        }
+    }
+
+    // Undo an import: delete its events, detach its connections, and delete
+    // entities that the batch created and nothing else references
+    async rollbackImportBatch(batchId) {
+        try {
+            const operations = [];
+            const result = { eventsDeleted: 0, entitiesDeleted: 0, entitiesDetached: 0 };
+
+            const eventsResult = await this.storage.query('events', { where: [['importBatchId', '==', batchId]] });
+            eventsResult.docs.forEach(eventDoc => {
+                operations.push({ type: 'delete', collection: 'events', id: eventDoc.id });
+                result.eventsDeleted++;
+            });
+
+            // Proposed links from this import would point at entities that are about to go
+            const reviewsResult = await this.storage.query('matchReviews', { where: [['importBatchId', '==', batchId]] });
+            reviewsResult.docs.forEach(reviewDoc => {
+                operations.push({ type: 'delete', collection: 'matchReviews', id: reviewDoc.id });
+            });
+
+            // So would relationships derived from its entities' Wikidata fields
+            const relationshipsResult = await this.storage.query('relationships', { where: [['importBatchId', '==', batchId]] });
+            relationshipsResult.docs.forEach(relationshipDoc => {
+                operations.push({ type: 'delete', collection: 'relationships', id: relationshipDoc.id });
+            });
+
+            const entityCollections = ['people', 'organizations', 'places', 'unknown'];
+            for (const collectionName of entityCollections) {
+                const { docs } = await this.storage.query(collectionName, { where: [['importBatchIds', 'array-contains', batchId]] });
+
+                docs.forEach(entityDoc => {
+                    const entity = entityDoc.data;
+                    const connections = entity.connections || [];
+                    const remaining = connections.filter(connection => connection.importBatchId !== batchId);
+
+                    if (entity.createdByBatch === batchId && remaining.length === 0) {
+                        operations.push({ type: 'delete', collection: collectionName, id: entityDoc.id });
+                        result.entitiesDeleted++;
+                    } else {
+                        const removedCount = connections.length - remaining.length;
+                        operations.push({
+                            type: 'update',
+                            collection: collectionName,
+                            id: entityDoc.id,
+                            data: {
+                                connections: remaining,
+                                connectionCount: Math.max(0, (entity.connectionCount || 0) - removedCount),
+                                importBatchIds: (entity.importBatchIds || []).filter(id => id !== batchId)
+                            }
+                        });
+                        result.entitiesDetached++;
+                    }
+                });
+            }
+
+            await this.storage.commitBatch(operations);
+
+            await this.updateImportBatch(batchId, {
+                status: 'rolled_back',
+                rolledBackAt: new Date(),
+                rollbackResult: result
+            });
+
+            return result;
+        } catch (error) {
+            throw error;
+        }
+    }
+
     async wipeAllCollections() {
         try {
-            const collections = ['people', 'organizations', 'places', 'unknown', 'events'];
+            const collections = ['people', 'organizations', 'places', 'unknown', 'events', 'imports', 'matchReviews', 'relationships'];
             
             for (const collectionName of collections) {
                 await this.wipeCollection(collectionName);
@@ -482,27 +546,9 @@ export class FirebaseService {
 
     async wipeCollection(collectionName) {
         try {
-            const collectionRef = collection(this.db, collectionName);
-            const batchSize = 500; // Firestore batch limit
-            
-            let query = getDocs(collectionRef);
-            let snapshot = await query;
-            
-            while (!snapshot.empty) {
-                const batch = writeBatch(this.db);
-                
-                snapshot.docs.forEach((doc) => {
-                    batch.delete(doc.ref);
-                });
-                
-                await batch.commit();
-                
-                // Get next batch
-                snapshot = await getDocs(collectionRef);
-            }
-            
+            await this.storage.clearCollection(collectionName);
         } catch (error) {
             throw error;
         }
     }
-}
+}
\ No newline at end of file
@@ -0,0 +1,123 @@
+// Firestore storage backend. The SDK module is passed in so the browser (gstatic)
+// and Node (npm firebase) builds share this code.
+
+const MAX_BATCH_SIZE = 500; // Firestore batch limit
+
+export class FirestoreStorage {
+    constructor(db, firestore) {
+        this.name = 'firestore';
+        this.db = db;
+        this.firestore = firestore;
+    }
+
+    toDocument(snapshot) {
+        return { id: snapshot.id, data: snapshot.data() };
+    }
+
+    newDocumentId(collectionName) {
+        const { doc, collection } = this.firestore;
+        return doc(collection(this.db, collectionName)).id;
+    }
+
+    async getDocument(collectionName, id) {
+        const { doc, getDoc } = this.firestore;
+        const snapshot = await getDoc(doc(this.db, collectionName, id));
+        return snapshot.exists() ? this.toDocument(snapshot) : null;
+    }
+
+    async getAll(collectionName) {
+        const { collection, getDocs } = this.firestore;
+        const snapshot = await getDocs(collection(this.db, collectionName));
+        return snapshot.docs.map(docSnapshot => this.toDocument(docSnapshot));
+    }
+
+    // The cursor is the last DocumentSnapshot of the previous page
+    async query(collectionName, { where = [], orderBy = [], startAfter = null, limit = null } = {}) {
+        const firestore = this.firestore;
+        const constraints = [
+            ...where.map(([field, operator, value]) => firestore.where(field, operator, value)),
+            ...orderBy.map(([field, direction = 'asc']) => firestore.orderBy(field, direction))
+        ];
+        if (startAfter) constraints.push(firestore.startAfter(startAfter));
+        if (limit) constraints.push(firestore.limit(limit));
+
+        const snapshot = await firestore.getDocs(firestore.query(firestore.collection(this.db, collectionName), ...constraints));
+        return {
+            docs: snapshot.docs.map(docSnapshot => this.toDocument(docSnapshot)),
+            cursor: snapshot.docs.length > 0 ? snapshot.docs[snapshot.docs.length - 1] : null
+        };
+    }
+
+    async addDocument(collectionName, data) {
+        const { addDoc, collection } = this.firestore;
+        const docRef = await addDoc(collection(this.db, collectionName), data);
+        return docRef.id;
+    }
+
+    async setDocument(collectionName, id, data) {
+        const { setDoc, doc } = this.firestore;
+        await setDoc(doc(this.db, collectionName, id), data);
+    }
+
+    async updateDocument(collectionName, id, updates) {
+        const { updateDoc, doc } = this.firestore;
+        await updateDoc(doc(this.db, collectionName, id), updates);
+    }
+
+    async deleteDocument(collectionName, id) {
+        const { deleteDoc, doc } = this.firestore;
+        await deleteDoc(doc(this.db, collectionName, id));
+    }
+
+    // Apply { type: 'set' | 'update' | 'delete', collection, id, data } operations,
+    // split into as many write batches as the Firestore limit requires. Each batch is atomic
+    // but the whole is not: batches are committed in order and the first failure stops the
+    // rest, with an error that says how many operations were written (error.writtenCount)
+    async commitBatch(operations) {
+        const { writeBatch, doc } = this.firestore;
+        const batches = [];
+
+        for (let i = 0; i < operations.length; i += MAX_BATCH_SIZE) {
+            const batch = writeBatch(this.db);
+            operations.slice(i, i + MAX_BATCH_SIZE).forEach(operation => {
+                const docRef = doc(this.db, operation.collection, operation.id);
+                if (operation.type === 'set') {
+                    batch.set(docRef, operation.data);
+                } else if (operation.type === 'update') {
+                    batch.update(docRef, operation.data);
+                } else if (operation.type === 'delete') {
+                    batch.delete(docRef);
+                }
+            });
+            batches.push(batch);
+        }
+
+        for (let index = 0; index < batches.length; index++) {
+            try {
+                await batches[index].commit();
+            } catch (error) {
+                const writtenCount = index * MAX_BATCH_SIZE;
+                const partial = new Error(`Saved ${writtenCount} of ${operations.length} operations (${index} of ${batches.length} batches) before a batch failed: ${error.message}`, { cause: error });
+                partial.writtenCount = writtenCount;
+                throw partial;
+            }
+        }
+        return { batchCount: batches.length };
+    }
+
+    // Release the client so a Node process can exit
+    async close() {
+        await this.firestore.terminate(this.db);
+    }
+
+    async clearCollection(collectionName) {
+        const { collection, getDocs, query, limit } = this.firestore;
+        const collectionRef = collection(this.db, collectionName);
+
+        let snapshot = await getDocs(query(collectionRef, limit(MAX_BATCH_SIZE)));
+        while (!snapshot.empty) {
+            await this.commitBatch(snapshot.docs.map(docSnapshot => ({ type: 'delete', collection: collectionName, id: docSnapshot.id })));
+            snapshot = await getDocs(query(collectionRef, limit(MAX_BATCH_SIZE)));
+        }
+    }
+}
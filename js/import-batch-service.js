@@ -0,0 +1,107 @@
+// Import batch provenance: records each import run so it can be audited and rolled back
+
+const HASH_CHUNK_SIZE = 1024 * 1024;
+
+export class ImportBatchService {
+    constructor(firebaseService) {
+        this.firebaseService = firebaseService;
+    }
+
+    generateBatchId() {
+        return `import_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    // Create and persist the batch record before any rows are written
+    async startBatch({ source = 'csv', fileName = null, file = null, content = null, mapping = null, timeZone = null } = {}) {
+        let fileHash = null;
+        try {
+            if (file) {
+                fileHash = await this.hashFile(file);
+            } else if (content !== null) {
+                fileHash = await this.hashText(typeof content === 'string' ? content : JSON.stringify(content));
+            }
+        } catch (error) {
+            console.warn('Could not hash import source:', error);
+        }
+
+        const batch = {
+            id: this.generateBatchId(),
+            source,
+            fileName,
+            fileSize: file ? file.size : null,
+            fileHash,
+            hashAlgorithm: file ? `SHA-256 of ${HASH_CHUNK_SIZE / (1024 * 1024)}MB chunk digests` : 'SHA-256',
+            mapping,
+            timeZone,
+            rowCount: 0,
+            eventCount: 0,
+            rejectedRowCount: 0,
+            duplicateRowCount: 0,
+            status: 'in_progress',
+            createdAt: new Date(),
+            completedAt: null
+        };
+
+        await this.firebaseService.saveImportBatch(batch);
+        return batch;
+    }
+
+    async completeBatch(batch, counts = {}) {
+        Object.assign(batch, counts, { status: 'completed', completedAt: new Date() });
+        await this.firebaseService.updateImportBatch(batch.id, {
+            ...counts,
+            status: batch.status,
+            completedAt: batch.completedAt
+        });
+        return batch;
+    }
+
+    async failBatch(batch, error) {
+        try {
+            await this.firebaseService.updateImportBatch(batch.id, {
+                status: 'failed',
+                error: error?.message || String(error),
+                completedAt: new Date()
+            });
+        } catch (updateError) {
+            console.error('Could not mark import batch as failed:', updateError);
+        }
+    }
+
+    async listBatches() {
+        const batches = await this.firebaseService.loadImportBatches();
+        return batches.sort((a, b) => this.toMillis(b.createdAt) - this.toMillis(a.createdAt));
+    }
+
+    async rollbackBatch(batchId) {
+        return this.firebaseService.rollbackImportBatch(batchId);
+    }
+
+    // SHA-256 over per-chunk digests, so large files never have to be held in memory at once
+    async hashFile(file) {
+        const digests = [];
+        for (let offset = 0; offset < file.size; offset += HASH_CHUNK_SIZE) {
+            const buffer = await file.slice(offset, offset + HASH_CHUNK_SIZE).arrayBuffer();
+            digests.push(new Uint8Array(await crypto.subtle.digest('SHA-256', buffer)));
+        }
+
+        const combined = new Uint8Array(digests.length * 32);
+        digests.forEach((digest, index) => combined.set(digest, index * 32));
+        return this.toHex(await crypto.subtle.digest('SHA-256', combined));
+    }
+
+    async hashText(text) {
+        return this.toHex(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+    }
+
+    toHex(buffer) {
+        return Array.from(new Uint8Array(buffer), byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    // Firestore timestamps, Dates and ISO strings all come back from storage
+    toMillis(value) {
+        if (!value) return 0;
+        if (typeof value.toMillis === 'function') return value.toMillis();
+        return new Date(value).getTime() || 0;
+    }
+}
@@ -0,0 +1,68 @@
+// IndexedDB persistence for in-progress imports so they can be resumed after a tab close or crash
+
+import { toCloneable } from './import-pipeline.js';
+
+const DB_NAME = 'kb-import-checkpoints';
+const DB_VERSION = 1;
+const STORE_NAME = 'checkpoints';
+
+export class ImportCheckpointStore {
+    constructor() {
+        this.dbPromise = null;
+    }
+
+    isAvailable() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async runTransaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    async save(checkpoint) {
+        if (!this.isAvailable()) return;
+        // Files and Blobs are stored natively; Firestore Timestamps are stored as Dates
+        const record = { ...toCloneable(checkpoint), updatedAt: new Date() };
+        await this.runTransaction('readwrite', store => store.put(record));
+    }
+
+    async get(id) {
+        if (!this.isAvailable()) return null;
+        return (await this.runTransaction('readonly', store => store.get(id))) || null;
+    }
+
+    async list() {
+        if (!this.isAvailable()) return [];
+        const checkpoints = await this.runTransaction('readonly', store => store.getAll());
+        return (checkpoints || []).sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+    }
+
+    async delete(id) {
+        if (!this.isAvailable()) return;
+        await this.runTransaction('readwrite', store => store.delete(id));
+    }
+}
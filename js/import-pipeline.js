@@ -0,0 +1,364 @@
+// Row-level ingest pipeline shared by the main thread and the import worker
+
+import { errorHandler } from './error-handler.js';
+import { normalizeAction, getEventActionFields } from './action-normalizer.js';
+import { DEFAULT_TIME_ZONE, isValidTimeZone, parseTimestamp, getPlaceTimeZone, getLocationNameTimeZone } from './time-zones.js';
+
+// Convert values to plain structured-clone friendly data. Firestore Timestamps
+// lose their prototype when cloned, so they become Dates.
+export function toCloneable(value) {
+    if (value === null || value === undefined) return value;
+    if (value instanceof Date || (typeof Blob !== 'undefined' && value instanceof Blob)) return value;
+    if (typeof value.toDate === 'function') return value.toDate();
+    if (Array.isArray(value)) return value.map(item => toCloneable(item));
+    if (typeof value === 'object') {
+        const cloneable = {};
+        for (const key in value) {
+            cloneable[key] = toCloneable(value[key]);
+        }
+        return cloneable;
+    }
+    return value;
+}
+
+// Duplicate detection against events already loaded in memory, for use where
+// the database is not reachable (the import worker). Mirrors FirebaseService.findDuplicateEvent.
+export class LocalDuplicateIndex {
+    constructor(events = []) {
+        this.eventsByKey = new Map();
+        events.forEach(event => {
+            const key = this.getKey(event);
+            if (!this.eventsByKey.has(key)) this.eventsByKey.set(key, []);
+            this.eventsByKey.get(key).push(event);
+        });
+    }
+
+    getKey(event) {
+        return `${event.actor}\u0000${event.action}\u0000${event.target}`;
+    }
+
+    async findDuplicateEvent(newEvent) {
+        const candidates = this.eventsByKey.get(this.getKey(newEvent)) || [];
+        return candidates.find(existingEvent => this.eventsAreDuplicate(existingEvent, newEvent)) || null;
+    }
+
+    eventsAreDuplicate(event1, event2) {
+        // Check if sentences are identical
+        if (event1.sentence && event2.sentence && event1.sentence === event2.sentence) {
+            return true;
+        }
+
+        // Otherwise the same day counts as a duplicate (actor, action and target already match)
+        if (!event1.dateReceived || !event2.dateReceived) return false;
+        const d1 = new Date(event1.dateReceived);
+        const d2 = new Date(event2.dateReceived);
+        return d1.getFullYear() === d2.getFullYear() &&
+               d1.getMonth() === d2.getMonth() &&
+               d1.getDate() === d2.getDate();
+    }
+}
+
+export class ImportPipeline {
+    constructor({ csvParser, dateTimeProcessor, entityProcessor, duplicateChecker }) {
+        this.csvParser = csvParser;
+        this.dateTimeProcessor = dateTimeProcessor;
+        this.entityProcessor = entityProcessor;
+        this.duplicateChecker = duplicateChecker;
+    }
+
+    // Process a row source (array or async iterable) in small concurrent batches.
+    // Rows before startRow were handled by an earlier, interrupted run and are skipped.
+    async run(rowSource, options = {}) {
+        const {
+            dryRun = false,
+            report = null,
+            importBatchId = null,
+            timeZone = null,
+            startRow = 0,
+            signal = null,
+            batchSize = 5,
+            pauseBetweenBatches = 100,
+            checkpointInterval = 0,
+            onProgress = null,
+            onCheckpoint = null
+        } = options;
+
+        let processedRows = startRow;
+        let skippedDuplicates = options.skippedDuplicates || 0;
+        let rowsToSkip = startRow;
+        let lastCheckpointRows = startRow;
+        let batchNumber = 0;
+
+        const throwIfCancelled = () => {
+            if (signal?.aborted) {
+                throw new Error('Operation cancelled by user');
+            }
+        };
+
+        const processBatch = async (batch) => {
+            const firstRowIndex = processedRows;
+            batchNumber++;
+
+            const batchPromises = batch.map(async (row, batchIndex) => {
+                try {
+                    const result = await this.processRow(row, {
+                        dryRun,
+                        report,
+                        rowNumber: firstRowIndex + batchIndex + 1,
+                        importBatchId,
+                        timeZone
+                    });
+                    if (result.status === 'duplicate') skippedDuplicates++;
+                    return { success: true, index: firstRowIndex + batchIndex };
+                } catch (rowError) {
+                    errorHandler.handleError(rowError, { 
+                        operation: 'process_row', 
+                        rowIndex: firstRowIndex + batchIndex + 1,
+                        severity: errorHandler.constructor.Severity.LOW 
+                    });
+                    return { success: false, index: firstRowIndex + batchIndex, error: rowError };
+                }
+            });
+
+            const batchResults = await Promise.allSettled(batchPromises);
+            processedRows += batchResults.length;
+            onProgress?.({ processedRows, batchNumber, batchSize });
+
+            if (onCheckpoint && checkpointInterval > 0 && processedRows - lastCheckpointRows >= checkpointInterval) {
+                lastCheckpointRows = processedRows;
+                await onCheckpoint({ cursor: processedRows, skippedDuplicates });
+            }
+        };
+
+        let batch = [];
+        for await (const row of rowSource) {
+            throwIfCancelled();
+
+            if (rowsToSkip > 0) {
+                rowsToSkip--;
+                continue;
+            }
+
+            batch.push(row);
+            if (batch.length < batchSize) continue;
+
+            await processBatch(batch);
+            batch = [];
+
+            // Brief pause to prevent overwhelming the system
+            if (pauseBetweenBatches > 0) {
+                await new Promise(resolve => setTimeout(resolve, pauseBetweenBatches));
+            }
+        }
+
+        if (batch.length > 0) {
+            throwIfCancelled();
+            await processBatch(batch);
+        }
+
+        return { processedRows, skippedDuplicates };
+    }
+
+    // Return the reasons a row cannot be imported (empty when it is valid)
+    validateRow(row) {
+        const reasons = [];
+
+        // Target is optional
+        if (!row.Actor) reasons.push('Missing Actor');
+        if (!row.Action) reasons.push('Missing Action');
+        if (!row['Date Received']) {
+            reasons.push('Missing Date Received');
+        } else if (isNaN(parseTimestamp(row['Date Received']).getTime())) {
+            reasons.push(`Invalid Date Received: ${row['Date Received']}`);
+        }
+
+        return reasons;
+    }
+
+    // The zone a row's times are read in, as { timeZone, source }: its Time Zone column, else its
+    // first location with a known zone, else the import's setting, else UTC
+    resolveTimeZone(row, importTimeZone = null) {
+        const column = String(row['Time Zone'] || '').trim();
+        if (column && isValidTimeZone(column)) return { timeZone: column, source: 'column' };
+        if (column) console.warn(`Unknown time zone "${column}"; using the location or import setting`);
+
+        const locations = row.Locations ? this.csvParser.parseEntities(row.Locations) : [];
+        for (const name of locations) {
+            const entity = this.entityProcessor.findExistingEntity(name);
+            const timeZone = getPlaceTimeZone(entity?.type === 'place' ? entity : null) || getLocationNameTimeZone(name);
+            if (timeZone) return { timeZone, source: 'location' };
+        }
+
+        if (isValidTimeZone(importTimeZone)) return { timeZone: importTimeZone, source: 'import' };
+        return { timeZone: DEFAULT_TIME_ZONE, source: 'default' };
+    }
+
+    async processRow(row, options = {}) {
+        const { dryRun = false, report = null, rowNumber, importBatchId = null, timeZone = null } = options;
+        report?.recordRow();
+
+        // Validate required fields and date received
+        const reasons = this.validateRow(row);
+        if (reasons.length > 0) {
+            console.warn(`Skipping row: ${reasons.join(', ')}`, row);
+            report?.addRejectedRow(rowNumber, reasons, row);
+            return { status: 'rejected', reasons };
+        }
+
+        // "B was supported by A" is stored as "A supported B", so actors are always the ones acting
+        const originalAction = row.Action;
+        let normalized = normalizeAction(row.Action);
+        if (normalized.passive && row.Target) {
+            row = { ...row, Actor: row.Target, Target: row.Actor, Action: normalized.activeText };
+            normalized = normalizeAction(row.Action);
+        }
+
+        // Naive timestamps and relative times are read in the row's zone
+        const zone = this.resolveTimeZone(row, timeZone);
+        const dateReceived = parseTimestamp(row['Date Received'], zone.timeZone);
+
+        // Process datetime with duration support
+        const datetimeInfo = this.dateTimeProcessor.processDateTimeWithDuration(row.Datetimes, dateReceived, zone.timeZone);
+        if (!datetimeInfo.parsed) {
+            report?.addUnparsedDatetime(rowNumber, row.Datetimes, datetimeInfo.startDate);
+        }
+
+        // Create event object with duration fields
+        const event = {
+            id: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+            actor: row.Actor,
+            action: row.Action,
+            ...getEventActionFields(normalized),
+            ...(row.Action !== originalAction && { originalAction, actionPassive: true }),
+            target: row.Target || '', // Target is optional, default to empty string
+            sentence: row.Sentence,
+            dateReceived: dateReceived,
+            // New duration-aware fields
+            startDate: datetimeInfo.startDate,
+            endDate: datetimeInfo.endDate,
+            // Uncertainty window; wider than startDate..endDate for "mid-September", "recently" and the
+            // like, and open (null) on the unbounded side of "before March 2025"
+            earliestDate: datetimeInfo.earliestDate,
+            latestDate: datetimeInfo.latestDate,
+            approximate: datetimeInfo.approximate,
+            timeZone: zone.timeZone,
+            timeZoneSource: zone.source,
+            duration: datetimeInfo.duration,
+            granularity: datetimeInfo.granularity,
+            // EDTF form of the date as read, e.g. "2023~" or "../2025-02"
+            edtf: datetimeInfo.edtf,
+            originalDatetime: datetimeInfo.originalString,
+            // Legacy field for backward compatibility
+            processedDatetime: datetimeInfo.startDate,
+            locations: row.Locations ? this.csvParser.parseLocations(row.Locations) : [],
+            sources: (row.Sources || row.Source) ? this.csvParser.parseSources(row.Sources || row.Source) : [],
+            // Filled with entity IDs as the row's entities are resolved below
+            actorIds: [],
+            targetIds: [],
+            locationIds: [],
+            importBatchId: importBatchId
+        };
+
+        // Check for duplicate events
+        try {
+            const duplicateEvent = await this.duplicateChecker.findDuplicateEvent(event);
+            if (duplicateEvent) {
+                report?.addDuplicate(rowNumber, event, duplicateEvent);
+                return { status: 'duplicate', event }; // Skip duplicate
+            }
+        } catch (duplicateError) {
+            console.error('Error checking duplicates:', duplicateError);
+        }
+
+        report?.addAcceptedEvent(rowNumber, event);
+
+        // A dry run only reports which entities would be created or matched
+        if (dryRun) {
+            this.previewRowEntities(row, rowNumber, report, event);
+            return { status: 'accepted', event };
+        }
+
+        // Add to processed events
+        this.entityProcessor.addEvent(event);
+
+        // Process all entities in parallel. There is no deadline: Wikidata lookups wait their turn
+        // in the client's rate limiter and retry on their own, and a lookup abandoned part-way would
+        // go on changing entities after the batch holding them was saved.
+        const entityPromises = [];
+
+        // Process actors
+        const actors = this.csvParser.parseEntities(row.Actor);
+        actors.forEach(actor => {
+            entityPromises.push(
+                this.entityProcessor.processEntity(actor, 'actor', event)
+                    .then(entity => this.recordProcessedEntity(report, actor, 'actor', entity, rowNumber, importBatchId))
+                    .catch(error => {
+                        console.error('Error processing actor:', actor, error.message);
+                        return null; // Return null to continue processing
+                    })
+            );
+        });
+
+        // Process targets (only if Target field is not empty)
+        if (row.Target && row.Target.trim()) {
+            const targets = this.csvParser.parseEntities(row.Target);
+            targets.forEach(target => {
+                entityPromises.push(
+                    this.entityProcessor.processEntity(target, 'target', event)
+                        .then(entity => this.recordProcessedEntity(report, target, 'target', entity, rowNumber, importBatchId))
+                        .catch(error => {
+                            console.error('Error processing target:', target, error.message);
+                            return null; // Return null to continue processing
+                        })
+                );
+            });
+        }
+
+        // Process locations
+        if (row.Locations) {
+            const locations = this.csvParser.parseLocations(row.Locations);
+            locations.forEach(location => {
+                entityPromises.push(
+                    this.entityProcessor.processLocationEntity(location.name, event)
+                        .then(entity => this.recordProcessedEntity(report, location.name, 'location', entity, rowNumber, importBatchId))
+                        .catch(error => {
+                            console.error('Error processing location:', location.name, error.message);
+                            return null; // Return null to continue processing
+                        })
+                );
+            });
+        }
+
+        // Each entity's errors are caught above, so one failure does not hold up the row
+        await Promise.allSettled(entityPromises);
+
+        return { status: 'accepted', event };
+    }
+
+    // Record an entity a row resolved to: created by this import under this name, or matched to
+    // another (one already known, or one this import created under another name)
+    recordProcessedEntity(report, name, role, entity, rowNumber, importBatchId) {
+        if (report && entity) {
+            const created = Boolean(importBatchId) && entity.createdByBatch === importBatchId
+                && entity.name.toLowerCase() === name.toLowerCase();
+            report.recordEntity(name, role, created ? null : entity, rowNumber);
+        }
+        return entity;
+    }
+
+    // Record the entities a row would create or match, without calling Wikidata or saving
+    previewRowEntities(row, rowNumber, report, event) {
+        if (!report) return;
+
+        const mentions = [
+            ...this.csvParser.parseEntities(row.Actor).map(name => ({ name, role: 'actor' })),
+            ...(row.Target && row.Target.trim() ? this.csvParser.parseEntities(row.Target).map(name => ({ name, role: 'target' })) : []),
+            ...(row.Locations ? this.csvParser.parseLocations(row.Locations).map(location => ({ name: location.name, role: 'location' })) : [])
+        ];
+
+        mentions.forEach(({ name, role }) => {
+            const match = this.entityProcessor.findExistingEntity(name) || this.entityProcessor.findFuzzyMatch(name, event)?.entity || null;
+            report.recordEntity(name, role, match, rowNumber);
+        });
+    }
+}
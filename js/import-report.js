@@ -0,0 +1,128 @@
+// Validation report collected while importing (or dry-running) a CSV file
+
+export class ImportReport {
+    constructor({ fileName = '', mapping = null, dryRun = false } = {}) {
+        this.fileName = fileName;
+        this.mapping = mapping;
+        this.dryRun = dryRun;
+        this.startedAt = new Date();
+        this.completedAt = null;
+        this.totalRows = 0;
+        this.acceptedRows = 0;
+        this.rejectedRows = [];
+        this.unparsedDatetimes = [];
+        this.duplicates = [];
+        this.entities = new Map();
+    }
+
+    // Rebuild a report from toJSON() output, e.g. when resuming an import from a checkpoint
+    static fromJSON(json) {
+        const report = new ImportReport({
+            fileName: json.metadata.fileName,
+            mapping: json.metadata.mapping,
+            dryRun: json.metadata.dryRun
+        });
+        report.startedAt = new Date(json.metadata.startedAt);
+        report.totalRows = json.summary.totalRows;
+        report.acceptedRows = json.summary.acceptedRows;
+        report.rejectedRows = json.rejectedRows || [];
+        report.unparsedDatetimes = json.unparsedDatetimes || [];
+        report.duplicates = json.duplicates || [];
+        [...(json.entities?.created || []), ...(json.entities?.matched || [])].forEach(entry => {
+            report.entities.set(entry.name.toLowerCase(), entry);
+        });
+        return report;
+    }
+
+    recordRow() {
+        this.totalRows++;
+    }
+
+    addRejectedRow(rowNumber, reasons, row) {
+        this.rejectedRows.push({ rowNumber, reasons, row });
+    }
+
+    addUnparsedDatetime(rowNumber, value, fallback) {
+        this.unparsedDatetimes.push({ rowNumber, value, fallback });
+    }
+
+    addAcceptedEvent() {
+        this.acceptedRows++;
+    }
+
+    addDuplicate(rowNumber, event, existingEvent) {
+        this.duplicates.push({
+            rowNumber,
+            actor: event.actor,
+            action: event.action,
+            target: event.target,
+            sentence: event.sentence,
+            dateReceived: event.dateReceived,
+            duplicateOf: existingEvent?.id || existingEvent?.firestoreId || null
+        });
+    }
+
+    // Record an entity mention; existingEntity is the match found in the knowledge base, if any
+    recordEntity(name, role, existingEntity, rowNumber) {
+        const key = name.toLowerCase();
+        let entry = this.entities.get(key);
+
+        if (!entry) {
+            entry = {
+                name,
+                status: existingEntity ? 'matched' : 'created',
+                matchedEntity: existingEntity ? {
+                    id: existingEntity.id || null,
+                    name: existingEntity.name,
+                    type: existingEntity.type || null,
+                    wikidata_id: existingEntity.wikidata_id || null
+                } : null,
+                roles: [],
+                rows: []
+            };
+            this.entities.set(key, entry);
+        }
+
+        if (!entry.roles.includes(role)) entry.roles.push(role);
+        if (rowNumber !== undefined && !entry.rows.includes(rowNumber)) entry.rows.push(rowNumber);
+    }
+
+    complete() {
+        this.completedAt = new Date();
+        return this;
+    }
+
+    getSummary() {
+        const entities = Array.from(this.entities.values());
+        return {
+            totalRows: this.totalRows,
+            acceptedRows: this.acceptedRows,
+            rejectedRows: this.rejectedRows.length,
+            duplicateEvents: this.duplicates.length,
+            unparsedDatetimes: this.unparsedDatetimes.length,
+            entitiesCreated: entities.filter(entity => entity.status === 'created').length,
+            entitiesMatched: entities.filter(entity => entity.status === 'matched').length
+        };
+    }
+
+    toJSON() {
+        const entities = Array.from(this.entities.values());
+        return {
+            metadata: {
+                fileName: this.fileName,
+                dryRun: this.dryRun,
+                mapping: this.mapping,
+                startedAt: this.startedAt.toISOString(),
+                completedAt: this.completedAt ? this.completedAt.toISOString() : null
+            },
+            summary: this.getSummary(),
+            rejectedRows: this.rejectedRows,
+            unparsedDatetimes: this.unparsedDatetimes,
+            entities: {
+                created: entities.filter(entity => entity.status === 'created'),
+                matched: entities.filter(entity => entity.status === 'matched')
+            },
+            duplicates: this.duplicates
+        };
+    }
+}
@@ -0,0 +1,74 @@
+// Web Worker that runs CSV parsing, date interpretation and entity resolution off the main thread
+
+import { CSVParser } from './csv-parser.js';
+import { ColumnMapper } from './column-mapper.js';
+import { DateTimeProcessor } from './datetime-processor.js';
+import { WikidataService } from './wikidata-service.js';
+import { EntityProcessor } from './entity-processor.js';
+import { ImportPipeline, LocalDuplicateIndex, toCloneable } from './import-pipeline.js';
+import { ImportReport } from './import-report.js';
+
+let abortController = null;
+
+self.onmessage = async ({ data }) => {
+    if (data.type === 'cancel') {
+        abortController?.abort();
+        return;
+    }
+    if (data.type !== 'start') return;
+
+    abortController = new AbortController();
+
+    try {
+        const csvParser = new CSVParser();
+        const columnMapper = new ColumnMapper(null);
+        const dateTimeProcessor = new DateTimeProcessor();
+        const wikidataService = new WikidataService({ lookup: data.wikidataLookupUrl ? { url: data.wikidataLookupUrl } : null });
+        const entityProcessor = new EntityProcessor(wikidataService, null, dateTimeProcessor);
+        entityProcessor.setProcessedEntities(data.existing);
+
+        const pipeline = new ImportPipeline({
+            csvParser,
+            dateTimeProcessor,
+            entityProcessor,
+            duplicateChecker: new LocalDuplicateIndex(data.existing.events || [])
+        });
+        const report = ImportReport.fromJSON(data.report);
+
+        // Hand over everything changed since the last message; the main thread owns saving
+        const takeChanges = () => {
+            const changes = entityProcessor.getDirtyChanges();
+            entityProcessor.markClean(changes);
+            return toCloneable({ entities: changes.entities, events: changes.events, matchReviews: changes.matchReviews });
+        };
+
+        const rows = columnMapper.mapRows(csvParser.streamRows(data.file), data.mapping);
+        const result = await pipeline.run(rows, {
+            dryRun: data.dryRun,
+            report,
+            importBatchId: data.importBatchId,
+            timeZone: data.timeZone,
+            startRow: data.startRow,
+            skippedDuplicates: data.skippedDuplicates,
+            checkpointInterval: data.checkpointInterval,
+            signal: abortController.signal,
+            pauseBetweenBatches: 0,
+            onProgress: ({ processedRows }) => {
+                self.postMessage({ type: 'progress', processedRows, fraction: csvParser.getProgress() });
+            },
+            onCheckpoint: ({ cursor, skippedDuplicates }) => {
+                self.postMessage({ type: 'checkpoint', cursor, skippedDuplicates, report: report.toJSON(), changes: takeChanges() });
+            }
+        });
+
+        self.postMessage({
+            type: 'complete',
+            ...result,
+            report: report.toJSON(),
+            changes: takeChanges(),
+            wikidataCacheStats: wikidataService.cache.sessionStats
+        });
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message, cancelled: abortController.signal.aborted });
+    }
+};
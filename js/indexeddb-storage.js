@@ -0,0 +1,121 @@
+// IndexedDB storage backend for offline and air-gapped use
+
+import { applyQuery, generateDocumentId } from './memory-storage.js';
+
+const DB_NAME = 'kb-storage';
+const DB_VERSION = 1;
+const STORE_NAME = 'documents';
+
+export class IndexedDBStorage {
+    constructor(databaseName = DB_NAME) {
+        this.name = 'indexeddb';
+        this.databaseName = databaseName;
+        this.dbPromise = null;
+    }
+
+    // All collections share one object store keyed by [collection, id]
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(this.databaseName, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        const store = db.createObjectStore(STORE_NAME, { keyPath: ['collection', 'id'] });
+                        store.createIndex('collection', 'collection');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async runTransaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const result = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(result && 'result' in result ? result.result : result);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Storage transaction aborted: a document to update does not exist'));
+        });
+    }
+
+    newDocumentId() {
+        return generateDocumentId();
+    }
+
+    async getDocument(collectionName, id) {
+        const record = await this.runTransaction('readonly', store => store.get([collectionName, id]));
+        return record ? { id: record.id, data: record.data } : null;
+    }
+
+    async getAll(collectionName) {
+        const records = await this.runTransaction('readonly', store => store.index('collection').getAll(collectionName));
+        return (records || []).map(record => ({ id: record.id, data: record.data }));
+    }
+
+    async query(collectionName, options = {}) {
+        return applyQuery(await this.getAll(collectionName), options);
+    }
+
+    async addDocument(collectionName, data) {
+        const id = this.newDocumentId();
+        await this.setDocument(collectionName, id, data);
+        return id;
+    }
+
+    async setDocument(collectionName, id, data) {
+        await this.commitBatch([{ type: 'set', collection: collectionName, id, data }]);
+    }
+
+    async updateDocument(collectionName, id, updates) {
+        await this.commitBatch([{ type: 'update', collection: collectionName, id, data: updates }]);
+    }
+
+    async deleteDocument(collectionName, id) {
+        await this.commitBatch([{ type: 'delete', collection: collectionName, id }]);
+    }
+
+    // Apply { type: 'set' | 'update' | 'delete', collection, id, data } operations in one transaction
+    async commitBatch(operations) {
+        if (operations.length === 0) return { batchCount: 0 };
+
+        await this.runTransaction('readwrite', store => {
+            operations.forEach(operation => {
+                if (operation.type === 'set') {
+                    store.put({ collection: operation.collection, id: operation.id, data: operation.data });
+                } else if (operation.type === 'delete') {
+                    store.delete([operation.collection, operation.id]);
+                } else if (operation.type === 'update') {
+                    const request = store.get([operation.collection, operation.id]);
+                    request.onsuccess = () => {
+                        if (!request.result) {
+                            // Aborting rolls back every operation in the batch
+                            request.transaction.abort();
+                            return;
+                        }
+                        store.put({ ...request.result, data: { ...request.result.data, ...operation.data } });
+                    };
+                }
+            });
+        });
+
+        return { batchCount: 1 };
+    }
+
+    async clearCollection(collectionName) {
+        await this.runTransaction('readwrite', store => {
+            const request = store.index('collection').openKeyCursor(IDBKeyRange.only(collectionName));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (cursor) {
+                    store.delete(cursor.primaryKey);
+                    cursor.continue();
+                }
+            };
+        });
+    }
+}
@@ -0,0 +1,35 @@
+// JSON file storage backend for the Node CLI: an in-memory store loaded from and flushed to disk
+
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { MemoryStorage } from './memory-storage.js';
+
+// Matches Date.prototype.toJSON() output so dates survive a round trip
+const ISO_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}\.\d{3}Z$/;
+
+export class JsonFileStorage extends MemoryStorage {
+    constructor(filePath) {
+        super();
+        this.name = 'json';
+        this.filePath = filePath;
+    }
+
+    // Load the file if it exists; a missing file starts an empty store
+    async open() {
+        try {
+            const text = await readFile(this.filePath, 'utf8');
+            this.load(JSON.parse(text, (key, value) =>
+                typeof value === 'string' && ISO_DATE_PATTERN.test(value) ? new Date(value) : value
+            ));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+        return this;
+    }
+
+    // Write to a temporary file first so a crash never leaves a half-written store
+    async flush() {
+        const tempPath = `${this.filePath}.tmp`;
+        await writeFile(tempPath, JSON.stringify(this.toJSON(), null, 2));
+        await rename(tempPath, this.filePath);
+    }
+}
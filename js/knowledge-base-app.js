@@ -1,30 +1,76 @@
 // Main application class that orchestrates all modules
 
 import { CSVParser } from './csv-parser.js';
+import { ColumnMapper } from './column-mapper.js';
+import { ImportReport } from './import-report.js';
+import { ImportBatchService } from './import-batch-service.js';
+import { ImportCheckpointStore } from './import-checkpoint-store.js';
+import { ImportPipeline, toCloneable } from './import-pipeline.js';
 import { WikidataService } from './wikidata-service.js';
+import { WikidataRefreshService, formatWikidataValue } from './wikidata-refresh.js';
+import { getConfiguredWikidataLookup } from './wikidata-offline-client.js';
 import { FirebaseService } from './firebase-service.js';
 import { DateTimeProcessor } from './datetime-processor.js';
+import { DEFAULT_TIME_ZONE, populateTimeZoneSelect, getDisplayTimeZone, getEventCalendarZone } from './time-zones.js';
+import { TimeRangeControl, getTimeRangeFromUrl, eventInTimeRange } from './time-range.js';
+import { describeEDTF } from './edtf.js';
+import { EventSearchIndex, highlightTerms } from './event-search.js';
 import { EntityProcessor } from './entity-processor.js';
 import { TableManager } from './table-manager.js';
 import { EntityProfile } from './profile.js';
 import { DeduplicationService } from './deduplication-service.js';
+import { RelationshipService } from './relationship-service.js';
 import { errorHandler } from './error-handler.js';
+import { EVENT_ENTITY_FIELDS, replaceEntityReference, countEntityConnections } from './event-references.js';
 import { loadingManager } from './loading-manager.js';
 
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+const EVENT_SEARCH_LIMIT = 100; // Results listed per event search
+const EVENT_SEARCH_DELAY = 200; // Milliseconds after typing stops before searching
+
+// Cache lifetimes editable in the Wikidata panel
+const WIKIDATA_TTL_FIELDS = [
+    { kind: 'search', label: 'Searches', unit: DAY },
+    { kind: 'entity', label: 'Entities', unit: DAY },
+    { kind: 'label', label: 'Labels', unit: DAY },
+    { kind: 'negative', label: 'Nothing found', unit: HOUR }
+];
+
 export class KnowledgeBaseApp {
     constructor() {
         // Initialize services
         this.csvParser = new CSVParser();
-        this.wikidataService = new WikidataService();
+        this.columnMapper = new ColumnMapper();
+        // Set when ?wikidata-lookup= points at an offline lookup file
+        this.wikidataLookupUrl = getConfiguredWikidataLookup();
+        this.wikidataService = new WikidataService({ lookup: this.wikidataLookupUrl ? { url: this.wikidataLookupUrl } : null });
         this.firebaseService = new FirebaseService();
         this.dateTimeProcessor = new DateTimeProcessor();
         this.entityProcessor = new EntityProcessor(this.wikidataService, this.firebaseService, this.dateTimeProcessor);
+        this.wikidataRefreshService = new WikidataRefreshService(this.wikidataService, (info, entity) => this.entityProcessor.extractWikidataFields(info, entity.type));
+        this.wikidataRefreshResults = null;
         this.tableManager = new TableManager();
         this.deduplicationService = new DeduplicationService();
+        this.relationshipService = new RelationshipService();
+        this.importBatchService = new ImportBatchService(this.firebaseService);
+        this.checkpointStore = new ImportCheckpointStore();
+        this.importPipeline = new ImportPipeline({
+            csvParser: this.csvParser,
+            dateTimeProcessor: this.dateTimeProcessor,
+            entityProcessor: this.entityProcessor,
+            duplicateChecker: this.firebaseService
+        });
+        this.activeImport = null;
+        this.checkpointInterval = 25; // Rows between import checkpoints
+        this.timeRange = getTimeRangeFromUrl(); // Date range from ?from=&to=, or null for all dates
+        this.eventSearchIndex = null; // Built on the first event search after the data changes
+        this.eventSearchTimer = null;
         
         // Initialize UI
         this.initializeEventListeners();
-        this.loadExistingData();
+        this.loadExistingData().then(() => this.checkForInterruptedImports());
         
         // Make some methods globally accessible for debugging
         window.clearWikidataCache = () => this.entityProcessor.clearWikidataCache();
@@ -50,10 +96,58 @@ export class KnowledgeBaseApp {
         document.getElementById('closeManualEntryModal').addEventListener('click', () => this.hideManualEntryModal());
         document.getElementById('cancelManualEntry').addEventListener('click', () => this.hideManualEntryModal());
         document.getElementById('manualEntryForm').addEventListener('submit', (e) => this.handleManualEntrySubmit(e));
+        document.getElementById('manualDateTime').addEventListener('input', () => this.previewManualDateTime());
+        document.getElementById('manualDateReceived').addEventListener('change', () => this.previewManualDateTime());
+        
+        // Column mapping modal
+        document.getElementById('closeColumnMappingModal').addEventListener('click', () => this.hideColumnMappingModal());
+        document.getElementById('cancelColumnMapping').addEventListener('click', () => this.hideColumnMappingModal());
+        document.getElementById('confirmColumnMapping').addEventListener('click', () => this.confirmColumnMapping());
+        document.getElementById('dryRunColumnMapping').addEventListener('click', () => this.confirmColumnMapping(true));
+        document.getElementById('downloadImportReportBtn').addEventListener('click', () => this.downloadImportReport());
+        
+        // Imports panel
+        document.getElementById('importsBtn').addEventListener('click', () => this.showImportsModal());
+        document.getElementById('closeImportsModal').addEventListener('click', () => this.hideImportsModal());
+        document.getElementById('matchReviewBtn').addEventListener('click', () => this.showMatchReviewModal());
+        document.getElementById('closeMatchReviewModal').addEventListener('click', () => this.hideMatchReviewModal());
+        
+        // Wikidata cache and refresh panel
+        document.getElementById('wikidataBtn').addEventListener('click', () => this.showWikidataModal());
+        document.getElementById('closeWikidataModal').addEventListener('click', () => this.hideWikidataModal());
+        document.getElementById('saveWikidataTtlsBtn').addEventListener('click', () => this.saveWikidataCacheTtls());
+        document.getElementById('clearExpiredWikidataBtn').addEventListener('click', () => this.clearWikidataCache(true));
+        document.getElementById('clearWikidataCacheBtn').addEventListener('click', () => this.clearWikidataCache(false));
+        document.getElementById('checkWikidataBtn').addEventListener('click', () => this.checkStaleWikidata());
+        document.getElementById('applyWikidataBtn').addEventListener('click', () => this.applyWikidataRefresh());
+        document.getElementById('resumeImportBtn').addEventListener('click', () => this.resumeInterruptedImport());
+        document.getElementById('discardImportBtn').addEventListener('click', () => this.discardInterruptedImport());
+        document.getElementById('mappingProfileSelect').addEventListener('change', (e) => this.applyMappingProfile(e.target.value));
+        document.getElementById('saveMappingProfileBtn').addEventListener('click', () => this.saveMappingProfile());
+        document.getElementById('deleteMappingProfileBtn').addEventListener('click', () => this.deleteMappingProfile());
         
         // Table manager events
         this.tableManager.initializeEventListeners();
         
+        // Event search
+        const eventSearch = document.getElementById('eventSearch');
+        eventSearch.addEventListener('input', () => {
+            clearTimeout(this.eventSearchTimer);
+            this.eventSearchTimer = setTimeout(() => this.searchEvents(), EVENT_SEARCH_DELAY);
+        });
+        document.getElementById('clearEventSearch').addEventListener('click', () => {
+            eventSearch.value = '';
+            this.searchEvents();
+        });
+        
+        // Date range: connection counts and event search results cover only events in the range
+        this.timeRangeControl = new TimeRangeControl(document.getElementById('mainTimeRange'), {
+            onChange: (range) => {
+                this.timeRange = range;
+                this.renderEntities();
+            }
+        });
+        
         // Profile view events
         const backBtn = document.getElementById('backToMainBtn');
         if (backBtn) {
@@ -70,241 +164,536 @@ export class KnowledgeBaseApp {
 
     async processFile(file) {
         try {
-            this.showStatus('Reading CSV file...', 'info');
-            const rows = await this.csvParser.parseFile(file);
-            this.showStatus(`Loaded ${rows.length} rows from CSV`, 'success');
-            
-            
-            // Automatically start processing the data
-            setTimeout(() => this.processData(), 1000);
+            this.showStatus(`Reading ${file.name}...`, 'info');
+
+            // Preview the first rows so the columns can be mapped before importing
+            const preview = await this.csvParser.previewRows(file, 5);
+            if (preview.headers.length === 0) {
+                this.showStatus('The selected file has no header row', 'error');
+                return;
+            }
+
+            const savedProfile = this.columnMapper.findProfileForHeaders(preview.headers);
+            this.pendingImport = {
+                file,
+                headers: preview.headers,
+                rows: preview.rows,
+                mapping: savedProfile ? { ...savedProfile.mapping } : this.columnMapper.suggestMapping(preview.headers),
+                profileName: savedProfile ? savedProfile.name : ''
+            };
+
+            this.showColumnMappingModal();
         } catch (error) {
-            this.showStatus('Error reading CSV file: ' + error.message, 'error');
-            console.error('CSV parsing error:', error);
+            errorHandler.handleError(error, { 
+                operation: 'preview_file',
+                severity: errorHandler.constructor.Severity.MEDIUM 
+            });
         }
     }
 
-    async processData() {
-        if (!this.csvParser.rawData) {
+    // Import the pending file using the mapping chosen in the wizard
+    async importWithMapping(file, mapping, dryRun = false, timeZone = DEFAULT_TIME_ZONE) {
+        // Stream rows straight into the pipeline so large files start processing
+        // before they have finished loading
+        const rows = this.columnMapper.mapRows(this.csvParser.streamRows(file), mapping);
+        await this.processData(rows, {
+            file,
+            fileName: file.name,
+            fileSize: file.size,
+            mapping,
+            timeZone,
+            dryRun
+        });
+    }
+
+    showColumnMappingModal() {
+        const { file, rows } = this.pendingImport;
+        document.getElementById('mappingFileInfo').textContent =
+            `${file.name} — showing the first ${rows.length} row${rows.length === 1 ? '' : 's'}`;
+        document.getElementById('mappingProfileName').value = this.pendingImport.profileName;
+
+        // Keep the zone picked for the previous file; most imports come from the same source
+        const timeZoneSelect = document.getElementById('importTimeZone');
+        populateTimeZoneSelect(timeZoneSelect, timeZoneSelect.value || DEFAULT_TIME_ZONE);
+
+        this.renderMappingProfiles();
+        this.renderColumnMapping();
+        document.getElementById('columnMappingModal').classList.remove('hidden');
+    }
+
+    hideColumnMappingModal() {
+        document.getElementById('columnMappingModal').classList.add('hidden');
+        this.pendingImport = null;
+        
+        // Allow the same file to be selected again
+        document.getElementById('fileInput').value = '';
+    }
+
+    renderMappingProfiles() {
+        const select = document.getElementById('mappingProfileSelect');
+        const profiles = this.columnMapper.loadProfiles();
+        select.innerHTML = '<option value="">Suggested mapping</option>';
+
+        Object.keys(profiles).sort().forEach(name => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = profiles[this.pendingImport.profileName] ? this.pendingImport.profileName : '';
+    }
+
+    renderColumnMapping() {
+        const { headers, mapping } = this.pendingImport;
+        const container = document.getElementById('mappingFields');
+        container.innerHTML = '';
+
+        this.columnMapper.fields.forEach(field => {
+            const group = document.createElement('div');
+            group.className = 'form-group';
+
+            const label = document.createElement('label');
+            label.textContent = field.label;
+            if (field.required) {
+                const marker = document.createElement('span');
+                marker.className = 'required-marker';
+                marker.textContent = ' *';
+                label.appendChild(marker);
+            }
+
+            const select = document.createElement('select');
+            select.className = 'form-select';
+            select.dataset.field = field.key;
+            select.innerHTML = '<option value="">(not mapped)</option>';
+            headers.forEach(header => {
+                const option = document.createElement('option');
+                option.value = header;
+                option.textContent = header;
+                select.appendChild(option);
+            });
+            select.value = headers.includes(mapping[field.key]) ? mapping[field.key] : '';
+            select.addEventListener('change', () => {
+                this.pendingImport.mapping[field.key] = select.value;
+                this.renderMappingPreview();
+            });
+
+            group.appendChild(label);
+            group.appendChild(select);
+            container.appendChild(group);
+        });
+
+        this.renderMappingPreview();
+    }
+
+    renderMappingPreview() {
+        const { headers, rows, mapping } = this.pendingImport;
+        const table = document.getElementById('mappingPreviewTable');
+        table.innerHTML = '';
+
+        const headRow = table.createTHead().insertRow();
+        this.columnMapper.fields.forEach(field => {
+            const th = document.createElement('th');
+            th.textContent = mapping[field.key] ? `${field.label} ← ${mapping[field.key]}` : field.label;
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        rows.forEach(row => {
+            const mappedRow = this.columnMapper.applyMapping(row, mapping);
+            const tr = body.insertRow();
+            this.columnMapper.fields.forEach(field => {
+                const td = tr.insertCell();
+                td.textContent = mappedRow[field.key];
+                td.title = mappedRow[field.key];
+                if (!mapping[field.key]) td.classList.add('unmapped');
+            });
+        });
+
+        const errors = this.columnMapper.validateMapping(mapping, headers);
+        document.getElementById('mappingErrors').textContent = errors.join('. ');
+        document.getElementById('confirmColumnMapping').disabled = errors.length > 0;
+        document.getElementById('dryRunColumnMapping').disabled = errors.length > 0;
+    }
+
+    applyMappingProfile(name) {
+        if (!this.pendingImport) return;
+
+        const profile = name ? this.columnMapper.getProfile(name) : null;
+        this.pendingImport.mapping = profile
+            ? { ...profile.mapping }
+            : this.columnMapper.suggestMapping(this.pendingImport.headers);
+        this.pendingImport.profileName = profile ? profile.name : '';
+        document.getElementById('mappingProfileName').value = this.pendingImport.profileName;
+        this.renderColumnMapping();
+    }
+
+    saveMappingProfile() {
+        if (!this.pendingImport) return;
+
+        try {
+            const name = document.getElementById('mappingProfileName').value;
+            const profile = this.columnMapper.saveProfile(name, this.pendingImport.mapping, this.pendingImport.headers);
+            this.pendingImport.profileName = profile.name;
+            this.renderMappingProfiles();
+            this.showStatus(`Saved mapping profile "${profile.name}"`, 'success');
+        } catch (error) {
+            this.showStatus(error.message, 'error');
+        }
+    }
+
+    deleteMappingProfile() {
+        const name = document.getElementById('mappingProfileSelect').value;
+        if (!name || !this.pendingImport) return;
+
+        if (!confirm(`Delete mapping profile "${name}"?`)) return;
+
+        this.columnMapper.deleteProfile(name);
+        this.applyMappingProfile('');
+        this.renderMappingProfiles();
+    }
+
+    async confirmColumnMapping(dryRun = false) {
+        if (!this.pendingImport) return;
+
+        const { file, headers, mapping } = this.pendingImport;
+        const errors = this.columnMapper.validateMapping(mapping, headers);
+        if (errors.length > 0) {
+            this.showStatus(errors.join('. '), 'error');
+            return;
+        }
+
+        const timeZone = document.getElementById('importTimeZone').value || DEFAULT_TIME_ZONE;
+        this.hideColumnMappingModal();
+        await this.importWithMapping(file, { ...mapping }, dryRun, timeZone);
+    }
+
+    async processData(rowSource = this.csvParser.rawData, sourceInfo = {}) {
+        if (!rowSource && !sourceInfo.file) {
             this.showStatus('Please select a CSV file first', 'error');
             return;
         }
 
+        if (this.isImportRunning()) {
+            this.showStatus('An import is already running. Wait for it to finish or cancel it first.', 'error');
+            return;
+        }
+
         const operationId = 'process_data';
+        const dryRun = sourceInfo.dryRun === true;
+        const resume = sourceInfo.resume || null;
+        let report = resume
+            ? ImportReport.fromJSON(resume.report)
+            : new ImportReport({ fileName: sourceInfo.fileName, mapping: sourceInfo.mapping, dryRun });
+        let importBatch = resume ? resume.importBatch : null;
+        const abortController = new AbortController();
+        this.activeImport = { operationId, abortController };
+
+        // Files are processed in a worker so the interface stays responsive
+        const useWorker = Boolean(sourceInfo.file) && this.canUseImportWorker();
         
         try {
-            const totalRows = this.csvParser.rawData.length;
+            // Row count is only known up front for in-memory data; for streams estimate from file size
+            const knownRowCount = Array.isArray(rowSource) ? rowSource.length : null;
+            const estimatedRows = knownRowCount ?? Math.ceil((sourceInfo.fileSize || 0) / 200);
             
             // Start loading with cancellation support and longer timeout
-            const abortController = new AbortController();
             loadingManager.startOperation(operationId, {
-                status: `Processing ${totalRows} rows...`,
+                status: `${dryRun ? 'Dry run: validating' : 'Processing'} ${sourceInfo.fileName || `${knownRowCount} rows`}...`,
                 cancellable: true,
-                timeout: Math.max(120000, totalRows * 2000), // Dynamic timeout: 2 seconds per row, minimum 2 minutes
+                background: useWorker,
+                timeout: Math.max(120000, estimatedRows * 2000), // Dynamic timeout: 2 seconds per row, minimum 2 minutes
                 onCancel: () => abortController.abort()
             });
 
-            let processedRows = 0;
-            let skippedDuplicates = 0;
-            const batchSize = 5; // Process rows in smaller batches
+            // Record provenance for real imports so the batch can be rolled back later
+            if (!dryRun && !importBatch) {
+                loadingManager.updateProgress(operationId, 0, 'Recording import batch...');
+                importBatch = await this.importBatchService.startBatch({
+                    source: 'csv',
+                    fileName: sourceInfo.fileName || null,
+                    file: sourceInfo.file || null,
+                    content: Array.isArray(rowSource) ? rowSource : null,
+                    mapping: sourceInfo.mapping || null,
+                    timeZone: sourceInfo.timeZone || null
+                });
+            }
 
-            // Process rows in batches to prevent timeout and provide better progress feedback
-            for (let i = 0; i < this.csvParser.rawData.length; i += batchSize) {
-                // Check for cancellation
-                if (abortController.signal.aborted) {
-                    throw new Error('Operation cancelled by user');
+            const pipelineOptions = {
+                dryRun,
+                importBatchId: importBatch?.id || null,
+                timeZone: sourceInfo.timeZone || DEFAULT_TIME_ZONE,
+                startRow: resume ? resume.cursor : 0,
+                skippedDuplicates: resume ? resume.skippedDuplicates : 0,
+                checkpointInterval: this.checkpointInterval,
+                signal: abortController.signal,
+                onProgress: ({ processedRows, fraction }) => {
+                    const progress = fraction * 75; // Reserve 25% for saving and UI
+                    loadingManager.updateProgress(operationId, progress, knownRowCount
+                        ? `Processed ${processedRows}/${knownRowCount} rows`
+                        : `Processed ${processedRows} rows (${Math.round(fraction * 100)}% of file read)`);
+                },
+                // Periodically persist progress so an interrupted import can be resumed
+                onCheckpoint: async ({ cursor, skippedDuplicates }) => {
+                    if (dryRun || !sourceInfo.file) return;
+                    await this.saveImportCheckpoint({
+                        importBatch,
+                        file: sourceInfo.file,
+                        mapping: sourceInfo.mapping || null,
+                        timeZone: sourceInfo.timeZone || null,
+                        cursor,
+                        skippedDuplicates,
+                        report
+                    });
                 }
+            };
 
-                const batch = this.csvParser.rawData.slice(i, i + batchSize);
-                const batchPromises = batch.map(async (row, batchIndex) => {
-                    try {
-                        await this.processRow(row);
-                        return { success: true, index: i + batchIndex };
-                    } catch (rowError) {
-                        errorHandler.handleError(rowError, { 
-                            operation: 'process_row', 
-                            rowIndex: i + batchIndex + 1,
-                            severity: errorHandler.constructor.Severity.LOW 
-                        });
-                        return { success: false, index: i + batchIndex, error: rowError };
-                    }
+            let result;
+            if (useWorker) {
+                result = await this.runImportWorker(sourceInfo, pipelineOptions, report);
+                report = result.report;
+            } else {
+                result = await this.importPipeline.run(rowSource, {
+                    ...pipelineOptions,
+                    report,
+                    onProgress: ({ processedRows }) => pipelineOptions.onProgress({
+                        processedRows,
+                        fraction: knownRowCount ? processedRows / knownRowCount : this.csvParser.getProgress()
+                    })
                 });
-
-                // Process batch with timeout protection
-                try {
-                    const batchResults = await Promise.allSettled(batchPromises);
-                    processedRows += batchResults.length;
-                    
-                    // Update progress after each batch
-                    const progress = (processedRows / totalRows) * 75; // Reserve 25% for saving and UI
-                    loadingManager.updateProgress(operationId, progress, 
-                        `Processed ${processedRows}/${totalRows} rows (batch ${Math.floor(i/batchSize) + 1}/${Math.ceil(totalRows/batchSize)})`);
-                    
-                    // Brief pause to prevent overwhelming the system
-                    if (i + batchSize < this.csvParser.rawData.length) {
-                        await new Promise(resolve => setTimeout(resolve, 100));
-                    }
-                    
-                } catch (batchError) {
-                    console.warn(`Batch processing error for rows ${i}-${i + batchSize - 1}:`, batchError);
-                    processedRows += batch.length; // Still count as processed to avoid infinite loop
-                }
             }
+            const { processedRows, skippedDuplicates } = result;
             
+            report.complete();
+            this.lastImportReport = report;
+            document.getElementById('downloadImportReportBtn').classList.remove('hidden');
+
+            // A dry run stops here: nothing is written and the table is unchanged
+            if (dryRun) {
+                loadingManager.completeOperation(operationId);
+                const summary = report.getSummary();
+                this.showStatus(`Dry run complete: ${summary.acceptedRows} of ${summary.totalRows} rows would be imported, ${summary.rejectedRows} rejected, ${summary.duplicateEvents} duplicates skipped, ${summary.unparsedDatetimes} unparsed datetimes, ${summary.entitiesCreated} entities created and ${summary.entitiesMatched} matched. Nothing was saved.`, 'info');
+                return;
+            }
+
             // Save to Firebase
             loadingManager.updateProgress(operationId, 75, 'Saving to database...');
             await this.saveToFirebase();
+            const derivedRelationships = await this.deriveRelationships(importBatch.id);
+            await this.importBatchService.completeBatch(importBatch, {
+                rowCount: processedRows,
+                eventCount: report.acceptedRows,
+                rejectedRowCount: report.rejectedRows.length,
+                duplicateRowCount: skippedDuplicates
+            });
+            await this.clearImportCheckpoint(importBatch.id);
             
             // Update UI
             loadingManager.updateProgress(operationId, 90, 'Updating interface...');
             this.renderEntities();
+            await this.updateMatchReviewCount();
             
             // Complete operation
             loadingManager.completeOperation(operationId);
             
-            this.showStatus(`Processing complete! Processed ${processedRows} rows, skipped ${skippedDuplicates} duplicates.`, 'success');
+            const rejectedNote = report.rejectedRows.length > 0 ? `, rejected ${report.rejectedRows.length} invalid rows` : '';
+            const relationshipNote = derivedRelationships > 0 ? `, added ${derivedRelationships} relationships from Wikidata` : '';
+            this.showStatus(`Processing complete! Processed ${processedRows} rows, skipped ${skippedDuplicates} duplicates${rejectedNote}${relationshipNote}.`, 'success');
             
         } catch (error) {
             loadingManager.completeOperation(operationId);
+            if (importBatch) {
+                await this.importBatchService.failBatch(importBatch, error);
+
+                // A cancelled import is abandoned; anything else can be resumed from its checkpoint
+                if (abortController.signal.aborted) {
+                    await this.clearImportCheckpoint(importBatch.id);
+                }
+            }
             
             errorHandler.handleError(error, { 
                 operation: 'process_data',
                 severity: errorHandler.constructor.Severity.HIGH 
             });
+        } finally {
+            this.activeImport = null;
         }
     }
 
-    async processRow(row) {
-        // Validate required fields - Target is optional
-        if (!row.Actor || !row.Action || !row['Date Received']) {
-            console.warn('Skipping row with missing required fields:', row);
-            return;
-        }
+    canUseImportWorker() {
+        return typeof Worker !== 'undefined';
+    }
 
-        // Parse and validate date received
-        const dateReceived = new Date(row['Date Received']);
-        if (isNaN(dateReceived.getTime())) {
-            console.warn('Skipping row with invalid Date Received:', row['Date Received']);
-            return;
-        }
+    isImportRunning() {
+        return Boolean(this.activeImport);
+    }
 
-        // Process datetime with duration support
-        const datetimeInfo = this.dateTimeProcessor.processDateTimeWithDuration(row.Datetimes, dateReceived);
-
-        // Create event object with duration fields
-        const event = {
-            id: `event_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
-            actor: row.Actor,
-            action: row.Action,
-            target: row.Target || '', // Target is optional, default to empty string
-            sentence: row.Sentence,
-            dateReceived: dateReceived,
-            // New duration-aware fields
-            startDate: datetimeInfo.startDate,
-            endDate: datetimeInfo.endDate,
-            duration: datetimeInfo.duration,
-            granularity: datetimeInfo.granularity,
-            originalDatetime: datetimeInfo.originalString,
-            // Legacy field for backward compatibility
-            processedDatetime: datetimeInfo.startDate,
-            locations: row.Locations ? this.csvParser.parseLocations(row.Locations) : [],
-            sources: (row.Sources || row.Source) ? this.csvParser.parseSources(row.Sources || row.Source) : []
-        };
-
-        // Check for duplicate events
-        try {
-            const duplicateEvent = await this.firebaseService.findDuplicateEvent(event);
-            if (duplicateEvent) {
-                return; // Skip duplicate
-            }
-        } catch (duplicateError) {
-            console.error('Error checking duplicates:', duplicateError);
-        }
-
-        // Add to processed events
-        this.entityProcessor.processedEntities.events.push(event);
-
-        // Process all entities in parallel for better performance with timeout protection
-        const entityPromises = [];
-
-        // Process actors
-        const actors = this.csvParser.parseEntities(row.Actor);
-        actors.forEach(actor => {
-            entityPromises.push(
-                Promise.race([
-                    this.entityProcessor.processEntity(actor, 'actor', event),
-                    new Promise((_, reject) => 
-                        setTimeout(() => reject(new Error(`Actor processing timeout: ${actor}`)), 15000)
-                    )
-                ]).catch(error => {
-                    console.error('Error processing actor:', actor, error.message);
-                    return null; // Return null to continue processing
-                })
-            );
+    // Operations that reload or rewrite the database would discard the running import's unsaved work
+    blockedByRunningImport() {
+        if (!this.isImportRunning()) return false;
+        this.showStatus('An import is running in the background. Wait for it to finish or cancel it first.', 'error');
+        return true;
+    }
+
+    // Run the pipeline in a Web Worker. The worker resolves entities against a snapshot
+    // of the loaded data and streams its changes back here, where they are saved.
+    runImportWorker(sourceInfo, options, report) {
+        return new Promise((resolve, reject) => {
+            const worker = new Worker(new URL('./import-worker.js', import.meta.url), { type: 'module' });
+            const finish = (callback) => {
+                options.signal.removeEventListener('abort', cancel);
+                worker.terminate();
+                callback();
+            };
+            const cancel = () => worker.postMessage({ type: 'cancel' });
+            options.signal.addEventListener('abort', cancel);
+
+            worker.onmessage = async ({ data }) => {
+                try {
+                    if (data.type === 'progress') {
+                        options.onProgress(data);
+                    } else if (data.type === 'checkpoint') {
+                        this.entityProcessor.restoreDirtyChanges(data.changes);
+                        Object.assign(report, ImportReport.fromJSON(data.report));
+                        await options.onCheckpoint(data);
+                    } else if (data.type === 'complete') {
+                        this.entityProcessor.restoreDirtyChanges(data.changes);
+                        this.wikidataService.cache.addSessionStats(data.wikidataCacheStats);
+                        finish(() => resolve({
+                            processedRows: data.processedRows,
+                            skippedDuplicates: data.skippedDuplicates,
+                            report: ImportReport.fromJSON(data.report)
+                        }));
+                    } else if (data.type === 'error') {
+                        finish(() => reject(new Error(data.message)));
+                    }
+                } catch (error) {
+                    finish(() => reject(error));
+                }
+            };
+
+            worker.onerror = (event) => {
+                event.preventDefault();
+                finish(() => reject(new Error(`Import worker failed: ${event.message || 'unknown error'}`)));
+            };
+
+            worker.postMessage({
+                type: 'start',
+                file: sourceInfo.file,
+                fileName: sourceInfo.fileName,
+                mapping: sourceInfo.mapping,
+                report: report.toJSON(),
+                existing: toCloneable({ ...this.entityProcessor.processedEntities, matchReviews: this.entityProcessor.getOpenMatchReviews() }),
+                dryRun: options.dryRun,
+                importBatchId: options.importBatchId,
+                timeZone: options.timeZone,
+                startRow: options.startRow,
+                skippedDuplicates: options.skippedDuplicates,
+                checkpointInterval: options.checkpointInterval,
+                wikidataLookupUrl: this.wikidataLookupUrl
+            });
         });
+    }
 
-        // Process targets (only if Target field is not empty)
-        if (row.Target && row.Target.trim()) {
-            const targets = this.csvParser.parseEntities(row.Target);
-            targets.forEach(target => {
-                entityPromises.push(
-                    Promise.race([
-                        this.entityProcessor.processEntity(target, 'target', event),
-                        new Promise((_, reject) => 
-                            setTimeout(() => reject(new Error(`Target processing timeout: ${target}`)), 15000)
-                        )
-                    ]).catch(error => {
-                        console.error('Error processing target:', target, error.message);
-                        return null; // Return null to continue processing
-                    })
-                );
-            });
-        }
-
-        // Process locations
-        if (row.Locations) {
-            const locations = this.csvParser.parseLocations(row.Locations);
-            locations.forEach(location => {
-                entityPromises.push(
-                    Promise.race([
-                        this.entityProcessor.processLocationEntity(location.name, event),
-                        new Promise((_, reject) => 
-                            setTimeout(() => reject(new Error(`Location processing timeout: ${location.name}`)), 15000)
-                        )
-                    ]).catch(error => {
-                        console.error('Error processing location:', location.name, error.message);
-                        return null; // Return null to continue processing
-                    })
-                );
+    async saveImportCheckpoint({ importBatch, file, mapping, timeZone, cursor, skippedDuplicates, report }) {
+        try {
+            await this.checkpointStore.save({
+                id: importBatch.id,
+                importBatch,
+                file,
+                fileName: file.name,
+                mapping,
+                timeZone,
+                cursor,
+                skippedDuplicates,
+                report: report.toJSON(),
+                changes: this.entityProcessor.getDirtyChanges()
             });
+        } catch (error) {
+            console.warn('Could not save import checkpoint:', error);
+        }
+    }
+
+    async clearImportCheckpoint(batchId) {
+        try {
+            await this.checkpointStore.delete(batchId);
+        } catch (error) {
+            console.warn('Could not remove import checkpoint:', error);
         }
+    }
 
-        // Wait for all entity processing to complete with overall timeout
+    // Offer to resume an import that was interrupted by a tab close or crash
+    async checkForInterruptedImports() {
         try {
-            await Promise.race([
-                Promise.allSettled(entityPromises),
-                new Promise((_, reject) => 
-                    setTimeout(() => reject(new Error('Row processing timeout')), 30000) // 30 second timeout for entire row
-                )
-            ]);
+            const checkpoints = await this.checkpointStore.list();
+            this.interruptedImport = checkpoints[0] || null;
         } catch (error) {
-            console.warn(`Row processing timeout or error for row with actor: ${row.Actor}`, error);
-            // Continue processing even if some entities fail
+            console.warn('Could not read import checkpoints:', error);
+            this.interruptedImport = null;
+        }
+
+        const banner = document.getElementById('resumeImportBanner');
+        if (!this.interruptedImport) {
+            banner.classList.add('hidden');
+            return;
+        }
+
+        const { fileName, cursor, updatedAt } = this.interruptedImport;
+        document.getElementById('resumeImportText').textContent =
+            `The import of ${fileName} was interrupted after ${cursor} rows (last saved ${new Date(updatedAt).toLocaleString()}).`;
+        banner.classList.remove('hidden');
+    }
+
+    async resumeInterruptedImport() {
+        const checkpoint = this.interruptedImport;
+        if (!checkpoint) return;
+
+        this.interruptedImport = null;
+        document.getElementById('resumeImportBanner').classList.add('hidden');
+
+        // Put the unsaved work from the checkpoint back, then continue from its cursor
+        this.entityProcessor.restoreDirtyChanges(checkpoint.changes);
+        this.renderEntities();
+
+        const rows = this.columnMapper.mapRows(this.csvParser.streamRows(checkpoint.file), checkpoint.mapping);
+        await this.processData(rows, {
+            file: checkpoint.file,
+            fileName: checkpoint.fileName,
+            fileSize: checkpoint.file.size,
+            mapping: checkpoint.mapping,
+            timeZone: checkpoint.timeZone,
+            resume: checkpoint
+        });
+        await this.checkForInterruptedImports();
+    }
+
+    async discardInterruptedImport() {
+        const checkpoint = this.interruptedImport;
+        if (!checkpoint) return;
+
+        if (!confirm(`Discard the interrupted import of ${checkpoint.fileName}? Its unsaved progress will be lost.`)) {
+            return;
         }
+
+        await this.clearImportCheckpoint(checkpoint.id);
+        await this.importBatchService.failBatch(checkpoint.importBatch, new Error('Interrupted import discarded'));
+        await this.checkForInterruptedImports();
+    }
+
+    async processRow(row, options = {}) {
+        return this.importPipeline.processRow(row, options);
     }
 
     async saveToFirebase() {
         try {
-            // Use batch operations for much better performance
-            const entities = {
-                people: this.entityProcessor.processedEntities.people,
-                organizations: this.entityProcessor.processedEntities.organizations,
-                places: this.entityProcessor.processedEntities.places,
-                unknown: this.entityProcessor.processedEntities.unknown
-            };
-            
-            const events = this.entityProcessor.processedEntities.events;
+            // Only write documents that were created or modified since the last save
+            const changes = this.entityProcessor.getDirtyChanges();
+            if (changes.count === 0) {
+                return { success: true, batchCount: 0 };
+            }
             
-            const result = await this.firebaseService.saveBatch(entities, events);
+            const result = await this.firebaseService.saveBatch(changes.entities, changes.events, changes.matchReviews);
+            this.entityProcessor.markClean(changes);
+            return result;
 
         } catch (error) {
             console.error('Error saving to Firebase:', error);
@@ -312,6 +701,18 @@ export class KnowledgeBaseApp {
         }
     }
 
+    // Store the relationships implied by Wikidata fields such as spouse, employer and member_of.
+    // Failing here leaves the saved entities as they are, so it only warns.
+    async deriveRelationships(importBatchId = null) {
+        try {
+            const added = await this.relationshipService.deriveFromWikidata(this.entityProcessor.getAllEntities(), { importBatchId });
+            return added.length;
+        } catch (error) {
+            console.warn('Could not derive relationships from Wikidata:', error);
+            return 0;
+        }
+    }
+
     async loadExistingData() {
         const operationId = 'load_existing_data';
         
@@ -331,12 +732,14 @@ export class KnowledgeBaseApp {
                 loadingManager.updateProgress(operationId, 70, 'Processing loaded data...');
                 
                 // Update entity processor with existing data
-                this.entityProcessor.processedEntities = existingData;
+                this.entityProcessor.setProcessedEntities(existingData);
+                await this.migrateEventReferences();
                 
                 loadingManager.updateProgress(operationId, 90, 'Updating interface...');
                 
                 // Update table
                 this.renderEntities();
+                await this.updateMatchReviewCount();
                 
                 const totalEntities = existingData.people.length + existingData.organizations.length + 
                                     existingData.places.length + existingData.unknown.length;
@@ -358,9 +761,129 @@ export class KnowledgeBaseApp {
         }
     }
 
+    // Events saved before entity references existed get their actorIds / targetIds / locationIds once,
+    // and events saved before action normalization (or under an older taxonomy) their action category
+    async migrateEventReferences() {
+        const migrated = this.entityProcessor.migrateEventReferences() + this.entityProcessor.migrateEventActions();
+        if (migrated === 0) return;
+
+        try {
+            await this.saveToFirebase();
+        } catch (error) {
+            // The events stay dirty and are saved with the next import
+            console.error('Error saving migrated event references:', error);
+        }
+    }
+
     renderEntities() {
-        this.tableManager.updateAllEntities(this.entityProcessor.processedEntities);
+        this.tableManager.updateAllEntities(this.entityProcessor.processedEntities, this.getConnectionCounts());
         this.updateStatistics();
+        this.eventSearchIndex = null;
+        this.searchEvents();
+    }
+
+    // Lists the events matching the event search box, within the selected date range
+    searchEvents() {
+        const summary = document.getElementById('eventSearchSummary');
+        const list = document.getElementById('eventSearchResults');
+        const query = document.getElementById('eventSearch')?.value.trim() || '';
+        if (!summary || !list) return;
+        summary.innerHTML = '';
+        list.innerHTML = '';
+        if (!query) return;
+
+        try {
+            if (!this.eventSearchIndex) {
+                const data = this.entityProcessor.processedEntities;
+                const entities = ['people', 'organizations', 'places', 'unknown'].flatMap(collection => data[collection] || []);
+                this.eventSearchIndex = new EventSearchIndex(data.events || [], entities);
+            }
+
+            const displayTimeZone = getDisplayTimeZone();
+            const { results, terms, errors } = this.eventSearchIndex.search(query, { timeZone: displayTimeZone });
+            const matches = results.filter(({ event }) => eventInTimeRange(event, this.timeRange, displayTimeZone));
+
+            errors.forEach(message => {
+                const error = document.createElement('div');
+                error.className = 'error';
+                error.textContent = message;
+                summary.appendChild(error);
+            });
+            const count = document.createElement('div');
+            count.textContent = `${matches.length} matching event${matches.length === 1 ? '' : 's'}`
+                + (this.timeRange ? ' in the selected dates' : '')
+                + (matches.length > EVENT_SEARCH_LIMIT ? `, showing the first ${EVENT_SEARCH_LIMIT}` : '');
+            summary.appendChild(count);
+
+            matches.slice(0, EVENT_SEARCH_LIMIT).forEach(({ event }) => {
+                list.appendChild(this.createEventSearchResult(event, terms, displayTimeZone));
+            });
+        } catch (error) {
+            console.error('Error searching events:', error);
+            this.showStatus('Event search failed', 'error');
+        }
+    }
+
+    createEventSearchResult(event, terms, displayTimeZone) {
+        const item = document.createElement('div');
+        item.className = 'event-search-result';
+
+        // Dates read as on profiles: EDTF for dates, the display zone for times
+        let dateText;
+        if (event.edtf && event.granularity !== 'instant') {
+            dateText = describeEDTF(event.edtf);
+        } else if (event.startDate && event.granularity) {
+            dateText = this.dateTimeProcessor.formatDuration({
+                ...event,
+                startDate: new Date(event.startDate),
+                endDate: new Date(event.endDate || event.startDate),
+                timeZone: getEventCalendarZone(event, displayTimeZone)
+            }, displayTimeZone);
+        } else {
+            dateText = this.dateTimeProcessor.formatDate(new Date(event.dateReceived), displayTimeZone);
+        }
+
+        item.innerHTML = `
+            <div class="event-search-date"></div>
+            <div class="event-search-sentence">${highlightTerms(event.sentence || 'No description available', terms)}</div>
+            <div class="event-search-meta"></div>
+        `;
+        item.querySelector('.event-search-date').textContent = dateText;
+
+        // Each referenced entity links to its profile
+        const meta = item.querySelector('.event-search-meta');
+        const entitiesById = this.eventSearchIndex.entitiesById;
+        Object.entries(EVENT_ENTITY_FIELDS).forEach(([role, field]) => {
+            (event[field] || []).map(id => entitiesById.get(id)).filter(Boolean).forEach(entity => {
+                const link = document.createElement('span');
+                link.className = `entity-type-badge ${entity.type} event-search-entity`;
+                link.title = `Open profile (${role})`;
+                link.textContent = entity.name;
+                link.addEventListener('click', () => this.showProfile(entity.id, this.tableManager.getCollectionName(entity.type)));
+                meta.appendChild(link);
+            });
+        });
+        if (event.action) {
+            const action = document.createElement('span');
+            action.textContent = event.action;
+            meta.appendChild(action);
+        }
+        if (Array.isArray(event.sources) && event.sources.length > 0) {
+            const sources = document.createElement('span');
+            sources.textContent = `Sources: ${event.sources.join(', ')}`;
+            meta.appendChild(sources);
+        }
+
+        return item;
+    }
+
+    // Connection counts from the events in the selected date range, or null for the stored counts
+    getConnectionCounts() {
+        if (!this.timeRange) return null;
+        const displayTimeZone = getDisplayTimeZone();
+        const events = (this.entityProcessor.processedEntities.events || [])
+            .filter(event => eventInTimeRange(event, this.timeRange, displayTimeZone));
+        return countEntityConnections(events);
     }
 
     updateStatistics() {
@@ -393,12 +916,7 @@ export class KnowledgeBaseApp {
 
     clearData() {
         // Clear processed data
-        this.entityProcessor.processedEntities = {
-            people: [],
-            organizations: [],
-            places: [],
-            events: []
-        };
+        this.entityProcessor.setProcessedEntities({});
         
         // Clear CSV data
         this.csvParser.rawData = null;
@@ -413,6 +931,480 @@ export class KnowledgeBaseApp {
         this.showStatus('Data cleared', 'info');
     }
 
+    async showImportsModal() {
+        document.getElementById('importsModal').classList.remove('hidden');
+        await this.renderImportBatches();
+    }
+
+    hideImportsModal() {
+        document.getElementById('importsModal').classList.add('hidden');
+    }
+
+    async renderImportBatches() {
+        const container = document.getElementById('importsList');
+        container.textContent = 'Loading imports...';
+
+        try {
+            const batches = await this.importBatchService.listBatches();
+            container.innerHTML = '';
+
+            if (batches.length === 0) {
+                container.textContent = 'No imports recorded yet.';
+                return;
+            }
+
+            const table = document.createElement('table');
+            table.className = 'entities-table imports-table';
+            const headRow = table.createTHead().insertRow();
+            ['Imported', 'Source', 'Rows', 'Events', 'Hash', 'Status', ''].forEach(label => {
+                const th = document.createElement('th');
+                th.textContent = label;
+                headRow.appendChild(th);
+            });
+
+            const body = table.createTBody();
+            batches.forEach(batch => {
+                const tr = body.insertRow();
+                const createdAt = new Date(this.importBatchService.toMillis(batch.createdAt));
+                const cells = [
+                    createdAt.toLocaleString(),
+                    batch.source === 'manual' ? 'Manual entry' : (batch.fileName || 'CSV'),
+                    batch.rowCount ?? '',
+                    batch.eventCount ?? '',
+                    batch.fileHash ? batch.fileHash.substring(0, 12) : '',
+                    batch.status.replace('_', ' ')
+                ];
+                cells.forEach(value => {
+                    tr.insertCell().textContent = value;
+                });
+                tr.cells[4].title = batch.fileHash || '';
+
+                const actionCell = tr.insertCell();
+                if (batch.status !== 'rolled_back') {
+                    const rollbackBtn = document.createElement('button');
+                    rollbackBtn.className = 'btn btn-secondary btn-destructive';
+                    rollbackBtn.textContent = 'Roll Back';
+                    rollbackBtn.addEventListener('click', () => this.rollbackImportBatch(batch));
+                    actionCell.appendChild(rollbackBtn);
+                }
+            });
+
+            container.appendChild(table);
+        } catch (error) {
+            console.error('Error loading import batches:', error);
+            container.textContent = 'Could not load imports: ' + error.message;
+        }
+    }
+
+    async rollbackImportBatch(batch) {
+        if (this.blockedByRunningImport()) return;
+
+        const label = batch.source === 'manual' ? 'this manual entry' : `"${batch.fileName || batch.id}"`;
+        if (!confirm(`Roll back ${label}?\n\nThis deletes its events, detaches its connections and removes entities that only this import created.`)) {
+            return;
+        }
+
+        const operationId = 'rollback_import';
+        try {
+            loadingManager.startOperation(operationId, {
+                status: 'Rolling back import...',
+                cancellable: false,
+                timeout: 120000
+            });
+
+            const result = await this.importBatchService.rollbackBatch(batch.id);
+
+            loadingManager.updateProgress(operationId, 80, 'Reloading data...');
+            await this.loadExistingData();
+            loadingManager.completeOperation(operationId);
+
+            await this.renderImportBatches();
+            this.showStatus(`Import rolled back: deleted ${result.eventsDeleted} events and ${result.entitiesDeleted} entities, detached ${result.entitiesDetached} entities.`, 'success');
+        } catch (error) {
+            loadingManager.completeOperation(operationId);
+            console.error('Error rolling back import:', error);
+            this.showStatus('Error rolling back import: ' + error.message, 'error');
+        }
+    }
+
+    async showMatchReviewModal() {
+        document.getElementById('matchReviewModal').classList.remove('hidden');
+        await this.renderMatchReviews();
+    }
+
+    hideMatchReviewModal() {
+        document.getElementById('matchReviewModal').classList.add('hidden');
+    }
+
+    // Reviews still waiting for a decision whose entities both still exist; pending before deferred
+    async loadOpenMatchReviews() {
+        const reviews = await this.firebaseService.loadMatchReviews();
+        return reviews
+            .filter(review => review.status === 'pending' || review.status === 'deferred')
+            .filter(review => review.entityId !== review.candidateId &&
+                this.entityProcessor.findEntityById(review.entityId) &&
+                this.entityProcessor.findEntityById(review.candidateId))
+            .sort((a, b) => (a.status === b.status ? b.score - a.score : (a.status === 'pending' ? -1 : 1)));
+    }
+
+    async updateMatchReviewCount() {
+        try {
+            const reviews = await this.loadOpenMatchReviews();
+            const pendingCount = reviews.filter(review => review.status === 'pending').length;
+            const badge = document.getElementById('matchReviewCount');
+            badge.textContent = pendingCount;
+            badge.classList.toggle('hidden', pendingCount === 0);
+        } catch (error) {
+            console.warn('Could not count match reviews:', error);
+        }
+    }
+
+    async renderMatchReviews() {
+        const container = document.getElementById('matchReviewList');
+        container.textContent = 'Loading proposed matches...';
+
+        try {
+            const reviews = await this.loadOpenMatchReviews();
+            container.innerHTML = '';
+
+            if (reviews.length === 0) {
+                container.textContent = 'No proposed matches to review.';
+                return;
+            }
+
+            const table = document.createElement('table');
+            table.className = 'entities-table match-review-table';
+            const headRow = table.createTHead().insertRow();
+            ['New entity', 'Possible match', 'Score', 'Evidence', 'Status', ''].forEach(label => {
+                const th = document.createElement('th');
+                th.textContent = label;
+                headRow.appendChild(th);
+            });
+
+            const body = table.createTBody();
+            reviews.forEach(review => {
+                const tr = body.insertRow();
+                const cells = [
+                    `${review.entityName} (${review.entityType || 'unknown'})`,
+                    `${review.candidateName} (${review.candidateType || 'unknown'})`,
+                    `${Math.round(review.score * 100)}%`,
+                    (review.reasons || []).join('; '),
+                    review.status
+                ];
+                cells.forEach(value => {
+                    tr.insertCell().textContent = value;
+                });
+                tr.cells[0].title = review.sentence || '';
+
+                const actions = [
+                    { label: 'Accept', className: 'btn', handler: () => this.acceptMatchReview(review) },
+                    { label: 'Reject', className: 'btn btn-secondary', handler: () => this.resolveMatchReview(review, 'rejected') }
+                ];
+                if (review.status !== 'deferred') {
+                    actions.push({ label: 'Defer', className: 'btn btn-secondary', handler: () => this.resolveMatchReview(review, 'deferred') });
+                }
+
+                const actionGroup = document.createElement('div');
+                actionGroup.className = 'match-review-actions';
+                actions.forEach(({ label, className, handler }) => {
+                    const button = document.createElement('button');
+                    button.className = className;
+                    button.textContent = label;
+                    button.addEventListener('click', handler);
+                    actionGroup.appendChild(button);
+                });
+                tr.insertCell().appendChild(actionGroup);
+            });
+
+            container.appendChild(table);
+        } catch (error) {
+            console.error('Error loading match reviews:', error);
+            container.textContent = 'Could not load proposed matches: ' + error.message;
+        }
+    }
+
+    // Accepting links the new entity into the existing one: same merge as dragging one row onto another
+    async acceptMatchReview(review) {
+        if (this.blockedByRunningImport()) return;
+
+        const entity = this.entityProcessor.findEntityById(review.entityId);
+        const candidate = this.entityProcessor.findEntityById(review.candidateId);
+        if (!entity || !candidate) {
+            this.showStatus('One of these entities no longer exists', 'error');
+            await this.renderMatchReviews();
+            return;
+        }
+
+        try {
+            await this.mergeEntities(
+                { id: entity.firestoreId || entity.id, type: entity.firestoreCollection || this.tableManager.getCollectionName(entity.type), name: entity.name },
+                { id: candidate.firestoreId || candidate.id, type: candidate.firestoreCollection || this.tableManager.getCollectionName(candidate.type), name: candidate.name }
+            );
+            await this.firebaseService.updateMatchReview(review.firestoreId, { status: 'accepted', reviewedAt: new Date() });
+            this.entityProcessor.closeMatchReview(review);
+
+            this.renderEntities();
+            this.showStatus(`Linked "${entity.name}" to "${candidate.name}"`, 'success');
+        } catch (error) {
+            console.error('Error accepting match review:', error);
+            this.showStatus('Error linking entities: ' + error.message, 'error');
+        }
+
+        await this.renderMatchReviews();
+        await this.updateMatchReviewCount();
+    }
+
+    async resolveMatchReview(review, status) {
+        try {
+            await this.firebaseService.updateMatchReview(review.firestoreId, { status, reviewedAt: new Date() });
+            if (status === 'rejected') this.entityProcessor.closeMatchReview(review);
+        } catch (error) {
+            console.error('Error updating match review:', error);
+            this.showStatus('Error updating review: ' + error.message, 'error');
+        }
+
+        await this.renderMatchReviews();
+        await this.updateMatchReviewCount();
+    }
+
+    async showWikidataModal() {
+        document.getElementById('wikidataModal').classList.remove('hidden');
+        await Promise.all([this.renderWikidataCacheStats(), this.renderWikidataRefreshResults()]);
+    }
+
+    hideWikidataModal() {
+        document.getElementById('wikidataModal').classList.add('hidden');
+    }
+
+    async renderWikidataCacheStats() {
+        const container = document.getElementById('wikidataCacheStats');
+        container.textContent = 'Loading cache statistics...';
+
+        try {
+            const stats = await this.wikidataService.cache.getStats();
+            container.innerHTML = '';
+
+            const table = document.createElement('table');
+            table.className = 'entities-table wikidata-cache-table';
+            const body = table.createTBody();
+            [
+                ['Source', this.wikidataLookupUrl ? `Offline lookup file (${this.wikidataLookupUrl})` : 'wikidata.org'],
+                ['Storage', stats.persistent ? 'IndexedDB (kept between sessions)' : 'Memory (this session only)'],
+                ['Cached searches', stats.entries.search],
+                ['Cached entities', stats.entries.entity],
+                ['Cached labels', stats.entries.label],
+                ['"Nothing found" answers', stats.negative],
+                ['Expired', stats.expired],
+                ['Oldest entry', stats.oldest ? stats.oldest.toLocaleString() : '—'],
+                ['This session', `${stats.session.hits} hits, ${stats.session.misses + stats.session.expired} misses (${stats.session.expired} expired), ${stats.session.writes} fetched`]
+            ].forEach(([label, value]) => {
+                const tr = body.insertRow();
+                tr.insertCell().textContent = label;
+                tr.insertCell().textContent = value;
+            });
+            container.appendChild(table);
+
+            // Lifetimes are edited in days; the "nothing found" one in hours because it is much shorter
+            const settings = document.createElement('div');
+            settings.className = 'wikidata-cache-settings';
+            WIKIDATA_TTL_FIELDS.forEach(({ kind, label, unit }) => {
+                const field = document.createElement('label');
+                field.textContent = `${label} (${unit === HOUR ? 'hours' : 'days'})`;
+                const input = document.createElement('input');
+                input.type = 'number';
+                input.min = '0';
+                input.step = 'any';
+                input.dataset.kind = kind;
+                input.value = Math.round((stats.ttls[kind] / unit) * 100) / 100;
+                field.appendChild(input);
+                settings.appendChild(field);
+            });
+            container.appendChild(settings);
+        } catch (error) {
+            console.error('Error loading Wikidata cache statistics:', error);
+            container.textContent = 'Could not load cache statistics: ' + error.message;
+        }
+    }
+
+    async saveWikidataCacheTtls() {
+        const ttls = {};
+        document.querySelectorAll('#wikidataCacheStats input[data-kind]').forEach(input => {
+            const value = parseFloat(input.value);
+            const { unit } = WIKIDATA_TTL_FIELDS.find(field => field.kind === input.dataset.kind);
+            if (!isNaN(value) && value >= 0) ttls[input.dataset.kind] = value * unit;
+        });
+
+        try {
+            await this.wikidataService.cache.setTtls({ ...this.wikidataService.cache.ttls, ...ttls });
+            this.showStatus('Wikidata cache lifetimes saved', 'success');
+        } catch (error) {
+            console.error('Error saving Wikidata cache lifetimes:', error);
+            this.showStatus('Error saving cache lifetimes: ' + error.message, 'error');
+        }
+        await Promise.all([this.renderWikidataCacheStats(), this.renderWikidataRefreshResults()]);
+    }
+
+    async clearWikidataCache(expiredOnly) {
+        if (!expiredOnly && !confirm('Clear the Wikidata cache? Every lookup will go to Wikidata again.')) return;
+
+        try {
+            const removed = expiredOnly
+                ? await this.wikidataService.cache.clearExpired()
+                : await this.wikidataService.cache.clear();
+            this.entityProcessor.clearWikidataCache();
+            this.showStatus(`Removed ${removed} cached Wikidata ${removed === 1 ? 'response' : 'responses'}`, 'success');
+        } catch (error) {
+            console.error('Error clearing Wikidata cache:', error);
+            this.showStatus('Error clearing Wikidata cache: ' + error.message, 'error');
+        }
+        await this.renderWikidataCacheStats();
+    }
+
+    // Re-fetch every linked entity whose Wikidata data has outlived the entity cache lifetime
+    async checkStaleWikidata() {
+        if (this.blockedByRunningImport()) return;
+
+        const operationId = 'wikidata_refresh';
+        const abortController = new AbortController();
+
+        try {
+            const staleEntities = await this.wikidataRefreshService.getStaleEntities(this.entityProcessor.getAllEntities());
+            if (staleEntities.length === 0) {
+                this.wikidataRefreshResults = null;
+                await this.renderWikidataRefreshResults();
+                this.showStatus('All linked entities have up-to-date Wikidata data', 'success');
+                return;
+            }
+
+            loadingManager.startOperation(operationId, {
+                status: `Checking ${staleEntities.length} entities against Wikidata...`,
+                cancellable: true,
+                timeout: Math.max(60000, staleEntities.length * 10000),
+                onCancel: () => abortController.abort()
+            });
+
+            const results = await this.wikidataRefreshService.checkEntities(staleEntities, {
+                signal: abortController.signal,
+                onProgress: (done, total) => {
+                    loadingManager.updateProgress(operationId, Math.round((done / total) * 100), `Checked ${done}/${total} entities`);
+                }
+            });
+            loadingManager.completeOperation(operationId);
+
+            this.wikidataRefreshResults = results;
+            await this.renderWikidataRefreshResults();
+        } catch (error) {
+            loadingManager.completeOperation(operationId);
+            console.error('Error checking Wikidata data:', error);
+            this.showStatus('Error checking Wikidata data: ' + error.message, 'error');
+        }
+    }
+
+    async renderWikidataRefreshResults() {
+        const summary = document.getElementById('wikidataRefreshSummary');
+        const container = document.getElementById('wikidataRefreshList');
+        const applyButton = document.getElementById('applyWikidataBtn');
+        container.innerHTML = '';
+
+        const results = this.wikidataRefreshResults;
+        if (!results) {
+            applyButton.classList.add('hidden');
+            const staleCount = (await this.wikidataRefreshService.getStaleEntities(this.entityProcessor.getAllEntities())).length;
+            summary.textContent = staleCount === 0
+                ? 'All linked entities have up-to-date Wikidata data.'
+                : `${staleCount} linked ${staleCount === 1 ? 'entity has' : 'entities have'} Wikidata data older than the entity cache lifetime.`;
+            return;
+        }
+
+        const changed = results.checked.filter(result => result.changes.length > 0);
+        const unchanged = results.checked.length - changed.length;
+        summary.textContent = `${changed.length} changed, ${unchanged} unchanged` +
+            (results.failed.length > 0 ? `, ${results.failed.length} could not be fetched` : '') +
+            '. Applying also marks the unchanged entities as refreshed.';
+        applyButton.classList.toggle('hidden', results.checked.length === 0);
+
+        if (changed.length === 0) return;
+
+        const table = document.createElement('table');
+        table.className = 'entities-table wikidata-refresh-table';
+        const headRow = table.createTHead().insertRow();
+        ['', 'Entity', 'Field', 'Current', 'Wikidata now'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+
+        const body = table.createTBody();
+        changed.forEach(result => {
+            result.changes.forEach((change, index) => {
+                const tr = body.insertRow();
+                const selectCell = tr.insertCell();
+                const nameCell = tr.insertCell();
+                if (index === 0) {
+                    // One checkbox per entity: its changes are applied together or not at all
+                    const checkbox = document.createElement('input');
+                    checkbox.type = 'checkbox';
+                    checkbox.checked = result.selected !== false;
+                    checkbox.addEventListener('change', () => {
+                        result.selected = checkbox.checked;
+                    });
+                    selectCell.appendChild(checkbox);
+                    nameCell.textContent = `${result.entity.name} (${result.entity.wikidata_id})`;
+                }
+                tr.insertCell().textContent = change.field;
+                tr.insertCell().textContent = formatWikidataValue(change.before);
+                tr.insertCell().textContent = formatWikidataValue(change.after);
+            });
+        });
+
+        container.appendChild(table);
+    }
+
+    async applyWikidataRefresh() {
+        if (this.blockedByRunningImport() || !this.wikidataRefreshResults) return;
+
+        const results = this.wikidataRefreshResults.checked.filter(result => result.selected !== false);
+        results.forEach(({ entity, changes, retrievedAt }) => {
+            this.wikidataRefreshService.applyChanges(entity, changes, retrievedAt);
+            this.entityProcessor.markEntityDirty(entity);
+        });
+
+        try {
+            await this.saveToFirebase();
+            await this.deriveRelationships();
+            const updated = results.filter(result => result.changes.length > 0).length;
+            this.wikidataRefreshResults = null;
+            this.renderEntities();
+            this.showStatus(`Updated Wikidata data for ${updated} ${updated === 1 ? 'entity' : 'entities'}`, 'success');
+        } catch (error) {
+            console.error('Error saving refreshed Wikidata data:', error);
+            this.showStatus('Error saving Wikidata changes: ' + error.message, 'error');
+        }
+
+        await this.renderWikidataRefreshResults();
+    }
+
+    downloadImportReport() {
+        if (!this.lastImportReport) return;
+
+        const report = this.lastImportReport;
+        const jsonString = JSON.stringify(report.toJSON(), null, 2);
+        const blob = new Blob([jsonString], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        // Create download link
+        const baseName = (report.fileName || 'import').replace(/\.csv$/i, '');
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `${baseName}-${report.dryRun ? 'dry-run' : 'import'}-report-${new Date().toISOString().split('T')[0]}.json`;
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        // Clean up
+        URL.revokeObjectURL(url);
+    }
+
     showStatus(message, type = 'info') {
         const statusDiv = document.getElementById('statusMessage');
         statusDiv.textContent = message;
@@ -444,13 +1436,16 @@ export class KnowledgeBaseApp {
         document.getElementById('profileView').classList.add('hidden');
         document.getElementById('mainView').classList.remove('hidden');
         
+        // The profile may have changed the date range
+        this.timeRange = this.timeRangeControl.syncFromUrl();
+        
         // Lightweight refresh: just reload from Firebase and update the table
         console.log('Refreshing table data after returning from profile view...');
         try {
             const existingData = await this.firebaseService.loadExistingData();
             if (existingData) {
                 // Update entity processor with fresh data
-                this.entityProcessor.processedEntities = existingData;
+                this.entityProcessor.setProcessedEntities(existingData);
                 
                 // Update table and statistics
                 this.renderEntities();
@@ -465,6 +1460,8 @@ export class KnowledgeBaseApp {
     }
 
     async runDeduplication() {
+        if (this.blockedByRunningImport()) return;
+
         const operationId = 'deduplication';
         const deduplicationBtn = document.getElementById('deduplicationBtn');
         const originalText = deduplicationBtn.textContent;
@@ -577,7 +1574,8 @@ export class KnowledgeBaseApp {
                     collections: Object.keys(allData.entities)
                 },
                 entities: allData.entities,
-                events: allData.events
+                events: allData.events,
+                relationships: allData.relationships
             };
 
             // Create and download file
@@ -624,10 +1622,28 @@ export class KnowledgeBaseApp {
         
         // Reset form
         document.getElementById('manualEntryForm').reset();
+        this.previewManualDateTime();
+    }
+
+    // Show how the Date/Time field will be read before the entry is added
+    previewManualDateTime() {
+        const text = document.getElementById('manualDateTime').value.trim();
+        const hint = document.getElementById('manualDateTimeHint');
+        if (!text) {
+            hint.textContent = 'A date, a range or an EDTF string; empty means the date received';
+            return;
+        }
+
+        const dateReceived = document.getElementById('manualDateReceived').value || new Date();
+        const result = this.dateTimeProcessor.parseDateTimeRange(text, dateReceived, DEFAULT_TIME_ZONE);
+        hint.textContent = result.parsed
+            ? `Read as ${result.granularity === 'instant' ? this.dateTimeProcessor.formatDuration(result) : describeEDTF(result.edtf)} (EDTF ${result.edtf})`
+            : 'Not recognised; the date received will be used';
     }
 
     async handleManualEntrySubmit(e) {
         e.preventDefault();
+        if (this.blockedByRunningImport()) return;
         
         try {
             // Get form values
@@ -656,11 +1672,24 @@ export class KnowledgeBaseApp {
 
             this.showStatus('Processing manual entry...', 'info');
 
+            // Manual entries get their own single-row import batch
+            const importBatch = await this.importBatchService.startBatch({
+                source: 'manual',
+                content: formData
+            });
+
             // Process the single row using existing pipeline
-            await this.processRow(formData);
+            const result = await this.processRow(formData, { importBatchId: importBatch.id });
 
             // Save to Firebase
             await this.saveToFirebase();
+            await this.deriveRelationships(importBatch.id);
+            await this.importBatchService.completeBatch(importBatch, {
+                rowCount: 1,
+                eventCount: result.status === 'accepted' ? 1 : 0,
+                rejectedRowCount: result.status === 'rejected' ? 1 : 0,
+                duplicateRowCount: result.status === 'duplicate' ? 1 : 0
+            });
 
             // Reload data to show the new entry
             await this.loadExistingData();
@@ -680,6 +1709,10 @@ export class KnowledgeBaseApp {
     }
 
     async mergeEntities(draggedEntity, targetEntity) {
+        if (this.isImportRunning()) {
+            throw new Error('Cannot merge entities while an import is running');
+        }
+
         try {
             // 1. Load both entities from Firebase to get complete data
             const draggedEntityData = await this.firebaseService.getEntityById(draggedEntity.id, draggedEntity.type);
@@ -689,64 +1722,14 @@ export class KnowledgeBaseApp {
                 throw new Error(`Could not load entity data for merge. Dragged: ${!!draggedEntityData}, Target: ${!!targetEntityData}`);
             }
 
-            // 2. Find all events that reference the dragged entity
+            // 2. Point events that reference the dragged entity at the target instead.
+            // The event text keeps the source names; the target keeps the dragged name as an alias.
             const allEvents = await this.firebaseService.loadAllEvents();
-            
-            const eventsToUpdate = allEvents.filter(event => {
-                try {
-                    const shouldUpdate = event.actor.includes(draggedEntity.name) || 
-                           (event.target && event.target.includes(draggedEntity.name)) ||
-                           (Array.isArray(event.locations) 
-                               ? event.locations.some(loc => (typeof loc === 'string' ? loc : loc.name) === draggedEntity.name)
-                               : event.locations && event.locations.includes(draggedEntity.name));
-                    
-                    if (shouldUpdate) {
-                    }
-                    
-                    return shouldUpdate;
-                } catch (filterError) {
-                    console.error('Error filtering event:', event, filterError);
-                    return false;
-                }
-            });
+            const eventUpdates = allEvents
+                .map(event => ({ ...event }))
+                .filter(event => replaceEntityReference(event, draggedEntityData.id, targetEntityData.id));
 
-            // 3. Update events to reference the target entity instead
-            const eventUpdates = eventsToUpdate.map(event => {
-                try {
-                    const updatedEvent = { ...event };
-                    
-                    // Replace in actor
-                    if (updatedEvent.actor && updatedEvent.actor.includes(draggedEntity.name)) {
-                        updatedEvent.actor = updatedEvent.actor.replace(draggedEntity.name, targetEntity.name);
-                    }
-                    
-                    // Replace in target
-                    if (updatedEvent.target && updatedEvent.target.includes(draggedEntity.name)) {
-                        updatedEvent.target = updatedEvent.target.replace(draggedEntity.name, targetEntity.name);
-                    }
-                    
-                    // Replace in locations
-                    if (Array.isArray(updatedEvent.locations)) {
-                        updatedEvent.locations = updatedEvent.locations.map(loc => {
-                            if (typeof loc === 'string') {
-                                return loc === draggedEntity.name ? targetEntity.name : loc;
-                            } else if (loc && loc.name === draggedEntity.name) {
-                                return { ...loc, name: targetEntity.name };
-                            }
-                            return loc;
-                        });
-                    } else if (updatedEvent.locations === draggedEntity.name) {
-                        updatedEvent.locations = targetEntity.name;
-                    }
-                    
-                    return updatedEvent;
-                } catch (updateError) {
-                    console.error('Error updating event:', event, updateError);
-                    throw updateError;
-                }
-            });
-
-            // 4. Add dragged entity name as alias to target entity
+            // 3. Add dragged entity name as alias to target entity
             const updatedTargetEntity = { ...targetEntityData };
             if (!updatedTargetEntity.aliases) {
                 updatedTargetEntity.aliases = [];
@@ -755,6 +1738,9 @@ export class KnowledgeBaseApp {
                 updatedTargetEntity.aliases.push(draggedEntity.name);
             }
 
+            // 4. Move the dragged entity's relationships to the target
+            const relationshipOperations = await this.relationshipService.getMergeOperations(draggedEntityData.id, targetEntityData.id);
+
             // 5. Perform the merge in Firebase
             await this.firebaseService.mergeEntities(
                 draggedEntity.id,
@@ -762,7 +1748,8 @@ export class KnowledgeBaseApp {
                 targetEntity.id,
                 targetEntity.type,
                 updatedTargetEntity,
-                eventUpdates
+                eventUpdates,
+                relationshipOperations
             );
 
             // 6. Update local data and refresh UI
@@ -790,13 +1777,14 @@ export class KnowledgeBaseApp {
                     const entities = this.entityProcessor.processedEntities[collection];
                     
                     // Remove dragged entity
-                    const draggedIndex = entities.findIndex(e => e.id === draggedEntity.id);
+                    // Callers pass Firestore document IDs (table rows use firestoreId || id)
+                    const draggedIndex = entities.findIndex(e => (e.firestoreId || e.id) === draggedEntity.id);
                     if (draggedIndex !== -1) {
                         removedEntity = entities.splice(draggedIndex, 1)[0];
                     }
                     
                     // Update target entity
-                    const targetIndex = entities.findIndex(e => e.id === targetEntity.id);
+                    const targetIndex = entities.findIndex(e => (e.firestoreId || e.id) === targetEntity.id);
                     if (targetIndex !== -1) {
                         entities[targetIndex] = updatedTargetEntity;
                         updatedTargetIndex = targetIndex;
@@ -819,6 +1807,8 @@ export class KnowledgeBaseApp {
 
             // Recalculate connection counts for all entities
             this.recalculateConnectionCounts();
+            this.tableManager.connectionCounts = this.getConnectionCounts();
+            this.eventSearchIndex = null;
 
             // Skip full table refresh to preserve element references during merge
             // The table manager will handle the specific row updates
@@ -837,6 +1827,7 @@ export class KnowledgeBaseApp {
         try {
             const collections = ['people', 'organizations', 'places', 'unknown'];
             const allEvents = this.entityProcessor.processedEntities.events || [];
+            const entitiesById = new Map();
             
             // Reset all connection counts
             collections.forEach(collection => {
@@ -844,60 +1835,31 @@ export class KnowledgeBaseApp {
                     this.entityProcessor.processedEntities[collection].forEach(entity => {
                         entity.connectionCount = 0;
                         entity.connections = [];
+                        entitiesById.set(entity.id, entity);
                     });
                 }
             });
             
-            // Recalculate based on current events
+            // Recalculate based on current events: one connection per role an entity plays in an event
             allEvents.forEach(event => {
-                // Count actor connections
-                if (event.actor) {
-                    this.incrementEntityConnectionCount(event.actor);
-                }
-                
-                // Count target connections
-                if (event.target) {
-                    this.incrementEntityConnectionCount(event.target);
-                }
-                
-                // Count location connections
-                if (event.locations) {
-                    if (Array.isArray(event.locations)) {
-                        event.locations.forEach(location => {
-                            const locationName = typeof location === 'string' ? location : location.name;
-                            if (locationName) {
-                                this.incrementEntityConnectionCount(locationName);
-                            }
-                        });
-                    } else if (typeof event.locations === 'string') {
-                        this.incrementEntityConnectionCount(event.locations);
-                    }
-                }
+                Object.values(EVENT_ENTITY_FIELDS).forEach(field => {
+                    (event[field] || []).forEach(entityId => {
+                        const entity = entitiesById.get(entityId);
+                        if (entity) {
+                            entity.connectionCount++;
+                        }
+                    });
+                });
             });
             
-            
         } catch (error) {
             console.error('Error recalculating connection counts:', error);
         }
     }
 
-    incrementEntityConnectionCount(entityName) {
-        const collections = ['people', 'organizations', 'places', 'unknown'];
-        
-        for (const collection of collections) {
-            if (this.entityProcessor.processedEntities[collection]) {
-                const entity = this.entityProcessor.processedEntities[collection].find(e => 
-                    e.name === entityName || (e.aliases && e.aliases.includes(entityName))
-                );
-                if (entity) {
-                    entity.connectionCount = (entity.connectionCount || 0) + 1;
-                    return; // Found and updated, no need to check other collections
-                }
-            }
-        }
-    }
-
     async wipeDatabaseWithConfirmation() {
+        if (this.blockedByRunningImport()) return;
+
         // Show confirmation dialog
         const confirmMessage = `⚠️ WARNING: This will permanently delete ALL data from the database.
 
@@ -937,13 +1899,7 @@ Are you absolutely sure you want to continue?`;
             await this.firebaseService.wipeAllCollections();
             
             // Clear local data
-            this.entityProcessor.processedEntities = {
-                people: [],
-                organizations: [],
-                places: [],
-                unknown: [],
-                events: []
-            };
+            this.entityProcessor.setProcessedEntities({});
 
             // Clear UI
             this.tableManager.updateAllEntities(this.entityProcessor.processedEntities);
@@ -6,6 +6,7 @@ export class LoadingManager {
         this.loadingOverlay = null;
         this.progressBar = null;
         this.statusText = null;
+        this.backgroundIndicator = null;
         this.cancelCallbacks = new Map();
         
         this.initializeUI();
@@ -67,6 +68,7 @@ export class LoadingManager {
             cancellable: config.cancellable !== false,
             showProgress: config.showProgress !== false,
             timeout: config.timeout || 30000, // 30 second default timeout
+            background: config.background === true, // Shown in the job indicator instead of the blocking overlay
             onCancel: config.onCancel
         };
 
@@ -164,10 +166,19 @@ export class LoadingManager {
         }
     }
 
+    // Operations that block the interface with the overlay
+    getForegroundOperations() {
+        return Array.from(this.activeOperations.values()).filter(op => !op.background);
+    }
+
+    getBackgroundOperations() {
+        return Array.from(this.activeOperations.values()).filter(op => op.background);
+    }
+
     // Update the UI based on current operations
     updateUI() {
         try {
-            const hasOperations = this.activeOperations.size > 0;
+            const hasOperations = this.getForegroundOperations().length > 0;
             
             if (!this.loadingOverlay) {
                 // Try to reinitialize if overlay is missing
@@ -180,6 +191,8 @@ export class LoadingManager {
             } else {
                 this.hideLoading();
             }
+            
+            this.updateBackgroundIndicator();
         } catch (error) {
             console.warn('Error updating loading UI:', error);
             // Force hide as fallback
@@ -193,7 +206,7 @@ export class LoadingManager {
         this.loadingOverlay.classList.remove('hidden');
         
         // Calculate overall progress and status
-        const operations = Array.from(this.activeOperations.values());
+        const operations = this.getForegroundOperations();
         const totalProgress = operations.reduce((sum, op) => sum + op.progress, 0);
         const avgProgress = operations.length > 0 ? totalProgress / operations.length : 0;
         
@@ -231,6 +244,48 @@ export class LoadingManager {
         }
     }
 
+    // Persistent indicator for background jobs so the rest of the app stays usable
+    updateBackgroundIndicator() {
+        const operations = this.getBackgroundOperations();
+        
+        if (!this.backgroundIndicator) {
+            if (operations.length === 0) return;
+            this.backgroundIndicator = document.createElement('div');
+            this.backgroundIndicator.id = 'backgroundJobs';
+            this.backgroundIndicator.className = 'background-jobs';
+            document.body.appendChild(this.backgroundIndicator);
+        }
+
+        this.backgroundIndicator.classList.toggle('hidden', operations.length === 0);
+        this.backgroundIndicator.innerHTML = '';
+
+        operations.forEach(operation => {
+            const job = document.createElement('div');
+            job.className = 'background-job';
+
+            const status = document.createElement('div');
+            status.className = 'background-job-status';
+            status.textContent = `${operation.status} (${Math.round(operation.progress)}%)`;
+
+            const progress = document.createElement('div');
+            progress.className = 'progress-bar';
+            progress.innerHTML = `<div class="progress-fill" style="width: ${operation.progress}%"></div>`;
+
+            job.appendChild(status);
+            job.appendChild(progress);
+
+            if (operation.cancellable) {
+                const cancelBtn = document.createElement('button');
+                cancelBtn.className = 'btn btn-secondary';
+                cancelBtn.textContent = 'Cancel';
+                cancelBtn.addEventListener('click', () => this.cancelOperation(operation.id));
+                job.appendChild(cancelBtn);
+            }
+
+            this.backgroundIndicator.appendChild(job);
+        });
+    }
+
     // Force hide loading overlay (emergency method)
     forceHideLoading() {
         // Clear all active operations
@@ -241,6 +296,9 @@ export class LoadingManager {
         if (this.loadingOverlay) {
             this.loadingOverlay.classList.add('hidden');
         }
+        if (this.backgroundIndicator) {
+            this.backgroundIndicator.classList.add('hidden');
+        }
         
         // Reset any error states
         this.isShowingError = false;
@@ -311,6 +369,7 @@ export class LoadingManager {
                 id,
                 status: op.status,
                 progress: op.progress,
+                background: op.background,
                 duration: Date.now() - op.startTime
             }))
         };
@@ -327,6 +386,9 @@ export class LoadingManager {
         const maxOperationTime = 300000; // 5 minutes
         
         for (const [operationId, operation] of this.activeOperations.entries()) {
+            // Background jobs are long-running by design and rely on their own timeout
+            if (operation.background) continue;
+            
             const operationAge = now - operation.startTime;
             if (operationAge > maxOperationTime) {
                 console.warn(`Cleaning up stuck operation: ${operationId} (running for ${Math.round(operationAge/1000)}s)`);
@@ -75,6 +75,11 @@ export class LRUCache {
         return this.cache.size;
     }
 
+    // Cached values without touching their access order
+    values() {
+        return [...this.cache.values()].map(entry => entry.value);
+    }
+
     getMemoryUsage() {
         return {
             bytes: this.memoryUsage,
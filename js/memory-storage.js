@@ -0,0 +1,181 @@
+// In-memory storage backend, plus the query evaluation shared with the IndexedDB backend
+
+// Firestore Timestamps, Dates and plain values compared on a common scale
+function toComparable(value) {
+    if (value && typeof value.toMillis === 'function') return value.toMillis();
+    if (value instanceof Date) return value.getTime();
+    return value;
+}
+
+function valuesEqual(a, b) {
+    return toComparable(a) === toComparable(b);
+}
+
+function compareValues(a, b) {
+    const left = toComparable(a);
+    const right = toComparable(b);
+    if (left === right) return 0;
+    if (left === undefined || left === null) return -1;
+    if (right === undefined || right === null) return 1;
+    return left < right ? -1 : 1;
+}
+
+function matchesFilter(data, [field, operator, value]) {
+    const fieldValue = data[field];
+
+    switch (operator) {
+        case '==':
+            return valuesEqual(fieldValue, value);
+        case '!=':
+            // Like Firestore, documents without the field never match
+            return fieldValue !== undefined && !valuesEqual(fieldValue, value);
+        case '<':
+            return fieldValue !== undefined && compareValues(fieldValue, value) < 0;
+        case '<=':
+            return fieldValue !== undefined && compareValues(fieldValue, value) <= 0;
+        case '>':
+            return fieldValue !== undefined && compareValues(fieldValue, value) > 0;
+        case '>=':
+            return fieldValue !== undefined && compareValues(fieldValue, value) >= 0;
+        case 'in':
+            return value.some(candidate => valuesEqual(fieldValue, candidate));
+        case 'array-contains':
+            return Array.isArray(fieldValue) && fieldValue.some(item => valuesEqual(item, value));
+        default:
+            throw new Error(`Unsupported query operator: ${operator}`);
+    }
+}
+
+// Apply where / orderBy / startAfter / limit to a list of { id, data } documents.
+// The cursor is the id of the last document of the previous page.
+export function applyQuery(documents, { where = [], orderBy = [], startAfter = null, limit = null } = {}) {
+    let results = documents.filter(document => where.every(filter => matchesFilter(document.data, filter)));
+
+    if (orderBy.length > 0) {
+        // Firestore leaves out documents that lack an ordered field
+        results = results.filter(document => orderBy.every(([field]) => document.data[field] !== undefined));
+        results.sort((a, b) => {
+            for (const [field, direction = 'asc'] of orderBy) {
+                const comparison = compareValues(a.data[field], b.data[field]);
+                if (comparison !== 0) return direction === 'desc' ? -comparison : comparison;
+            }
+            return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+        });
+    }
+
+    if (startAfter) {
+        const cursorIndex = results.findIndex(document => document.id === startAfter);
+        results = results.slice(cursorIndex + 1);
+    }
+
+    if (limit) {
+        results = results.slice(0, limit);
+    }
+
+    return {
+        docs: results,
+        cursor: results.length > 0 ? results[results.length - 1].id : null
+    };
+}
+
+export function generateDocumentId() {
+    return `${Date.now().toString(36)}${Math.random().toString(36).substr(2, 12)}`;
+}
+
+export class MemoryStorage {
+    constructor(initialData = {}) {
+        this.name = 'memory';
+        this.collections = new Map();
+        this.load(initialData);
+    }
+
+    // Replace the contents with { collectionName: { id: data } }
+    load(data) {
+        this.collections.clear();
+        for (const [collectionName, documents] of Object.entries(data || {})) {
+            const collection = this.getCollection(collectionName);
+            for (const [id, documentData] of Object.entries(documents)) {
+                collection.set(id, structuredClone(documentData));
+            }
+        }
+    }
+
+    // Inverse of load(), e.g. for writing a snapshot to disk
+    toJSON() {
+        const data = {};
+        for (const [collectionName, collection] of this.collections) {
+            data[collectionName] = Object.fromEntries(collection);
+        }
+        return data;
+    }
+
+    getCollection(collectionName) {
+        if (!this.collections.has(collectionName)) {
+            this.collections.set(collectionName, new Map());
+        }
+        return this.collections.get(collectionName);
+    }
+
+    newDocumentId() {
+        return generateDocumentId();
+    }
+
+    async getDocument(collectionName, id) {
+        const data = this.getCollection(collectionName).get(id);
+        return data ? { id, data: structuredClone(data) } : null;
+    }
+
+    async getAll(collectionName) {
+        return Array.from(this.getCollection(collectionName), ([id, data]) => ({ id, data: structuredClone(data) }));
+    }
+
+    async query(collectionName, options = {}) {
+        return applyQuery(await this.getAll(collectionName), options);
+    }
+
+    async addDocument(collectionName, data) {
+        const id = this.newDocumentId();
+        await this.setDocument(collectionName, id, data);
+        return id;
+    }
+
+    async setDocument(collectionName, id, data) {
+        this.getCollection(collectionName).set(id, structuredClone(data));
+    }
+
+    async updateDocument(collectionName, id, updates) {
+        const collection = this.getCollection(collectionName);
+        if (!collection.has(id)) {
+            throw new Error(`No document to update: ${collectionName}/${id}`);
+        }
+        collection.set(id, { ...collection.get(id), ...structuredClone(updates) });
+    }
+
+    async deleteDocument(collectionName, id) {
+        this.getCollection(collectionName).delete(id);
+    }
+
+    // Apply { type: 'set' | 'update' | 'delete', collection, id, data } operations all-or-nothing
+    async commitBatch(operations) {
+        const snapshot = this.toJSON();
+        try {
+            for (const operation of operations) {
+                if (operation.type === 'set') {
+                    await this.setDocument(operation.collection, operation.id, operation.data);
+                } else if (operation.type === 'update') {
+                    await this.updateDocument(operation.collection, operation.id, operation.data);
+                } else if (operation.type === 'delete') {
+                    await this.deleteDocument(operation.collection, operation.id);
+                }
+            }
+        } catch (error) {
+            this.load(snapshot);
+            throw error;
+        }
+        return { batchCount: operations.length > 0 ? 1 : 0 };
+    }
+
+    async clearCollection(collectionName) {
+        this.getCollection(collectionName).clear();
+    }
+}
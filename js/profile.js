@@ -1,20 +1,52 @@
-import { db } from './config.js';
-import { collection, doc, getDocs, updateDoc, query, where, deleteDoc, addDoc, limit, orderBy } from 'https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js';
+import { storage as defaultStorage } from './storage.js';
+import { EVENT_ENTITY_FIELDS, getEventEntityIds, getEventRole, eventReferencesEntity } from './event-references.js';
+import { WikidataService } from './wikidata-service.js';
+import { WikidataRefreshService, formatWikidataValue } from './wikidata-refresh.js';
+import { getConfiguredWikidataLookup } from './wikidata-offline-client.js';
+import { getMappedFields, extractMappedFields, getWikidataFieldNames } from './wikidata-properties.js';
+import { getStatements, findStatementHolders, parsePeriod, statementOverlaps, isCurrentStatement, formatStatementPeriod, getPartialDateStart } from './entity-statements.js';
+import { RelationshipService } from './relationship-service.js';
+import { getRelationshipOptions, describeRelationship } from './relationship-types.js';
+import { getEventAction, formatActionCategory } from './action-normalizer.js';
+import { DateTimeProcessor } from './datetime-processor.js';
+import { describeEDTF } from './edtf.js';
+import { getZonedParts, getDisplayTimeZone, setDisplayTimeZone, populateTimeZoneSelect, toWallClock, getEventCalendarZone } from './time-zones.js';
+import { EventTimeline, overlapsRange } from './event-timeline.js';
+import { TimeRangeControl, getTimeRangeFromUrl, getTimeRangeBounds, getEventSpan, withTimeRange } from './time-range.js';
+
+// Timeline lane colours: the role badges' and one per action quad class
+const ROLE_COLORS = { actor: '#2563eb', target: '#dc2626', location: '#059669' };
+const QUAD_CLASS_COLORS = { 1: '#60a5fa', 2: '#2563eb', 3: '#f59e0b', 4: '#dc2626' };
 
 class EntityProfile {
-    constructor(entityId = null, entityType = null) {
+    constructor(entityId = null, entityType = null, storage = defaultStorage) {
+        this.storage = storage;
         this.entityId = entityId || new URLSearchParams(window.location.search).get('id');
         this.entityType = entityType || new URLSearchParams(window.location.search).get('type');
         this.currentEntity = null;
         this.allEntities = [];
         this.allEvents = [];
+        this.relationships = [];
+        this.dateTimeProcessor = new DateTimeProcessor();
+        this.displayTimeZone = getDisplayTimeZone();
         this.networkGraph = null;
         this.map = null;
+        this.eventMarkerLayer = null;
+        this.eventTimeline = null;
+        this.timelineRange = null;
+        this.timeRange = getTimeRangeFromUrl(); // Date range from ?from=&to=, shared with the main view
+        this.timeRangeControl = null;
+        this.locationCoordinates = new Map();
         
         // Simple caching to prevent repeated queries
         this.entityCache = new Map();
         this.eventsCache = new Map();
         
+        const wikidataLookupUrl = getConfiguredWikidataLookup();
+        this.wikidataService = new WikidataService({ lookup: wikidataLookupUrl ? { url: wikidataLookupUrl } : null });
+        this.wikidataRefreshService = new WikidataRefreshService(this.wikidataService, (info, entity) => this.extractWikidataFieldsForType(info, entity.type));
+        this.relationshipService = new RelationshipService(storage);
+        
         // Only redirect if we're on the profile.html page
         if (!this.entityId || !this.entityType) {
             if (window.location.pathname.includes('profile.html')) {
@@ -32,6 +64,8 @@ class EntityProfile {
     loadSpecificEntity(entityId, entityType) {
         this.entityId = entityId;
         this.entityType = entityType;
+        // The main view may have changed the date range
+        this.timeRange = this.timeRangeControl ? this.timeRangeControl.syncFromUrl() : getTimeRangeFromUrl();
         this.cleanup();
         this.loadEntityData();
     }
@@ -41,6 +75,7 @@ class EntityProfile {
         if (this.map) {
             this.map.remove();
             this.map = null;
+            this.eventMarkerLayer = null;
         }
         
         // Clear containers
@@ -81,25 +116,44 @@ class EntityProfile {
         
         // Other actions
         safeAddEventListener('exportBtn', 'click', () => this.exportEntityData());
+        safeAddEventListener('refreshWikidataBtn', 'click', () => this.refreshWikidataData());
+        safeAddEventListener('statementPeriod', 'input', () => this.renderFilteredStatements());
+        
+        // Relationships and the network graph's edge layers
+        safeAddEventListener('relationshipForm', 'submit', (e) => this.addRelationship(e));
+        safeAddEventListener('networkLayerEvents', 'change', () => this.applyNetworkLayers());
+        safeAddEventListener('networkLayerRelationships', 'change', () => this.applyNetworkLayers());
+        
+        // Date range shared with the main view
+        const timeRangeContainer = document.getElementById('profileTimeRange');
+        if (timeRangeContainer) {
+            this.timeRangeControl = new TimeRangeControl(timeRangeContainer, { onChange: range => this.setTimeRange(range) });
+        }
+        this.updateBackLink();
+        
+        // Event timeline
+        safeAddEventListener('eventTimelineLanes', 'change', () => this.renderEventTimeline());
+        safeAddEventListener('clearEventTimelineRange', 'click', () => this.eventTimeline?.clearRange());
+        safeAddEventListener('resetEventTimelineZoom', 'click', () => this.eventTimeline?.resetZoom());
         
         // Entity type change handler (no additional fields to update anymore)
         // safeAddEventListener('editType', 'change', (e) => this.updateAdditionalFields(e.target.value));
+        safeAddEventListener('editType', 'change', (e) => this.renderWikidataFieldsHint(e.target.value));
     }
 
     async loadEntityData() {
         try {
             // Load the specific entity
-            const entityQuery = query(collection(db, this.entityType), where('id', '==', this.entityId));
-            const entitySnapshot = await getDocs(entityQuery);
+            const { docs } = await this.storage.query(this.entityType, { where: [['id', '==', this.entityId]] });
             
-            if (entitySnapshot.empty) {
+            if (docs.length === 0) {
                 this.showError('Entity not found');
                 return;
             }
             
             this.currentEntity = { 
-                firestoreId: entitySnapshot.docs[0].id, 
-                ...entitySnapshot.docs[0].data() 
+                firestoreId: docs[0].id, 
+                ...docs[0].data 
             };
             
             // Load all entities for connections
@@ -108,7 +162,9 @@ class EntityProfile {
             // Render the profile
             this.renderEntityProfile();
             this.renderConnections();
+            this.renderRelationships();
             this.renderEvents();
+            this.resetEventTimeline();
             
             // Only show network graph and map for known entity types
             if (this.currentEntity.type !== 'unknown') {
@@ -133,54 +189,40 @@ class EntityProfile {
         
         // Get events related to this entity to find connections
         await this.loadRelatedEvents();
+        await this.loadRelationships();
         
-        // Extract entity names from related events
-        const entityNames = new Set();
+        // Collect the IDs of every entity the related events and relationships reference
+        const entityIds = new Set();
         this.allEvents.forEach(event => {
-            // Add actors
-            if (event.actor) {
-                event.actor.split(',').forEach(name => entityNames.add(name.trim()));
-            }
-            // Add targets
-            if (event.target) {
-                event.target.split(',').forEach(name => entityNames.add(name.trim()));
-            }
-            // Add locations
-            if (event.locations) {
-                if (Array.isArray(event.locations)) {
-                    event.locations.forEach(loc => {
-                        const locName = typeof loc === 'string' ? loc : loc.name;
-                        if (locName) entityNames.add(locName);
-                    });
-                } else {
-                    event.locations.split(',').forEach(name => entityNames.add(name.trim()));
-                }
-            }
+            getEventEntityIds(event).forEach(id => entityIds.add(id));
+        });
+        this.relationships.forEach(relationship => {
+            entityIds.add(relationship.sourceId);
+            entityIds.add(relationship.targetId);
         });
+        this.relatedEntityIds.forEach(id => entityIds.delete(id));
 
         // Query only for entities we actually need
-        const collections = ['people', 'organizations', 'places'];
-        const nameArray = Array.from(entityNames);
+        const collections = ['people', 'organizations', 'places', 'unknown'];
+        const idArray = Array.from(entityIds);
         
         // Batch queries in chunks of 10 (Firestore 'in' query limit)
         for (const collectionName of collections) {
-            for (let i = 0; i < nameArray.length; i += 10) {
-                const nameChunk = nameArray.slice(i, i + 10);
-                if (nameChunk.length === 0) continue;
+            for (let i = 0; i < idArray.length; i += 10) {
+                const idChunk = idArray.slice(i, i + 10);
+                if (idChunk.length === 0) continue;
                 
                 try {
-                    const q = query(
-                        collection(db, collectionName),
-                        where('name', 'in', nameChunk)
-                    );
-                    const querySnapshot = await getDocs(q);
+                    const { docs } = await this.storage.query(collectionName, {
+                        where: [['id', 'in', idChunk]]
+                    });
                     
-                    querySnapshot.forEach((doc) => {
+                    docs.forEach((doc) => {
                         const entityData = {
                             id: doc.id,
                             firestoreId: doc.id,
                             type: collectionName.slice(0, -1),
-                            ...doc.data()
+                            ...doc.data
                         };
                         
                         // Only add if not already present
@@ -198,87 +240,69 @@ class EntityProfile {
     }
 
     async loadRelatedEvents() {
-        // Only load events that mention this entity
-        const entityName = this.currentEntity.name;
+        // Only load events that reference this entity
+        const entityId = this.currentEntity.id;
         
         // Check cache first
-        if (this.eventsCache.has(entityName)) {
-            this.allEvents = this.eventsCache.get(entityName);
+        if (this.eventsCache.has(entityId)) {
+            this.allEvents = this.eventsCache.get(entityId);
             return;
         }
         
         this.allEvents = [];
         
         try {
-            // Query events where this entity is an actor
-            const actorQuery = query(
-                collection(db, 'events'),
-                where('actor', '>=', entityName),
-                where('actor', '<=', entityName + '\uf8ff')
-            );
-            const actorSnapshot = await getDocs(actorQuery);
-            
-            // Query events where this entity is a target
-            const targetQuery = query(
-                collection(db, 'events'),
-                where('target', '>=', entityName),
-                where('target', '<=', entityName + '\uf8ff')
-            );
-            const targetSnapshot = await getDocs(targetQuery);
+            // Query events where this entity is an actor, a target or a location
+            const results = await Promise.all(Object.values(EVENT_ENTITY_FIELDS).map(field =>
+                this.storage.query('events', { where: [[field, 'array-contains', entityId]] })
+            ));
             
+            // An entity can play several roles in one event; keep each event once
             const eventIds = new Set();
-            
-            // Process actor events
-            actorSnapshot.forEach((doc) => {
-                const eventData = { id: doc.id, ...doc.data() };
-                if (eventData.actor && eventData.actor.includes(entityName)) {
-                    this.allEvents.push(eventData);
-                    eventIds.add(doc.id);
-                }
-            });
-            
-            // Process target events (avoid duplicates)
-            targetSnapshot.forEach((doc) => {
-                if (!eventIds.has(doc.id)) {
-                    const eventData = { id: doc.id, ...doc.data() };
-                    if (eventData.target && eventData.target.includes(entityName)) {
-                        this.allEvents.push(eventData);
+            results.forEach(result => {
+                result.docs.forEach((doc) => {
+                    if (!eventIds.has(doc.id)) {
+                        this.allEvents.push({ id: doc.id, ...doc.data });
                         eventIds.add(doc.id);
                     }
-                }
+                });
             });
             
-            // TODO: Add location-based queries if needed
-            
         } catch (error) {
             console.error('Error loading related events:', error);
             // Fallback: load a limited number of recent events
-            const fallbackQuery = query(
-                collection(db, 'events'),
-                orderBy('dateReceived', 'desc'),
-                limit(100)
-            );
-            const fallbackSnapshot = await getDocs(fallbackQuery);
-            fallbackSnapshot.forEach((doc) => {
-                const eventData = { id: doc.id, ...doc.data() };
-                if (this.isEventRelatedToEntity(eventData, entityName)) {
+            const fallbackResult = await this.storage.query('events', {
+                orderBy: [['dateReceived', 'desc']],
+                limit: 100
+            });
+            fallbackResult.docs.forEach((doc) => {
+                const eventData = { id: doc.id, ...doc.data };
+                if (eventReferencesEntity(eventData, entityId)) {
                     this.allEvents.push(eventData);
                 }
             });
         }
         
         // Cache the results
-        this.eventsCache.set(entityName, this.allEvents);
+        this.eventsCache.set(entityId, this.allEvents);
         
     }
-    
-    isEventRelatedToEntity(event, entityName) {
-        return (event.actor && event.actor.includes(entityName)) ||
-               (event.target && event.target.includes(entityName)) ||
-               (event.locations && 
-                (Array.isArray(event.locations) 
-                    ? event.locations.some(loc => (typeof loc === 'string' ? loc : loc.name) === entityName)
-                    : event.locations.includes(entityName)));
+
+    async loadRelationships() {
+        try {
+            this.relationships = await this.relationshipService.loadForEntity(this.currentEntity.id);
+        } catch (error) {
+            console.warn('Error loading relationships:', error);
+            this.relationships = [];
+        }
+    }
+
+    // Names of the loaded entities the event references in a role ('actor', 'target' or 'location')
+    getEventEntityNames(event, role) {
+        return (event[EVENT_ENTITY_FIELDS[role]] || [])
+            .map(id => this.findEntityById(id))
+            .filter(entity => entity)
+            .map(entity => entity.name);
     }
 
     renderEntityProfile() {
@@ -312,6 +336,277 @@ class EntityProfile {
                 metaContainer.appendChild(gridItem);
             }
         });
+        
+        this.renderWikidataMatch(entity, metaContainer);
+        this.renderStatementTimeline();
+    }
+
+    // Dated statements: this entity's own career, residences and memberships, and which people and
+    // organizations Wikidata records as employed by, members of or living in it, and when
+    async renderStatementTimeline() {
+        const section = document.getElementById('statementTimelineSection');
+        if (!section) return;
+        
+        const entity = this.currentEntity;
+        const own = getStatements(entity);
+        const held = entity.wikidata_id ? await this.loadStatementHolders(entity) : [];
+        this.statementTimeline = { own, held };
+        
+        section.classList.toggle('hidden', own.length === 0 && held.length === 0);
+        this.renderFilteredStatements();
+    }
+
+    async loadStatementHolders(entity) {
+        const results = await Promise.all(['people', 'organizations'].map(async collectionName => {
+            try {
+                const { docs } = await this.storage.query(collectionName, {
+                    where: [['statement_ids', 'array-contains', entity.wikidata_id]]
+                });
+                return docs.map(doc => ({ firestoreId: doc.id, collectionName, ...doc.data }));
+            } catch (error) {
+                console.warn(`Error querying ${collectionName} statements:`, error);
+                return [];
+            }
+        }));
+        return findStatementHolders(results.flat(), entity.wikidata_id);
+    }
+
+    // Show only what held during the period typed in the "During" box, e.g. 2024 or 2019..2021
+    renderFilteredStatements() {
+        const container = document.getElementById('statementTimeline');
+        if (!container || !this.statementTimeline) return;
+        
+        const periodInput = document.getElementById('statementPeriod');
+        const periodText = periodInput ? periodInput.value.trim() : '';
+        const period = parsePeriod(periodText);
+        if (periodInput) periodInput.classList.toggle('invalid', Boolean(periodText) && !period);
+        
+        const labels = Object.fromEntries(getMappedFields().map(mapping => [mapping.field, mapping.label]));
+        const own = this.statementTimeline.own.filter(statement => statementOverlaps(statement, period));
+        const held = this.statementTimeline.held.filter(({ statement }) => statementOverlaps(statement, period));
+        
+        container.innerHTML = '';
+        const addGroup = (title, rows) => {
+            const group = document.createElement('div');
+            group.className = 'statement-group';
+            const heading = document.createElement('h3');
+            heading.className = 'statement-group-title';
+            heading.textContent = title;
+            group.appendChild(heading);
+            rows.forEach(row => group.appendChild(row));
+            container.appendChild(group);
+        };
+        const createRow = (statement, name, onClick = null) => {
+            const row = document.createElement('div');
+            row.className = `statement-row${isCurrentStatement(statement) ? ' current' : ''}`;
+            const value = document.createElement(onClick ? 'a' : 'span');
+            value.className = 'statement-value';
+            value.textContent = name;
+            if (onClick) {
+                value.href = '#';
+                value.addEventListener('click', (e) => {
+                    e.preventDefault();
+                    onClick();
+                });
+            }
+            const dates = document.createElement('span');
+            dates.className = 'statement-period';
+            dates.textContent = formatStatementPeriod(statement);
+            row.append(value, dates);
+            return row;
+        };
+        
+        // One group per field, in property mapping order
+        [...new Set(own.map(statement => statement.field))].forEach(field => {
+            addGroup(labels[field] || field, own
+                .filter(statement => statement.field === field)
+                .map(statement => createRow(statement, statement.value)));
+        });
+        
+        if (held.length > 0) {
+            addGroup(`Linked to ${this.currentEntity.name}`, held.map(({ entity, statement }) => createRow(
+                statement,
+                `${entity.name} (${(labels[statement.field] || statement.field).toLowerCase()})`,
+                () => this.navigateToEntity(entity.id, entity.collectionName)
+            )));
+        }
+        
+        if (own.length === 0 && held.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'connections-empty';
+            empty.textContent = `Nothing recorded${period ? ` during ${periodText}` : ''}`;
+            container.appendChild(empty);
+        }
+    }
+
+    // How confident the import was in the Wikidata link, with the runners-up one click away
+    renderWikidataMatch(entity, container) {
+        const match = entity.wikidata_match;
+        if (!match || !entity.wikidata_id) return;
+        
+        const matchEl = document.createElement('div');
+        matchEl.className = 'wikidata-match';
+        
+        const summary = document.createElement('div');
+        summary.className = 'wikidata-match-summary';
+        summary.textContent = `Wikidata match score ${Math.round(match.score * 100)}%`;
+        matchEl.appendChild(summary);
+        
+        (match.alternatives || []).forEach(alternative => {
+            const row = document.createElement('div');
+            row.className = 'wikidata-alternative';
+            
+            const link = document.createElement('a');
+            link.href = `https://www.wikidata.org/wiki/${alternative.id}`;
+            link.target = '_blank';
+            link.className = 'wikidata-link';
+            link.textContent = alternative.label || alternative.id;
+            
+            const details = document.createElement('span');
+            details.className = 'wikidata-alternative-details';
+            details.textContent = `${alternative.description || alternative.id} (${Math.round(alternative.score * 100)}%)`;
+            
+            const button = document.createElement('button');
+            button.className = 'btn btn-secondary';
+            button.textContent = 'Use this';
+            button.addEventListener('click', () => this.relinkWikidata(alternative.id));
+            
+            row.append(link, details, button);
+            matchEl.appendChild(row);
+        });
+        
+        container.appendChild(matchEl);
+    }
+
+    // Fetch the linked item again, bypassing the cache, and show what would change before saving
+    async refreshWikidataData() {
+        const entity = this.currentEntity;
+        if (!entity?.wikidata_id) {
+            this.showError('This entity is not linked to Wikidata');
+            return;
+        }
+        
+        const button = document.getElementById('refreshWikidataBtn');
+        if (button) button.disabled = true;
+        
+        try {
+            const result = await this.wikidataRefreshService.checkEntity(entity);
+            if (!result) {
+                this.showError(`Could not load ${entity.wikidata_id} from Wikidata`);
+                return;
+            }
+            
+            if (result.changes.length === 0) {
+                await this.updateEntityWithWikidata(this.wikidataRefreshService.toUpdates([], result.retrievedAt));
+                this.showSuccess('Wikidata data is already up to date');
+                return;
+            }
+            
+            this.renderWikidataDiff(result);
+        } catch (error) {
+            console.error('Error refreshing Wikidata data:', error);
+            this.showError('Failed to refresh Wikidata data');
+        } finally {
+            if (button) button.disabled = false;
+        }
+    }
+
+    renderWikidataDiff({ changes, retrievedAt }) {
+        const container = document.getElementById('entityMeta');
+        container.querySelector('.wikidata-diff')?.remove();
+        
+        const diffEl = document.createElement('div');
+        diffEl.className = 'wikidata-diff';
+        
+        const table = document.createElement('table');
+        const headRow = table.createTHead().insertRow();
+        ['Field', 'Current', 'Wikidata now'].forEach(label => {
+            const th = document.createElement('th');
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+        const body = table.createTBody();
+        changes.forEach(change => {
+            const tr = body.insertRow();
+            tr.insertCell().textContent = change.field;
+            tr.insertCell().textContent = formatWikidataValue(change.before);
+            tr.insertCell().textContent = formatWikidataValue(change.after);
+        });
+        diffEl.appendChild(table);
+        
+        const actions = document.createElement('div');
+        actions.className = 'wikidata-diff-actions';
+        
+        const applyButton = document.createElement('button');
+        applyButton.className = 'btn';
+        applyButton.textContent = `Apply ${changes.length} ${changes.length === 1 ? 'change' : 'changes'}`;
+        applyButton.addEventListener('click', async () => {
+            try {
+                await this.updateEntityWithWikidata(this.wikidataRefreshService.toUpdates(changes, retrievedAt));
+                this.renderEntityProfile();
+                this.showSuccess('Wikidata data updated');
+            } catch (error) {
+                this.showError('Failed to save Wikidata changes');
+            }
+        });
+        
+        const discardButton = document.createElement('button');
+        discardButton.className = 'btn btn-secondary';
+        discardButton.textContent = 'Discard';
+        discardButton.addEventListener('click', () => diffEl.remove());
+        
+        actions.append(applyButton, discardButton);
+        diffEl.appendChild(actions);
+        container.appendChild(diffEl);
+    }
+
+    // Point the entity at one of the runner-up Wikidata candidates; the old link becomes a runner-up
+    async relinkWikidata(wikidataId) {
+        const entity = this.currentEntity;
+        const match = entity.wikidata_match;
+        const alternative = match?.alternatives?.find(candidate => candidate.id === wikidataId);
+        if (!alternative) return;
+        
+        try {
+            const [info, previous] = await Promise.all([
+                this.wikidataService.fetchEntity(wikidataId),
+                this.wikidataService.fetchEntity(entity.wikidata_id)
+            ]);
+            if (!info) {
+                this.showError(`Could not load ${wikidataId} from Wikidata`);
+                return;
+            }
+            
+            // Drop what the wrong link contributed before applying the new one
+            const updates = {};
+            this.getWikidataFields().forEach(field => {
+                updates[field] = Array.isArray(entity[field]) ? [] : null;
+            });
+            
+            const staleAliases = new Set((previous?.aliases || []).filter(alias => alias !== entity.name));
+            const keptAliases = (entity.aliases || []).filter(alias => !staleAliases.has(alias));
+            
+            await this.updateEntityWithWikidata({
+                ...updates,
+                ...this.extractWikidataFieldsForType(info, entity.type),
+                aliases: [...new Set([...keptAliases, ...(info.aliases || [])])],
+                wikidata_id: wikidataId,
+                wikidata_retrieved_at: info.retrievedAt || null,
+                wikidata_match: {
+                    ...alternative,
+                    alternatives: [
+                        { id: match.id, label: match.label, description: match.description, score: match.score },
+                        ...match.alternatives.filter(candidate => candidate.id !== wikidataId)
+                    ]
+                }
+            });
+            
+            this.renderEntityProfile();
+            this.showSuccess(`Linked to ${alternative.label || wikidataId}`);
+        } catch (error) {
+            console.error('Error relinking Wikidata entity:', error);
+            this.showError('Failed to change the Wikidata link');
+        }
     }
 
     getMetaFields(entity) {
@@ -420,8 +715,19 @@ class EntityProfile {
         }
         if (entity.category) fields.push({ label: 'Category', value: entity.category });
         
+        // Wikidata fields, in property mapping order
+        getMappedFields().forEach(({ field, label, display }) => {
+            if (field === 'aliases' || !entity[field]) return;
+            if (display === 'image') {
+                const src = `https://commons.wikimedia.org/wiki/Special:FilePath/${encodeURIComponent(entity[field])}?width=320`;
+                fields.push({ label, value: `<img class="entity-image" src="${src}" alt="${label}" loading="lazy">` });
+                return;
+            }
+            const value = formatValue(entity[field]);
+            if (value) fields.push({ label, value });
+        });
+        
         // Person-specific fields
-        if (entity.occupation) fields.push({ label: 'Occupation', value: formatValue(entity.occupation) });
         if (entity.jobTitle) fields.push({ label: 'Job Title', value: entity.jobTitle });
         if (entity.currentEmployer) fields.push({ label: 'Current Employer', value: entity.currentEmployer });
         if (entity.previousEmployers) fields.push({ label: 'Previous Employers', value: formatValue(entity.previousEmployers) });
@@ -429,17 +735,9 @@ class EntityProfile {
         if (entity.educatedAt) fields.push({ label: 'Education', value: formatValue(entity.educatedAt) });
         if (entity.currentResidence) fields.push({ label: 'Current Residence', value: entity.currentResidence });
         if (entity.previousResidences) fields.push({ label: 'Previous Residences', value: formatValue(entity.previousResidences) });
-        if (entity.dateOfBirth) fields.push({ label: 'Date of Birth', value: entity.dateOfBirth });
         if (entity.gender) fields.push({ label: 'Gender', value: entity.gender });
         if (entity.expertise) fields.push({ label: 'Expertise', value: formatValue(entity.expertise) });
         
-        // Enhanced Wikidata fields
-        if (entity.employer) fields.push({ label: 'Employer', value: formatValue(entity.employer) });
-        if (entity.educated_at) fields.push({ label: 'Educated At (Wikidata)', value: formatValue(entity.educated_at) });
-        if (entity.residences) fields.push({ label: 'Residences', value: formatValue(entity.residences) });
-        if (entity.languages_spoken) fields.push({ label: 'Languages Spoken', value: formatValue(entity.languages_spoken) });
-        if (entity.member_of) fields.push({ label: 'Member Of', value: formatValue(entity.member_of) });
-        
         // Family relationships
         if (entity.family_relations) {
             if (entity.family_relations.father) fields.push({ label: 'Father', value: formatValue(entity.family_relations.father) });
@@ -453,15 +751,11 @@ class EntityProfile {
         
         // Organization-specific fields
         if (entity.industry) fields.push({ label: 'Industry', value: entity.industry });
-        if (entity.founded) fields.push({ label: 'Founded', value: entity.founded });
         if (entity.employees) fields.push({ label: 'Employees', value: formatValue(entity.employees) });
         
         // Location-specific fields
         if (entity.location) fields.push({ label: 'Location', value: entity.location });
-        if (entity.country) fields.push({ label: 'Country', value: entity.country });
         if (entity.state) fields.push({ label: 'State', value: entity.state });
-        if (entity.population) fields.push({ label: 'Population', value: formatValue(entity.population) });
-        if (entity.coordinates) fields.push({ label: 'Coordinates', value: formatValue(entity.coordinates) });
         
         // Connection and activity information
         // (Total connections count moved to Connections section header)
@@ -475,12 +769,13 @@ class EntityProfile {
         Object.keys(entity).forEach(key => {
             // Skip fields we've already handled or internal fields
             const skipFields = [
-                'id', 'firestoreId', 'name', 'description', 'type', 'category', 'wikidata_id',
+                'id', 'firestoreId', 'name', 'description', 'type', 'category', 'wikidata_id', 'wikidata_match', 'wikidata_retrieved_at',
                 'aliases', 'occupation', 'jobTitle', 'currentEmployer', 'previousEmployers', 
                 'organization', 'educatedAt', 'currentResidence', 'previousResidences',
                 'dateOfBirth', 'gender', 'expertise', 'industry', 'founded', 'employees',
                 'location', 'country', 'state', 'population', 'coordinates', 'connections',
-                'created', 'updated', 'lastModified', 'connectionCount', 'actualConnectionCount'
+                'created', 'updated', 'lastModified', 'connectionCount', 'actualConnectionCount',
+                ...getWikidataFieldNames()
             ];
             
             if (!skipFields.includes(key) && entity[key] !== null && entity[key] !== undefined && entity[key] !== '') {
@@ -506,10 +801,35 @@ class EntityProfile {
         // Update connections section header with count
         this.updateConnectionsHeader();
         
+        this.connectionRoleFilter = 'all';
+        this.initializeActionFilter();
+        
         // Render with default filter (all)
         this.renderFilteredConnections('all');
     }
 
+    // Offers the action categories that occur in this entity's connections, with counts
+    initializeActionFilter() {
+        const select = document.getElementById('connectionActionFilter');
+        if (!select) return;
+
+        const counts = new Map();
+        this.allConnections.forEach(connection => {
+            const code = connection.action.code || 'unclassified';
+            counts.set(code, (counts.get(code) || 0) + 1);
+        });
+
+        select.innerHTML = '';
+        select.appendChild(new Option('All actions', ''));
+        [...counts.entries()]
+            .sort(([a], [b]) => a.localeCompare(b))
+            .forEach(([code, count]) => {
+                const label = code === 'unclassified' ? 'Unclassified' : formatActionCategory(code);
+                select.appendChild(new Option(`${label} (${count})`, code));
+            });
+        select.onchange = () => this.renderFilteredConnections(this.connectionRoleFilter);
+    }
+
     updateConnectionsHeader() {
         // Find the connections section specifically by looking for the section that contains connectionsList
         const connectionsList = document.getElementById('connectionsList');
@@ -540,47 +860,46 @@ class EntityProfile {
     }
 
     processConnectionsData() {
+        const entityId = this.currentEntity.id;
+
         // Find events where this entity is involved
-        const relatedEvents = this.allEvents.filter(event => 
-            event.actor.includes(this.currentEntity.name) || 
-            (event.target && event.target.includes(this.currentEntity.name)) ||
-            (Array.isArray(event.locations) 
-                ? event.locations.some(loc => (typeof loc === 'string' ? loc : loc.name) === this.currentEntity.name)
-                : event.locations && event.locations.includes(this.currentEntity.name))
-        );
+        const relatedEvents = this.allEvents.filter(event => eventReferencesEntity(event, entityId));
 
         // Process each event into connection data
         const connections = relatedEvents.map(event => {
-            const actors = event.actor.split(',').map(a => a.trim());
-            const targets = event.target ? event.target.split(',').map(t => t.trim()).filter(t => t.length > 0) : [];
-            const locations = Array.isArray(event.locations) 
-                ? event.locations.map(loc => typeof loc === 'string' ? loc : loc.name)
-                : (event.locations ? event.locations.split(',').map(l => l.trim()) : []);
+            const actors = (event.actorIds || []).filter(id => id !== entityId);
+            const targets = (event.targetIds || []).filter(id => id !== entityId);
+            const locations = (event.locationIds || []).filter(id => id !== entityId);
 
             // Determine this entity's role in the event
-            let role = 'connected';
-            let primaryEntity = '';
-            let otherEntities = [];
-
-            if (actors.includes(this.currentEntity.name)) {
-                role = 'actor';
-                primaryEntity = targets.length > 0 ? targets[0] : (locations.length > 0 ? locations[0] : '');
-                otherEntities = [...targets.slice(1), ...locations];
-            } else if (targets.includes(this.currentEntity.name)) {
-                role = 'target';
-                primaryEntity = actors.length > 0 ? actors[0] : '';
-                otherEntities = [...actors.slice(1), ...locations];
-            } else if (locations.some(loc => loc === this.currentEntity.name)) {
-                role = 'location';
-                primaryEntity = actors.length > 0 ? actors[0] : (targets.length > 0 ? targets[0] : '');
-                otherEntities = [...actors.slice(1), ...targets];
+            const role = getEventRole(event, entityId) || 'connected';
+            let primaryEntityId = null;
+            let otherEntityIds = [];
+
+            if (role === 'actor') {
+                primaryEntityId = targets.length > 0 ? targets[0] : (locations.length > 0 ? locations[0] : null);
+                otherEntityIds = [...targets.slice(1), ...locations];
+            } else if (role === 'target') {
+                primaryEntityId = actors.length > 0 ? actors[0] : null;
+                otherEntityIds = [...actors.slice(1), ...locations];
+            } else if (role === 'location') {
+                primaryEntityId = actors.length > 0 ? actors[0] : (targets.length > 0 ? targets[0] : null);
+                otherEntityIds = [...actors.slice(1), ...targets];
             }
 
+            const primaryEntity = primaryEntityId ? this.findEntityById(primaryEntityId) : null;
+
             return {
                 event,
                 role,
-                primaryEntity,
-                otherEntities: otherEntities.filter(e => e && e.length > 0),
+                primaryEntityId,
+                primaryEntity: primaryEntity ? primaryEntity.name : '',
+                otherEntities: otherEntityIds
+                    .filter(id => id !== primaryEntityId)
+                    .map(id => this.findEntityById(id))
+                    .filter(entity => entity)
+                    .map(entity => entity.name),
+                action: getEventAction(event),
                 date: this.parseEventDate(event.dateReceived)
             };
         });
@@ -598,10 +917,18 @@ class EntityProfile {
         const connectionsList = document.getElementById('connectionsList');
         connectionsList.innerHTML = '';
 
-        // Filter connections based on selected filter
+        // Filter connections based on selected filter and action category
+        this.connectionRoleFilter = filter;
+        const actionFilter = document.getElementById('connectionActionFilter')?.value || '';
         let filteredConnections = this.allConnections;
         if (filter !== 'all') {
-            filteredConnections = this.allConnections.filter(conn => conn.role === filter);
+            filteredConnections = filteredConnections.filter(conn => conn.role === filter);
+        }
+        if (actionFilter) {
+            filteredConnections = filteredConnections.filter(conn => (conn.action.code || 'unclassified') === actionFilter);
+        }
+        if (this.timeRange || this.timelineRange) {
+            filteredConnections = filteredConnections.filter(conn => this.isInSelectedRange(conn.event));
         }
 
         if (filteredConnections.length === 0) {
@@ -616,8 +943,8 @@ class EntityProfile {
             
             // Find clickable entity
             let clickableEntity = null;
-            if (connection.primaryEntity) {
-                clickableEntity = this.findEntityByName(connection.primaryEntity);
+            if (connection.primaryEntityId) {
+                clickableEntity = this.findEntityById(connection.primaryEntityId);
             }
 
             // Format date
@@ -635,6 +962,7 @@ class EntityProfile {
                     </div>
                     <div class="connection-meta">
                         <span class="connection-role ${connection.role}">${connection.role}</span>
+                        <span class="connection-action" title="${formatActionCategory(connection.action.code)}">${connection.action.lemma || ''}</span>
                         <span class="connection-date">${dateString}</span>
                     </div>
                 </div>
@@ -652,7 +980,7 @@ class EntityProfile {
                                          clickableEntity.type === 'place' ? 'places' : 'unknown';
                         
                         if (window.location.pathname.includes('profile.html')) {
-                            window.location.href = `profile.html?id=${clickableEntity.id}&type=${typeParam}`;
+                            window.location.href = withTimeRange(`profile.html?id=${clickableEntity.id}&type=${typeParam}`, this.timeRange);
                         } else {
                             // We're in the main app, use the showProfile method
                             if (window.app && window.app.showProfile) {
@@ -667,18 +995,195 @@ class EntityProfile {
         });
     }
 
+    // Typed relationships, each read from this entity's side ("employer of" on an organization)
+    renderRelationships() {
+        const list = document.getElementById('relationshipsList');
+        if (!list) return;
+        
+        const entityId = this.currentEntity.id;
+        const rows = this.relationships
+            .map(relationship => {
+                const { label, otherId } = describeRelationship(relationship, entityId);
+                return { relationship, label, other: this.findEntityById(otherId) };
+            })
+            // The other end may have been deleted since
+            .filter(row => row.other)
+            .sort((a, b) => a.label.localeCompare(b.label) || a.other.name.localeCompare(b.other.name));
+        
+        list.innerHTML = '';
+        rows.forEach(({ relationship, label, other }) => {
+            const row = document.createElement('div');
+            row.className = 'relationship-row';
+            
+            const labelEl = document.createElement('span');
+            labelEl.className = 'relationship-label';
+            labelEl.textContent = label;
+            
+            const link = document.createElement('a');
+            link.href = '#';
+            link.textContent = other.name;
+            link.addEventListener('click', (e) => {
+                e.preventDefault();
+                this.navigateToEntity(other.id, this.getCollectionNameForType(other.type));
+            });
+            row.append(labelEl, link);
+            
+            if (relationship.start || relationship.end) {
+                const period = document.createElement('span');
+                period.className = 'statement-period';
+                period.textContent = formatStatementPeriod(relationship);
+                row.appendChild(period);
+            }
+            if (relationship.origin === 'wikidata') {
+                const origin = document.createElement('span');
+                origin.className = 'relationship-origin';
+                origin.textContent = 'Wikidata';
+                row.appendChild(origin);
+            }
+            
+            const remove = document.createElement('button');
+            remove.type = 'button';
+            remove.className = 'relationship-remove';
+            remove.title = 'Remove relationship';
+            remove.textContent = '×';
+            remove.addEventListener('click', () => this.removeRelationship(relationship));
+            row.appendChild(remove);
+            
+            list.appendChild(row);
+        });
+        
+        if (rows.length === 0) {
+            const empty = document.createElement('div');
+            empty.className = 'connections-empty';
+            empty.textContent = 'No relationships recorded';
+            list.appendChild(empty);
+        }
+        
+        this.updateRelationshipForm();
+    }
+
+    // Offer the relationship types that fit this entity's type, and the loaded entities as targets
+    updateRelationshipForm() {
+        const typeSelect = document.getElementById('relationshipType');
+        if (typeSelect) {
+            typeSelect.innerHTML = '';
+            getRelationshipOptions(this.currentEntity.type).forEach(({ type, reverse, label }) => {
+                const option = document.createElement('option');
+                option.value = reverse ? `${type.id}:reverse` : type.id;
+                option.textContent = label;
+                typeSelect.appendChild(option);
+            });
+        }
+        
+        const targets = document.getElementById('relationshipTargets');
+        if (targets) {
+            targets.innerHTML = '';
+            this.allEntities
+                .filter(entity => entity.id !== this.currentEntity.id)
+                .forEach(entity => {
+                    const option = document.createElement('option');
+                    option.value = entity.name;
+                    targets.appendChild(option);
+                });
+        }
+    }
+
+    async addRelationship(event) {
+        event.preventDefault();
+        
+        const form = document.getElementById('relationshipForm');
+        const [typeId, direction] = document.getElementById('relationshipType').value.split(':');
+        const targetName = document.getElementById('relationshipTarget').value.trim();
+        
+        // Dates are partial ISO dates, like those of Wikidata statements
+        const dates = ['relationshipStart', 'relationshipEnd'].map(id => {
+            const input = document.getElementById(id);
+            const value = input.value.trim() || null;
+            const valid = !value || getPartialDateStart(value) !== null;
+            input.classList.toggle('invalid', !valid);
+            return { value, valid };
+        });
+        if (dates.some(date => !date.valid)) {
+            this.showError('Dates must look like 2015, 2015-03 or 2015-03-04');
+            return;
+        }
+        
+        try {
+            const other = await this.findEntityByName(targetName);
+            if (!other) {
+                this.showError(`No entity named "${targetName}"`);
+                return;
+            }
+            
+            const reverse = direction === 'reverse';
+            const relationship = await this.relationshipService.addRelationship({
+                type: typeId,
+                sourceId: reverse ? other.id : this.currentEntity.id,
+                targetId: reverse ? this.currentEntity.id : other.id,
+                start: dates[0].value,
+                end: dates[1].value
+            });
+            
+            this.relationships = [
+                ...this.relationships.filter(existing => existing.firestoreId !== relationship.firestoreId),
+                relationship
+            ];
+            if (!this.findEntityById(other.id)) {
+                this.allEntities.push(other);
+            }
+            
+            form.reset();
+            this.renderRelationships();
+            this.refreshNetworkGraph();
+            this.showSuccess(`Added: ${this.currentEntity.name} ${describeRelationship(relationship, this.currentEntity.id).label} ${other.name}`);
+        } catch (error) {
+            console.error('Error adding relationship:', error);
+            this.showError(`Failed to add relationship: ${error.message}`);
+        }
+    }
+
+    async removeRelationship(relationship) {
+        const { label, otherId } = describeRelationship(relationship, this.currentEntity.id);
+        const other = this.findEntityById(otherId);
+        if (!confirm(`Remove "${this.currentEntity.name} ${label} ${other ? other.name : otherId}"?`)) return;
+        
+        try {
+            await this.relationshipService.removeRelationship(relationship);
+            this.relationships = this.relationships.filter(existing => existing.firestoreId !== relationship.firestoreId);
+            this.renderRelationships();
+            this.refreshNetworkGraph();
+            this.showSuccess('Relationship removed');
+        } catch (error) {
+            console.error('Error removing relationship:', error);
+            this.showError('Failed to remove relationship');
+        }
+    }
+
+    // A loaded entity with this name or alias, otherwise the first stored one
+    async findEntityByName(name) {
+        const wanted = name.toLowerCase();
+        const loaded = this.allEntities.find(entity => entity.id !== this.currentEntity.id &&
+            [entity.name, ...(entity.aliases || [])].some(alias => String(alias).toLowerCase() === wanted));
+        if (loaded) return loaded;
+        
+        for (const collectionName of ['people', 'organizations', 'places', 'unknown']) {
+            for (const filter of [['name', '==', name], ['aliases', 'array-contains', name]]) {
+                const { docs } = await this.storage.query(collectionName, { where: [filter], limit: 1 });
+                if (docs.length > 0 && docs[0].data.id !== this.currentEntity.id) {
+                    return { firestoreId: docs[0].id, ...docs[0].data };
+                }
+            }
+        }
+        return null;
+    }
+
     renderEvents() {
         const eventsList = document.getElementById('eventsList');
         eventsList.innerHTML = '';
+        this.initializeTimeZoneSelect();
         
         // Find events related to this entity
-        const relatedEvents = this.allEvents.filter(event => 
-            event.actor.includes(this.currentEntity.name) || 
-            (event.target && event.target.includes(this.currentEntity.name)) ||
-            (Array.isArray(event.locations) 
-                ? event.locations.some(loc => (typeof loc === 'string' ? loc : loc.name) === this.currentEntity.name)
-                : event.locations && event.locations.includes(this.currentEntity.name))
-        );
+        const relatedEvents = this.allEvents.filter(event => eventReferencesEntity(event, this.currentEntity.id));
         
         if (relatedEvents.length === 0) {
             eventsList.innerHTML = '<div class="events-empty">No related events found</div>';
@@ -692,6 +1197,30 @@ class EntityProfile {
         this.renderHierarchicalTimeline(timelineGroups, eventsList);
     }
 
+    initializeTimeZoneSelect() {
+        const select = document.getElementById('displayTimeZone');
+        if (!select) return;
+
+        populateTimeZoneSelect(select, this.displayTimeZone);
+        select.onchange = () => {
+            try {
+                setDisplayTimeZone(select.value);
+                this.displayTimeZone = select.value;
+                this.renderEvents();
+                // Event dates move with the display zone, so the date filters are applied again
+                const hadRange = Boolean(this.timelineRange || this.timeRange);
+                this.resetEventTimeline();
+                if (hadRange) this.applyDateFilters();
+            } catch (error) {
+                console.error('Error changing the display time zone:', error);
+            }
+        };
+    }
+
+    getEventCalendarZone(event) {
+        return getEventCalendarZone(event, this.displayTimeZone);
+    }
+
     groupEventsByTimeline(events) {
         const groups = new Map();
         
@@ -703,9 +1232,7 @@ class EntityProfile {
             
             if (!startDate || isNaN(startDate.getTime())) return;
             
-            const year = startDate.getFullYear();
-            const month = startDate.getMonth();
-            const day = startDate.getDate();
+            const { year, month, day } = getZonedParts(startDate, this.getEventCalendarZone(event));
             
             // Create hierarchical keys
             const yearKey = year.toString();
@@ -745,7 +1272,7 @@ class EntityProfile {
             const monthGroup = yearGroup.children.get(monthKey);
             
             // For events with month granularity, add to month
-            if (granularity === 'month' || granularity === 'quarter') {
+            if (granularity === 'month' || granularity === 'quarter' || granularity === 'season') {
                 monthGroup.events.push({ ...event, timelineLevel: 2 });
                 return;
             }
@@ -849,33 +1376,30 @@ class EntityProfile {
         const durationInfo = this.formatEventDuration(event);
         
         // Determine the role of the current entity in this event
-        let role = 'location'; // default
-        if (event.actor && event.actor.includes(this.currentEntity.name)) {
-            role = 'actor';
-        } else if (event.target && event.target.includes(this.currentEntity.name)) {
-            role = 'target';
-        } else if (Array.isArray(event.locations) 
-            ? event.locations.some(loc => (typeof loc === 'string' ? loc : loc.name) === this.currentEntity.name)
-            : event.locations && event.locations.includes(this.currentEntity.name)) {
-            role = 'location';
-        }
+        const role = getEventRole(event, this.currentEntity.id) || 'location';
         
         // Format location with icon
         const locationText = Array.isArray(event.locations) 
             ? event.locations.map(loc => typeof loc === 'string' ? loc : loc.name).filter(l => l).join(', ')
             : event.locations || '';
         
+        // Name the zone the event's times were read in when it is not the one they are shown in
+        const timeZoneText = event.timeZone && event.timeZone !== this.displayTimeZone
+            ? `<span class="event-time-zone" title="Times in this event were read in ${event.timeZone}">Read in ${event.timeZone.replace(/_/g, ' ')}</span>`
+            : '';
+
         // Format sources
         const sourcesText = Array.isArray(event.sources) && event.sources.length > 0
             ? event.sources.join(', ')
             : '';
         
         eventItem.innerHTML = `
-            <div class="event-date">${durationInfo}</div>
+            <div class="event-date"${event.edtf ? ` title="EDTF: ${event.edtf}"` : ''}>${durationInfo}</div>
             <div class="event-sentence">${event.sentence || 'No description available'}</div>
             <div class="event-meta">
                 <span class="event-action ${role}">${role}</span>
                 ${locationText ? `<span class="event-location">${locationText}</span>` : ''}
+                ${timeZoneText}
                 ${sourcesText ? `<span class="event-sources">Sources: ${sourcesText}</span>` : ''}
             </div>
         `;
@@ -884,24 +1408,20 @@ class EntityProfile {
     }
 
     formatEventDuration(event) {
-        // Use new duration fields if available
+        // Dates show as their EDTF reads ("c. 2023", "May 2024?", "up to February 2025");
+        // times show in the display zone
+        if (event.edtf && event.granularity !== 'instant') {
+            return describeEDTF(event.edtf);
+        }
+
+        // Events stored without EDTF show their whole startDate..endDate range
         if (event.startDate && event.granularity) {
-            const startDate = new Date(event.startDate);
-            const granularity = event.granularity;
-            
-            switch (granularity) {
-                case 'year':
-                    return startDate.getFullYear().toString();
-                case 'quarter':
-                    const quarter = Math.floor(startDate.getMonth() / 3) + 1;
-                    return `Q${quarter} ${startDate.getFullYear()}`;
-                case 'month':
-                    return startDate.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
-                case 'day':
-                    return startDate.toLocaleDateString();
-                default:
-                    return this.formatTimelineDate(startDate);
-            }
+            return this.dateTimeProcessor.formatDuration({
+                ...event,
+                startDate: new Date(event.startDate),
+                endDate: new Date(event.endDate || event.startDate),
+                timeZone: this.getEventCalendarZone(event)
+            }, this.displayTimeZone);
         }
         
         // Fall back to legacy formatting
@@ -909,6 +1429,133 @@ class EntityProfile {
         return eventDate ? this.formatTimelineDate(eventDate) : 'Unknown date';
     }
 
+    // Rebuild the timeline for the current entity, dropping any selected range
+    resetEventTimeline() {
+        this.eventTimeline = null;
+        this.timelineRange = null;
+        this.updateTimelineRangeLabel();
+        this.renderEventTimeline();
+    }
+
+    renderEventTimeline() {
+        const container = document.getElementById('eventTimeline');
+        if (!container || !this.currentEntity) return;
+        
+        try {
+            if (!this.eventTimeline) {
+                this.eventTimeline = new EventTimeline(container, { onRangeChange: range => this.setTimelineRange(range) });
+            }
+            
+            const laneBy = document.getElementById('eventTimelineLanes')?.value || 'role';
+            const lanes = new Map();
+            const items = [];
+            
+            this.allEvents
+                .filter(event => eventReferencesEntity(event, this.currentEntity.id))
+                .forEach(event => {
+                    const span = this.getEventChartSpan(event);
+                    if (!span) return;
+                    const lane = this.getTimelineLane(event, laneBy);
+                    if (!lanes.has(lane.key)) lanes.set(lane.key, lane);
+                    items.push({
+                        id: event.id,
+                        lane: lane.key,
+                        ...span,
+                        granularity: event.granularity || 'day',
+                        label: `${this.formatEventDuration(event)}: ${event.sentence || 'No description available'}`
+                    });
+                });
+            
+            const orderedLanes = [...lanes.values()].sort((a, b) => a.order - b.order || a.label.localeCompare(b.label));
+            this.eventTimeline.render(items, orderedLanes);
+        } catch (error) {
+            console.error('Error rendering event timeline:', error);
+            container.innerHTML = '<div class="event-timeline-empty">Error loading timeline</div>';
+        }
+    }
+
+    // An event's start..end and uncertainty window as floating dates in its calendar zone, so bars
+    // sit on the dates the event list shows; null earliest/latest are open ends
+    getEventChartSpan(event) {
+        const span = getEventSpan(event, this.displayTimeZone);
+        if (!span) return null;
+        const zone = this.getEventCalendarZone(event);
+        const bound = (value, fallback) => {
+            if (value === null) return null;
+            const date = this.parseEventDate(value);
+            return date ? toWallClock(date, zone) : fallback;
+        };
+        
+        return {
+            ...span,
+            earliest: bound(event.earliestDate, span.start),
+            latest: bound(event.latestDate, span.end)
+        };
+    }
+
+    getTimelineLane(event, laneBy) {
+        if (laneBy === 'action') {
+            const action = getEventAction(event);
+            return {
+                key: action.code || 'unclassified',
+                label: action.code ? formatActionCategory(action.code) : 'Unclassified',
+                color: QUAD_CLASS_COLORS[action.quadClass] || '#9ca3af',
+                order: action.code ? Number(action.code) : Infinity
+            };
+        }
+        const role = getEventRole(event, this.currentEntity.id) || 'location';
+        return {
+            key: role,
+            label: role.charAt(0).toUpperCase() + role.slice(1),
+            color: ROLE_COLORS[role],
+            order: Object.keys(ROLE_COLORS).indexOf(role)
+        };
+    }
+
+    setTimelineRange(range) {
+        this.timelineRange = range;
+        this.updateTimelineRangeLabel();
+        this.applyDateFilters();
+    }
+
+    setTimeRange(range) {
+        this.timeRange = range;
+        this.updateBackLink();
+        this.applyDateFilters();
+    }
+
+    // The standalone page's link back to the knowledge base keeps the date range
+    updateBackLink() {
+        const backLink = document.getElementById('backToKnowledgeBase');
+        if (backLink) backLink.href = withTimeRange('index.html', this.timeRange);
+    }
+
+    updateTimelineRangeLabel() {
+        const label = document.getElementById('eventTimelineRange');
+        const clearButton = document.getElementById('clearEventTimelineRange');
+        if (label) {
+            // Range ends are floating dates, so their UTC fields are the calendar dates
+            const format = date => date.toLocaleDateString(undefined, { year: 'numeric', month: 'short', day: 'numeric', timeZone: 'UTC' });
+            label.textContent = this.timelineRange
+                ? `${format(this.timelineRange.start)} – ${format(this.timelineRange.end)}`
+                : 'Drag across the timeline to filter connections, map and graph';
+        }
+        if (clearButton) clearButton.classList.toggle('hidden', !this.timelineRange);
+    }
+
+    // Narrow the connections list, the map and the graph to the date range and the timeline selection
+    applyDateFilters() {
+        if (this.allConnections) this.renderFilteredConnections(this.connectionRoleFilter);
+        this.refreshEventMarkers();
+        this.refreshNetworkGraph();
+    }
+
+    isInSelectedRange(event) {
+        if (!this.timeRange && !this.timelineRange) return true;
+        const span = getEventSpan(event, this.displayTimeZone);
+        return Boolean(span) && overlapsRange(span, getTimeRangeBounds(this.timeRange)) && overlapsRange(span, this.timelineRange);
+    }
+
     initializeNetworkGraph() {
         const container = document.getElementById('networkGraph');
         
@@ -1031,6 +1678,7 @@ class EntityProfile {
                 links.push({
                     source: centerEntity.id,
                     target: connection.entity.id,
+                    layer: 'events',
                     relationshipType: connection.relationshipType,
                     isDirect: connection.isDirect,
                     action: connection.action,
@@ -1053,6 +1701,7 @@ class EntityProfile {
                         links.push({
                             source: connection.entity.id,
                             target: secondConnection.entity.id,
+                            layer: 'events',
                             relationshipType: secondConnection.relationshipType,
                             isDirect: secondConnection.isDirect,
                             action: secondConnection.action,
@@ -1063,6 +1712,25 @@ class EntityProfile {
             }
         });
         
+        // Typed relationships of the center entity form their own layer
+        this.relationships.forEach(relationship => {
+            const { label, otherId } = describeRelationship(relationship, centerEntity.id);
+            const other = this.findEntityById(otherId);
+            if (!other) return;
+            
+            if (!processedEntities.has(other.id)) {
+                nodes.push({ ...other, isCenter: false, degree: 1 });
+                processedEntities.add(other.id);
+            }
+            links.push({
+                source: centerEntity.id,
+                target: other.id,
+                layer: 'relationships',
+                relationshipType: label,
+                isDirect: true
+            });
+        });
+        
         return { nodes, links };
     }
 
@@ -1081,7 +1749,7 @@ class EntityProfile {
             .selectAll('line')
             .data(links)
             .enter().append('line')
-            .attr('stroke', d => this.getLinkColor(d.relationshipType, d.isDirect))
+            .attr('stroke', d => d.layer === 'relationships' ? '#8e44ad' : this.getLinkColor(d.relationshipType, d.isDirect))
             .attr('stroke-opacity', 0.8)
             .attr('stroke-width', d => d.isDirect ? 2 : 1)
             .attr('stroke-dasharray', d => d.isDirect ? '0' : '5,5');
@@ -1186,6 +1854,7 @@ class EntityProfile {
         
         // Link tooltips
         link.append('title').text(d => {
+            if (d.layer === 'relationships') return `Relationship: ${d.relationshipType}`;
             const relationshipText = d.isDirect ? 
                 `Direct relationship: ${d.relationshipType}` : 
                 `Neutral connection: ${d.relationshipType}`;
@@ -1193,7 +1862,8 @@ class EntityProfile {
         });
         
         // Store references for later use
-        this.networkGraph = { svg, simulation, zoom, zoomGroup, nodes, labels: label };
+        this.networkGraph = { svg, simulation, zoom, zoomGroup, nodes, labels: label, links: link, nodeElements: node };
+        this.applyNetworkLayers();
         
         // Add zoom controls
         this.addZoomControls(container, zoom, svg);
@@ -1202,6 +1872,37 @@ class EntityProfile {
         this.addKeyboardNavigation(container, zoom, svg);
     }
 
+    // Show only the edge layers that are switched on; entities reached only through a hidden
+    // layer are hidden with it
+    applyNetworkLayers() {
+        if (!this.networkGraph) return;
+        
+        const shown = {
+            events: document.getElementById('networkLayerEvents')?.checked !== false,
+            relationships: document.getElementById('networkLayerRelationships')?.checked !== false
+        };
+        const visibleIds = new Set([this.currentEntity.id]);
+        const { links, nodeElements, labels } = this.networkGraph;
+        
+        links.style('display', d => {
+            if (!shown[d.layer]) return 'none';
+            visibleIds.add(d.source.id);
+            visibleIds.add(d.target.id);
+            return null;
+        });
+        nodeElements.style('display', d => visibleIds.has(d.id) ? null : 'none');
+        labels.style('display', d => visibleIds.has(d.id) ? null : 'none');
+    }
+
+    // Redraw the graph after relationships change, if it has been drawn
+    refreshNetworkGraph() {
+        const container = document.getElementById('networkGraph');
+        if (!this.networkGraph || !container) return;
+        
+        this.networkGraph.simulation.stop();
+        this.renderNetworkGraph(container);
+    }
+
     addZoomControls(container, zoom, svg) {
         // Create zoom controls container with improved styling
         const controlsDiv = document.createElement('div');
@@ -1274,8 +1975,12 @@ class EntityProfile {
             }
         };
         
-        // Make container focusable and add event listeners
+        // Make container focusable and add event listeners; a redraw replaces the previous handler
         container.setAttribute('tabindex', '0');
+        if (this.networkKeyHandler) {
+            container.removeEventListener('keydown', this.networkKeyHandler);
+        }
+        this.networkKeyHandler = handleKeyPress;
         container.addEventListener('keydown', handleKeyPress);
         
         // Add focus styling
@@ -1291,44 +1996,36 @@ class EntityProfile {
     getEntityConnections(entity) {
         const connections = [];
         
-        // Find all events where this entity is involved
-        const relatedEvents = this.allEvents.filter(event => 
-            event.actor.includes(entity.name) || 
-            (event.target && event.target.includes(entity.name)) ||
-            (Array.isArray(event.locations) 
-                ? event.locations.some(loc => (typeof loc === 'string' ? loc : loc.name) === entity.name)
-                : event.locations && event.locations.includes(entity.name))
-        );
+        // Find all events where this entity is involved, within the selected dates
+        const relatedEvents = this.allEvents.filter(event => eventReferencesEntity(event, entity.id) && this.isInSelectedRange(event));
         
         relatedEvents.forEach(event => {
-            const actors = event.actor.split(',').map(a => a.trim());
-            const targets = event.target ? event.target.split(',').map(t => t.trim()).filter(t => t.length > 0) : [];
-            const locations = Array.isArray(event.locations) 
-                ? event.locations.map(loc => typeof loc === 'string' ? loc : loc.name)
-                : (event.locations ? event.locations.split(',').map(l => l.trim()) : []);
+            const actors = event.actorIds || [];
+            const targets = event.targetIds || [];
+            const locations = event.locationIds || [];
             
             // Check all entities in this event
-            [...actors, ...targets, ...locations].forEach(entityName => {
-                if (entityName !== entity.name) {
-                    const relatedEntity = this.findEntityByName(entityName);
+            getEventEntityIds(event).forEach(relatedId => {
+                if (relatedId !== entity.id) {
+                    const relatedEntity = this.findEntityById(relatedId);
                     if (relatedEntity) {
                         // Determine relationship type and if it's direct
                         let relationshipType = 'connected';
                         let isDirect = false;
                         
-                        if (actors.includes(entity.name) && targets.includes(entityName)) {
+                        if (actors.includes(entity.id) && targets.includes(relatedId)) {
                             // Entity is actor, other is target - direct relationship
-                            relationshipType = event.action;
+                            relationshipType = getEventAction(event).lemma;
                             isDirect = true;
-                        } else if (targets.includes(entity.name) && actors.includes(entityName)) {
+                        } else if (targets.includes(entity.id) && actors.includes(relatedId)) {
                             // Entity is target, other is actor - direct relationship
-                            relationshipType = `target of ${event.action}`;
+                            relationshipType = `target of ${getEventAction(event).lemma}`;
                             isDirect = true;
-                        } else if (locations.includes(entityName)) {
+                        } else if (locations.includes(relatedId)) {
                             // Other entity is a location - neutral relationship
                             relationshipType = 'located at';
                             isDirect = false;
-                        } else if (locations.includes(entity.name)) {
+                        } else if (locations.includes(entity.id)) {
                             // Current entity is a location - neutral relationship
                             relationshipType = 'location of';
                             isDirect = false;
@@ -1438,57 +2135,49 @@ class EntityProfile {
         L.tileLayer('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png', {
             attribution: '© OpenStreetMap contributors'
         }).addTo(this.map);
+        this.eventMarkerLayer = L.layerGroup().addTo(this.map);
         
         // Add markers for event locations
         this.addEventMarkers();
     }
 
-    async addEventMarkers() {
+    async addEventMarkers({ fitBounds = true } = {}) {
         if (!this.map) return;
         
-        // Find events related to this entity
-        const relatedEvents = this.allEvents.filter(event => 
-            event.actor.includes(this.currentEntity.name) || 
-            (event.target && event.target.includes(this.currentEntity.name)) ||
-            (Array.isArray(event.locations) 
-                ? event.locations.some(loc => (typeof loc === 'string' ? loc : loc.name) === this.currentEntity.name)
-                : event.locations && event.locations.includes(this.currentEntity.name))
-        );
+        // Find events related to this entity, within the selected dates
+        const relatedEvents = this.allEvents.filter(event => eventReferencesEntity(event, this.currentEntity.id) && this.isInSelectedRange(event));
+        const request = this.markerRequest = (this.markerRequest || 0) + 1;
         
         // Extract unique locations from events
         const locationCounts = {};
         relatedEvents.forEach(event => {
-            if (event.locations) {
-                const locations = Array.isArray(event.locations) 
-                    ? event.locations.map(loc => typeof loc === 'string' ? loc : loc.name)
-                    : event.locations.split(',').map(l => l.trim());
-                locations.forEach(location => {
-                    locationCounts[location] = (locationCounts[location] || 0) + 1;
-                });
-            }
+            this.getEventEntityNames(event, 'location').forEach(location => {
+                locationCounts[location] = (locationCounts[location] || 0) + 1;
+            });
         });
         
-        // Collect all markers and their coordinates for auto-zoom
-        const markers = [];
-        const markerPromises = Object.entries(locationCounts).map(async ([locationName, count]) => {
-            const coordinates = await this.getLocationCoordinates(locationName);
-            if (coordinates) {
-                const marker = L.marker([coordinates.lat, coordinates.lng])
-                    .addTo(this.map)
-                    .bindPopup(`
-                        <strong>${locationName}</strong><br>
-                        ${count} event${count > 1 ? 's' : ''}
-                    `);
-                markers.push(marker);
-                return marker;
+        // Look up every location's coordinates (once per location), then place the markers together
+        const placed = await Promise.all(Object.entries(locationCounts).map(async ([locationName, count]) => {
+            if (!this.locationCoordinates.has(locationName)) {
+                this.locationCoordinates.set(locationName, this.getLocationCoordinates(locationName));
             }
-            return null;
-        });
-        
-        // Wait for all markers to be added, then auto-zoom to fit them
-        await Promise.all(markerPromises);
-        
-        if (markers.length > 0) {
+            return { locationName, count, coordinates: await this.locationCoordinates.get(locationName) };
+        }));
+        
+        // A newer range selection has redrawn the markers in the meantime
+        if (request !== this.markerRequest || !this.map) return;
+        
+        this.eventMarkerLayer.clearLayers();
+        const markers = placed
+            .filter(({ coordinates }) => coordinates)
+            .map(({ locationName, count, coordinates }) => L.marker([coordinates.lat, coordinates.lng])
+                .addTo(this.eventMarkerLayer)
+                .bindPopup(`
+                    <strong>${locationName}</strong><br>
+                    ${count} event${count > 1 ? 's' : ''}
+                `));
+        
+        if (fitBounds && markers.length > 0) {
             // Create a group of all markers and fit the map to show them all
             const group = new L.featureGroup(markers);
             this.map.fitBounds(group.getBounds(), {
@@ -1498,6 +2187,11 @@ class EntityProfile {
         }
     }
 
+    // Redraw the markers for the selected range without moving the map
+    refreshEventMarkers() {
+        this.addEventMarkers({ fitBounds: false });
+    }
+
     async getLocationCoordinates(locationName) {
         // First try to find in our entities
         const locationEntity = this.allEntities.find(entity => 
@@ -1530,13 +2224,6 @@ class EntityProfile {
         return this.allEntities.find(entity => entity.id === id);
     }
 
-    findEntityByName(name) {
-        return this.allEntities.find(entity => 
-            entity.name.toLowerCase() === name.toLowerCase() ||
-            (entity.aliases && entity.aliases.some(alias => alias.toLowerCase() === name.toLowerCase()))
-        );
-    }
-
     parseEventDate(timestamp) {
         if (!timestamp) return null;
         
@@ -1581,7 +2268,8 @@ class EntityProfile {
             return date.toLocaleDateString('en-US', { 
                 year: 'numeric', 
                 month: 'short', 
-                day: 'numeric' 
+                day: 'numeric',
+                timeZone: this.displayTimeZone
             });
         }
     }
@@ -1619,6 +2307,15 @@ class EntityProfile {
         // Only populate the fields that are still editable
         document.getElementById('editType').value = entity.type || 'person';
         document.getElementById('editWikidataId').value = entity.wikidata_id || '';
+        this.renderWikidataFieldsHint(document.getElementById('editType').value);
+    }
+
+    // Which Wikidata fields saving will fill in for the selected type
+    renderWikidataFieldsHint(entityType) {
+        const hint = document.getElementById('editWikidataFields');
+        if (!hint) return;
+        const labels = getMappedFields(entityType).map(mapping => mapping.label);
+        hint.textContent = `From Wikidata: ${labels.join(', ')}`;
     }
 
     updateAdditionalFields(entityType) {
@@ -1717,27 +2414,37 @@ class EntityProfile {
             const newType = updatedEntity.type;
             const typeChanged = originalType !== newType;
             
-            if (typeChanged) {
-                
-                // If entity has Wikidata ID, re-fetch Wikidata info for the new type
-                if (updatedEntity.wikidata_id) {
-                    try {
-                        const wikidataInfo = await this.fetchAndParseWikidataInfo(updatedEntity.wikidata_id);
-                        if (wikidataInfo) {
-                            // Extract fields appropriate for the new entity type
-                            const newWikidataFields = this.extractWikidataFieldsForType(wikidataInfo, newType);
-                            
-                            // Merge new Wikidata fields into the entity
-                            updatedEntity = { ...updatedEntity, ...newWikidataFields };
-                        }
-                    } catch (error) {
-                        console.warn('Failed to re-fetch Wikidata info for type change:', error);
+            // A new type or a new Wikidata ID re-reads the Wikidata fields the property mapping gives that type
+            const wikidataChanged = Boolean(updatedEntity.wikidata_id) && updatedEntity.wikidata_id !== this.currentEntity.wikidata_id;
+            if ((typeChanged || wikidataChanged) && updatedEntity.wikidata_id) {
+                try {
+                    const wikidataInfo = await this.fetchAndParseWikidataInfo(updatedEntity.wikidata_id);
+                    if (wikidataInfo) {
+                        // A new link replaces everything the old one gave; a new type drops fields it does not get
+                        const keptFields = new Set(wikidataChanged ? [] : getMappedFields(newType).map(mapping => mapping.field));
+                        getWikidataFieldNames().forEach(field => {
+                            if (field === 'aliases' || keptFields.has(field)) return;
+                            updatedEntity[field] = Array.isArray(updatedEntity[field]) ? [] : null;
+                        });
+                        
+                        // Extract fields appropriate for the new entity type
+                        const newWikidataFields = this.extractWikidataFieldsForType(wikidataInfo, newType);
+                        // Names the entity was imported under stay aliases
+                        newWikidataFields.aliases = [...new Set([...(updatedEntity.aliases || []), ...(newWikidataFields.aliases || [])])];
+                        
+                        // Merge new Wikidata fields into the entity
+                        updatedEntity = { ...updatedEntity, ...newWikidataFields, wikidata_retrieved_at: wikidataInfo.retrievedAt || null };
+                        if (wikidataChanged) updatedEntity.wikidata_match = null;
                     }
+                } catch (error) {
+                    console.warn('Failed to re-fetch Wikidata info:', error);
                 }
+            }
+            
+            if (typeChanged) {
                 
                 // Delete from old collection
-                const oldEntityRef = doc(db, this.entityType, this.currentEntity.firestoreId);
-                await deleteDoc(oldEntityRef);
+                await this.storage.deleteDocument(this.entityType, this.currentEntity.firestoreId);
                 
                 // Determine new collection name
                 const newCollectionName = this.getCollectionNameForType(newType);
@@ -1747,21 +2454,20 @@ class EntityProfile {
                 delete newEntityData.firestoreId; // Remove old firestore ID
                 delete newEntityData.firestoreCollection;
                 
-                const newDocRef = await addDoc(collection(db, newCollectionName), newEntityData);
+                const newDocumentId = await this.storage.addDocument(newCollectionName, newEntityData);
                 
                 // Update entity with new firestore info
-                updatedEntity.firestoreId = newDocRef.id;
+                updatedEntity.firestoreId = newDocumentId;
                 updatedEntity.firestoreCollection = newCollectionName;
                 
                 // Update the current entityType for future operations
                 this.entityType = newCollectionName;
             } else {
                 // Type hasn't changed, just update in place
-                const entityRef = doc(db, this.entityType, this.currentEntity.firestoreId);
                 const updateData = { ...updatedEntity };
                 delete updateData.firestoreId;
                 delete updateData.firestoreCollection;
-                await updateDoc(entityRef, updateData);
+                await this.storage.updateDocument(this.entityType, this.currentEntity.firestoreId, updateData);
             }
             
             // Update local data
@@ -1815,163 +2521,17 @@ class EntityProfile {
     // Fetch and parse Wikidata information for an entity
     async fetchAndParseWikidataInfo(wikidataId) {
         try {
-            const response = await fetch(`https://www.wikidata.org/w/api.php?action=wbgetentities&ids=${wikidataId}&format=json&origin=*`);
-            const data = await response.json();
-            
-            if (data.entities && data.entities[wikidataId]) {
-                const entity = data.entities[wikidataId];
-                return await this.parseWikidataEntityForUpdate(entity);
-            }
+            return await this.wikidataService.fetchEntity(wikidataId);
         } catch (error) {
-            console.error('Error fetching Wikidata entity for type change:', error);
+            console.error('Error fetching Wikidata entity:', error);
         }
         return null;
     }
 
-    // Parse Wikidata entity data for updating existing entities
-    async parseWikidataEntityForUpdate(entity) {
-        const parsedData = {
-            id: entity.id,
-            description: entity.descriptions?.en?.value || '',
-            aliases: entity.aliases?.en?.map(alias => alias.value) || []
-        };
-
-        // Parse claims for various properties
-        if (entity.claims) {
-            // Instance of (P31)
-            if (entity.claims.P31) {
-                parsedData.instance_of = await this.resolveWikidataPropertyArray(entity.claims.P31);
-            }
-
-            // Occupation (P106) - for people
-            if (entity.claims.P106) {
-                parsedData.occupation = await this.resolveWikidataPropertyArray(entity.claims.P106);
-            }
-
-            // Date of birth (P569) - for people
-            if (entity.claims.P569) {
-                const birthClaim = entity.claims.P569[0];
-                if (birthClaim?.mainsnak?.datavalue?.value?.time) {
-                    parsedData.dateOfBirth = birthClaim.mainsnak.datavalue.value.time;
-                }
-            }
-
-            // Country (P17)
-            if (entity.claims.P17) {
-                parsedData.country = await this.resolveWikidataPropertyArray(entity.claims.P17);
-            }
-
-            // Population (P1082) - for places
-            if (entity.claims.P1082) {
-                const popClaim = entity.claims.P1082[0];
-                if (popClaim?.mainsnak?.datavalue?.value?.amount) {
-                    parsedData.population = parseInt(popClaim.mainsnak.datavalue.value.amount);
-                }
-            }
-
-            // Coordinates (P625) - for places
-            if (entity.claims.P625) {
-                const coordClaim = entity.claims.P625[0];
-                if (coordClaim?.mainsnak?.datavalue?.value) {
-                    const coord = coordClaim.mainsnak.datavalue.value;
-                    parsedData.coordinates = {
-                        lat: coord.latitude,
-                        lng: coord.longitude
-                    };
-                }
-            }
-
-            // Additional array properties
-            const arrayProperties = {
-                P69: 'educated_at',      // educated at
-                P551: 'residences',      // residence
-                P463: 'member_of',       // member of
-                P1412: 'languages_spoken', // languages spoken
-                P108: 'employer',        // employer
-                P26: 'spouse',           // spouse
-                P40: 'children',         // child
-                P22: 'parents',          // father
-                P25: 'parents',          // mother
-                P3373: 'siblings'        // sibling
-            };
-
-            for (const [prop, field] of Object.entries(arrayProperties)) {
-                if (entity.claims[prop]) {
-                    if (!parsedData[field]) parsedData[field] = [];
-                    const resolved = await this.resolveWikidataPropertyArray(entity.claims[prop]);
-                    if (field === 'parents' && parsedData.parents) {
-                        parsedData.parents = [...parsedData.parents, ...resolved];
-                    } else {
-                        parsedData[field] = resolved;
-                    }
-                }
-            }
-        }
-
-        return parsedData;
-    }
-
-    // Resolve Wikidata property array (simplified version)
-    async resolveWikidataPropertyArray(claims) {
-        const results = [];
-        const maxClaims = Math.min(claims.length, 5); // Limit to 5 claims
-
-        for (let i = 0; i < maxClaims; i++) {
-            const claim = claims[i];
-            if (claim?.mainsnak?.datavalue?.value?.id) {
-                const qId = claim.mainsnak.datavalue.value.id;
-                try {
-                    const response = await fetch(`https://www.wikidata.org/w/api.php?action=wbgetentities&ids=${qId}&format=json&origin=*`);
-                    const data = await response.json();
-                    const label = data.entities?.[qId]?.labels?.en?.value || qId;
-                    results.push(label);
-                } catch (error) {
-                    results.push(qId); // Fallback to Q-ID
-                }
-            }
-        }
-
-        return results;
-    }
-
-    // Extract Wikidata fields appropriate for the entity type
+    // Extract Wikidata fields appropriate for the entity type, as set out in the property mapping
     extractWikidataFieldsForType(wikidataInfo, entityType) {
-        const fields = {};
-        
-        // Common fields for all types
+        const fields = extractMappedFields(wikidataInfo, entityType);
         if (wikidataInfo.description) fields.description = wikidataInfo.description;
-        if (wikidataInfo.aliases && Array.isArray(wikidataInfo.aliases)) {
-            fields.aliases = wikidataInfo.aliases;
-        }
-        
-        // Type-specific fields
-        if (entityType === 'person') {
-            // Person-specific fields
-            if (wikidataInfo.occupation) fields.occupation = wikidataInfo.occupation;
-            if (wikidataInfo.dateOfBirth) fields.dateOfBirth = wikidataInfo.dateOfBirth;
-            if (wikidataInfo.educated_at) fields.educated_at = wikidataInfo.educated_at;
-            if (wikidataInfo.residences) fields.residences = wikidataInfo.residences;
-            if (wikidataInfo.member_of) fields.member_of = wikidataInfo.member_of;
-            if (wikidataInfo.languages_spoken) fields.languages_spoken = wikidataInfo.languages_spoken;
-            if (wikidataInfo.employer) fields.employer = wikidataInfo.employer;
-            if (wikidataInfo.spouse) fields.spouse = wikidataInfo.spouse;
-            if (wikidataInfo.children) fields.children = wikidataInfo.children;
-            if (wikidataInfo.parents) fields.parents = wikidataInfo.parents;
-            if (wikidataInfo.siblings) fields.siblings = wikidataInfo.siblings;
-        } else if (entityType === 'organization') {
-            // Organization-specific fields
-            if (wikidataInfo.founded) fields.founded = wikidataInfo.founded;
-            if (wikidataInfo.country) fields.country = wikidataInfo.country;
-            if (wikidataInfo.member_of) fields.member_of = wikidataInfo.member_of;
-            if (wikidataInfo.instance_of) fields.instance_of = wikidataInfo.instance_of;
-        } else if (entityType === 'place') {
-            // Place-specific fields
-            if (wikidataInfo.country) fields.country = wikidataInfo.country;
-            if (wikidataInfo.population) fields.population = wikidataInfo.population;
-            if (wikidataInfo.coordinates) fields.coordinates = wikidataInfo.coordinates;
-            if (wikidataInfo.instance_of) fields.instance_of = wikidataInfo.instance_of;
-        }
-        
         return fields;
     }
 
@@ -1988,33 +2548,7 @@ class EntityProfile {
 
     // Get list of all Wikidata-derived fields that should be cleared
     getWikidataFields() {
-        return [
-            // Common fields
-            'description',
-            'aliases',
-            
-            // Person fields
-            'occupation',
-            'dateOfBirth',
-            'educated_at',
-            'residences',
-            'member_of',
-            'languages_spoken',
-            'employer',
-            'spouse',
-            'children',
-            'parents',
-            'siblings',
-            
-            // Organization fields
-            'founded',
-            'country',
-            'instance_of',
-            
-            // Place fields
-            'population',
-            'coordinates'
-        ];
+        return ['description', ...getWikidataFieldNames()];
     }
 
     async searchWikidata(searchTerm) {
@@ -2024,14 +2558,13 @@ class EntityProfile {
         }
         
         try {
-            const response = await fetch(`https://www.wikidata.org/w/api.php?action=wbsearchentities&search=${encodeURIComponent(searchTerm)}&language=en&format=json&origin=*&limit=5`);
-            const data = await response.json();
+            const searchResults = await this.wikidataService.client.searchEntities(searchTerm, { limit: 5 });
             
             const resultsContainer = document.getElementById('searchResults');
             resultsContainer.innerHTML = '';
             
-            if (data.search && data.search.length > 0) {
-                data.search.forEach(result => {
+            if (searchResults.length > 0) {
+                searchResults.forEach(result => {
                     const resultDiv = document.createElement('div');
                     resultDiv.className = 'search-result';
                     resultDiv.innerHTML = `
@@ -2057,12 +2590,9 @@ class EntityProfile {
 
     async fetchEntityFromWikidata(wikidataId) {
         try {
-            const response = await fetch(`https://www.wikidata.org/w/api.php?action=wbgetentities&ids=${wikidataId}&format=json&origin=*`);
-            const data = await response.json();
+            const { [wikidataId]: entity } = await this.wikidataService.client.getEntities([wikidataId]);
             
-            if (data.entities && data.entities[wikidataId]) {
-                const entity = data.entities[wikidataId];
-                
+            if (entity) {
                 // Note: Form fields are simplified - only type and wikidata_id are editable
                 // The Wikidata information will be applied when the entity is saved and type changes are processed
                 
@@ -2081,157 +2611,6 @@ class EntityProfile {
         // Wikidata information is automatically applied when the entity is saved and processed
     }
 
-    async resolveWikidataProperty(claim) {
-        try {
-            const value = this.extractClaimValue(claim);
-            
-            // If it's a Wikidata entity ID (like Q123456), resolve it to a label
-            if (value && typeof value === 'string' && value.match(/^Q\d+$/)) {
-                const response = await fetch(`https://www.wikidata.org/w/api.php?action=wbgetentities&ids=${value}&format=json&origin=*&props=labels`);
-                const data = await response.json();
-                
-                if (data.entities && data.entities[value] && data.entities[value].labels && data.entities[value].labels.en) {
-                    return data.entities[value].labels.en.value;
-                }
-            }
-            
-            return value;
-        } catch (error) {
-            console.warn('Error resolving Wikidata property:', error);
-            return this.extractClaimValue(claim);
-        }
-    }
-
-    extractClaimValue(claim) {
-        if (claim.mainsnak.datavalue) {
-            const value = claim.mainsnak.datavalue.value;
-            if (typeof value === 'string') return value;
-            if (value.time) return value.time;
-            if (value.text) return value.text;
-            if (value.id) return value.id;
-        }
-        return null;
-    }
-
-    async parseWikidataEntityForUpdate(wikidataEntity) {
-        const result = {
-            wikidata_id: wikidataEntity.id,
-            name: wikidataEntity.labels?.en?.value || this.currentEntity.name,
-            description: wikidataEntity.descriptions?.en?.value || '',
-            aliases: []
-        };
-
-        // Extract aliases from Wikidata
-        if (wikidataEntity.aliases && wikidataEntity.aliases.en) {
-            result.aliases = wikidataEntity.aliases.en.map(alias => alias.value);
-        }
-        
-        // Add current name to aliases if it's different from the new name
-        if (this.currentEntity.name !== result.name) {
-            result.aliases.push(this.currentEntity.name);
-        }
-        
-        // Preserve existing aliases
-        if (this.currentEntity.aliases) {
-            result.aliases = [...new Set([...result.aliases, ...this.currentEntity.aliases])];
-        }
-
-        if (wikidataEntity.claims) {
-            // Determine entity type from instance_of (P31)
-            if (wikidataEntity.claims.P31) {
-                result.instance_of = await this.resolveWikidataProperty(wikidataEntity.claims.P31[0]);
-                result.type = this.determineEntityTypeFromWikidata(result.instance_of);
-                result.category = result.type; // For consistency
-            }
-
-            // Extract type-specific properties
-            if (result.type === 'person') {
-                // Person-specific properties
-                if (wikidataEntity.claims.P569) { // date of birth
-                    result.dateOfBirth = this.extractClaimValue(wikidataEntity.claims.P569[0]);
-                }
-                if (wikidataEntity.claims.P106) { // occupation
-                    result.occupation = await this.resolveWikidataProperty(wikidataEntity.claims.P106[0]);
-                }
-                if (wikidataEntity.claims.P39) { // position held
-                    result.jobTitle = await this.resolveWikidataProperty(wikidataEntity.claims.P39[0]);
-                }
-                if (wikidataEntity.claims.P108) { // employer
-                    result.currentEmployer = await this.resolveWikidataProperty(wikidataEntity.claims.P108[0]);
-                }
-                if (wikidataEntity.claims.P551) { // residence
-                    result.currentResidence = await this.resolveWikidataProperty(wikidataEntity.claims.P551[0]);
-                }
-                if (wikidataEntity.claims.P21) { // gender
-                    const genderId = this.extractClaimValue(wikidataEntity.claims.P21[0]);
-                    result.gender = genderId === 'Q6581097' ? 'male' : genderId === 'Q6581072' ? 'female' : null;
-                }
-            } else if (result.type === 'organization') {
-                // Organization-specific properties
-                if (wikidataEntity.claims.P571) { // inception
-                    result.founded = this.extractClaimValue(wikidataEntity.claims.P571[0]);
-                }
-                if (wikidataEntity.claims.P159) { // headquarters location
-                    result.location = await this.resolveWikidataProperty(wikidataEntity.claims.P159[0]);
-                }
-                if (wikidataEntity.claims.P452) { // industry
-                    result.industry = await this.resolveWikidataProperty(wikidataEntity.claims.P452[0]);
-                }
-                if (wikidataEntity.claims.P1128) { // employees
-                    result.employees = parseInt(this.extractClaimValue(wikidataEntity.claims.P1128[0]));
-                }
-            } else if (result.type === 'place') {
-                // Place-specific properties
-                if (wikidataEntity.claims.P625) { // coordinates
-                    const coords = wikidataEntity.claims.P625[0];
-                    if (coords.mainsnak.datavalue) {
-                        result.coordinates = {
-                            lat: coords.mainsnak.datavalue.value.latitude,
-                            lng: coords.mainsnak.datavalue.value.longitude
-                        };
-                    }
-                }
-                if (wikidataEntity.claims.P17) { // country
-                    result.country = await this.resolveWikidataProperty(wikidataEntity.claims.P17[0]);
-                }
-                if (wikidataEntity.claims.P131) { // located in administrative territorial entity
-                    result.state = await this.resolveWikidataProperty(wikidataEntity.claims.P131[0]);
-                }
-                if (wikidataEntity.claims.P1082) { // population
-                    const population = this.extractClaimValue(wikidataEntity.claims.P1082[0]);
-                    if (population) {
-                        result.population = parseInt(population.replace(/^\+/, ''));
-                    }
-                }
-            }
-        }
-
-        return result;
-    }
-
-    determineEntityTypeFromWikidata(instanceOf) {
-        if (!instanceOf) return this.currentEntity.type || 'place';
-        
-        const instanceLower = instanceOf.toLowerCase();
-        
-        // Person indicators
-        if (instanceLower.includes('human') || instanceLower.includes('person')) {
-            return 'person';
-        }
-        
-        // Organization indicators
-        if (instanceLower.includes('organization') || instanceLower.includes('company') || 
-            instanceLower.includes('corporation') || instanceLower.includes('institution') ||
-            instanceLower.includes('university') || instanceLower.includes('government') ||
-            instanceLower.includes('business') || instanceLower.includes('enterprise') ||
-            instanceLower.includes('firm') || instanceLower.includes('agency')) {
-            return 'organization';
-        }
-        
-        // Place indicators (default for most geographic entities)
-        return 'place';
-    }
-
     async updateEntityWithWikidata(newData) {
         try {
             // Preserve critical existing data
@@ -2246,14 +2625,13 @@ class EntityProfile {
                 timestamp: this.currentEntity.timestamp
             };
 
-            // Update in Firebase
+            // Update in the database
             if (updatedEntity.firestoreId) {
-                const entityRef = doc(db, this.entityType, updatedEntity.firestoreId);
                 const updateData = { ...updatedEntity };
                 delete updateData.firestoreId; // Remove Firestore metadata
                 delete updateData.firestoreCollection;
                 
-                await updateDoc(entityRef, updateData);
+                await this.storage.updateDocument(this.entityType, updatedEntity.firestoreId, updateData);
             }
 
             // Update local entity
@@ -2324,14 +2702,14 @@ class EntityProfile {
         // Check if we're in the standalone profile.html page or embedded view
         if (window.location.pathname.includes('profile.html')) {
             // Standalone profile page - navigate to new profile
-            window.location.href = `profile.html?id=${entityId}&type=${entityType}`;
+            window.location.href = withTimeRange(`profile.html?id=${entityId}&type=${entityType}`, this.timeRange);
         } else {
             // Embedded in main app - check if KnowledgeBaseApp is available
             if (window.app && typeof window.app.showProfile === 'function') {
                 window.app.showProfile(entityId, entityType);
             } else {
                 // Fallback: navigate to standalone profile page
-                window.location.href = `profile.html?id=${entityId}&type=${entityType}`;
+                window.location.href = withTimeRange(`profile.html?id=${entityId}&type=${entityType}`, this.timeRange);
             }
         }
     }
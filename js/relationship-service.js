@@ -0,0 +1,103 @@
+// Stores typed relationships between entities in the 'relationships' collection. Each document
+// keeps both entity IDs in entityIds so one array-contains query finds an entity's relationships
+// from either end. Removed Wikidata-derived relationships stay behind marked dismissed, so the
+// next import does not derive them again.
+
+import { storage as defaultStorage } from './storage.js';
+import { createRelationship, getRelationshipKey, deriveWikidataRelationships } from './relationship-types.js';
+
+const COLLECTION = 'relationships';
+
+function toRelationship(doc) {
+    return { firestoreId: doc.id, ...doc.data };
+}
+
+export class RelationshipService {
+    constructor(storage = defaultStorage) {
+        this.storage = storage;
+    }
+
+    async loadForEntity(entityId, { includeDismissed = false } = {}) {
+        const { docs } = await this.storage.query(COLLECTION, { where: [['entityIds', 'array-contains', entityId]] });
+        return docs.map(toRelationship).filter(relationship => includeDismissed || !relationship.dismissed);
+    }
+
+    async loadAll({ includeDismissed = false } = {}) {
+        const docs = await this.storage.getAll(COLLECTION);
+        return docs.map(toRelationship).filter(relationship => includeDismissed || !relationship.dismissed);
+    }
+
+    // Adds a relationship unless the same one is already stored; returns the stored relationship
+    async addRelationship(fields) {
+        const relationship = createRelationship(fields);
+        const key = getRelationshipKey(relationship);
+        const existing = (await this.loadForEntity(relationship.sourceId, { includeDismissed: true }))
+            .find(other => getRelationshipKey(other) === key);
+        if (existing?.dismissed) {
+            await this.storage.updateDocument(COLLECTION, existing.firestoreId, { dismissed: false });
+            return { ...existing, dismissed: false };
+        }
+        if (existing) return existing;
+
+        const id = this.storage.newDocumentId(COLLECTION);
+        await this.storage.setDocument(COLLECTION, id, relationship);
+        return { firestoreId: id, ...relationship };
+    }
+
+    async removeRelationship(relationship) {
+        if (relationship.origin === 'wikidata') {
+            await this.storage.updateDocument(COLLECTION, relationship.firestoreId, { dismissed: true });
+        } else {
+            await this.storage.deleteDocument(COLLECTION, relationship.firestoreId);
+        }
+    }
+
+    // Store the relationships the entities' Wikidata fields imply and that are not stored yet.
+    // Returns the relationships added.
+    async deriveFromWikidata(entities, { importBatchId = null } = {}) {
+        const existingKeys = new Set((await this.loadAll({ includeDismissed: true })).map(getRelationshipKey));
+        const added = deriveWikidataRelationships(entities)
+            .filter(relationship => !existingKeys.has(getRelationshipKey(relationship)))
+            .map(relationship => ({ ...relationship, importBatchId }));
+
+        if (added.length > 0) {
+            await this.storage.commitBatch(added.map(relationship => ({
+                type: 'set',
+                collection: COLLECTION,
+                id: this.storage.newDocumentId(COLLECTION),
+                data: relationship
+            })));
+        }
+        return added;
+    }
+
+    // Batch operations that move an entity's relationships to the entity it is merged into.
+    // Relationships that would link the merged entity to itself or repeat one it has are deleted.
+    async getMergeOperations(fromId, toId) {
+        const [moving, kept] = await Promise.all([
+            this.loadForEntity(fromId, { includeDismissed: true }),
+            this.loadForEntity(toId, { includeDismissed: true })
+        ]);
+        const keys = new Set(kept.map(getRelationshipKey));
+        const operations = [];
+
+        moving.forEach(relationship => {
+            const sourceId = relationship.sourceId === fromId ? toId : relationship.sourceId;
+            const targetId = relationship.targetId === fromId ? toId : relationship.targetId;
+            const key = getRelationshipKey({ type: relationship.type, sourceId, targetId });
+
+            if (sourceId === targetId || keys.has(key)) {
+                operations.push({ type: 'delete', collection: COLLECTION, id: relationship.firestoreId });
+                return;
+            }
+            keys.add(key);
+            operations.push({
+                type: 'update',
+                collection: COLLECTION,
+                id: relationship.firestoreId,
+                data: { sourceId, targetId, entityIds: [sourceId, targetId] }
+            });
+        });
+        return operations;
+    }
+}
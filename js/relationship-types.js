@@ -0,0 +1,154 @@
+// Typed entity-to-entity relationships. Each type is stored in one direction, from source to
+// target, and read from the other end by its reciprocal name: "Dana employee of Acme" is also
+// "Acme employer of Dana". Types whose reciprocal is their own label are symmetric. Add a line
+// here to add a type; sourceTypes and targetTypes (null for any) limit what the profile offers.
+// Relationships are stored as { type, sourceId, targetId, entityIds, origin, field, start, end },
+// with start and end as partial ISO dates like statements (see entity-statements.js).
+
+import { getStatements } from './entity-statements.js';
+
+export const RELATIONSHIP_TYPES = [
+    // Between people
+    { id: 'spouse_of', label: 'spouse of', reciprocal: 'spouse of', sourceTypes: ['person'], targetTypes: ['person'] },
+    { id: 'parent_of', label: 'parent of', reciprocal: 'child of', sourceTypes: ['person'], targetTypes: ['person'] },
+    { id: 'sibling_of', label: 'sibling of', reciprocal: 'sibling of', sourceTypes: ['person'], targetTypes: ['person'] },
+    { id: 'coworker_of', label: 'coworker of', reciprocal: 'coworker of', sourceTypes: ['person'], targetTypes: ['person'] },
+    { id: 'neighbor_of', label: 'neighbor of', reciprocal: 'neighbor of', sourceTypes: ['person'], targetTypes: ['person'] },
+    { id: 'student_of', label: 'student of', reciprocal: 'teacher of', sourceTypes: ['person'], targetTypes: ['person'] },
+
+    // People and organizations
+    { id: 'employee_of', label: 'employee of', reciprocal: 'employer of', sourceTypes: ['person'], targetTypes: ['organization'] },
+    { id: 'member_of', label: 'member of', reciprocal: 'has member', sourceTypes: ['person', 'organization'], targetTypes: ['organization'] },
+    { id: 'subsidiary_of', label: 'subsidiary of', reciprocal: 'parent organization of', sourceTypes: ['organization'], targetTypes: ['organization'] },
+
+    // Places
+    { id: 'resident_of', label: 'resident of', reciprocal: 'residence of', sourceTypes: ['person'], targetTypes: ['place'] },
+    { id: 'headquartered_in', label: 'headquartered in', reciprocal: 'headquarters of', sourceTypes: ['organization'], targetTypes: ['place'] },
+
+    // Anything else
+    { id: 'associated_with', label: 'associated with', reciprocal: 'associated with', sourceTypes: null, targetTypes: null }
+];
+
+// Wikidata fields (see wikidata-properties.js) that become relationships from the entity holding
+// them to the entity each value names. reverse: the entity is the target, e.g. its parents.
+export const WIKIDATA_RELATIONSHIP_FIELDS = {
+    spouse: { type: 'spouse_of' },
+    children: { type: 'parent_of' },
+    parents: { type: 'parent_of', reverse: true },
+    siblings: { type: 'sibling_of' },
+    employer: { type: 'employee_of' },
+    member_of: { type: 'member_of' },
+    residences: { type: 'resident_of' },
+    headquarters: { type: 'headquartered_in' },
+    parent_organization: { type: 'subsidiary_of' }
+};
+
+const TYPES_BY_ID = new Map(RELATIONSHIP_TYPES.map(type => [type.id, type]));
+
+export function getRelationshipType(typeId) {
+    return TYPES_BY_ID.get(typeId) || null;
+}
+
+export function isSymmetricType(typeId) {
+    const type = getRelationshipType(typeId);
+    return Boolean(type) && type.label === type.reciprocal;
+}
+
+// Types an entity of this type can take part in, as [{ type, reverse }]: reverse options read
+// the type by its reciprocal name, with the entity as the target
+export function getRelationshipOptions(entityType = null) {
+    const allows = (types) => !types || !entityType || entityType === 'unknown' || types.includes(entityType);
+    const options = [];
+    RELATIONSHIP_TYPES.forEach(type => {
+        if (allows(type.sourceTypes)) options.push({ type, reverse: false, label: type.label });
+        if (!isSymmetricType(type.id) && allows(type.targetTypes)) options.push({ type, reverse: true, label: type.reciprocal });
+    });
+    return options;
+}
+
+// The same relationship always gets the same key, whichever end it was entered from
+export function getRelationshipKey({ type, sourceId, targetId }) {
+    const ids = isSymmetricType(type) ? [sourceId, targetId].sort() : [sourceId, targetId];
+    return `${type}:${ids.join(':')}`;
+}
+
+// A new relationship record; throws for unknown types and self-links
+export function createRelationship({ type, sourceId, targetId, origin = 'manual', field = null, start = null, end = null, importBatchId = null }) {
+    if (!getRelationshipType(type)) throw new Error(`Unknown relationship type: ${type}`);
+    if (!sourceId || !targetId) throw new Error('A relationship needs a source and a target entity');
+    if (sourceId === targetId) throw new Error('An entity cannot have a relationship with itself');
+
+    return {
+        type,
+        sourceId,
+        targetId,
+        entityIds: [sourceId, targetId],
+        origin,
+        field,
+        start,
+        end,
+        importBatchId,
+        createdAt: new Date().toISOString()
+    };
+}
+
+// How a relationship reads from one of its ends: { label, otherId }
+export function describeRelationship(relationship, entityId) {
+    const type = getRelationshipType(relationship.type);
+    const fromSource = relationship.sourceId === entityId;
+    const label = type ? (fromSource ? type.label : type.reciprocal) : relationship.type;
+    return { label, otherId: fromSource ? relationship.targetId : relationship.sourceId };
+}
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().trim();
+}
+
+// Relationships the entities' Wikidata fields imply between entities of the same list. Values
+// are matched to entities by Wikidata ID where a dated statement gives one, otherwise by name or
+// alias when exactly one entity has it. Dated statements carry their start and end over.
+export function deriveWikidataRelationships(entities) {
+    const byWikidataId = new Map();
+    const byName = new Map();
+    entities.forEach(entity => {
+        if (entity.wikidata_id) byWikidataId.set(entity.wikidata_id, entity);
+        new Set([entity.name, ...(entity.aliases || [])].map(normalizeName)).forEach(name => {
+            if (!name) return;
+            byName.set(name, byName.has(name) ? null : entity);
+        });
+    });
+
+    const relationships = new Map();
+    const add = (entity, other, { type, reverse }, field, statement = null) => {
+        if (!other || other.id === entity.id) return;
+        const relationship = createRelationship({
+            type,
+            sourceId: reverse ? other.id : entity.id,
+            targetId: reverse ? entity.id : other.id,
+            origin: 'wikidata',
+            field,
+            start: statement?.start || null,
+            end: statement?.end || null
+        });
+        const key = getRelationshipKey(relationship);
+        if (!relationships.has(key)) relationships.set(key, relationship);
+    };
+
+    entities.forEach(entity => {
+        if (!entity.wikidata_id) return;
+        Object.entries(WIKIDATA_RELATIONSHIP_FIELDS).forEach(([field, derivation]) => {
+            const statements = getStatements(entity, field);
+            statements.forEach(statement => {
+                add(entity, byWikidataId.get(statement.valueId) || byName.get(normalizeName(statement.value)), derivation, field, statement);
+            });
+
+            const dated = new Set(statements.map(statement => normalizeName(statement.value)));
+            const values = Array.isArray(entity[field]) ? entity[field] : [entity[field]];
+            values.filter(value => typeof value === 'string' && !dated.has(normalizeName(value))).forEach(value => {
+                add(entity, byName.get(normalizeName(value)), derivation, field);
+            });
+        });
+    });
+
+    return [...relationships.values()];
+}
@@ -0,0 +1,51 @@
+// Storage backend selection. Pick one at startup with ?storage=firestore|indexeddb|memory;
+// the choice is remembered so profile pages and reloads use the same backend.
+
+import { MemoryStorage } from './memory-storage.js';
+import { IndexedDBStorage } from './indexeddb-storage.js';
+import { FirestoreStorage } from './firestore-storage.js';
+
+export const STORAGE_BACKENDS = ['firestore', 'indexeddb', 'memory'];
+const DEFAULT_BACKEND = 'firestore';
+const STORAGE_SETTING_KEY = 'kb_storage_backend';
+
+export function getConfiguredBackend() {
+    // Outside a browser page (workers, Node) there is no Firestore config to load
+    if (typeof window === 'undefined') return 'memory';
+
+    try {
+        const requested = new URLSearchParams(window.location.search).get('storage');
+        if (STORAGE_BACKENDS.includes(requested)) {
+            localStorage.setItem(STORAGE_SETTING_KEY, requested);
+            return requested;
+        }
+
+        const saved = localStorage.getItem(STORAGE_SETTING_KEY);
+        if (STORAGE_BACKENDS.includes(saved)) return saved;
+    } catch (error) {
+        console.warn('Could not read storage backend setting:', error);
+    }
+
+    return DEFAULT_BACKEND;
+}
+
+export async function createStorage(backendName) {
+    switch (backendName) {
+        case 'memory':
+            return new MemoryStorage();
+        case 'indexeddb':
+            return new IndexedDBStorage();
+        case 'firestore': {
+            // Loaded on demand so offline backends never fetch the Firebase SDK
+            const [{ db }, firestore] = await Promise.all([
+                import('./config.js'),
+                import('https://www.gstatic.com/firebasejs/10.12.2/firebase-firestore.js')
+            ]);
+            return new FirestoreStorage(db, firestore);
+        }
+        default:
+            throw new Error(`Unknown storage backend: ${backendName}`);
+    }
+}
+
+export const storage = await createStorage(getConfiguredBackend());
@@ -1,11 +1,14 @@
 // Table rendering and management functionality
 
+import { eventReferencesEntity } from './event-references.js';
+
 export class TableManager {
     constructor() {
         this.filteredEntities = [];
         this.sortField = 'name';
         this.sortDirection = 'asc';
         this.allEntities = [];
+        this.connectionCounts = null;
     }
 
     initializeEventListeners() {
@@ -31,7 +34,9 @@ export class TableManager {
         });
     }
 
-    updateAllEntities(processedEntities) {
+    // connectionCounts (entity ID -> count) replaces the stored counts, e.g. while a date range is set
+    updateAllEntities(processedEntities, connectionCounts = null) {
+        this.connectionCounts = connectionCounts;
         // Use denormalized connection counts for better performance
         this.allEntities = [
             ...processedEntities.people.map(e => ({...e, category: 'person'})),
@@ -40,9 +45,10 @@ export class TableManager {
             ...processedEntities.unknown.map(e => ({...e, category: 'unknown'}))
         ].map(entity => {
             // Use the denormalized connection count if available, otherwise calculate it
-            const connectionCount = entity.connectionCount !== undefined 
+            const storedCount = entity.connectionCount !== undefined 
                 ? entity.connectionCount 
                 : (entity.connections ? entity.connections.length : 0);
+            const connectionCount = connectionCounts ? this.getConnectionCount(entity) : storedCount;
             return {
                 ...entity,
                 actualConnectionCount: connectionCount
@@ -52,22 +58,13 @@ export class TableManager {
         this.filterEntities();
     }
 
+    getConnectionCount(entity) {
+        return this.connectionCounts ? (this.connectionCounts.get(entity.id) || 0) : (entity.connectionCount || 0);
+    }
+
     calculateConnectionCount(entity, events) {
-        // Count events where this entity appears as actor, target, or location
-        return events.filter(event => {
-            const actors = event.actor ? event.actor.split(',').map(a => a.trim()) : [];
-            const targets = event.target ? event.target.split(',').map(t => t.trim()) : [];
-            const locations = Array.isArray(event.locations) 
-                ? event.locations.map(loc => typeof loc === 'string' ? loc : loc.name)
-                : (event.locations ? event.locations.split(',').map(l => l.trim()) : []);
-            
-            return actors.includes(entity.name) || 
-                   targets.includes(entity.name) || 
-                   locations.includes(entity.name) ||
-                   (entity.aliases && entity.aliases.some(alias => 
-                       actors.includes(alias) || targets.includes(alias) || locations.includes(alias)
-                   ));
-        }).length;
+        // Count events that reference this entity as actor, target, or location
+        return events.filter(event => eventReferencesEntity(event, entity.id)).length;
     }
 
     handleFilterToggle(clickedToggle) {
@@ -409,7 +406,7 @@ export class TableManager {
                     // Update the connection count in the table row
                     const connectionCountCell = targetEntity.element.querySelector('.connections-count');
                     if (connectionCountCell) {
-                        const newCount = updatedEntity.connectionCount || 0;
+                        const newCount = this.getConnectionCount(updatedEntity);
                         connectionCountCell.textContent = newCount;
                     }
                 }
@@ -443,7 +440,7 @@ export class TableManager {
                     if (entity) {
                         const connectionCountCell = row.querySelector('.connections-count');
                         if (connectionCountCell) {
-                            const newCount = entity.connectionCount || 0;
+                            const newCount = this.getConnectionCount(entity);
                             connectionCountCell.textContent = newCount;
                         }
                     }
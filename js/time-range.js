@@ -0,0 +1,179 @@
+// Knowledge-base-wide date range. Events count only while their startDate..endDate overlaps the
+// range, which is whole calendar days ("2024-07-01" to "2024-09-30") compared with each event's
+// dates as the profile shows them (see getEventCalendarZone). The range lives in the page URL as
+// ?from=&to=, so a filtered view survives a reload and can be shared; either end may be left open.
+
+import { getEventCalendarZone, toWallClock } from './time-zones.js';
+
+const RANGE_PARAMS = { from: 'from', to: 'to' };
+const DAY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DAY = 24 * 60 * 60 * 1000;
+
+// Far ends of the Date range, for open ends
+const EARLIEST = new Date(-8.64e15);
+const LATEST = new Date(8.64e15);
+
+function isDay(value) {
+    return DAY_PATTERN.test(value || '') && !isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+function readDate(value) {
+    if (value === null || value === undefined || value === '') return null;
+    if (value.toDate) return value.toDate();
+    const date = value.seconds !== undefined ? new Date(value.seconds * 1000) : new Date(value);
+    return isNaN(date.getTime()) ? null : date;
+}
+
+function dayKey(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+// { from, to } day strings from URL parameters (null ends are open), or null when no range is set
+export function parseTimeRange(params) {
+    let from = params.get(RANGE_PARAMS.from);
+    let to = params.get(RANGE_PARAMS.to);
+    from = isDay(from) ? from : null;
+    to = isDay(to) ? to : null;
+    if (!from && !to) return null;
+    if (from && to && from > to) [from, to] = [to, from];
+    return { from, to };
+}
+
+export function getTimeRangeFromUrl() {
+    return parseTimeRange(new URLSearchParams(window.location.search));
+}
+
+// Writes the range into the current URL without adding a history entry
+export function setTimeRangeInUrl(range) {
+    const url = new URL(window.location.href);
+    url.searchParams.delete(RANGE_PARAMS.from);
+    url.searchParams.delete(RANGE_PARAMS.to);
+    if (range?.from) url.searchParams.set(RANGE_PARAMS.from, range.from);
+    if (range?.to) url.searchParams.set(RANGE_PARAMS.to, range.to);
+    window.history.replaceState(window.history.state, '', url);
+}
+
+// A page link ("profile.html?id=...") carrying the current range
+export function withTimeRange(href, range = getTimeRangeFromUrl()) {
+    if (!range) return href;
+    const params = new URLSearchParams();
+    if (range.from) params.set(RANGE_PARAMS.from, range.from);
+    if (range.to) params.set(RANGE_PARAMS.to, range.to);
+    return `${href}${href.includes('?') ? '&' : '?'}${params}`;
+}
+
+// The range as floating dates (see toWallClock) from the start of its first day to the end of its last
+export function getTimeRangeBounds(range) {
+    if (!range) return null;
+    return {
+        start: range.from ? new Date(`${range.from}T00:00:00.000Z`) : EARLIEST,
+        end: range.to ? new Date(`${range.to}T23:59:59.999Z`) : LATEST
+    };
+}
+
+// An event's startDate..endDate as floating dates in its calendar zone; events stored without a
+// startDate use their received date. Null when the event has no usable date.
+export function getEventSpan(event, displayTimeZone) {
+    const start = readDate(event.startDate) || readDate(event.dateReceived);
+    if (!start) return null;
+    const end = readDate(event.endDate) || start;
+    const zone = getEventCalendarZone(event, displayTimeZone);
+    return {
+        start: toWallClock(start, zone),
+        end: toWallClock(end < start ? start : end, zone)
+    };
+}
+
+// Whether an event's dates overlap the range; every event does when there is no range,
+// and undated events never do when there is one
+export function eventInTimeRange(event, range, displayTimeZone) {
+    const bounds = getTimeRangeBounds(range);
+    if (!bounds) return true;
+    const span = getEventSpan(event, displayTimeZone);
+    return Boolean(span) && span.start <= bounds.end && span.end >= bounds.start;
+}
+
+// The next or previous range of the same length (direction 1 or -1). Ranges of whole months
+// (a quarter, a year) step by months, others by days; open ranges do not step.
+export function shiftTimeRange(range, direction) {
+    if (!range?.from || !range?.to) return range;
+    const start = new Date(`${range.from}T00:00:00Z`);
+    const end = new Date(`${range.to}T00:00:00Z`);
+    const nextDay = new Date(end.getTime() + DAY);
+
+    if (start.getUTCDate() === 1 && nextDay.getUTCDate() === 1) {
+        const months = (nextDay.getUTCFullYear() - start.getUTCFullYear()) * 12 + nextDay.getUTCMonth() - start.getUTCMonth();
+        const shift = date => new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + months * direction, 1));
+        return {
+            from: dayKey(shift(start)),
+            to: dayKey(new Date(shift(nextDay).getTime() - DAY))
+        };
+    }
+
+    const days = Math.round((nextDay - start) / DAY) * direction;
+    return {
+        from: dayKey(new Date(start.getTime() + days * DAY)),
+        to: dayKey(new Date(end.getTime() + days * DAY))
+    };
+}
+
+// From/to date inputs with step and clear buttons, drawn into a container. Changes are written to
+// the URL and passed to onChange.
+export class TimeRangeControl {
+    constructor(container, { onChange = () => {} } = {}) {
+        this.container = container;
+        this.onChange = onChange;
+        this.range = getTimeRangeFromUrl();
+        this.render();
+    }
+
+    render() {
+        this.container.innerHTML = `
+            <span class="time-range-label">Events from</span>
+            <input type="date" class="form-input time-range-from" aria-label="Show events from">
+            <span class="time-range-label">to</span>
+            <input type="date" class="form-input time-range-to" aria-label="Show events to">
+            <button type="button" class="btn btn-secondary time-range-step" data-direction="-1" title="Previous period">◀</button>
+            <button type="button" class="btn btn-secondary time-range-step" data-direction="1" title="Next period">▶</button>
+            <button type="button" class="btn btn-secondary time-range-clear">All dates</button>
+        `;
+        this.fromInput = this.container.querySelector('.time-range-from');
+        this.toInput = this.container.querySelector('.time-range-to');
+
+        const readInputs = () => parseTimeRange(new URLSearchParams({
+            [RANGE_PARAMS.from]: this.fromInput.value,
+            [RANGE_PARAMS.to]: this.toInput.value
+        }));
+        this.fromInput.addEventListener('change', () => this.setRange(readInputs()));
+        this.toInput.addEventListener('change', () => this.setRange(readInputs()));
+        this.container.querySelectorAll('.time-range-step').forEach(button => {
+            button.addEventListener('click', () => this.setRange(shiftTimeRange(this.range, Number(button.dataset.direction))));
+        });
+        this.container.querySelector('.time-range-clear').addEventListener('click', () => this.setRange(null));
+
+        this.updateInputs();
+    }
+
+    setRange(range) {
+        this.range = range;
+        setTimeRangeInUrl(range);
+        this.updateInputs();
+        this.onChange(range);
+    }
+
+    // Pick up a range another view wrote into the URL
+    syncFromUrl() {
+        this.range = getTimeRangeFromUrl();
+        this.updateInputs();
+        return this.range;
+    }
+
+    updateInputs() {
+        this.fromInput.value = this.range?.from || '';
+        this.toInput.value = this.range?.to || '';
+        const steppable = Boolean(this.range?.from && this.range?.to);
+        this.container.querySelectorAll('.time-range-step').forEach(button => { button.disabled = !steppable; });
+        this.container.querySelector('.time-range-clear').disabled = !this.range;
+        this.container.classList.toggle('active', Boolean(this.range));
+    }
+}
@@ -0,0 +1,260 @@
+// IANA time zone helpers. Event times are interpreted in one zone per row (recorded on the event
+// as timeZone) and displayed in a zone each analyst picks. The zone of a row comes from its
+// Time Zone column, else from its first location, else from the import's setting, else UTC, so
+// the same row gives the same times whoever imports it.
+
+export const DEFAULT_TIME_ZONE = 'UTC';
+
+const DISPLAY_TIME_ZONE_KEY = 'kb_display_time_zone';
+
+// Offered in the time zone selects when the runtime cannot list its own
+const COMMON_TIME_ZONES = [
+    'UTC', 'America/Los_Angeles', 'America/Denver', 'America/Chicago', 'America/New_York',
+    'America/Sao_Paulo', 'Europe/London', 'Europe/Paris', 'Europe/Berlin', 'Europe/Kyiv',
+    'Europe/Moscow', 'Africa/Cairo', 'Africa/Lagos', 'Africa/Johannesburg', 'Asia/Jerusalem',
+    'Asia/Qatar', 'Asia/Dubai', 'Asia/Tehran', 'Asia/Karachi', 'Asia/Kolkata', 'Asia/Bangkok',
+    'Asia/Shanghai', 'Asia/Hong_Kong', 'Asia/Taipei', 'Asia/Seoul', 'Asia/Tokyo',
+    'Australia/Sydney', 'Pacific/Auckland'
+];
+
+// Place and country names (lowercase) that decide a row's zone when it names them as a location.
+// Countries spanning several zones are left out; their places fall back to coordinates.
+export const LOCATION_TIME_ZONES = {
+    'united kingdom': 'Europe/London', uk: 'Europe/London', england: 'Europe/London', london: 'Europe/London',
+    ireland: 'Europe/Dublin', dublin: 'Europe/Dublin',
+    france: 'Europe/Paris', paris: 'Europe/Paris',
+    germany: 'Europe/Berlin', berlin: 'Europe/Berlin',
+    belgium: 'Europe/Brussels', brussels: 'Europe/Brussels',
+    netherlands: 'Europe/Amsterdam', amsterdam: 'Europe/Amsterdam', 'the hague': 'Europe/Amsterdam',
+    switzerland: 'Europe/Zurich', geneva: 'Europe/Zurich',
+    italy: 'Europe/Rome', rome: 'Europe/Rome',
+    spain: 'Europe/Madrid', madrid: 'Europe/Madrid',
+    poland: 'Europe/Warsaw', warsaw: 'Europe/Warsaw',
+    ukraine: 'Europe/Kyiv', kyiv: 'Europe/Kyiv', kiev: 'Europe/Kyiv', kharkiv: 'Europe/Kyiv',
+    belarus: 'Europe/Minsk', minsk: 'Europe/Minsk',
+    turkey: 'Europe/Istanbul', ankara: 'Europe/Istanbul', istanbul: 'Europe/Istanbul',
+    moscow: 'Europe/Moscow', kursk: 'Europe/Moscow', belgorod: 'Europe/Moscow',
+    israel: 'Asia/Jerusalem', jerusalem: 'Asia/Jerusalem', 'tel aviv': 'Asia/Jerusalem',
+    gaza: 'Asia/Gaza', 'west bank': 'Asia/Hebron',
+    lebanon: 'Asia/Beirut', beirut: 'Asia/Beirut',
+    egypt: 'Africa/Cairo', cairo: 'Africa/Cairo',
+    qatar: 'Asia/Qatar', doha: 'Asia/Qatar',
+    'united arab emirates': 'Asia/Dubai', uae: 'Asia/Dubai', dubai: 'Asia/Dubai', 'abu dhabi': 'Asia/Dubai',
+    'saudi arabia': 'Asia/Riyadh', riyadh: 'Asia/Riyadh',
+    iran: 'Asia/Tehran', tehran: 'Asia/Tehran',
+    iraq: 'Asia/Baghdad', baghdad: 'Asia/Baghdad',
+    india: 'Asia/Kolkata', 'new delhi': 'Asia/Kolkata', delhi: 'Asia/Kolkata', mumbai: 'Asia/Kolkata',
+    pakistan: 'Asia/Karachi', islamabad: 'Asia/Karachi',
+    china: 'Asia/Shanghai', beijing: 'Asia/Shanghai', shanghai: 'Asia/Shanghai', 'hong kong': 'Asia/Hong_Kong',
+    taiwan: 'Asia/Taipei', taipei: 'Asia/Taipei',
+    japan: 'Asia/Tokyo', tokyo: 'Asia/Tokyo',
+    'south korea': 'Asia/Seoul', seoul: 'Asia/Seoul',
+    'north korea': 'Asia/Pyongyang', pyongyang: 'Asia/Pyongyang',
+    singapore: 'Asia/Singapore',
+    'new york': 'America/New_York', 'washington, d.c.': 'America/New_York', 'washington dc': 'America/New_York',
+    boston: 'America/New_York', atlanta: 'America/New_York', miami: 'America/New_York',
+    nashville: 'America/Chicago', chicago: 'America/Chicago', houston: 'America/Chicago', dallas: 'America/Chicago',
+    denver: 'America/Denver', phoenix: 'America/Phoenix',
+    'los angeles': 'America/Los_Angeles', 'san francisco': 'America/Los_Angeles', seattle: 'America/Los_Angeles',
+    'las vegas': 'America/Los_Angeles',
+    'south africa': 'Africa/Johannesburg', nigeria: 'Africa/Lagos', kenya: 'Africa/Nairobi'
+};
+
+const DAY = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+function getFormatter(timeZone) {
+    if (!formatters.has(timeZone)) {
+        formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone,
+            hourCycle: 'h23',
+            era: 'short',
+            year: 'numeric', month: 'numeric', day: 'numeric',
+            hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
+    }
+    return formatters.get(timeZone);
+}
+
+export function isValidTimeZone(timeZone) {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        getFormatter(timeZone);
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// The zone this browser or process runs in
+export function getLocalTimeZone() {
+    return Intl.DateTimeFormat().resolvedOptions().timeZone || DEFAULT_TIME_ZONE;
+}
+
+export function listTimeZones() {
+    const zones = typeof Intl.supportedValuesOf === 'function' ? Intl.supportedValuesOf('timeZone') : COMMON_TIME_ZONES;
+    return zones.includes('UTC') ? zones : ['UTC', ...zones];
+}
+
+// Date.UTC, but years below 100 stay as written instead of meaning 1900 onwards
+function utcTime(year, month, day, hour, minute, second, millisecond) {
+    const date = new Date(Date.UTC(2000, 0, 1, hour, minute, second, millisecond));
+    date.setUTCFullYear(year, month, day);
+    return date.getTime();
+}
+
+// Wall-clock fields of an instant in a zone; month is 0-based like Date's and years before
+// 1 AD count down from 0 as in ISO 8601
+export function getZonedParts(date, timeZone) {
+    const parts = {};
+    getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+        parts[type] = type === 'era' ? value : parseInt(value, 10);
+    });
+    if (parts.era === 'BC') parts.year = 1 - parts.year;
+    return {
+        year: parts.year,
+        month: parts.month - 1,
+        day: parts.day,
+        hour: parts.hour,
+        minute: parts.minute,
+        second: parts.second,
+        millisecond: date.getUTCMilliseconds(),
+        weekday: new Date(utcTime(parts.year, parts.month - 1, parts.day, 0, 0, 0, 0)).getUTCDay()
+    };
+}
+
+// Minutes the zone is ahead of UTC at an instant
+export function getTimeZoneOffset(date, timeZone) {
+    const parts = getZonedParts(date, timeZone);
+    const asUtc = utcTime(parts.year, parts.month, parts.day, parts.hour, parts.minute, parts.second, parts.millisecond);
+    return Math.round((asUtc - date.getTime()) / 60000);
+}
+
+// The instant a wall-clock time in a zone names. Times skipped by a daylight saving change move
+// forward; repeated times take the first occurrence.
+export function zonedTimeToDate({ year, month = 0, day = 1, hour = 0, minute = 0, second = 0, millisecond = 0 }, timeZone) {
+    const asUtc = utcTime(year, month, day, hour, minute, second, millisecond);
+    // The offsets a day either side are the zone's offsets before and after any change that day
+    const offsets = new Set([-DAY, DAY].map(shift => getTimeZoneOffset(new Date(asUtc + shift), timeZone)));
+    const candidates = [...offsets].map(offset => asUtc - offset * 60000).sort((a, b) => a - b);
+    const first = candidates.find(time => {
+        const parts = getZonedParts(new Date(time), timeZone);
+        return parts.day === day && parts.hour === hour && parts.minute === minute;
+    });
+    // Only a skipped time matches neither; the later instant is the one after the change
+    return new Date(first ?? candidates[candidates.length - 1]);
+}
+
+// An instant's wall-clock time in a zone as a "floating" date, its UTC fields holding the zone's
+// calendar fields, and back. Calendar arithmetic and UTC-scale charts on floating dates never see
+// the zone of the machine they run on.
+export function toWallClock(instant, timeZone) {
+    const { year, month, day, hour, minute, second, millisecond } = getZonedParts(instant, timeZone);
+    return new Date(utcTime(year, month, day, hour, minute, second, millisecond));
+}
+
+export function fromWallClock(date, timeZone) {
+    return zonedTimeToDate({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth(),
+        day: date.getUTCDate(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes(),
+        second: date.getUTCSeconds(),
+        millisecond: date.getUTCMilliseconds()
+    }, timeZone);
+}
+
+// The zone an event's calendar fields are read in: times move to the display zone, while
+// dates, months and years stay as they were read, so "July 21" is July 21 for everyone
+export function getEventCalendarZone(event, displayTimeZone) {
+    const granularity = event.granularity || 'day';
+    return granularity === 'instant' || !event.timeZone ? displayTimeZone : event.timeZone;
+}
+
+// Reads a timestamp; ISO values without an offset ("2025-09-19T00:31:03.791546", "2025-09-19")
+// are wall-clock times in the given zone, values with one keep it. Returns an invalid Date for
+// text it cannot read.
+export function parseTimestamp(value, timeZone = DEFAULT_TIME_ZONE) {
+    if (value instanceof Date) return new Date(value);
+    if (value === null || value === undefined || value === '') return new Date(NaN);
+
+    const text = String(value).trim();
+    const match = text.match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2})(?:[.,](\d+))?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+    if (!match) return new Date(text);
+
+    const [, year, month, day, hour = 0, minute = 0, second = 0, fraction = '0', offset] = match;
+    const millisecond = Math.floor(Number(`0.${fraction}`) * 1000);
+    if (offset) {
+        const sign = offset[0] === '-' ? -1 : 1;
+        const [offsetHours, offsetMinutes] = offset.toUpperCase() === 'Z' ? [0, 0] : [offset.slice(1, 3), offset.slice(-2)].map(Number);
+        const asUtc = Date.UTC(+year, month - 1, +day, +hour, +minute, +second, millisecond);
+        return new Date(asUtc - sign * (offsetHours * 60 + offsetMinutes) * 60000);
+    }
+    return zonedTimeToDate({ year: +year, month: month - 1, day: +day, hour: +hour, minute: +minute, second: +second, millisecond }, timeZone);
+}
+
+// Intl formatting in a zone, e.g. formatInTimeZone(date, 'Asia/Qatar', { dateStyle: 'medium' })
+export function formatInTimeZone(date, timeZone, options = {}) {
+    return new Date(date).toLocaleString('en-US', { ...options, timeZone });
+}
+
+// A place's zone: its own timeZone field, a known name, its country, or, as a rough last resort,
+// the whole-hour zone its longitude falls in
+export function getPlaceTimeZone(place) {
+    if (!place) return null;
+    if (isValidTimeZone(place.timeZone)) return place.timeZone;
+
+    for (const name of [place.name, ...(place.aliases || []), place.country]) {
+        const zone = getLocationNameTimeZone(name);
+        if (zone) return zone;
+    }
+
+    const longitude = Number(place.coordinates?.lng);
+    if (place.coordinates && Number.isFinite(longitude)) {
+        const hours = Math.round(longitude / 15);
+        // Etc zones count the other way: Etc/GMT-3 is three hours ahead of UTC
+        return hours === 0 ? 'UTC' : `Etc/GMT${hours > 0 ? '-' : '+'}${Math.abs(hours)}`;
+    }
+    return null;
+}
+
+// The zone a location name implies; "Doha, Qatar" is tried whole and by each comma-separated part
+export function getLocationNameTimeZone(name) {
+    const text = String(name || '').toLowerCase().trim();
+    if (!text) return null;
+    if (LOCATION_TIME_ZONES[text]) return LOCATION_TIME_ZONES[text];
+
+    const parts = text.split(',').map(part => part.trim()).filter(Boolean);
+    return parts.map(part => LOCATION_TIME_ZONES[part]).find(Boolean) || null;
+}
+
+// The zone event times are shown in; each analyst picks their own, stored in this browser
+export function getDisplayTimeZone() {
+    try {
+        const stored = typeof localStorage !== 'undefined' ? localStorage.getItem(DISPLAY_TIME_ZONE_KEY) : null;
+        if (isValidTimeZone(stored)) return stored;
+    } catch (error) {
+        console.warn('Could not read the display time zone:', error);
+    }
+    return getLocalTimeZone();
+}
+
+export function setDisplayTimeZone(timeZone) {
+    if (!isValidTimeZone(timeZone)) throw new Error(`Unknown time zone: ${timeZone}`);
+    try {
+        localStorage.setItem(DISPLAY_TIME_ZONE_KEY, timeZone);
+    } catch (error) {
+        console.warn('Could not save the display time zone:', error);
+    }
+}
+
+// Fill a <select> with the known zones and select one
+export function populateTimeZoneSelect(select, selected) {
+    select.innerHTML = '';
+    const zones = listTimeZones();
+    if (selected && !zones.includes(selected)) zones.unshift(selected);
+    zones.forEach(zone => select.appendChild(new Option(zone.replace(/_/g, ' '), zone)));
+    select.value = selected;
+}
@@ -0,0 +1,219 @@
+// Persistent cache for Wikidata responses: search results by search term, parsed entities and
+// property labels by QID. Records live in IndexedDB so lookups survive page loads (and are shared
+// with the import worker); where IndexedDB is missing (Node) the cache is kept in memory only.
+
+import { LRUCache } from './lru-cache.js';
+
+const DB_NAME = 'kb-wikidata-cache';
+const DB_VERSION = 1;
+const STORE_NAME = 'responses';
+const SETTINGS_KEY = 'settings:ttls';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+export const CACHE_KINDS = ['search', 'entity', 'label'];
+
+// Lifetimes in milliseconds. "Nothing found" answers expire sooner so new Wikidata items are picked up.
+export const DEFAULT_CACHE_TTLS = {
+    search: 7 * DAY,
+    entity: 30 * DAY,
+    label: 90 * DAY,
+    negative: 1 * DAY
+};
+
+export class WikidataCache {
+    constructor({ ttls = {}, persistent = typeof indexedDB !== 'undefined' } = {}) {
+        this.ttls = { ...DEFAULT_CACHE_TTLS, ...ttls };
+        this.persistent = persistent;
+        this.memory = new LRUCache(5000, 20); // Records read or written this session; 5000 items, 20MB max
+        this.dbPromise = null;
+        this.settingsPromise = null;
+        this.sessionStats = { hits: 0, misses: 0, expired: 0, writes: 0 };
+    }
+
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains(STORE_NAME)) {
+                        db.createObjectStore(STORE_NAME, { keyPath: 'key' });
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.dbPromise;
+    }
+
+    async runTransaction(mode, operation) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE_NAME, mode);
+            const request = operation(transaction.objectStore(STORE_NAME));
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    // Search terms are case-insensitive; QIDs are used as they are
+    getKey(kind, id) {
+        return `${kind}:${kind === 'search' ? String(id).toLowerCase() : id}`;
+    }
+
+    // TTL overrides saved from the stats panel are stored with the cache so the import worker sees them too
+    loadSettings() {
+        if (!this.settingsPromise) {
+            this.settingsPromise = this.readRecord(SETTINGS_KEY)
+                .then(record => {
+                    if (record?.ttls) this.ttls = { ...DEFAULT_CACHE_TTLS, ...record.ttls };
+                })
+                .catch(error => console.warn('WikidataCache: could not load settings:', error));
+        }
+        return this.settingsPromise;
+    }
+
+    async setTtls(ttls) {
+        this.ttls = { ...DEFAULT_CACHE_TTLS, ...ttls };
+        await this.writeRecord({ key: SETTINGS_KEY, ttls: this.ttls });
+    }
+
+    async readRecord(key) {
+        if (this.memory.has(key)) return this.memory.get(key);
+        if (!this.persistent) return null;
+
+        const record = (await this.runTransaction('readonly', store => store.get(key))) || null;
+        if (record) this.memory.set(key, record);
+        return record;
+    }
+
+    async writeRecord(record) {
+        this.memory.set(record.key, record);
+        if (this.persistent) {
+            await this.runTransaction('readwrite', store => store.put(record));
+        }
+    }
+
+    getTtl(record) {
+        return record.negative ? this.ttls.negative : this.ttls[record.kind];
+    }
+
+    // Expiry is worked out when a record is read, so changed TTLs apply to everything already cached
+    isExpired(record, now = Date.now()) {
+        return now - record.fetchedAt > this.getTtl(record);
+    }
+
+    // The cached record ({ value, fetchedAt, negative }) for a lookup, or null on a miss.
+    // A record whose value is null or empty is a cached "nothing found".
+    async get(kind, id) {
+        try {
+            await this.loadSettings();
+            const record = await this.readRecord(this.getKey(kind, id));
+            if (!record) {
+                this.sessionStats.misses++;
+                return null;
+            }
+            if (this.isExpired(record)) {
+                this.sessionStats.expired++;
+                return null;
+            }
+            this.sessionStats.hits++;
+            return record;
+        } catch (error) {
+            console.warn('WikidataCache: read failed:', error);
+            return null;
+        }
+    }
+
+    async set(kind, id, value) {
+        const record = {
+            key: this.getKey(kind, id),
+            kind,
+            id,
+            value,
+            negative: value === null || (Array.isArray(value) && value.length === 0),
+            fetchedAt: Date.now()
+        };
+
+        try {
+            await this.writeRecord(record);
+            this.sessionStats.writes++;
+        } catch (error) {
+            // A cache that cannot be written only costs repeated lookups
+            console.warn('WikidataCache: write failed:', error);
+        }
+    }
+
+    async getAllRecords() {
+        if (!this.persistent) {
+            return this.memory.values();
+        }
+        return (await this.runTransaction('readonly', store => store.getAll())) || [];
+    }
+
+    // Lookups made elsewhere (the import worker) count towards this session's numbers
+    addSessionStats(stats) {
+        Object.keys(this.sessionStats).forEach(key => {
+            this.sessionStats[key] += stats?.[key] || 0;
+        });
+    }
+
+    async getStats() {
+        await this.loadSettings();
+        const now = Date.now();
+        const records = (await this.getAllRecords()).filter(record => record.key !== SETTINGS_KEY);
+
+        const entries = Object.fromEntries(CACHE_KINDS.map(kind => [kind, 0]));
+        let negative = 0;
+        let expired = 0;
+        records.forEach(record => {
+            entries[record.kind] = (entries[record.kind] || 0) + 1;
+            if (record.negative) negative++;
+            if (this.isExpired(record, now)) expired++;
+        });
+
+        return {
+            persistent: this.persistent,
+            total: records.length,
+            entries,
+            negative,
+            expired,
+            oldest: records.length > 0 ? new Date(records.reduce((oldest, record) => Math.min(oldest, record.fetchedAt), Infinity)) : null,
+            ttls: { ...this.ttls },
+            session: { ...this.sessionStats }
+        };
+    }
+
+    async clearExpired() {
+        const now = Date.now();
+        const expiredKeys = (await this.getAllRecords())
+            .filter(record => record.key !== SETTINGS_KEY && this.isExpired(record, now))
+            .map(record => record.key);
+
+        expiredKeys.forEach(key => this.memory.delete(key));
+        if (this.persistent && expiredKeys.length > 0) {
+            await this.runTransaction('readwrite', store => {
+                expiredKeys.forEach(key => store.delete(key));
+            });
+        }
+        return expiredKeys.length;
+    }
+
+    // Drop every cached response; the TTL settings are kept
+    async clear() {
+        const keys = (await this.getAllRecords())
+            .map(record => record.key)
+            .filter(key => key !== SETTINGS_KEY);
+
+        keys.forEach(key => this.memory.delete(key));
+        if (this.persistent && keys.length > 0) {
+            await this.runTransaction('readwrite', store => {
+                keys.forEach(key => store.delete(key));
+            });
+        }
+        return keys.length;
+    }
+}
@@ -0,0 +1,198 @@
+// HTTP client for the Wikidata API. Every request goes through one token-bucket rate limiter,
+// is retried with backoff when Wikidata answers HTTP 429, HTTP 503 or a maxlag error, and entity lookups
+// made at about the same time are combined into wbgetentities calls of up to 50 IDs.
+
+export const WIKIDATA_API_URL = 'https://www.wikidata.org/w/api.php';
+
+const MAX_IDS_PER_REQUEST = 50;   // wbgetentities limit for clients without a bot flag
+const BATCH_DELAY_MS = 25;        // How long lookups wait for others to share their request
+const MAXLAG_SECONDS = 5;         // Ask Wikidata to refuse requests while its replicas are lagging
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry-After is either a number of seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+export class TokenBucket {
+    constructor(capacity = 5, refillPerSecond = 5) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+        this.queue = Promise.resolve();
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.capacity, this.tokens + ((now - this.lastRefill) / 1000) * this.refillPerSecond);
+        this.lastRefill = now;
+    }
+
+    // Resolves when the caller may send a request; callers are served in order
+    take() {
+        const turn = this.queue.then(async () => {
+            this.refill();
+            if (this.tokens < 1) {
+                await sleep(((1 - this.tokens) / this.refillPerSecond) * 1000);
+                this.refill();
+            }
+            this.tokens -= 1;
+        });
+        this.queue = turn;
+        return turn;
+    }
+
+    // Hold back every caller for a while, e.g. after Wikidata asked us to slow down
+    pause(ms) {
+        this.refill();
+        this.tokens = Math.min(this.tokens, 0) - (ms / 1000) * this.refillPerSecond;
+    }
+}
+
+export class WikidataClient {
+    constructor({
+        apiUrl = WIKIDATA_API_URL,
+        rateLimiter = new TokenBucket(),
+        maxRetries = 4,
+        backoffMs = 1000,
+        timeoutMs = 15000
+    } = {}) {
+        this.apiUrl = apiUrl;
+        this.rateLimiter = rateLimiter;
+        this.maxRetries = maxRetries;
+        this.backoffMs = backoffMs;
+        this.timeoutMs = timeoutMs;
+        this.pendingBatches = new Map();
+        this.stats = { requests: 0, retries: 0, failures: 0 };
+    }
+
+    async request(params) {
+        const url = new URL(this.apiUrl);
+        Object.entries({ format: 'json', origin: '*', maxlag: MAXLAG_SECONDS, ...params }).forEach(([key, value]) => {
+            url.searchParams.set(key, value);
+        });
+
+        for (let attempt = 0; ; attempt++) {
+            await this.rateLimiter.take();
+            this.stats.requests++;
+
+            const controller = new AbortController();
+            const timeoutId = setTimeout(() => controller.abort(), this.timeoutMs);
+            let retryAfter = null;
+            let failure;
+
+            try {
+                const response = await fetch(url, { signal: controller.signal });
+                if (response.status === 429 || response.status === 503) {
+                    retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+                    failure = new Error(`Wikidata rate limit (HTTP ${response.status})`);
+                } else if (!response.ok) {
+                    throw new Error(`Wikidata request failed: HTTP ${response.status}`);
+                } else {
+                    const data = await response.json();
+                    if (!data.error) return data;
+                    if (data.error.code !== 'maxlag') {
+                        throw new Error(`Wikidata API error: ${data.error.info || data.error.code}`);
+                    }
+                    retryAfter = parseRetryAfter(response.headers.get('Retry-After'));
+                    failure = new Error(`Wikidata is lagging: ${data.error.info || 'maxlag'}`);
+                }
+            } catch (error) {
+                // Timeouts and dropped connections are worth another try; API errors are not
+                if (error.name !== 'AbortError' && error.name !== 'TypeError') {
+                    this.stats.failures++;
+                    throw error;
+                }
+                failure = error.name === 'AbortError' ? new Error('Wikidata request timed out') : error;
+            } finally {
+                clearTimeout(timeoutId);
+            }
+
+            if (attempt >= this.maxRetries) {
+                this.stats.failures++;
+                throw failure;
+            }
+
+            const delay = retryAfter ?? this.backoffMs * 2 ** attempt * (1 + Math.random() * 0.25);
+            this.stats.retries++;
+            this.rateLimiter.pause(delay);
+        }
+    }
+
+    async searchEntities(search, { limit = 10, language = 'en' } = {}) {
+        const data = await this.request({ action: 'wbsearchentities', search, language, limit });
+        return data.search || [];
+    }
+
+    // Entities by ID, as { [id]: entity or null when it does not exist }. Pass props: 'labels'
+    // when only labels are needed. Lookups queued within BATCH_DELAY_MS share requests.
+    async getEntities(ids, { props = null } = {}) {
+        const uniqueIds = [...new Set(ids)].filter(Boolean);
+        if (uniqueIds.length === 0) return {};
+
+        const key = props || '';
+        let batch = this.pendingBatches.get(key);
+        if (!batch) {
+            batch = { props, waiting: new Map(), timer: setTimeout(() => this.flushBatch(key), BATCH_DELAY_MS) };
+            this.pendingBatches.set(key, batch);
+        }
+
+        const lookups = uniqueIds.map(id => {
+            if (!batch.waiting.has(id)) {
+                let resolve;
+                let reject;
+                const promise = new Promise((res, rej) => {
+                    resolve = res;
+                    reject = rej;
+                });
+                batch.waiting.set(id, { promise, resolve, reject });
+            }
+            return batch.waiting.get(id).promise.then(entity => [id, entity]);
+        });
+
+        if (batch.waiting.size >= MAX_IDS_PER_REQUEST) {
+            this.flushBatch(key);
+        }
+
+        return Object.fromEntries(await Promise.all(lookups));
+    }
+
+    async flushBatch(key) {
+        const batch = this.pendingBatches.get(key);
+        if (!batch) return;
+        this.pendingBatches.delete(key);
+        clearTimeout(batch.timer);
+
+        const ids = [...batch.waiting.keys()];
+        for (let i = 0; i < ids.length; i += MAX_IDS_PER_REQUEST) {
+            const chunk = ids.slice(i, i + MAX_IDS_PER_REQUEST);
+            const params = { action: 'wbgetentities', ids: chunk.join('|'), languages: 'en' };
+            if (batch.props) params.props = batch.props;
+
+            try {
+                const data = await this.request(params);
+                // A redirected ID comes back under its target's ID
+                const entitiesById = {};
+                Object.values(data.entities || {}).forEach(entity => {
+                    if ('missing' in entity) return;
+                    entitiesById[entity.id] = entity;
+                    if (entity.redirects) entitiesById[entity.redirects.from] = entity;
+                });
+                chunk.forEach(id => batch.waiting.get(id).resolve(entitiesById[id] || null));
+            } catch (error) {
+                chunk.forEach(id => batch.waiting.get(id).reject(error));
+            }
+        }
+    }
+}
+
+// One client per page (and per worker) so every Wikidata request shares the same rate limit
+export const wikidataClient = new WikidataClient();
@@ -0,0 +1,223 @@
+// Offline stand-in for WikidataClient. Answers searchEntities and getEntities from a lookup file
+// built by bin/build-wikidata-lookup.js (or from a slice of a Wikidata JSON dump), so imports can
+// be enriched without internet access. Entities come back in the shape wbgetentities returns,
+// trimmed to labels, descriptions, aliases, instance of (P31) and coordinates (P625).
+
+export const LOOKUP_FORMAT = 'kb-wikidata-lookup';
+export const LOOKUP_VERSION = 1;
+
+const LOOKUP_SETTING_KEY = 'kb_wikidata_lookup';
+
+// Pick a lookup file with ?wikidata-lookup=<url> and go back to the live API with ?wikidata-lookup=off.
+// Like the storage backend, the choice is remembered; the URL is made absolute so workers can load it.
+export function getConfiguredWikidataLookup() {
+    if (typeof window === 'undefined') return null;
+
+    try {
+        const requested = new URLSearchParams(window.location.search).get('wikidata-lookup');
+        if (requested === 'off') {
+            localStorage.removeItem(LOOKUP_SETTING_KEY);
+            return null;
+        }
+        if (requested) {
+            const url = new URL(requested, window.location.href).href;
+            localStorage.setItem(LOOKUP_SETTING_KEY, url);
+            return url;
+        }
+        return localStorage.getItem(LOOKUP_SETTING_KEY);
+    } catch (error) {
+        console.warn('Could not read Wikidata lookup setting:', error);
+        return null;
+    }
+}
+
+function itemIdsOf(claims = []) {
+    return claims
+        .map(claim => claim.mainsnak?.datavalue?.value?.id)
+        .filter(id => typeof id === 'string');
+}
+
+// The lookup record kept for a full Wikidata entity: { label, description, aliases, instanceOf, coordinates }
+export function compactWikidataEntity(entity, language = 'en') {
+    const record = {
+        label: entity.labels?.[language]?.value || '',
+        description: entity.descriptions?.[language]?.value || '',
+        aliases: (entity.aliases?.[language] || []).map(alias => alias.value),
+        instanceOf: itemIdsOf(entity.claims?.P31)
+    };
+
+    const coordinates = entity.claims?.P625?.[0]?.mainsnak?.datavalue?.value;
+    if (coordinates && coordinates.latitude !== undefined) {
+        record.coordinates = { lat: coordinates.latitude, lng: coordinates.longitude };
+    }
+    return record;
+}
+
+// Lookup files and JSON-array dump slices are one JSON document; anything else is read as the
+// dump's own one-entity-per-line layout
+export function parseLookupText(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return text.split('\n')
+            .map(line => line.trim().replace(/,$/, ''))
+            .filter(line => line && line !== '[' && line !== ']')
+            .map(line => JSON.parse(line));
+    }
+}
+
+// { language, entities: { id: record }, labels: { id: label } } from a lookup file or a dump slice
+export function readLookupData(data, language = 'en') {
+    if (data?.format === LOOKUP_FORMAT) {
+        if (data.version > LOOKUP_VERSION) {
+            throw new Error(`Wikidata lookup file version ${data.version} is newer than this app supports (${LOOKUP_VERSION})`);
+        }
+        return { language: data.language || language, entities: data.entities || {}, labels: data.labels || {} };
+    }
+
+    // A wbgetentities-style { entities: { id: entity } } answer works too
+    const dumpEntities = Array.isArray(data)
+        ? data
+        : Object.entries(data?.entities || {}).map(([id, entity]) => ({ id, ...entity }));
+    const entities = {};
+    const labels = {};
+    dumpEntities.forEach(entity => {
+        if (!entity?.id) return;
+        entities[entity.id] = compactWikidataEntity(entity, language);
+        if (entities[entity.id].label) labels[entity.id] = entities[entity.id].label;
+    });
+    return { language, entities, labels };
+}
+
+function normalizeName(name) {
+    return String(name || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+function itemClaim(id) {
+    return { mainsnak: { snaktype: 'value', datavalue: { type: 'wikibase-entityid', value: { 'entity-type': 'item', id } } } };
+}
+
+export class WikidataOfflineClient {
+    // Either data (a parsed lookup file or dump slice) or a url to fetch it from on first use
+    constructor({ url = null, data = null, language = 'en' } = {}) {
+        this.url = url;
+        this.data = data;
+        this.language = language;
+        this.loadPromise = null;
+        this.stats = { requests: 0, retries: 0, failures: 0 };
+    }
+
+    load() {
+        if (!this.loadPromise) {
+            this.loadPromise = this.readSource().then(data => this.index(readLookupData(data, this.language)));
+        }
+        return this.loadPromise;
+    }
+
+    async readSource() {
+        if (this.data) return this.data;
+        if (!this.url) throw new Error('WikidataOfflineClient needs a lookup url or data');
+
+        const response = await fetch(this.url);
+        if (!response.ok) {
+            throw new Error(`Could not load Wikidata lookup file ${this.url}: HTTP ${response.status}`);
+        }
+        return parseLookupText(await response.text());
+    }
+
+    index({ language, entities, labels }) {
+        this.language = language;
+        this.entities = new Map(Object.entries(entities));
+        this.labels = new Map(Object.entries(labels));
+
+        // Sorted [name, id, alias] rows so prefix searches are a binary search and a short scan
+        this.names = [];
+        this.entities.forEach((record, id) => {
+            if (record.label) this.names.push([normalizeName(record.label), id, null]);
+            (record.aliases || []).forEach(alias => this.names.push([normalizeName(alias), id, alias]));
+        });
+        this.names.sort((a, b) => (a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0));
+        this.data = null;
+    }
+
+    firstNameAtOrAfter(term) {
+        let low = 0;
+        let high = this.names.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.names[middle][0] < term) {
+                low = middle + 1;
+            } else {
+                high = middle;
+            }
+        }
+        return low;
+    }
+
+    // Same result shape as wbsearchentities. With no popularity to go on, exact label matches come
+    // first, then exact aliases, then prefix matches with the shortest names first.
+    async searchEntities(search, { limit = 10 } = {}) {
+        await this.load();
+        this.stats.requests++;
+
+        const term = normalizeName(search);
+        if (!term) return [];
+
+        const matches = [];
+        for (let i = this.firstNameAtOrAfter(term); i < this.names.length && this.names[i][0].startsWith(term); i++) {
+            const [name, id, alias] = this.names[i];
+            const rank = name === term ? (alias ? 1 : 0) : 2;
+            matches.push({ id, alias, rank, length: name.length });
+        }
+        matches.sort((a, b) => a.rank - b.rank || a.length - b.length);
+
+        const results = new Map();
+        for (const match of matches) {
+            if (results.size >= limit) break;
+            if (results.has(match.id)) continue;
+
+            const record = this.entities.get(match.id);
+            const result = { id: match.id, label: record.label || match.id, description: record.description };
+            result.match = { type: match.alias ? 'alias' : 'label', language: this.language, text: match.alias || record.label };
+            if (match.alias) result.aliases = [match.alias];
+            results.set(match.id, result);
+        }
+        return [...results.values()];
+    }
+
+    toEntity(id, props) {
+        const record = this.entities.get(id);
+        const label = record?.label || this.labels.get(id);
+        if (!record && !label) return null;
+
+        const language = this.language;
+        const entity = { id, type: 'item', labels: label ? { [language]: { language, value: label } } : {} };
+        // Items only known by name (classes the lookup's entities are instances of) have nothing more to give
+        if (props === 'labels' || !record) return entity;
+
+        entity.descriptions = record.description ? { [language]: { language, value: record.description } } : {};
+        entity.aliases = { [language]: (record.aliases || []).map(value => ({ language, value })) };
+        entity.claims = {};
+        if (record.instanceOf?.length > 0) {
+            entity.claims.P31 = record.instanceOf.map(itemClaim);
+        }
+        if (record.coordinates) {
+            entity.claims.P625 = [{
+                mainsnak: {
+                    snaktype: 'value',
+                    datavalue: { type: 'globecoordinate', value: { latitude: record.coordinates.lat, longitude: record.coordinates.lng } }
+                }
+            }];
+        }
+        return entity;
+    }
+
+    // Same answer as WikidataClient.getEntities: { [id]: entity or null when the lookup lacks it }
+    async getEntities(ids, { props = null } = {}) {
+        await this.load();
+        this.stats.requests++;
+
+        const uniqueIds = [...new Set(ids)].filter(Boolean);
+        return Object.fromEntries(uniqueIds.map(id => [id, this.toEntity(id, props)]));
+    }
+}
@@ -0,0 +1,115 @@
+// Which Wikidata properties become entity fields. Each entry names the property, the field it
+// fills, whether the field holds one value or a list, whether item values are replaced by their
+// labels, and the entity types the field applies to (null for every type). Parsing, import,
+// the profile page and the edit form all read this list. Time-qualified properties also become
+// dated statements (see entity-statements.js) from their start (P580) and end (P582) qualifiers.
+
+import { getStatementIds } from './entity-statements.js';
+
+export const WIKIDATA_PROPERTY_MAPPING = [
+    // Every type
+    { property: 'P31', field: 'instance_of', label: 'Instance Of', multiple: false, resolveLabel: true, types: null },
+    { property: 'P1449', field: 'aliases', label: 'Aliases', multiple: true, resolveLabel: false, types: null },
+    { property: 'P18', field: 'image', label: 'Image', multiple: false, resolveLabel: false, types: null, display: 'image' },
+
+    // People
+    { property: 'P106', field: 'occupation', label: 'Occupation', multiple: true, resolveLabel: true, types: ['person'] },
+    { property: 'P569', field: 'dateOfBirth', label: 'Date of Birth', multiple: false, resolveLabel: false, types: ['person'] },
+    { property: 'P27', field: 'citizenship', label: 'Citizenship', multiple: true, resolveLabel: true, types: ['person'] },
+    { property: 'P39', field: 'positions_held', label: 'Positions Held', multiple: true, resolveLabel: true, types: ['person'], timeQualified: true },
+    { property: 'P108', field: 'employer', label: 'Employer', multiple: true, resolveLabel: true, types: ['person'], timeQualified: true },
+    { property: 'P69', field: 'educated_at', label: 'Educated At (Wikidata)', multiple: true, resolveLabel: true, types: ['person'] },
+    { property: 'P551', field: 'residences', label: 'Residences', multiple: true, resolveLabel: true, types: ['person'], timeQualified: true },
+    { property: 'P1412', field: 'languages_spoken', label: 'Languages Spoken', multiple: true, resolveLabel: true, types: ['person'] },
+    { property: 'P26', field: 'spouse', label: 'Spouse', multiple: true, resolveLabel: true, types: ['person'] },
+    { property: 'P40', field: 'children', label: 'Children', multiple: true, resolveLabel: true, types: ['person'] },
+    // Father and mother share one field
+    { property: 'P22', field: 'parents', label: 'Parents', multiple: true, resolveLabel: true, types: ['person'] },
+    { property: 'P25', field: 'parents', label: 'Parents', multiple: true, resolveLabel: true, types: ['person'] },
+    { property: 'P3373', field: 'siblings', label: 'Siblings', multiple: true, resolveLabel: true, types: ['person'] },
+
+    // People and organizations
+    { property: 'P463', field: 'member_of', label: 'Member Of', multiple: true, resolveLabel: true, types: ['person', 'organization'], timeQualified: true },
+
+    // Organizations
+    { property: 'P1448', field: 'official_name', label: 'Official Name', multiple: false, resolveLabel: false, types: ['organization', 'place'] },
+    { property: 'P571', field: 'founded', label: 'Founded', multiple: false, resolveLabel: false, types: ['organization'] },
+    { property: 'P159', field: 'headquarters', label: 'Headquarters', multiple: false, resolveLabel: true, types: ['organization'] },
+    { property: 'P749', field: 'parent_organization', label: 'Parent Organization', multiple: true, resolveLabel: true, types: ['organization'] },
+
+    // Organizations and places
+    { property: 'P17', field: 'country', label: 'Country', multiple: false, resolveLabel: true, types: ['organization', 'place'] },
+
+    // Places
+    { property: 'P1082', field: 'population', label: 'Population', multiple: false, resolveLabel: false, types: ['place'] },
+    { property: 'P625', field: 'coordinates', label: 'Coordinates', multiple: false, resolveLabel: false, types: ['place'] }
+];
+
+// Mappings for an entity type. An entity whose type is not known yet gets all of them.
+export function getPropertyMappings(entityType = null) {
+    if (!entityType || entityType === 'unknown') return WIKIDATA_PROPERTY_MAPPING;
+    return WIKIDATA_PROPERTY_MAPPING.filter(mapping => !mapping.types || mapping.types.includes(entityType));
+}
+
+// One mapping per field, for callers that care about fields rather than properties
+export function getMappedFields(entityType = null) {
+    const fields = new Map();
+    getPropertyMappings(entityType).forEach(mapping => {
+        if (!fields.has(mapping.field)) fields.set(mapping.field, mapping);
+    });
+    return [...fields.values()];
+}
+
+// Every entity field Wikidata data can set, for clearing them when a link is removed
+export function getWikidataFieldNames() {
+    return [...getMappedFields().map(mapping => mapping.field), 'statements', 'statement_ids'];
+}
+
+// The fields of parsed Wikidata data (parseWikidataEntity output) that apply to an entity type.
+// List fields come back as arrays even when Wikidata gave something else.
+export function extractMappedFields(wikidataInfo, entityType = null) {
+    const fields = {};
+    if (!wikidataInfo) return fields;
+
+    const mappedFields = getMappedFields(entityType);
+    mappedFields.forEach(({ field, multiple }) => {
+        if (!Object.prototype.hasOwnProperty.call(wikidataInfo, field)) return;
+        const value = wikidataInfo[field];
+        if (multiple) {
+            fields[field] = Array.isArray(value) ? value : [];
+        } else if (value !== null && value !== undefined && value !== '') {
+            fields[field] = value;
+        }
+    });
+
+    if (Array.isArray(wikidataInfo.statements)) {
+        const qualifiedFields = new Set(mappedFields.filter(mapping => mapping.timeQualified).map(mapping => mapping.field));
+        fields.statements = wikidataInfo.statements.filter(statement => qualifiedFields.has(statement.field));
+        fields.statement_ids = getStatementIds(fields.statements);
+    }
+    return fields;
+}
+
+// Empty lists for every list field of a type, so new entities show them before Wikidata fills them
+export function emptyMappedFields(entityType = null) {
+    const mappedFields = getMappedFields(entityType);
+    const fields = Object.fromEntries(mappedFields
+        .filter(mapping => mapping.multiple)
+        .map(mapping => [mapping.field, []]));
+    if (mappedFields.some(mapping => mapping.timeQualified)) {
+        fields.statements = [];
+        fields.statement_ids = [];
+    }
+    return fields;
+}
+
+// Changes whenever the mapping does, so entities parsed under an older mapping are not served from the cache
+export const WIKIDATA_MAPPING_SIGNATURE = (() => {
+    const text = JSON.stringify(WIKIDATA_PROPERTY_MAPPING.map(({ property, field, multiple, resolveLabel, timeQualified }) =>
+        [property, field, multiple, resolveLabel, Boolean(timeQualified)]));
+    let hash = 5381;
+    for (let i = 0; i < text.length; i++) {
+        hash = ((hash * 33) ^ text.charCodeAt(i)) >>> 0;
+    }
+    return hash.toString(36);
+})();
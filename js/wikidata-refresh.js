@@ -0,0 +1,106 @@
+// Re-fetching Wikidata for entities that are already linked. Changes come back as a
+// field-by-field diff so they can be reviewed before anything is written.
+
+import { formatStatement } from './entity-statements.js';
+
+function isEmptyValue(value) {
+    return value === null || value === undefined || value === '' || (Array.isArray(value) && value.length === 0);
+}
+
+function isSameValue(a, b) {
+    if (isEmptyValue(a) && isEmptyValue(b)) return true;
+    return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Readable form of a field value for diff tables
+export function formatWikidataValue(value) {
+    if (isEmptyValue(value)) return '—';
+    if (Array.isArray(value)) {
+        return value.map(item => (item && typeof item === 'object' && 'field' in item ? formatStatement(item) : item)).join(', ');
+    }
+    if (typeof value === 'object') {
+        if (value.lat !== undefined && value.lng !== undefined) return `${value.lat}, ${value.lng}`;
+        return JSON.stringify(value);
+    }
+    return String(value);
+}
+
+export class WikidataRefreshService {
+    // extractFields(info, entity) turns parsed Wikidata data into the entity fields it sets
+    constructor(wikidataService, extractFields) {
+        this.wikidataService = wikidataService;
+        this.extractFields = extractFields;
+    }
+
+    getRetrievedTime(entity) {
+        const value = entity.wikidata_retrieved_at;
+        if (!value) return null;
+        const date = typeof value.toDate === 'function' ? value.toDate() : new Date(value);
+        return isNaN(date.getTime()) ? null : date.getTime();
+    }
+
+    // Linked entities whose Wikidata data is older than the cache's entity lifetime, or of unknown age
+    isStale(entity, now = Date.now()) {
+        if (!entity.wikidata_id) return false;
+        const retrieved = this.getRetrievedTime(entity);
+        return retrieved === null || now - retrieved > this.wikidataService.cache.ttls.entity;
+    }
+
+    async getStaleEntities(entities) {
+        await this.wikidataService.cache.loadSettings();
+        const now = Date.now();
+        return entities.filter(entity => this.isStale(entity, now));
+    }
+
+    // [{ field, before, after }] for every field the fresh data would change
+    diffEntity(entity, info) {
+        const updates = { ...this.extractFields(info, entity) };
+        if (info.description) updates.description = info.description;
+        // Names the entity was imported under stay aliases whatever Wikidata says
+        if (Array.isArray(updates.aliases)) {
+            updates.aliases = [...new Set([...(entity.aliases || []), ...updates.aliases])];
+        }
+
+        return Object.entries(updates)
+            .filter(([field, after]) => !isSameValue(entity[field], after))
+            .map(([field, after]) => ({ field, before: entity[field] ?? null, after }));
+    }
+
+    // Current Wikidata data for one entity, bypassing the cache, as { entity, changes, retrievedAt }
+    async checkEntity(entity) {
+        const info = await this.wikidataService.fetchEntity(entity.wikidata_id, { refresh: true });
+        if (!info) return null;
+        return { entity, changes: this.diffEntity(entity, info), retrievedAt: info.retrievedAt };
+    }
+
+    // Entities are checked one at a time to keep the request rate polite. Unchanged entities
+    // are included so applying the results also resets their age.
+    async checkEntities(entities, { onProgress = () => {}, signal = null } = {}) {
+        const checked = [];
+        const failed = [];
+
+        for (const [index, entity] of entities.entries()) {
+            if (signal?.aborted) break;
+            const result = await this.checkEntity(entity);
+            if (result) {
+                checked.push(result);
+            } else {
+                failed.push(entity);
+            }
+            onProgress(index + 1, entities.length);
+        }
+
+        return { checked, failed };
+    }
+
+    toUpdates(changes, retrievedAt) {
+        return {
+            ...Object.fromEntries(changes.map(({ field, after }) => [field, after])),
+            wikidata_retrieved_at: retrievedAt
+        };
+    }
+
+    applyChanges(entity, changes, retrievedAt) {
+        return Object.assign(entity, this.toUpdates(changes, retrievedAt));
+    }
+}
@@ -1,72 +1,176 @@
 // Wikidata API integration and entity resolution
 
+import { WikidataCache } from './wikidata-cache.js';
+import { wikidataClient } from './wikidata-client.js';
+import { WikidataOfflineClient } from './wikidata-offline-client.js';
+import { WIKIDATA_PROPERTY_MAPPING, WIKIDATA_MAPPING_SIGNATURE } from './wikidata-properties.js';
+import { parseWikidataTime } from './entity-statements.js';
+
+const SEARCH_LIMIT = 10;
+const MAX_ALTERNATIVES = 3;
+const MAX_CLAIM_VALUES = 5;          // Values kept per property
+const MAX_STATEMENTS = 20;           // Dated statements kept per time-qualified property (whole careers)
+
+// Properties whose item values parseWikidataEntity turns into labels
+const LABELLED_PROPERTIES = WIKIDATA_PROPERTY_MAPPING
+    .filter(mapping => mapping.resolveLabel)
+    .map(mapping => mapping.property);
+const TIME_QUALIFIED_PROPERTIES = new Set(WIKIDATA_PROPERTY_MAPPING
+    .filter(mapping => mapping.timeQualified)
+    .map(mapping => mapping.property));
+
+// Scoring weights for ranking search results against the row they came from
+const SEARCH_ORDER_WEIGHT = 0.4;     // Wikidata's own relevance order is a useful prior
+const EXACT_LABEL_SCORE = 0.2;
+const LOCATION_SCORE = 0.25;         // Per co-located place named in the description
+const MAX_LOCATION_SCORE = 0.5;
+const SENTENCE_WORD_SCORE = 0.05;    // Per sentence word found in the description
+const MAX_SENTENCE_SCORE = 0.2;
+const TYPE_SCORE = 0.15;
+const NON_AGENT_PENALTY = 0.3;       // Films, albums, surnames... are never what an event row means
+
+const TYPE_KEYWORDS = {
+    place: ['city', 'town', 'village', 'country', 'state', 'province', 'county', 'capital', 'municipality',
+        'region', 'district', 'island', 'territory', 'neighborhood', 'community', 'borough', 'seat'],
+    person: ['politician', 'businessman', 'businesswoman', 'entrepreneur', 'executive', 'lawyer', 'journalist',
+        'diplomat', 'official', 'engineer', 'scientist', 'economist', 'writer', 'actor', 'actress', 'singer', 'player'],
+    organization: ['company', 'corporation', 'organization', 'organisation', 'agency', 'ministry', 'department',
+        'party', 'university', 'bank', 'manufacturer', 'enterprise', 'institution', 'association', 'foundation',
+        'firm', 'business', 'fund', 'chain', 'restaurant']
+};
+const NON_AGENT_PATTERN = /\b(film|album|song|single|novel|book|episode|video game|painting|family name|given name|surname|television series|tv series|genus|species|scholarly article|ship)\b/;
+const DISAMBIGUATION_PATTERN = /disambiguation page/;
+const SENTENCE_STOP_WORDS = new Set([
+    'that', 'this', 'with', 'from', 'have', 'been', 'were', 'will', 'would', 'said', 'says', 'about', 'after',
+    'before', 'their', 'there', 'which', 'while', 'into', 'over', 'under', 'also', 'more', 'than', 'other'
+]);
+
+function containsWord(text, word) {
+    const escaped = word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`(^|[^\\p{L}\\p{N}])${escaped}($|[^\\p{L}\\p{N}])`, 'u').test(text);
+}
+
 export class WikidataService {
-    constructor() {
-        this.cache = new Map();
+    // lookup ({ url } or { data }) answers every lookup from an offline lookup file instead of the API
+    constructor({ enabled = true, cache = null, client = null, lookup = null } = {}) {
+        // Raw search results by cleaned name, parsed entities and labels by Wikidata ID.
+        // Offline answers are local already, so they are only cached for the session.
+        this.cache = cache || new WikidataCache(lookup ? { persistent: false } : {});
+        // Rate-limited, batching HTTP client shared by every service on the page
+        this.client = client || (lookup ? new WikidataOfflineClient(lookup) : wikidataClient);
+        // When disabled (e.g. offline batch runs) every lookup resolves to no match
+        this.enabled = enabled;
     }
 
-    async searchWikidata(entityName) {
+    // Resolve a name to a Wikidata entity. The context ({ sentence, locations, role, expectedType })
+    // describes the row the name came from and is used to pick between same-named candidates.
+    // The result carries a match record with the chosen candidate's score and the runners-up.
+    async searchWikidata(entityName, context = null) {
+        if (!this.enabled) return null;
+
         // Clean the entity name before searching
         const cleanedName = this.cleanEntityName(entityName);
-        
-        
-        // Check cache first (using original name as key)
-        if (this.cache.has(entityName)) {
-            const cached = this.cache.get(entityName);
-            return cached;
-        }
-        
 
         try {
-            // Single search query - no variations for speed
-            const searchUrl = `https://www.wikidata.org/w/api.php?action=wbsearchentities&search=${encodeURIComponent(cleanedName)}&language=en&format=json&origin=*&limit=5`;
-            
-            // Add timeout to prevent hanging
-            const controller = new AbortController();
-            const timeoutId = setTimeout(() => controller.abort(), 10000); // 10 second timeout for main search
-            
-            try {
-                const response = await fetch(searchUrl, { signal: controller.signal });
-                clearTimeout(timeoutId);
-                const data = await response.json();
-                
-                if (data.search && data.search.length > 0) {
-                    // Use the first result directly for speed
-                    const firstMatch = data.search[0];
-                    
-                    // Get detailed entity data
-                    const detailUrl = `https://www.wikidata.org/w/api.php?action=wbgetentities&ids=${firstMatch.id}&format=json&origin=*`;
-                    
-                    const detailController = new AbortController();
-                    const detailTimeoutId = setTimeout(() => detailController.abort(), 8000); // 8 second timeout for entity details
-                    
-                    try {
-                        const detailResponse = await fetch(detailUrl, { signal: detailController.signal });
-                        clearTimeout(detailTimeoutId);
-                        const detailData = await detailResponse.json();
-                        
-                        if (detailData.entities && detailData.entities[firstMatch.id]) {
-                            const result = await this.parseWikidataEntity(detailData.entities[firstMatch.id]);
-                            this.cache.set(entityName, result);
-                            return result;
-                        }
-                    } catch (detailError) {
-                        clearTimeout(detailTimeoutId);
-                        console.warn('WikidataService: Detail fetch failed:', detailError);
-                    }
+            const searchResults = await this.fetchSearchResults(cleanedName);
+            const ranked = this.rankWikidataCandidates(searchResults, cleanedName, context);
+            if (ranked.length === 0) return null;
+
+            const [best, ...runnersUp] = ranked;
+            const result = await this.fetchEntity(best.id);
+            if (!result) return null;
+
+            return {
+                ...result,
+                match: {
+                    id: best.id,
+                    label: best.label,
+                    description: best.description,
+                    score: best.score,
+                    alternatives: runnersUp.slice(0, MAX_ALTERNATIVES)
                 }
-            } catch (searchError) {
-                clearTimeout(timeoutId);
-                console.warn('WikidataService: Search fetch failed:', searchError);
-            }
+            };
         } catch (error) {
             console.warn('Wikidata search failed:', error);
         }
-        
-        this.cache.set(entityName, null);
+
+        return null;
+    }
+
+    async fetchSearchResults(cleanedName) {
+        const cached = await this.cache.get('search', cleanedName);
+        if (cached) {
+            return cached.value;
+        }
+
+        try {
+            const results = await this.client.searchEntities(cleanedName, { limit: SEARCH_LIMIT });
+            await this.cache.set('search', cleanedName, results);
+            return results;
+        } catch (searchError) {
+            console.warn('WikidataService: Search fetch failed:', searchError);
+            return [];
+        }
+    }
+
+    // Parsed entity data; refresh skips the cache so stale data can be compared with Wikidata's current answer.
+    // Cached entities are keyed by the property mapping they were parsed with.
+    async fetchEntity(wikidataId, { refresh = false } = {}) {
+        const cacheId = `${wikidataId}@${WIKIDATA_MAPPING_SIGNATURE}`;
+        if (!refresh) {
+            const cached = await this.cache.get('entity', cacheId);
+            if (cached) {
+                return cached.value;
+            }
+        }
+
+        try {
+            const { [wikidataId]: entity } = await this.client.getEntities([wikidataId]);
+            if (entity) {
+                const result = await this.parseWikidataEntity(entity);
+                result.retrievedAt = new Date().toISOString();
+                await this.cache.set('entity', cacheId, result);
+                return result;
+            }
+            await this.cache.set('entity', cacheId, null);
+        } catch (detailError) {
+            console.warn('WikidataService: Detail fetch failed:', detailError);
+        }
         return null;
     }
 
+    // English labels for item IDs as a Map. Cached labels are used as they are; the rest are
+    // fetched together. IDs without a label (or whose lookup failed) map to themselves.
+    async resolveLabels(ids) {
+        const labels = new Map();
+        const missing = [];
+
+        await Promise.all([...new Set(ids)].map(async id => {
+            const cached = await this.cache.get('label', id);
+            if (cached) {
+                labels.set(id, cached.value || id);
+            } else {
+                missing.push(id);
+            }
+        }));
+
+        if (missing.length > 0) {
+            try {
+                const entities = await this.client.getEntities(missing, { props: 'labels' });
+                await Promise.all(missing.map(async id => {
+                    const label = entities[id]?.labels?.en?.value || null;
+                    await this.cache.set('label', id, label);
+                    labels.set(id, label || id);
+                }));
+            } catch (error) {
+                console.warn('WikidataService: Label lookup failed:', error);
+                missing.forEach(id => labels.set(id, id));
+            }
+        }
+
+        return labels;
+    }
+
     cleanEntityName(entityName) {
         if (!entityName || typeof entityName !== 'string') {
             return entityName;
@@ -118,193 +222,147 @@ export class WikidataService {
         return [...new Set(variations)];
     }
 
-    async findBestWikidataMatch(searchResults, originalQuery) {
-        // For speed, just return the first result
-        if (searchResults && searchResults.length > 0) {
-            return searchResults[0];
-        }
-        return null;
-    }
+    // Score search results against the row context, best first, as { id, label, description, score }
+    rankWikidataCandidates(searchResults, originalQuery, context = null) {
+        if (!searchResults || searchResults.length === 0) return [];
 
-    async parseWikidataEntity(entity) {
-        const result = {
-            id: entity.id,
-            description: entity.descriptions?.en?.value || '',
-            labels: entity.labels?.en?.value || '',
-        };
+        const query = String(originalQuery || '').toLowerCase();
+        const queryWords = new Set(query.split(/[^\p{L}\p{N}]+/u));
+        const locations = (context?.locations || [])
+            .map(location => String(location).toLowerCase().trim())
+            .filter(location => location && location !== query);
+        const sentenceWords = [...new Set(String(context?.sentence || '').toLowerCase().split(/[^\p{L}\p{N}]+/u))]
+            .filter(word => word.length >= 4 && !SENTENCE_STOP_WORDS.has(word) && !queryWords.has(word));
+        const expectedType = context?.expectedType || (context?.role === 'location' ? 'place' : null);
 
-        if (entity.claims) {
-            // Instance of (P31)
-            if (entity.claims.P31) {
-                result.instance_of = await this.resolveWikidataProperty(entity.claims.P31[0]);
-            }
+        return searchResults
+            .map((result, index) => {
+                const description = String(result.description || '').toLowerCase();
+                if (DISAMBIGUATION_PATTERN.test(description)) return null;
 
-            // Occupation (P106) - for people (handle all values)
-            if (entity.claims.P106) {
-                result.occupation = await this.resolveWikidataPropertyArray(entity.claims.P106);
-            }
+                let score = SEARCH_ORDER_WEIGHT * (1 - index / searchResults.length);
 
-            // Aliases (P1449) - handle all values
-            if (entity.claims.P1449) {
-                result.aliases = await this.resolveWikidataPropertyArray(entity.claims.P1449);
-            }
+                const labels = [result.label, ...(result.aliases || [])].map(label => String(label || '').toLowerCase());
+                if (labels.includes(query)) score += EXACT_LABEL_SCORE;
 
-            // Educated at (P69) - for people
-            if (entity.claims.P69) {
-                result.educated_at = await this.resolveWikidataPropertyArray(entity.claims.P69);
-            }
+                const locationHits = locations.filter(location => containsWord(description, location)).length;
+                score += Math.min(MAX_LOCATION_SCORE, locationHits * LOCATION_SCORE);
 
-            // Residence (P551) - for people
-            if (entity.claims.P551) {
-                result.residences = await this.resolveWikidataPropertyArray(entity.claims.P551);
-            }
+                const sentenceHits = sentenceWords.filter(word => containsWord(description, word)).length;
+                score += Math.min(MAX_SENTENCE_SCORE, sentenceHits * SENTENCE_WORD_SCORE);
 
-            // Member of (P463) - for people/organizations
-            if (entity.claims.P463) {
-                result.member_of = await this.resolveWikidataPropertyArray(entity.claims.P463);
-            }
-
-            // Country (P17) - for places
-            if (entity.claims.P17) {
-                result.country = await this.resolveWikidataProperty(entity.claims.P17[0]);
-            }
-
-            // Coordinates (P625) - for places
-            if (entity.claims.P625) {
-                const coords = entity.claims.P625[0];
-                if (coords.mainsnak.datavalue) {
-                    result.coordinates = {
-                        lat: coords.mainsnak.datavalue.value.latitude,
-                        lng: coords.mainsnak.datavalue.value.longitude
-                    };
+                if (expectedType && TYPE_KEYWORDS[expectedType]) {
+                    const matchesType = type => TYPE_KEYWORDS[type].some(keyword => containsWord(description, keyword));
+                    if (matchesType(expectedType)) {
+                        score += TYPE_SCORE;
+                    } else if (Object.keys(TYPE_KEYWORDS).some(type => type !== expectedType && matchesType(type))) {
+                        score -= TYPE_SCORE;
+                    }
                 }
-            }
 
-            // Date of birth (P569) - for people
-            if (entity.claims.P569) {
-                result.dateOfBirth = this.extractClaimValue(entity.claims.P569[0]);
-            }
-
-            // Languages spoken (P1412) - for people
-            if (entity.claims.P1412) {
-                result.languages_spoken = await this.resolveWikidataPropertyArray(entity.claims.P1412);
-            }
+                if (NON_AGENT_PATTERN.test(description)) score -= NON_AGENT_PENALTY;
 
-            // Employer (P108) - for people
-            if (entity.claims.P108) {
-                result.employer = await this.resolveWikidataPropertyArray(entity.claims.P108);
-            }
+                return {
+                    id: result.id,
+                    label: result.label || '',
+                    description: result.description || '',
+                    score: Math.round(Math.max(0, score) * 100) / 100
+                };
+            })
+            .filter(candidate => candidate)
+            // Stable sort, so ties keep Wikidata's order
+            .sort((a, b) => b.score - a.score);
+    }
 
-            // Population (P1082) - for places
-            if (entity.claims.P1082) {
-                result.population = this.extractClaimValue(entity.claims.P1082[0]);
-            }
+    async findBestWikidataMatch(searchResults, originalQuery, context = null) {
+        return this.rankWikidataCandidates(searchResults, originalQuery, context)[0] || null;
+    }
 
-            // Family relations
-            // Spouse (P26)
-            if (entity.claims.P26) {
-                result.spouse = await this.resolveWikidataPropertyArray(entity.claims.P26);
-            }
+    // Entity fields from a wbgetentities entity, as set out in WIKIDATA_PROPERTY_MAPPING
+    async parseWikidataEntity(entity) {
+        const result = {
+            id: entity.id,
+            description: entity.descriptions?.en?.value || '',
+            labels: entity.labels?.en?.value || '',
+        };
 
-            // Children (P40)
-            if (entity.claims.P40) {
-                result.children = await this.resolveWikidataPropertyArray(entity.claims.P40);
-            }
+        if (entity.claims) {
+            // Every item these claims point to is labelled in one batched lookup
+            const labels = await this.resolveLabels(this.collectClaimItemIds(entity.claims));
+            const noLabels = new Map();
 
-            // Father (P22) and Mother (P25) - combine into parents
-            const parents = [];
-            if (entity.claims.P22) {
-                const fathers = await this.resolveWikidataPropertyArray(entity.claims.P22);
-                parents.push(...fathers);
-            }
-            if (entity.claims.P25) {
-                const mothers = await this.resolveWikidataPropertyArray(entity.claims.P25);
-                parents.push(...mothers);
-            }
-            if (parents.length > 0) {
-                result.parents = parents;
-            }
+            WIKIDATA_PROPERTY_MAPPING.forEach(({ property, field, multiple, resolveLabel, timeQualified }) => {
+                const claims = entity.claims[property];
+                if (!claims || claims.length === 0) return;
 
-            // Siblings (P3373)
-            if (entity.claims.P3373) {
-                result.siblings = await this.resolveWikidataPropertyArray(entity.claims.P3373);
-            }
+                if (timeQualified) {
+                    result.statements = [
+                        ...(result.statements || []),
+                        ...this.resolveStatements(claims, property, field, resolveLabel ? labels : noLabels)
+                    ];
+                }
 
+                if (multiple) {
+                    // Properties sharing a field (father and mother) add to one list
+                    const values = this.resolveClaims(claims, resolveLabel ? labels : noLabels);
+                    result[field] = [...new Set([...(result[field] || []), ...values])];
+                } else if (result[field] === undefined) {
+                    const value = this.resolveClaim(claims[0], resolveLabel ? labels : noLabels);
+                    if (value !== null && value !== '') result[field] = value;
+                }
+            });
         }
 
         return result;
     }
 
-    async resolveWikidataProperty(claim) {
-        try {
-            const value = this.extractClaimValue(claim);
-            
-            // If it's a Wikidata entity reference (Q123456), try to resolve it
-            if (value && typeof value === 'string' && value.match(/^Q\d+$/)) {
-                const controller = new AbortController();
-                const timeoutId = setTimeout(() => controller.abort(), 6000); // 6 second timeout for property resolution
-                
-                try {
-                    const response = await fetch(
-                        `https://www.wikidata.org/w/api.php?action=wbgetentities&ids=${value}&format=json&origin=*&props=labels`, 
-                        { signal: controller.signal }
-                    );
-                    clearTimeout(timeoutId);
-                    
-                    if (response.ok) {
-                        const data = await response.json();
-                        if (data.entities && data.entities[value] && data.entities[value].labels && data.entities[value].labels.en) {
-                            return data.entities[value].labels.en.value;
-                        }
-                    }
-                    
-                    // If API call succeeded but no English label found, return the Q-ID as fallback
-                    return value;
-                } catch (fetchError) {
-                    clearTimeout(timeoutId);
-                    // Return the Q-ID as fallback if API call fails
-                    return value;
-                }
-            }
-            
-            // Return the raw value if it's not a Q-ID or if it's already a resolved string
-            return value;
-        } catch (error) {
-            console.warn('Error resolving Wikidata property:', error);
-            return this.extractClaimValue(claim);
-        }
+    // Item IDs among the claims parseWikidataEntity reads, as far as it reads them
+    collectClaimItemIds(claims) {
+        return LABELLED_PROPERTIES
+            .flatMap(property => (claims[property] || []).slice(0, TIME_QUALIFIED_PROPERTIES.has(property) ? MAX_STATEMENTS : MAX_CLAIM_VALUES))
+            .map(claim => this.extractClaimValue(claim))
+            .filter(value => typeof value === 'string' && /^Q\d+$/.test(value));
     }
 
-    async resolveWikidataPropertyArray(claims) {
-        try {
-            // Limit to first 5 items to reduce API calls and improve success rate
-            const limitedClaims = claims.slice(0, 5);
-            
-            // Use Promise.allSettled to handle individual failures gracefully
-            const results = await Promise.allSettled(
-                limitedClaims.map(claim => this.resolveWikidataProperty(claim))
-            );
-            
-            // Extract successful results and filter out null/undefined values
-            const validResults = results
-                .filter(result => result.status === 'fulfilled' && result.value != null && result.value !== '')
-                .map(result => result.value);
-                
-            const uniqueResults = [...new Set(validResults)];
-            
-            // If we got no results but had claims, try to extract raw values as fallback
-            if (uniqueResults.length === 0 && limitedClaims.length > 0) {
-                const fallbackResults = limitedClaims
-                    .map(claim => this.extractClaimValue(claim))
-                    .filter(value => value != null && value !== '');
-                return [...new Set(fallbackResults)];
-            }
-            
-            return uniqueResults;
-        } catch (error) {
-            console.warn('Error resolving Wikidata property array:', error);
-            return [];
-        }
+    // A claim's value, with item IDs replaced by their labels
+    resolveClaim(claim, labels) {
+        const value = this.extractClaimValue(claim);
+        return labels.get(value) || value;
+    }
+
+    // Dated statements ({ field, property, value, valueId, start, end, ended }) from a property's
+    // claims and their start time (P580) and end time (P582) qualifiers. Deprecated claims are skipped.
+    resolveStatements(claims, property, field, labels) {
+        return claims
+            .filter(claim => claim.rank !== 'deprecated')
+            .slice(0, MAX_STATEMENTS)
+            .map(claim => {
+                const rawValue = this.extractClaimValue(claim);
+                const value = labels.get(rawValue) || rawValue;
+                if (value == null || value === '') return null;
+
+                const qualifiers = claim.qualifiers || {};
+                const endSnak = qualifiers.P582?.[0];
+                return {
+                    field,
+                    property,
+                    value,
+                    valueId: typeof rawValue === 'string' && /^Q\d+$/.test(rawValue) ? rawValue : null,
+                    start: parseWikidataTime(qualifiers.P580?.[0]?.datavalue?.value),
+                    end: parseWikidataTime(endSnak?.datavalue?.value),
+                    // An end time of "unknown value" still means the statement no longer holds
+                    ended: Boolean(endSnak)
+                };
+            })
+            .filter(statement => statement);
+    }
+
+    resolveClaims(claims, labels) {
+        // Only the first few values of each property
+        const values = claims.slice(0, MAX_CLAIM_VALUES)
+            .map(claim => this.resolveClaim(claim, labels))
+            .filter(value => value != null && value !== '');
+        return [...new Set(values)];
     }
 
     extractClaimValue(claim) {
@@ -314,6 +372,8 @@ export class WikidataService {
             if (value.time) return value.time;
             if (value.text) return value.text;
             if (value.id) return value.id;
+            if (value.amount !== undefined) return Number(value.amount);
+            if (value.latitude !== undefined) return { lat: value.latitude, lng: value.longitude };
         }
         return null;
     }
@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { normalizeAction } from '../js/action-normalizer.js';
+import { CrossReferenceService } from '../js/cross-reference-service.js';
+
+// Actions from the sample CSVs and the CAMEO root each should land in
+const SAMPLE_ACTIONS = [
+    ['mediated', '04', 'mediate'],
+    ['accompanied', '04', 'accompany'],
+    ['departed', '04', 'depart'],
+    ['hailed', '05', 'hail'],
+    ['appreciated', '05', 'appreciate'],
+    ['briefed', '01', 'brief'],
+    ['purchased', '06', 'purchase'],
+    ['launched', '06', 'launch'],
+    ['opened', '06', 'open'],
+    ['expanded', '06', 'expand'],
+    ['subsidised', '07', 'subsidise'],
+    ['derided', '11', 'deride'],
+    ['patrolled', '15', 'patrol'],
+    ['retook', '19', 'retake']
+];
+
+SAMPLE_ACTIONS.forEach(([text, code, lemma]) => {
+    test(`"${text}" is coded ${code}`, () => {
+        const action = normalizeAction(text);
+        assert.equal(action.lemma, lemma);
+        assert.equal(action.code, code);
+    });
+});
+
+// Basketball rows from the sample CSVs: game play, not events the taxonomy describes
+const GAME_ACTIONS = [
+    'scored against',
+    'hit seven three-pointers against',
+    'grabbed 15 rebounds',
+    'recorded a triple-double against',
+    'blocked three shots',
+    'led the 76ers to victory',
+    'hit a game-winning shot against',
+    'stole the ball and scored',
+    'dunked over two defenders'
+];
+
+GAME_ACTIONS.forEach(text => {
+    test(`"${text}" stays unclassified`, () => {
+        assert.equal(normalizeAction(text).code, null);
+    });
+});
+
+test('only words in verb position are reduced to a base form', () => {
+    assert.equal(normalizeAction('stole the ball and scored').lemma, 'steal ball and score');
+    assert.equal(normalizeAction('led the 76ers to victory').lemma, 'lead 76ers to victory');
+    assert.equal(normalizeAction('affirmed China\u2019s support for').lemma, "affirm china's support");
+    assert.equal(normalizeAction('introduced seasonal specials').lemma, 'introduce seasonal specials');
+});
+
+test('a verb after "and" is coded, a noun elsewhere is not', () => {
+    assert.equal(normalizeAction('met the press and praised the deal').code, '04');
+    assert.equal(normalizeAction('signed and condemned').code, '05');
+    assert.equal(normalizeAction('regarded as a key partner').code, null);
+});
+
+test('phrases match plural nouns', () => {
+    assert.equal(normalizeAction('held talks with').code, '04');
+    assert.equal(normalizeAction('broke ties with').code, '16');
+});
+
+test('passive actions are coded by their verb', () => {
+    const action = normalizeAction('was challenged by');
+    assert.equal(action.passive, true);
+    assert.equal(action.code, '11');
+    const expected = normalizeAction('is expected to be supported by');
+    assert.equal(expected.passive, true);
+    assert.equal(expected.code, '05');
+});
+
+test('phrases still win over the verbs they contain', () => {
+    assert.equal(normalizeAction('opened fire on').code, '19');
+});
+
+test('category stats report the share of unclassified events', () => {
+    const stats = new CrossReferenceService(null).getActionCategoryStats(
+        ['mediated', 'hailed', 'scored against', 'dunked over two defenders'].map(action => ({ action }))
+    );
+    assert.equal(stats.unclassified, 2);
+    assert.equal(stats.unclassifiedShare, 0.5);
+    assert.equal(new CrossReferenceService(null).getActionCategoryStats([]).unclassifiedShare, null);
+});
@@ -0,0 +1,107 @@
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync, readdirSync } from 'node:fs';
+
+import { DateTimeProcessor } from '../js/datetime-processor.js';
+import { CSVParser } from '../js/csv-parser.js';
+import { DEFAULT_TIME_ZONE, parseTimestamp, toWallClock } from '../js/time-zones.js';
+
+const ROOT = new URL('../', import.meta.url);
+const SAMPLE_DIRECTORIES = ['csv', 'testData-old'];
+const fixtures = JSON.parse(readFileSync(new URL('test/fixtures/datetimes.json', ROOT), 'utf8'));
+
+const processor = new DateTimeProcessor();
+
+// Reads a case the way the import does: Date Received and Datetimes both in the row's zone
+function interpret({ value, received, timeZone = DEFAULT_TIME_ZONE }) {
+    const result = processor.processDateTimeWithDuration(value, parseTimestamp(received, timeZone), timeZone);
+    const iso = date => (date ? date.toISOString() : null);
+    return {
+        start: iso(result.startDate),
+        end: iso(result.endDate),
+        earliest: iso(result.earliestDate),
+        latest: iso(result.latestDate),
+        granularity: result.granularity,
+        approximate: result.approximate,
+        edtf: result.edtf,
+        parsed: result.parsed
+    };
+}
+
+// The reading as the hand-checked cases write it: wall-clock minutes in the case's zone, with an
+// exclusive end for everything but instants
+function reading(example) {
+    const { timeZone = DEFAULT_TIME_ZONE } = example;
+    const result = processor.processDateTimeWithDuration(example.value, parseTimestamp(example.received, timeZone), timeZone);
+    const exclusive = result.granularity === 'instant' ? 0 : 1;
+    const wallClock = (date, offset = 0) => (date
+        ? toWallClock(new Date(date.getTime() + offset), timeZone).toISOString().slice(0, 16).replace('T', ' ')
+        : null);
+    return {
+        start: wallClock(result.startDate),
+        end: wallClock(result.endDate, exclusive),
+        earliest: wallClock(result.earliestDate),
+        latest: wallClock(result.latestDate, exclusive),
+        granularity: result.granularity,
+        approximate: result.approximate,
+        parsed: result.parsed,
+        ...('edtf' in example ? { edtf: result.edtf } : {})
+    };
+}
+
+function expectedReading(example) {
+    const end = example.end ?? example.start;
+    return {
+        start: example.start,
+        end,
+        earliest: example.earliest === undefined ? example.start : example.earliest,
+        latest: example.latest === undefined ? end : example.latest,
+        granularity: example.granularity,
+        approximate: example.approximate ?? false,
+        parsed: example.parsed ?? true,
+        ...('edtf' in example ? { edtf: example.edtf } : {})
+    };
+}
+
+const caseKey = ({ value, received }) => `${value}\u0000${received}`;
+
+describe('hand-checked Datetimes', () => {
+    fixtures.checked.forEach(example => {
+        test(`${example.value} (received ${example.received}${example.timeZone ? `, ${example.timeZone}` : ''})`, () => {
+            assert.deepEqual(reading(example), expectedReading(example), example.note);
+        });
+    });
+});
+
+describe('sample Datetimes', () => {
+    test('every sample row has a fixture and parses', () => {
+        const covered = new Set(fixtures.samples.map(caseKey));
+        let rows = 0;
+        SAMPLE_DIRECTORIES.forEach(directory => {
+            readdirSync(new URL(`${directory}/`, ROOT)).filter(file => file.endsWith('.csv')).forEach(file => {
+                const text = readFileSync(new URL(`${directory}/${file}`, ROOT), 'utf8');
+                new CSVParser().parseCSV(text).filter(row => row.Datetimes).forEach(row => {
+                    rows++;
+                    const sample = { value: row.Datetimes, received: row['Date Received'] };
+                    assert.ok(covered.has(caseKey(sample)), `${directory}/${file}: no fixture for "${row.Datetimes}"`);
+                    assert.equal(interpret(sample).parsed, true, `${directory}/${file}: "${row.Datetimes}" did not parse`);
+                });
+            });
+        });
+        assert.ok(rows > 0);
+    });
+});
+
+describe('datetime grammar', () => {
+    test('an ISO interval is not split at its hyphens', () => {
+        const { start, end } = interpret({ value: '2024-07-21 to 2024-07-23', received: '2024-08-01' });
+        assert.equal(start.slice(0, 10), '2024-07-21');
+        assert.equal(end.slice(0, 10), '2024-07-23');
+    });
+
+    test('fuzzy dates keep a window wider than their best guess', () => {
+        const { start, end, earliest, latest, approximate } = interpret({ value: 'mid-September', received: '2024-10-01' });
+        assert.equal(approximate, true);
+        assert.ok(earliest < start && latest > end);
+    });
+});
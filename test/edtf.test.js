@@ -0,0 +1,21 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { describeEDTF, parseEDTF } from '../js/edtf.js';
+
+test('describes valid EDTF in words', () => {
+    assert.equal(describeEDTF('2023~'), 'c. 2023');
+    assert.equal(describeEDTF('2024-05?'), 'May 2024?');
+    assert.equal(describeEDTF('../2025-02'), 'up to February 2025');
+    assert.equal(describeEDTF('201X'), '2010s');
+    assert.equal(describeEDTF('2001-21/2001-23'), 'Spring 2001 – Autumn 2001');
+    assert.equal(describeEDTF('2024-07-21/2024-07-23'), 'July 21, 2024 – July 23, 2024');
+    assert.equal(describeEDTF('-0043-03-15'), 'March 15, 44 BCE');
+});
+
+test('shows text parseEDTF rejects as it is', () => {
+    ['2024-13', '2024-00', '2024-02-30', '2024-25', '2024-21-05', 'Y12345-05', '2024-05/2023', 'sometime'].forEach(value => {
+        assert.equal(parseEDTF(value), null, value);
+        assert.equal(describeEDTF(value), value);
+    });
+});
@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EntityProcessor } from '../js/entity-processor.js';
+
+const dana = { id: 'entity_1_dana', name: 'Dana Smith', type: 'person' };
+const danaS = { id: 'entity_2_danas', name: 'Dana S.', type: 'person' };
+const event = { sentence: 'Dana Smith met Dana S.', importBatchId: 'import_1' };
+
+const propose = (processor, entity, candidate) =>
+    processor.proposeMatches(entity, event, [{ entity: candidate, score: 0.7, reasons: ['similar name'] }]);
+
+function loadedProcessor(matchReviews = []) {
+    const processor = new EntityProcessor(null, null, null);
+    processor.setProcessedEntities({ people: [dana, danaS], matchReviews });
+    return processor;
+}
+
+test('a pair proposed both ways round is queued once', () => {
+    const processor = loadedProcessor();
+    propose(processor, dana, danaS);
+    propose(processor, danaS, dana);
+    propose(processor, dana, danaS);
+
+    const { matchReviews } = processor.getDirtyChanges();
+    assert.equal(matchReviews.length, 1);
+    assert.equal(matchReviews[0].entityId, dana.id);
+});
+
+test('the review ID is the same whichever way round the pair is proposed', () => {
+    const first = loadedProcessor();
+    const second = loadedProcessor();
+    propose(first, dana, danaS);
+    propose(second, danaS, dana);
+    assert.equal(first.getDirtyChanges().matchReviews[0].id, second.getDirtyChanges().matchReviews[0].id);
+});
+
+test('a saved open review holds back a new proposal for its pair', () => {
+    ['pending', 'deferred'].forEach(status => {
+        const processor = loadedProcessor([{ id: 'review_old', entityId: danaS.id, candidateId: dana.id, status }]);
+        propose(processor, dana, danaS);
+        assert.equal(processor.getDirtyChanges().matchReviews.length, 0, status);
+    });
+});
+
+test('a rejected or closed review lets the pair be proposed again', () => {
+    const rejected = loadedProcessor([{ id: 'review_old', entityId: dana.id, candidateId: danaS.id, status: 'rejected' }]);
+    propose(rejected, dana, danaS);
+    assert.equal(rejected.getDirtyChanges().matchReviews.length, 1);
+
+    const open = { id: 'review_old', entityId: dana.id, candidateId: danaS.id, status: 'pending' };
+    const closed = loadedProcessor([open]);
+    closed.closeMatchReview(open);
+    propose(closed, danaS, dana);
+    assert.equal(closed.getDirtyChanges().matchReviews.length, 1);
+});
+
+test('reviews saved from a batch still hold back their pair', () => {
+    const processor = loadedProcessor();
+    propose(processor, dana, danaS);
+    processor.markClean(processor.getDirtyChanges());
+    propose(processor, danaS, dana);
+    assert.equal(processor.getDirtyChanges().matchReviews.length, 0);
+});
+
+test('restored checkpoint reviews are not queued twice', () => {
+    const processor = loadedProcessor();
+    propose(processor, dana, danaS);
+    const changes = processor.getDirtyChanges();
+    processor.restoreDirtyChanges({ matchReviews: changes.matchReviews });
+    assert.equal(processor.getDirtyChanges().matchReviews.length, 1);
+});
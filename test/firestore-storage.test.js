@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { FirestoreStorage } from '../js/firestore-storage.js';
+
+// Just enough of the Firestore SDK for commitBatch: batches record their writes and the
+// failing one (counted from 0) rejects on commit
+function fakeFirestore({ failBatch = -1 } = {}) {
+    const committed = [];
+    let started = 0;
+    return {
+        committed,
+        doc: (db, collection, id) => `${collection}/${id}`,
+        writeBatch: () => {
+            const writes = [];
+            const record = (type, ref) => writes.push(`${type} ${ref}`);
+            return {
+                set: ref => record('set', ref),
+                update: ref => record('update', ref),
+                delete: ref => record('delete', ref),
+                commit: async () => {
+                    const batchIndex = started++;
+                    await new Promise(resolve => setTimeout(resolve, batchIndex === 0 ? 5 : 0));
+                    if (batchIndex === failBatch) throw new Error('deadline exceeded');
+                    committed.push(...writes);
+                }
+            };
+        }
+    };
+}
+
+const operations = count => Array.from({ length: count }, (_, index) => ({ type: 'set', collection: 'events', id: `event_${index}`, data: {} }));
+
+test('operations beyond the Firestore limit are committed in order', async () => {
+    const firestore = fakeFirestore();
+    const result = await new FirestoreStorage({}, firestore).commitBatch(operations(1200));
+    assert.equal(result.batchCount, 3);
+    assert.equal(firestore.committed.length, 1200);
+    assert.equal(firestore.committed[0], 'set events/event_0');
+    assert.equal(firestore.committed[1199], 'set events/event_1199');
+});
+
+test('a failed batch stops the rest and says how much was written', async () => {
+    const firestore = fakeFirestore({ failBatch: 1 });
+    await assert.rejects(new FirestoreStorage({}, firestore).commitBatch(operations(1200)), error => {
+        assert.equal(error.writtenCount, 500);
+        assert.match(error.message, /Saved 500 of 1200 operations \(1 of 3 batches\).*deadline exceeded/);
+        assert.equal(error.cause.message, 'deadline exceeded');
+        return true;
+    });
+    assert.equal(firestore.committed.length, 500, 'the batch after the failure is never committed');
+});
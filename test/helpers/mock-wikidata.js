@@ -0,0 +1,48 @@
+// Starts bin/wikidata-mock-server.js on a free port for a test file and stops it afterwards
+import { spawn } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+const SERVER_PATH = fileURLToPath(new URL('../../bin/wikidata-mock-server.js', import.meta.url));
+const READY_PATTERN = /Mock Wikidata API on (http:\/\/localhost:\d+)\/w\/api\.php/;
+const START_TIMEOUT_MS = 10000;
+
+// { apiUrl, stats(), reset(), stop() }; args are extra server options, e.g. ['--throttle-every', '2']
+export function startMockWikidata(args = []) {
+    const child = spawn(process.execPath, [SERVER_PATH, '--port', '0', ...args], { stdio: ['ignore', 'ignore', 'pipe'] });
+
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const timer = setTimeout(() => {
+            child.kill();
+            reject(new Error(`Mock Wikidata server did not start:\n${output}`));
+        }, START_TIMEOUT_MS);
+
+        child.on('exit', code => {
+            clearTimeout(timer);
+            reject(new Error(`Mock Wikidata server exited with code ${code}:\n${output}`));
+        });
+        child.stderr.setEncoding('utf8');
+        child.stderr.on('data', chunk => {
+            output += chunk;
+            const match = output.match(READY_PATTERN);
+            if (!match) return;
+
+            clearTimeout(timer);
+            // The server logs every request; keep draining so it never blocks on a full pipe
+            child.stderr.removeAllListeners('data');
+            child.stderr.resume();
+            const baseUrl = match[1];
+            const getStats = async reset => (await fetch(`${baseUrl}/stats${reset ? '?reset=1' : ''}`)).json();
+            resolve({
+                apiUrl: `${baseUrl}/w/api.php`,
+                stats: () => getStats(false),
+                reset: () => getStats(true),
+                stop: () => new Promise(done => {
+                    child.removeAllListeners('exit');
+                    child.once('exit', () => done());
+                    child.kill();
+                })
+            });
+        });
+    });
+}
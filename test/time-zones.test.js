@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { zonedTimeToDate, getTimeZoneOffset } from '../js/time-zones.js';
+
+const instant = (fields, timeZone) => zonedTimeToDate(fields, timeZone).toISOString();
+
+test('ordinary wall-clock times', () => {
+    assert.equal(instant({ year: 2024, month: 6, day: 21, hour: 14, minute: 30 }, 'Asia/Qatar'), '2024-07-21T11:30:00.000Z');
+    assert.equal(instant({ year: 2024, month: 0, day: 15, hour: 9 }, 'Asia/Kolkata'), '2024-01-15T03:30:00.000Z');
+    assert.equal(instant({ year: 2024, month: 6, day: 1, hour: 12 }, 'UTC'), '2024-07-01T12:00:00.000Z');
+});
+
+// Clocks go back: 02:00-03:00 in Berlin on 27 October 2024 happens twice, first in CEST (+2)
+test('repeated times take the first occurrence in zones ahead of UTC', () => {
+    assert.equal(instant({ year: 2024, month: 9, day: 27, hour: 2, minute: 30 }, 'Europe/Berlin'), '2024-10-27T00:30:00.000Z');
+    assert.equal(instant({ year: 2024, month: 3, day: 7, hour: 2, minute: 30 }, 'Australia/Sydney'), '2024-04-06T15:30:00.000Z');
+});
+
+test('repeated times take the first occurrence in zones behind UTC', () => {
+    assert.equal(instant({ year: 2024, month: 10, day: 3, hour: 1, minute: 30 }, 'America/New_York'), '2024-11-03T05:30:00.000Z');
+});
+
+// Clocks go forward: 02:30 does not exist and is read as 03:30 in the new offset
+test('skipped times move forward', () => {
+    assert.equal(instant({ year: 2024, month: 2, day: 31, hour: 2, minute: 30 }, 'Europe/Berlin'), '2024-03-31T01:30:00.000Z');
+    assert.equal(instant({ year: 2024, month: 2, day: 10, hour: 2, minute: 30 }, 'America/New_York'), '2024-03-10T07:30:00.000Z');
+});
+
+test('times next to a change keep their own offset', () => {
+    const justBefore = zonedTimeToDate({ year: 2024, month: 9, day: 27, hour: 1, minute: 59 }, 'Europe/Berlin');
+    const justAfter = zonedTimeToDate({ year: 2024, month: 9, day: 27, hour: 3 }, 'Europe/Berlin');
+    assert.equal(getTimeZoneOffset(justBefore, 'Europe/Berlin'), 120);
+    assert.equal(getTimeZoneOffset(justAfter, 'Europe/Berlin'), 60);
+});
+
+test('years before 100 stay as written', () => {
+    assert.equal(instant({ year: 44, month: 2, day: 15, hour: 12 }, 'UTC'), '0044-03-15T12:00:00.000Z');
+});
@@ -0,0 +1,103 @@
+import { describe, test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { WikidataClient, TokenBucket } from '../js/wikidata-client.js';
+import { startMockWikidata } from './helpers/mock-wikidata.js';
+
+// A bucket fast enough not to slow the tests down; the rate-limit test sets its own
+const fastBucket = () => new TokenBucket(100, 1000);
+
+// Q1000..Q1000+n-1; the fixture has none of them, so each comes back null
+const placeholderIds = count => Array.from({ length: count }, (_, index) => `Q${1000 + index}`);
+
+describe('WikidataClient against the mock server', () => {
+    let server;
+    before(async () => { server = await startMockWikidata(); });
+    after(() => server.stop());
+    beforeEach(() => server.reset());
+
+    test('searches and looks up entities', async () => {
+        const client = new WikidataClient({ apiUrl: server.apiUrl, rateLimiter: fastBucket() });
+        const results = await client.searchEntities('Lebanon');
+        assert.deepEqual(results.map(result => result.id), ['Q822', 'Q990001', 'Q990002']);
+
+        const entities = await client.getEntities(['Q990001', 'Q404']);
+        assert.equal(entities.Q990001.labels.en.value, 'Lebanon');
+        assert.equal(entities.Q404, null);
+        assert.deepEqual(client.stats, { requests: 2, retries: 0, failures: 0 });
+    });
+
+    test('combines lookups made together into requests of at most 50 IDs', async () => {
+        const client = new WikidataClient({ apiUrl: server.apiUrl, rateLimiter: fastBucket() });
+        const ids = placeholderIds(120);
+        // Overlapping calls share requests, and IDs asked for twice are fetched once
+        const lookups = await Promise.all([
+            client.getEntities(ids.slice(0, 40)),
+            client.getEntities(ids.slice(30, 90)),
+            client.getEntities(ids.slice(90)),
+            client.getEntities(['Q822', 'Q90'])
+        ]);
+
+        assert.equal(Object.keys(Object.assign({}, ...lookups)).length, 122);
+        assert.equal(lookups[3].Q90.labels.en.value, 'Paris');
+        // The server refuses more than 50 IDs, so three clean requests mean every batch fit
+        const stats = await server.stats();
+        assert.equal(stats.entityRequests, 3);
+        assert.equal(stats.entitiesServed, 122);
+        assert.equal(client.stats.requests, 3);
+        assert.equal(client.stats.failures, 0);
+    });
+
+    test('keeps to the token bucket rate', async () => {
+        // Two requests at once, then one every 100 ms
+        const client = new WikidataClient({ apiUrl: server.apiUrl, rateLimiter: new TokenBucket(2, 10) });
+        const started = Date.now();
+        await Promise.all(['Paris', 'France', 'Lebanon', 'United States', 'Paris', 'France'].map(name => client.searchEntities(name)));
+        const elapsed = Date.now() - started;
+
+        assert.equal((await server.stats()).searches, 6);
+        assert.ok(elapsed >= 380, `six requests took ${elapsed} ms; the bucket allows them no sooner than 400 ms`);
+    });
+});
+
+// Each failure mode answers every second request, so every call needs exactly one retry
+const FAILURE_MODES = [
+    { name: 'HTTP 429', option: '--throttle-every', counter: 'throttled' },
+    { name: 'HTTP 503', option: '--unavailable-every', counter: 'unavailable' },
+    { name: 'maxlag', option: '--maxlag-every', counter: 'maxlagged' }
+];
+
+FAILURE_MODES.forEach(({ name, option, counter }) => {
+    describe(`WikidataClient retries on ${name}`, () => {
+        let server;
+        before(async () => { server = await startMockWikidata([option, '2', '--retry-after', '0']); });
+        after(() => server.stop());
+        beforeEach(() => server.reset());
+
+        test('retries until the request gets through', async () => {
+            const client = new WikidataClient({ apiUrl: server.apiUrl, rateLimiter: fastBucket() });
+            for (const search of ['Paris', 'France', 'Lebanon']) {
+                assert.ok((await client.searchEntities(search)).length > 0);
+            }
+            // Requests 2 and 4 fail; 1, 3 and 5 answer the three searches
+            assert.deepEqual(client.stats, { requests: 5, retries: 2, failures: 0 });
+            const stats = await server.stats();
+            assert.equal(stats.requests, 5);
+            assert.equal(stats[counter], 2);
+            assert.equal(stats.searches, 3);
+        });
+    });
+});
+
+describe('WikidataClient gives up', () => {
+    let server;
+    before(async () => { server = await startMockWikidata(['--throttle-every', '1', '--retry-after', '0']); });
+    after(() => server.stop());
+
+    test('after maxRetries retries', async () => {
+        const client = new WikidataClient({ apiUrl: server.apiUrl, rateLimiter: fastBucket(), maxRetries: 2 });
+        await assert.rejects(client.searchEntities('Paris'), /HTTP 429/);
+        assert.deepEqual(client.stats, { requests: 3, retries: 2, failures: 1 });
+        assert.equal((await server.stats()).throttled, 3);
+    });
+});
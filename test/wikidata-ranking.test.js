@@ -0,0 +1,39 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { EntityProcessor } from '../js/entity-processor.js';
+import { WikidataService } from '../js/wikidata-service.js';
+
+// Search results for "Lebanon" in the order bin/fixtures/wikidata-mock.json serves them
+const LEBANON_RESULTS = [
+    { id: 'Q822', label: 'Lebanon', description: 'country in Western Asia' },
+    { id: 'Q990001', label: 'Lebanon', description: 'city in and county seat of Wilson County, Tennessee, United States' },
+    { id: 'Q990002', label: 'Lebanon', description: 'Wikimedia disambiguation page' }
+];
+
+const service = new WikidataService({ enabled: true, client: {}, cache: {} });
+const processor = new EntityProcessor(service, null, null);
+
+test('event locations reach the ranker as names', () => {
+    const context = processor.getWikidataContext('Lebanon', 'location', {
+        sentence: '',
+        locations: [{ name: 'Lebanon', category: 'city' }, { name: 'Tennessee', category: 'state' }, 'Wilson County']
+    });
+    assert.deepEqual(context.locations, ['Tennessee', 'Wilson County']);
+});
+
+test('a co-located place picks Lebanon, Tennessee over the country', () => {
+    // No sentence, so only the other location can tell the two apart
+    const context = processor.getWikidataContext('Lebanon', 'location', {
+        sentence: '',
+        locations: [{ name: 'Lebanon', category: 'city' }, { name: 'Tennessee', category: 'state' }]
+    });
+    const ranked = service.rankWikidataCandidates(LEBANON_RESULTS, 'Lebanon', context);
+    assert.equal(ranked[0].id, 'Q990001');
+    assert.ok(!ranked.some(candidate => candidate.id === 'Q990002'), 'disambiguation pages are dropped');
+});
+
+test('without other locations Wikidata\'s order stands', () => {
+    const context = processor.getWikidataContext('Lebanon', 'location', { sentence: '', locations: [{ name: 'Lebanon' }] });
+    assert.equal(service.rankWikidataCandidates(LEBANON_RESULTS, 'Lebanon', context)[0].id, 'Q822');
+});